@@ -4,10 +4,29 @@
 //          + CORRECTED UNMUTE: Ensures sounds resume correctly on remote unmute if alarms are active.
 //          + REVERTED SOUND INTERVALS: Restored original alarm sound intervals.
 //          + PREVENT SOUND RESTART: Avoids restarting sound if already scheduled.
-
-import { KPA_TO_MMHG } from './config.js';
+//          + ADDED: Alarm priorities, per-alarm acknowledgement, latching high-priority alarms and a 2:00 audio pause,
+//            shown in the alarm banner (with the pause countdown) and synced to the monitors like the sound state.
+//          + ADDED: IEC 60601-1-8 tone bursts (alarmTones.js) instead of single beeps. The most urgent sounding alarm
+//            picks the burst; its priority comes from the alarm limits (alarms.priorities).
+//          + ADDED: Rhythm alarms (rhythmAlarms.js): ASYSTOLE, VFIB/VTACH, VTACH, EXTREME BRADY/TACHY, PAUSE and APNEA,
+//            always high priority, shown in red text in the banner. They replace the HR limit alarm they overlap.
+//          + ADDED: SpO2 high, RR, temperature and NIBP limit alarms; each limit alarm can be switched off
+//            (alarms.enabled).
+//          + ADDED: Technical alarms for the sensor faults set on the controller (params.faults): low priority, cyan
+//            in the banner. A faulted sensor raises no physiological or rhythm alarms.
+//          + FIX: The audio pause is synced as the remaining duration, so each device times it on its own clock.
+//          + MOVED: The limit checks to limitAlarms.js (no DOM). NIBP limit alarms end when the reading goes stale.
+//
+// An acknowledged alarm stays displayed but silent until its condition ends. A high-priority alarm whose condition
+// ends before it was acknowledged latches: it stays displayed and sounding until it is acknowledged.
+
+import { KPA_TO_MMHG, DEFAULT_ALARM_THRESHOLDS, SENSOR_FAULT_CHANNELS, resolveAlarmThresholds } from './config.js';
 import { ensureFinite } from './waveformUtils.js';
-import { getCurrentRole, sendSoundStateUpdate } from './networkManager.js';
+import { getCurrentRole, sendSoundStateUpdate, sendAudioPauseUpdate, sendAlarmAcknowledge } from './networkManager.js';
+import { describeAlarm, formatElapsed } from './debriefReport.js';
+import { ALARM_PRIORITY_LEVELS, alarmToneCategory, buildAlarmBurst, playAlarmBurst } from './alarmTones.js';
+import { RHYTHM_ALARM_KEYS, classifyRhythmAlarms } from './rhythmAlarms.js';
+import { classifyLimitAlarms } from './limitAlarms.js';
 
 // Alarm Thresholds
 const ALARM_THRESHOLDS = {
@@ -22,16 +41,27 @@ let activeAlarms = {};
 let soundsEnabled = true; // Oletuksena äänet päällä
 let soundToggleButton = null;
 let audioContext = null;
-let currentOscillator = null;
+let currentBurst = null; // { priority, oscillators } of the burst playing or waiting for its repeat
 let visualAlarmElements = {};
 let alarmSoundTimeoutId = null; // ID for the setTimeout that schedules the next beep
-
-// Alkuperäiset ääniasetukset
-const ALARM_SOUNDS = {
-    critical_low_priority: { freq: 440, type: 'sine', duration: 0.15, interval: 0.5 },
-    high_priority: { freq: 523.25, type: 'sine', duration: 0.2, interval: 1.0 },
-    medium_priority: { freq: 392, type: 'sine', duration: 0.25, interval: 1.5 },
-};
+let acknowledgedAlarms = new Set(); // active alarms silenced by the user until their condition ends
+let latchedAlarms = new Set(); // high-priority alarms whose condition ended before they were acknowledged
+let audioPausedUntil = 0; // Date.now() time the audio pause ends, 0 = not paused
+let audioPauseTimerId = null;
+let audioPauseButton = null;
+let alarmBannerElements = {};
+let alarmBannerSignature = null;
+
+const AUDIO_PAUSE_MS = 120 * 1000;
+
+// Priority of each alarm key from checkAlarms(), set from the alarm limits (alarms.priorities).
+// The aggregates low_abp / high_abp have no priority of their own. Rhythm alarms are always high and listed first,
+// technical alarms always low.
+const RHYTHM_ALARM_PRIORITIES = Object.fromEntries(RHYTHM_ALARM_KEYS.map(key => [key, 'high']));
+const TECHNICAL_ALARM_KEYS = Object.keys(SENSOR_FAULT_CHANNELS);
+const TECHNICAL_ALARM_PRIORITIES = Object.fromEntries(TECHNICAL_ALARM_KEYS.map(key => [key, 'low']));
+let alarmPriorities = { ...RHYTHM_ALARM_PRIORITIES, ...DEFAULT_ALARM_THRESHOLDS.priorities, ...TECHNICAL_ALARM_PRIORITIES };
+const LATCHING_PRIORITIES = ['high'];
 
 // Initialization
 export function initializeAlarms(monitorElements) {
@@ -43,12 +73,31 @@ export function initializeAlarms(monitorElements) {
     } else {
         console.warn("[AlarmManager] Sound toggle button not found.");
     }
+    audioPauseButton = document.getElementById("alarm-audio-pause-btn");
+    if (audioPauseButton) {
+        audioPauseButton.addEventListener('click', toggleAudioPause);
+    }
+    alarmBannerElements = {
+        banner: document.getElementById("alarm-banner"),
+        list: document.getElementById("alarm-banner-list"),
+        pauseLabel: document.getElementById("alarm-audio-paused-label"),
+        acknowledgeAll: document.getElementById("alarm-acknowledge-all-btn"),
+    };
+    // Clicking an alarm in the banner acknowledges it
+    alarmBannerElements.list?.addEventListener('click', (event) => {
+        const key = event.target.closest?.('[data-alarm-key]')?.dataset.alarmKey;
+        if (key) acknowledgeAlarms([key]);
+    });
+    alarmBannerElements.acknowledgeAll?.addEventListener('click', () => acknowledgeAlarms());
 
     visualAlarmElements = {
         ecg: { wrapper: monitorElements?.ecg, value: document.getElementById("hr-value") },
         spo2: { wrapper: monitorElements?.spo2, value: document.getElementById("spo2-value") },
         abp: { wrapper: monitorElements?.abp, valueSys: document.getElementById("abp-sys-value"), valueDia: document.getElementById("abp-dia-value"), valueMean: document.getElementById("abp-mean-value") },
         etco2: { wrapper: monitorElements?.etco2, value: document.getElementById("etco2-value") },
+        rr: { value: document.getElementById("resp-rate-label") },
+        temp: { wrapper: monitorElements?.temp, value: document.getElementById("temp-value") },
+        nibp: { wrapper: monitorElements?.nibp, valueSys: document.getElementById("nibp-sys-value"), valueDia: document.getElementById("nibp-dia-value"), valueMean: document.getElementById("nibp-mean-value") },
     };
 
     try {
@@ -83,6 +132,8 @@ export function initializeAlarms(monitorElements) {
 
 function resetActiveAlarms() {
     activeAlarms = {};
+    acknowledgedAlarms.clear();
+    latchedAlarms.clear();
      Object.keys(visualAlarmElements).forEach(paramKey => {
          const elements = visualAlarmElements[paramKey];
          if (elements?.wrapper) {
@@ -102,111 +153,146 @@ function resetActiveAlarms() {
             elements.valueMean.classList.remove('alarm-value-active');
         }
      });
+    _renderAlarmBanner();
 }
 
-export function checkAlarms(currentParams) {
-    if (!currentParams) return {};
+function _isDisplayed(alarmKey) {
+    return !!activeAlarms[alarmKey] || latchedAlarms.has(alarmKey);
+}
 
-    // Use dynamic alarms from state, or fallback to defaults
-    const thresholds = currentParams.alarms || {
-        ecg: { low: 50, high: 120 },
-        spo2: { low: 90 },
-        abp: { low_map: 65, low_sys: 90, low_dia: 60 },
-        etco2: { low: 3.0, high: 6.0 }
-    };
+function _isAudioPaused() {
+    return audioPausedUntil > Date.now();
+}
 
-    const nowActive = {};
-
-    // 1. CHECK ECG (Heart Rate) - IGNORE if Flatline, VF, PEA, or Artifact
-    if (currentParams.ecg?.visible && 
-        currentParams.ecg.params &&
-        !currentParams.ecg.params.isFlat && 
-        !currentParams.ecg.params.isChaotic && 
-        !currentParams.ecg.params.isPEA && 
-        !currentParams.ecg.params.isArtifact) {
-        
-        const hr = currentParams.ecg.hr;
-        if (hr !== null) {
-            if (hr < thresholds.ecg.low) nowActive['low_hr'] = true;
-            if (hr > thresholds.ecg.high) nowActive['high_hr'] = true;
-        }
-    }
+/** @returns {string[]} Alarms shown in the banner (active or latched), highest priority first. */
+function _displayedAlarmKeys() {
+    return Object.keys(alarmPriorities)
+        .filter(_isDisplayed)
+        .sort((a, b) => ALARM_PRIORITY_LEVELS.indexOf(alarmPriorities[a]) - ALARM_PRIORITY_LEVELS.indexOf(alarmPriorities[b]));
+}
 
-    // 2. CHECK SPO2
-    if (currentParams.spo2?.visible) {
-        const spo2 = currentParams.spo2.value;
-        if (spo2 !== null && spo2 > 0 && currentParams.spo2.shape !== 'no_signal') {
-            if (spo2 < thresholds.spo2.low) nowActive['low_spo2'] = true;
-        }
-    }
+/** @returns {string|null} Key of the most urgent alarm that should sound, or null when none should. */
+function _mostUrgentSoundingAlarm() {
+    return _displayedAlarmKeys().find(key => latchedAlarms.has(key) || !acknowledgedAlarms.has(key)) ?? null;
+}
 
-    // 3. CHECK ABP (MAP)
-    if (currentParams.abp?.visible && !(currentParams.ecg?.params?.isArtifact && currentParams.ecg?.params?.artifactType === 'cpr')) {
-        const sys = currentParams.abp.sys;
-        const dia = currentParams.abp.dia;
-        if (sys !== null && dia !== null && sys > 0 && dia >= 0 && sys > dia) {
-            const map = Math.round(dia + (sys - dia) / 3);
-            if (map < thresholds.abp.low_map) {
-                nowActive['low_map'] = true;
-            }
-            // Systolic/Diastolic specific alarms (low)
-            if (typeof thresholds.abp.low_sys !== 'undefined' && sys < thresholds.abp.low_sys) {
-                nowActive['low_abp_sys'] = true;
-            }
-            if (typeof thresholds.abp.low_dia !== 'undefined' && dia < thresholds.abp.low_dia) {
-                nowActive['low_abp_dia'] = true;
-            }
-            // Systolic/Diastolic specific alarms (high)
-            if (typeof thresholds.abp.high_sys !== 'undefined' && sys > thresholds.abp.high_sys) {
-                nowActive['high_abp_sys'] = true;
-            }
-            if (typeof thresholds.abp.high_dia !== 'undefined' && dia > thresholds.abp.high_dia) {
-                nowActive['high_abp_dia'] = true;
-            }
-            // Aggregate ABP low/high alarms for visuals/sounds
-            if (nowActive['low_map'] || nowActive['low_abp_sys'] || nowActive['low_abp_dia']) {
-                nowActive['low_abp'] = true;
-            }
-            if (nowActive['high_abp_sys'] || nowActive['high_abp_dia']) {
-                nowActive['high_abp'] = true;
-            }
-        }
-    }
+/**
+ * Priorities from the alarm limits over the defaults; unknown levels are ignored. Rhythm and technical alarms cannot be changed.
+ * @param {object} [priorities] alarms.priorities, alarm key -> 'high' | 'medium' | 'low'.
+ * @returns {object}
+ */
+function _resolvePriorities(priorities) {
+    const resolved = { ...DEFAULT_ALARM_THRESHOLDS.priorities };
+    Object.entries(priorities || {}).forEach(([key, level]) => {
+        if (key in resolved && ALARM_PRIORITY_LEVELS.includes(level)) resolved[key] = level;
+    });
+    return { ...RHYTHM_ALARM_PRIORITIES, ...resolved, ...TECHNICAL_ALARM_PRIORITIES };
+}
 
-    // 4. CHECK ETCO2
-    if (currentParams.etco2?.visible) {
-        const valueKpa = currentParams.etco2.valueKpa;
-        if (valueKpa !== null && valueKpa > 0 && 
-            currentParams.etco2.etco2Shape !== 'disconnect' && 
-            currentParams.etco2.etco2Shape !== 'cpr_low_flow') {
-            
-            if (valueKpa < thresholds.etco2.low) nowActive['low_etco2'] = true;
-            if (valueKpa > thresholds.etco2.high) nowActive['high_etco2'] = true;
-        }
-    }
+/**
+ * Latches high-priority alarms that ended unacknowledged and forgets acknowledgements of ended alarms.
+ * @param {object} previous Active alarms of the previous check.
+ * @param {object} now Active alarms of this check.
+ */
+function _updateLatches(previous, now) {
+    Object.keys(previous).forEach(key => {
+        if (!previous[key] || now[key]) return;
+        if (LATCHING_PRIORITIES.includes(alarmPriorities[key]) && !acknowledgedAlarms.has(key)) latchedAlarms.add(key);
+        acknowledgedAlarms.delete(key);
+    });
+    Object.keys(now).forEach(key => { if (now[key]) latchedAlarms.delete(key); });
+}
 
+/**
+ * Evaluates the limit and rhythm alarms.
+ * @param {object} currentParams Effective params (the ECG as drawn) with the alarm limits.
+ * @param {number|null} [secondsSinceDetectedBeat] From SimulationEngine.getSecondsSinceDetectedBeat(), for PAUSE.
+ * @returns {object} Active alarm keys (key -> true).
+ */
+export function checkAlarms(currentParams, secondsSinceDetectedBeat = null) {
+    if (!currentParams) return {};
+
+    // Dynamic alarms from state, with defaults for missing limits
+    const thresholds = resolveAlarmThresholds(currentParams.alarms);
+    alarmPriorities = _resolvePriorities(thresholds.priorities);
+
+    // Technical alarms; the faulted channels are checked as hidden, as their values are not shown
+    const technicalAlarms = {};
+    const faults = currentParams.faults || {};
+    const masked = {};
+    Object.entries(SENSOR_FAULT_CHANNELS).forEach(([faultKey, channel]) => {
+        if (!faults[faultKey] || !currentParams[channel]?.visible) return;
+        technicalAlarms[faultKey] = true;
+        // A cuff fault fails the next measurement; the last reading stays valid
+        if (channel !== 'nibp') masked[channel] = { ...currentParams[channel], visible: false };
+    });
+    currentParams = { ...currentParams, ...masked };
+
+    const nowActive = classifyLimitAlarms(currentParams, thresholds);
+
+    // RHYTHM ALARMS - the extreme alarms replace the HR limit alarm on the same side
+    Object.assign(nowActive, classifyRhythmAlarms(currentParams, secondsSinceDetectedBeat));
+    if (nowActive['extreme_brady']) delete nowActive['low_hr'];
+    if (nowActive['extreme_tachy'] || nowActive['vtach']) delete nowActive['high_hr'];
+
+    // TECHNICAL ALARMS
+    Object.assign(nowActive, technicalAlarms);
+
+    _updateLatches(activeAlarms, nowActive);
     activeAlarms = nowActive;
     return activeAlarms;
 }
 
 export function updateAlarmVisuals() {
     _updateSingleVisual('ecg', 'low_hr', 'high_hr');
-    _updateSingleVisual('spo2', 'low_spo2', null);
-    _updateAbpVisuals();
+    _updateSingleVisual('spo2', 'low_spo2', 'high_spo2');
+    _updatePressureVisuals('abp', 'low_map', 'low_abp_sys', 'low_abp_dia', 'high_abp_sys', 'high_abp_dia');
     _updateSingleVisual('etco2', 'low_etco2', 'high_etco2');
+    _updateSingleVisual('rr', 'low_rr', 'high_rr');
+    _updateSingleVisual('temp', 'low_temp', 'high_temp');
+    _updatePressureVisuals('nibp', 'low_nibp_map', 'low_nibp_sys', 'low_nibp_dia', 'high_nibp_sys', 'high_nibp_dia');
+    _renderAlarmBanner();
+}
+
+function _renderAlarmBanner() {
+    const { banner, list, pauseLabel } = alarmBannerElements;
+    if (!banner || !list) return;
+    const keys = _displayedAlarmKeys();
+    const paused = _isAudioPaused();
+    const signature = keys.map(key => `${key}:${latchedAlarms.has(key) ? 'L' : ''}${acknowledgedAlarms.has(key) ? 'A' : ''}`).join(',') + `|${paused}`;
+    if (pauseLabel && paused) pauseLabel.textContent = `AUDIO PAUSED ${formatElapsed(Math.ceil((audioPausedUntil - Date.now()) / 1000))}`;
+    if (signature === alarmBannerSignature) return;
+    alarmBannerSignature = signature;
+
+    banner.classList.toggle('d-none', keys.length === 0 && !paused);
+    pauseLabel?.classList.toggle('d-none', !paused);
+    alarmBannerElements.acknowledgeAll?.classList.toggle('d-none', keys.length === 0);
+    list.replaceChildren(...keys.map(key => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `alarm-banner-item priority-${alarmPriorities[key]}`;
+        item.classList.toggle('rhythm-alarm', RHYTHM_ALARM_KEYS.includes(key));
+        item.classList.toggle('technical-alarm', TECHNICAL_ALARM_KEYS.includes(key));
+        item.classList.toggle('latched', latchedAlarms.has(key));
+        item.classList.toggle('acknowledged', acknowledgedAlarms.has(key));
+        item.dataset.alarmKey = key;
+        item.title = 'Acknowledge';
+        item.textContent = describeAlarm(key) + (latchedAlarms.has(key) ? ' (ended)' : '');
+        return item;
+    }));
 }
 
-function _updateAbpVisuals() {
-    const elements = visualAlarmElements.abp;
+function _updatePressureVisuals(paramKey, lowMapKey, lowSysKey, lowDiaKey, highSysKey, highDiaKey) {
+    const elements = visualAlarmElements[paramKey];
     if (!elements) return;
 
-    const isLowMap = !!activeAlarms['low_map'];
-    const isLowSys = !!activeAlarms['low_abp_sys'];
-    const isLowDia = !!activeAlarms['low_abp_dia'];
-    const isHighSys = !!activeAlarms['high_abp_sys'];
-    const isHighDia = !!activeAlarms['high_abp_dia'];
+    const isLowMap = _isDisplayed(lowMapKey);
+    const isLowSys = _isDisplayed(lowSysKey);
+    const isLowDia = _isDisplayed(lowDiaKey);
+    const isHighSys = _isDisplayed(highSysKey);
+    const isHighDia = _isDisplayed(highDiaKey);
 
-    // Wrapper: low if any low-type ABP alarm, high if any high-type and no low
+    // Wrapper: low if any low-type pressure alarm, high if any high-type and no low
     if (elements.wrapper) {
         const anyLow = isLowMap || isLowSys || isLowDia;
         const anyHigh = isHighSys || isHighDia;
@@ -229,8 +315,8 @@ function _updateAbpVisuals() {
 function _updateSingleVisual(paramKey, lowAlarmKey, highAlarmKey) {
     const elements = visualAlarmElements[paramKey];
     if (!elements || (!elements.wrapper && !elements.value)) return;
-    const isLow = lowAlarmKey && activeAlarms[lowAlarmKey];
-    const isHigh = highAlarmKey && activeAlarms[highAlarmKey];
+    const isLow = lowAlarmKey && _isDisplayed(lowAlarmKey);
+    const isHigh = highAlarmKey && _isDisplayed(highAlarmKey);
     if (elements.wrapper) {
        elements.wrapper.classList.toggle('alarm-active-low', !!isLow);
        elements.wrapper.classList.toggle('alarm-active-high', !!isHigh && !isLow);
@@ -245,115 +331,91 @@ export function triggerAlarmSounds(newlyActiveAlarms) {
         stopAlarmSound();
         return;
     }
-    if (!soundsEnabled) {
+    if (!soundsEnabled || _isAudioPaused()) {
         stopAlarmSound();
         return;
     }
 
-    // --- LISÄTTY TARKISTUS: Älä tee mitään, jos ääniajastin on jo aktiivinen ---
-    // Tämä estää triggerAlarmSounds-funktion (jota kutsutaan usein)
-    // keskeyttämästä ja käynnistämästä playAlarmSound-funktiota uudelleen ennenaikaisesti.
-    if (alarmSoundTimeoutId !== null || currentOscillator !== null) {
-        // console.log("[AlarmManager] Sound sequence already in progress or scheduled. Skipping new trigger.");
-        return;
-    }
-    // --- TARKISTUKSEN LOPPU ---
-
-    const anyAlarmsActive = Object.values(activeAlarms).some(isActive => isActive);
-    if (!anyAlarmsActive) {
+    // Acknowledged alarms are silent; latched ones keep sounding
+    const alarmKey = _mostUrgentSoundingAlarm();
+    if (!alarmKey) {
         stopAlarmSound();
         return;
     }
+    const priority = alarmPriorities[alarmKey];
 
-    let soundProfileToPlay = null;
-    if (activeAlarms['low_spo2'] || activeAlarms['low_abp'] || activeAlarms['low_map']) {
-        soundProfileToPlay = ALARM_SOUNDS.critical_low_priority;
-    } else if (activeAlarms['low_hr'] || activeAlarms['high_hr'] || activeAlarms['high_abp']) {
-        // Treat high ABP as high-priority audible alarm
-        soundProfileToPlay = ALARM_SOUNDS.high_priority;
-    } else if (activeAlarms['low_etco2'] || activeAlarms['high_etco2']) {
-        soundProfileToPlay = ALARM_SOUNDS.medium_priority;
-    }
-
-    if (soundProfileToPlay) {
-        playAlarmSound(soundProfileToPlay);
-    } else {
-        console.warn("[AlarmManager] Active alarms present, but no specific sound profile matched. Stopping sound.");
+    // --- LISÄTTY TARKISTUS: Älä tee mitään, jos ääniajastin on jo aktiivinen ---
+    // Tämä estää triggerAlarmSounds-funktion (jota kutsutaan usein)
+    // keskeyttämästä ja käynnistämästä playAlarmSound-funktiota uudelleen ennenaikaisesti.
+    // A more urgent alarm does not wait for the current burst and its repeat interval.
+    if (alarmSoundTimeoutId !== null || currentBurst !== null) {
+        if (!currentBurst || ALARM_PRIORITY_LEVELS.indexOf(priority) >= ALARM_PRIORITY_LEVELS.indexOf(currentBurst.priority)) return;
         stopAlarmSound();
     }
+    // --- TARKISTUKSEN LOPPU ---
+
+    playAlarmSound(priority, alarmToneCategory(alarmKey));
 }
 
-function playAlarmSound(soundProfile) {
-    if (!audioContext || audioContext.state !== 'running' || !soundsEnabled) {
+function playAlarmSound(priority, category) {
+    if (!audioContext || audioContext.state !== 'running' || !soundsEnabled || _isAudioPaused()) {
          stopAlarmSound();
          return;
     }
-    // Pysäytä AINOASTAAN edellinen oskillaattori, ÄLÄ timeoutId:tä tässä.
-    // TimeoutId:n nollaus tapahtuu vain, kun uusi timeout asetetaan tai kun äänet eksplisiittisesti pysäytetään.
-    if (currentOscillator && audioContext) {
-        try {
-            currentOscillator.stop(audioContext.currentTime);
-        } catch (e) { /* ignore */ }
-        currentOscillator = null;
-    }
-    // Nollaa AINA timeoutId ennen uuden asettamista, jotta vanhat eivät jää kummittelemaan.
-    if (alarmSoundTimeoutId) {
-        clearTimeout(alarmSoundTimeoutId);
-        alarmSoundTimeoutId = null;
-    }
+    stopAlarmSound();
 
     try {
-         if (!audioContext || typeof audioContext.currentTime === 'undefined') {
-            console.warn("[AlarmManager] AudioContext not ready for playback.");
-            return;
-         }
-        const now = audioContext.currentTime;
-        const osc = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-        osc.type = soundProfile.type;
-        osc.frequency.setValueAtTime(soundProfile.freq, now);
-        gainNode.gain.setValueAtTime(0.2, now);
-        osc.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-        osc.start(now);
-        osc.stop(now + soundProfile.duration);
-        currentOscillator = osc;
+        const burst = buildAlarmBurst(priority, category);
+        currentBurst = { priority, oscillators: playAlarmBurst(audioContext, burst) };
 
         // Ajasta seuraava äänen tarkistus/toisto
         alarmSoundTimeoutId = setTimeout(() => {
-            currentOscillator = null; // Oskillaattori on pysähtynyt
+            currentBurst = null; // Purske on soitettu
             alarmSoundTimeoutId = null; // Nollaa ID, jotta triggerAlarmSounds voi käynnistää uuden sekvenssin tarvittaessa
 
             // Kutsu triggerAlarmSounds uudelleen tarkistamaan tilanne ja mahdollisesti toistamaan ääni
             // Tämä on parempi kuin suoraan playAlarmSound, jotta priorisointi ja ehdot tarkistetaan uudelleen.
             // Välitetään tyhjä objekti, koska tämä ei ole "uusi" hälytys vaan jatkoa.
-            if (soundsEnabled && Object.values(activeAlarms).some(isActive => isActive)) {
+            if (soundsEnabled && _mostUrgentSoundingAlarm()) {
                  triggerAlarmSounds({}); // Kutsu triggerAlarmSounds uudelleen
             } else {
                 stopAlarmSound(); // Jos äänet on mykistetty tai hälytyksiä ei ole, pysäytä.
             }
-        }, soundProfile.interval * 1000);
+        }, (burst.durationS + burst.repeatAfterS) * 1000);
     } catch (e) {
         console.error("[AlarmManager] Error playing sound:", e);
         stopAlarmSound();
     }
 }
 
-// stopAlarmSound pysyy pääosin ennallaan, mutta varmistetaan, että se nollaa molemmat.
+// Pysäyttää sekä soivan purskeen että seuraavan purskeen ajastuksen.
 function stopAlarmSound() {
      if (alarmSoundTimeoutId) {
          clearTimeout(alarmSoundTimeoutId);
          alarmSoundTimeoutId = null;
      }
-    if (currentOscillator && audioContext) {
-        try {
-            currentOscillator.stop(audioContext.currentTime);
-        } catch (e) {
-            // Ohita virheet
-        } finally {
-             currentOscillator = null;
-        }
+    if (currentBurst && audioContext) {
+        currentBurst.oscillators.forEach(osc => {
+            try {
+                osc.stop(audioContext.currentTime);
+            } catch (e) {
+                // Ohita virheet
+            }
+        });
     }
+    currentBurst = null;
+}
+
+/**
+ * Plays one burst of a priority's tone pattern, for learning the patterns. Ignores mute and audio pause.
+ * @param {string} priority 'high', 'medium' or 'low'.
+ * @param {string} [category='general'] Melody category (alarmTones.ALARM_MELODIES).
+ */
+export function previewAlarmTone(priority, category = 'general') {
+    if (!audioContext) return;
+    const play = () => playAlarmBurst(audioContext, buildAlarmBurst(priority, category));
+    if (audioContext.state === 'suspended') audioContext.resume().then(play).catch(e => console.error("[AlarmManager] Error resuming AudioContext:", e));
+    else play();
 }
 
 export function toggleSounds() {
@@ -373,7 +435,7 @@ export function toggleSounds() {
         // hoitaa äänien uudelleenkäynnistyksen, jos hälytyksiä on aktiivisena.
         // Ei tarvitse kutsua erikseen tässä, koska animaatioloppi hoitaa.
         // Varmistetaan kuitenkin, että jos mitään ei ole ajoitettu, se voi alkaa.
-        if (!alarmSoundTimeoutId && !currentOscillator && Object.values(activeAlarms).some(isActive => isActive)) {
+        if (!alarmSoundTimeoutId && !currentBurst && Object.values(activeAlarms).some(isActive => isActive)) {
             triggerAlarmSounds({});
         }
     }
@@ -400,12 +462,93 @@ export function setSoundState(newState) {
         // Jos äänet laitetaan päälle etäkomennolla ja hälytyksiä on aktiivisena,
         // annetaan animaatioloopin triggerAlarmSounds-kutsun hoitaa käynnistys.
         // Varmistetaan, että jos mitään ei ole ajoitettu, se voi alkaa.
-        if (!alarmSoundTimeoutId && !currentOscillator && Object.values(activeAlarms).some(isActive => isActive)) {
+        if (!alarmSoundTimeoutId && !currentBurst && Object.values(activeAlarms).some(isActive => isActive)) {
             triggerAlarmSounds({});
         }
     }
 }
 
+/**
+ * Pauses alarm audio for 2:00, or resumes it when already paused. Sent to the monitors from the controller.
+ */
+export function toggleAudioPause() {
+    const durationMs = _isAudioPaused() ? 0 : AUDIO_PAUSE_MS;
+    _applyAudioPause(durationMs ? Date.now() + durationMs : 0);
+    if (getCurrentRole() === 'controller') sendAudioPauseUpdate(durationMs);
+}
+
+/**
+ * Applies an audio pause received from the controller (or the session snapshot).
+ * @param {number} remainingMs Time left in the pause, in ms; 0 resumes audio.
+ */
+export function setAudioPause(remainingMs) {
+    if (!Number.isFinite(remainingMs) || remainingMs < 0) {
+        console.warn("[AlarmManager] Invalid audio pause received:", remainingMs);
+        return;
+    }
+    if (getCurrentRole() !== 'monitor') return;
+    _applyAudioPause(remainingMs ? Date.now() + remainingMs : 0);
+}
+
+function _applyAudioPause(until) {
+    audioPausedUntil = until > Date.now() ? until : 0;
+    if (audioPauseTimerId !== null) {
+        clearInterval(audioPauseTimerId);
+        audioPauseTimerId = null;
+    }
+    if (audioPausedUntil) {
+        stopAlarmSound();
+        audioPauseTimerId = setInterval(() => {
+            if (!_isAudioPaused()) _applyAudioPause(0);
+            else _renderAlarmBanner();
+        }, 1000);
+    } else if (getCurrentRole() === 'monitor' && !alarmSoundTimeoutId && !currentBurst) {
+        triggerAlarmSounds({});
+    }
+    _updateAudioPauseButtonVisuals();
+    _renderAlarmBanner();
+}
+
+/**
+ * Acknowledges alarms: active ones go silent until their condition ends, latched ones are cleared.
+ * Sent to the monitors from the controller.
+ * @param {string[]} [alarmKeys] Alarms to acknowledge; all displayed alarms when omitted.
+ */
+export function acknowledgeAlarms(alarmKeys = _displayedAlarmKeys()) {
+    const acknowledged = _applyAcknowledge(alarmKeys);
+    if (acknowledged.length > 0 && getCurrentRole() === 'controller') sendAlarmAcknowledge(acknowledged);
+}
+
+/**
+ * Applies an acknowledgement received from the controller. Alarms not displayed here are ignored.
+ * @param {string[]} alarmKeys
+ */
+export function setAlarmAcknowledgement(alarmKeys) {
+    if (!Array.isArray(alarmKeys) || getCurrentRole() !== 'monitor') return;
+    _applyAcknowledge(alarmKeys);
+}
+
+function _applyAcknowledge(alarmKeys) {
+    const acknowledged = alarmKeys.filter(key => _isDisplayed(key) && (latchedAlarms.has(key) || !acknowledgedAlarms.has(key)));
+    acknowledged.forEach(key => {
+        if (latchedAlarms.has(key)) latchedAlarms.delete(key);
+        else acknowledgedAlarms.add(key);
+    });
+    if (acknowledged.length === 0) return acknowledged;
+    console.log("[AlarmManager] Alarms acknowledged:", acknowledged);
+    if (!_mostUrgentSoundingAlarm()) stopAlarmSound();
+    updateAlarmVisuals();
+    return acknowledged;
+}
+
+function _updateAudioPauseButtonVisuals() {
+    if (!audioPauseButton) return;
+    const paused = !!audioPausedUntil;
+    audioPauseButton.textContent = paused ? "Resume Audio" : "Audio Pause 2:00";
+    audioPauseButton.classList.toggle('btn-warning', paused);
+    audioPauseButton.classList.toggle('btn-secondary', !paused);
+}
+
 function _updateSoundButtonVisuals() {
     if (soundToggleButton) {
         if (soundsEnabled) {
@@ -0,0 +1,116 @@
+// alarmTones.js - Alarm tone bursts after IEC 60601-1-8 (auditory alarm signals)
+// VERSION: Initial version. High priority: 10-pulse burst, medium: 3 pulses, low: 2 pulses, each pulse a
+//          fundamental with four harmonics. Pitches follow the Annex F melodies of the alarm's category.
+//          Burst timing has no DOM access and runs in Node; playAlarmBurst() needs a Web Audio AudioContext.
+//
+// Pulse timing (seconds), all within the ranges of the standard:
+//   high:   pulse 0.15 (75-200 ms), spacing 0.10 (50-125 ms), pulses 3-4 spaced 2 x spacing + pulse,
+//           0.8 s between pulse 5 and 6 (0.35-1.3 s), next burst 4 s after the last pulse (2.5-15 s)
+//   medium: pulse 0.20 (125-250 ms), spacing 0.20 (125-250 ms), next burst 8 s after the last pulse (2.5-30 s)
+//   low:    pulse 0.20, spacing 0.20, next burst 20 s after the last pulse (more than 15 s)
+// Spacing is measured from the end of one pulse to the start of the next.
+
+export const ALARM_PRIORITY_LEVELS = ["high", "medium", "low"];
+
+export const ALARM_TONE_TIMING = {
+    high: { pulses: 10, pulseS: 0.15, spacingS: 0.10, midGapS: 0.8, repeatAfterS: 4 },
+    medium: { pulses: 3, pulseS: 0.20, spacingS: 0.20, repeatAfterS: 8 },
+    low: { pulses: 2, pulseS: 0.20, spacingS: 0.20, repeatAfterS: 20 },
+};
+
+// Relative amplitudes of the fundamental and harmonics 2-5 (the standard asks for at least four harmonics
+// in 300-4000 Hz within 15 dB of the fundamental; 0.3 is about -10 dB)
+export const ALARM_HARMONICS = [1, 0.6, 0.45, 0.35, 0.3];
+
+// Rise and fall of each pulse, as a fraction of the pulse duration (standard: rise 10-20 %)
+const PULSE_EDGE_FRACTION = 0.15;
+
+const NOTE = { C4: 261.63, D4: 293.66, E4: 329.63, F4: 349.23, Fs4: 369.99, G4: 392.0, A4: 440.0, B4: 493.88, C5: 523.25 };
+
+// Annex F melodies of the high-priority burst (5 notes, played twice). Medium priority uses the first three.
+export const ALARM_MELODIES = {
+    general: [NOTE.C4, NOTE.C4, NOTE.C4, NOTE.C4, NOTE.C4],
+    cardiac: [NOTE.C4, NOTE.E4, NOTE.G4, NOTE.G4, NOTE.C5],
+    perfusion: [NOTE.C4, NOTE.Fs4, NOTE.C4, NOTE.C4, NOTE.Fs4],
+    ventilation: [NOTE.C4, NOTE.A4, NOTE.F4, NOTE.A4, NOTE.F4],
+    oxygen: [NOTE.C5, NOTE.B4, NOTE.A4, NOTE.G4, NOTE.F4],
+    temperature: [NOTE.C4, NOTE.D4, NOTE.E4, NOTE.F4, NOTE.G4],
+    drug: [NOTE.C5, NOTE.D4, NOTE.G4, NOTE.C5, NOTE.D4],
+    equipment: [NOTE.C5, NOTE.C4, NOTE.C4, NOTE.C5, NOTE.C4],
+};
+
+// Alarm keys (alarmManager.checkAlarms) by melody category; anything else uses the general melody
+const ALARM_TONE_CATEGORIES = {
+    low_hr: "cardiac", high_hr: "cardiac",
+    low_map: "cardiac", low_abp_sys: "cardiac", low_abp_dia: "cardiac", high_abp_sys: "cardiac", high_abp_dia: "cardiac",
+    low_nibp_map: "cardiac", low_nibp_sys: "cardiac", low_nibp_dia: "cardiac", high_nibp_sys: "cardiac", high_nibp_dia: "cardiac",
+    low_spo2: "oxygen", high_spo2: "oxygen",
+    low_etco2: "ventilation", high_etco2: "ventilation", low_rr: "ventilation", high_rr: "ventilation",
+    low_temp: "temperature", high_temp: "temperature",
+    asystole: "cardiac", vfib_vtach: "cardiac", vtach: "cardiac", extreme_brady: "cardiac", extreme_tachy: "cardiac", pause: "cardiac",
+    apnea: "ventilation",
+    leads_off: "equipment", spo2_probe_off: "equipment", nibp_cuff: "equipment", abp_transducer: "equipment", etco2_line: "equipment",
+};
+
+/**
+ * @param {string} alarmKey
+ * @returns {string} Melody category (key of ALARM_MELODIES).
+ */
+export function alarmToneCategory(alarmKey) {
+    return ALARM_TONE_CATEGORIES[alarmKey] ?? "general";
+}
+
+/**
+ * One burst of an alarm signal.
+ * @param {string} priority 'high', 'medium' or 'low'.
+ * @param {string} [category='general'] Melody category, see ALARM_MELODIES.
+ * @returns {{pulses: Array<{startS: number, durationS: number, frequency: number}>, durationS: number, repeatAfterS: number}}
+ *          Pulse start times are relative to the burst start; durationS ends with the last pulse and the next burst
+ *          starts repeatAfterS later.
+ */
+export function buildAlarmBurst(priority, category = "general") {
+    const timing = ALARM_TONE_TIMING[priority] ?? ALARM_TONE_TIMING.medium;
+    const melody = ALARM_MELODIES[category] ?? ALARM_MELODIES.general;
+    const pulses = [];
+    let startS = 0;
+    for (let i = 0; i < timing.pulses; i++) {
+        pulses.push({ startS, durationS: timing.pulseS, frequency: melody[i % melody.length] });
+        let gapS = timing.spacingS;
+        if (priority === "high" && i % 5 === 2) gapS = 2 * timing.spacingS + timing.pulseS; // x-x-x---x-x
+        if (priority === "high" && i === 4) gapS = timing.midGapS;
+        startS += timing.pulseS + gapS;
+    }
+    const last = pulses[pulses.length - 1];
+    return { pulses, durationS: last.startS + last.durationS, repeatAfterS: timing.repeatAfterS };
+}
+
+/**
+ * Schedules a burst on an AudioContext.
+ * @param {AudioContext} audioContext
+ * @param {{pulses: Array<{startS: number, durationS: number, frequency: number}>}} burst From buildAlarmBurst().
+ * @param {number} [volume=0.2] Peak gain of each pulse.
+ * @returns {OscillatorNode[]} The scheduled oscillators, so the burst can be cut short with stop().
+ */
+export function playAlarmBurst(audioContext, burst, volume = 0.2) {
+    const harmonics = new Float32Array([0, ...ALARM_HARMONICS]);
+    const wave = audioContext.createPeriodicWave(new Float32Array(harmonics.length), harmonics);
+    const t0 = audioContext.currentTime;
+    return burst.pulses.map((pulse) => {
+        const start = t0 + pulse.startS;
+        const end = start + pulse.durationS;
+        const edge = pulse.durationS * PULSE_EDGE_FRACTION;
+        const osc = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        osc.setPeriodicWave(wave);
+        osc.frequency.setValueAtTime(pulse.frequency, start);
+        gainNode.gain.setValueAtTime(0, start);
+        gainNode.gain.linearRampToValueAtTime(volume, start + edge);
+        gainNode.gain.setValueAtTime(volume, end - edge);
+        gainNode.gain.linearRampToValueAtTime(0, end);
+        osc.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+        osc.start(start);
+        osc.stop(end);
+        return osc;
+    });
+}
@@ -1,4 +1,8 @@
 // chartManager.js - Chartist Chart Management Helper Functions (ETCO2 axis high=9)
+// Second ECG channel (ecg2Chart) shares the ECG scale; it is optional and not required for init success.
+// The ECG chart has a second, points-only series for SYNC markers.
+
+const _ecgSeries = (buffers) => [buffers.sweepBufferECG, { name: 'sync', data: buffers.sweepBufferSyncMarkers }];
 
 export function initializeCharts(buffers) {
     console.log("[initializeCharts] Initializing Chartist charts...");
@@ -13,11 +17,11 @@ export function initializeCharts(buffers) {
       lineSmooth: Chartist.Interpolation.none()
     };
 
-    const initSingleChart = (containerId, buffer, options) => {
+    const initSingleChart = (containerId, series, options) => {
         try {
             const container = document.getElementById(containerId);
             if (!container) throw new Error(`${containerId} missing`);
-            const chart = new Chartist.Line(container, { series: [buffer] }, options);
+            const chart = new Chartist.Line(container, { series }, options);
             if (!chart) throw new Error(`${containerId} object creation failed`);
             return chart;
         } catch (e) {
@@ -27,11 +31,12 @@ export function initializeCharts(buffers) {
     };
 
     const charts = {};
-    charts.ecgChart = initSingleChart("ecg-chart-container", buffers.sweepBufferECG, {...commonOpts, axisY: {...commonOpts.axisY, low: -2.5, high: 2.5}});
-    charts.spo2Chart = initSingleChart("spo2-chart-container", buffers.sweepBufferSpO2, {...commonOpts, axisY: {...commonOpts.axisY, low: -0.1, high: 1.1}});
-    charts.abpChart = initSingleChart("abp-chart-container", buffers.sweepBufferABP, {...commonOpts, axisY: {...commonOpts.axisY, low: 0, high: 200}});
+    charts.ecgChart = initSingleChart("ecg-chart-container", _ecgSeries(buffers), {...commonOpts, axisY: {...commonOpts.axisY, low: -2.5, high: 2.5}, series: { sync: { showLine: false, showPoint: true } }});
+    charts.ecg2Chart = initSingleChart("ecg2-chart-container", [buffers.sweepBufferECG2], {...commonOpts, axisY: {...commonOpts.axisY, low: -2.5, high: 2.5}});
+    charts.spo2Chart = initSingleChart("spo2-chart-container", [buffers.sweepBufferSpO2], {...commonOpts, axisY: {...commonOpts.axisY, low: -0.1, high: 1.1}});
+    charts.abpChart = initSingleChart("abp-chart-container", [buffers.sweepBufferABP], {...commonOpts, axisY: {...commonOpts.axisY, low: 0, high: 200}});
     // === MUUTETTU TÄMÄ RIVI ===
-    charts.etco2Chart = initSingleChart("etco2-chart-container", buffers.sweepBufferETCO2, {...commonOpts, axisY: {...commonOpts.axisY, low: -1, high: 9}}); // high asetettu 9
+    charts.etco2Chart = initSingleChart("etco2-chart-container", [buffers.sweepBufferETCO2], {...commonOpts, axisY: {...commonOpts.axisY, low: -1, high: 9}}); // high asetettu 9
     // === MUUTOS LOPPUU ===
 
     ecgSuccess = !!charts.ecgChart;
@@ -54,7 +59,10 @@ export function updateCharts(charts, buffers, currentParams, monitorElements) {
    if (!charts) return;
    try {
       if (currentParams.ecg?.visible && charts.ecgChart && !monitorElements.ecg.classList.contains('d-none')) {
-          charts.ecgChart.update({ series: [buffers.sweepBufferECG] }, null, false);
+          charts.ecgChart.update({ series: _ecgSeries(buffers) }, null, false);
+      }
+      if (currentParams.ecg?.visible && charts.ecg2Chart && monitorElements.ecg2 && !monitorElements.ecg2.classList.contains('d-none')) {
+          charts.ecg2Chart.update({ series: [buffers.sweepBufferECG2] }, null, false);
       }
       if (currentParams.spo2?.visible && charts.spo2Chart && !monitorElements.spo2.classList.contains('d-none')) {
           charts.spo2Chart.update({ series: [buffers.sweepBufferSpO2] }, null, false);
@@ -74,10 +82,13 @@ export function clearCharts(charts, buffers) {
     if(!charts) return;
     try{
         buffers.sweepBufferECG.fill(null);
+        buffers.sweepBufferECG2.fill(null);
+        buffers.sweepBufferSyncMarkers.fill(null);
         buffers.sweepBufferSpO2.fill(null);
         buffers.sweepBufferABP.fill(null);
         buffers.sweepBufferETCO2.fill(null);
-        if(charts.ecgChart) charts.ecgChart.update({ series:[buffers.sweepBufferECG] }, null, false);
+        if(charts.ecgChart) charts.ecgChart.update({ series: _ecgSeries(buffers) }, null, false);
+        if(charts.ecg2Chart) charts.ecg2Chart.update({ series:[buffers.sweepBufferECG2] }, null, false);
         if(charts.spo2Chart) charts.spo2Chart.update({ series:[buffers.sweepBufferSpO2] }, null, false);
         if(charts.abpChart) charts.abpChart.update({ series:[buffers.sweepBufferABP] }, null, false);
         if(charts.etco2Chart) charts.etco2Chart.update({ series:[buffers.sweepBufferETCO2] }, null, false);
@@ -1,6 +1,15 @@
 // config.js - Configuration constants
 // VERSION: Slower interpolation, Added display update interval, Added GAP_SAMPLES
 //          + Added separate ETCO2 sweep time configuration.
+//          + Added DEFAULT_PACER (transcutaneous pacing).
+//          + Added defibrillator defaults (energy, sync) and the sync discharge timeout.
+//          + Added RECORDING_MAX_MINUTES (waveform recording for export).
+//          + Added alarm priorities per condition (DEFAULT_ALARM_THRESHOLDS.priorities).
+//          + Added extreme brady/tachy and pause limits for the rhythm alarms (rhythmAlarms.js).
+//          + Added SpO2 high, RR, temperature and NIBP limits and an on/off switch per limit (DEFAULT_ALARM_THRESHOLDS.enabled).
+//          + Added DEFAULT_SENSOR_FAULTS (technical alarms).
+//          + Added TREND_INTERVAL_S and TREND_MAX_HOURS (trend view).
+//          + Added MAX_TIME_SCALE and DRIFT_UPDATE_INTERVAL_S (time-compressed scenarios).
 
 export const BUFFER_SECONDS = 9; // Duration of one sweep in seconds for most waveforms
 export const SAMPLE_RATE = 100;  // Data points per second
@@ -39,9 +48,70 @@ export const DEFAULT_TEMP_UNIT = 'C';
 export const celsiusToFahrenheit = (c) => (c * 9/5) + 32;
 export const fahrenheitToCelsius = (f) => (f - 32) * 5/9;
 
+// --- Transcutaneous Pacing ---
+// captureThreshold is the output (mA) at which the pacer captures; presets and cases can set their own.
+export const DEFAULT_PACER = { enabled: false, rate: 70, mA: 0, captureThreshold: 65 };
+export const PACER_MAX_MA = 200;
+
+// --- Sensor Faults (technical alarms) ---
+// Set from the controller. Each one blanks its sensor's waveform and numerics and raises the technical alarm of the
+// same key; a faulty NIBP cuff makes measurements fail instead.
+export const DEFAULT_SENSOR_FAULTS = { leads_off: false, spo2_probe_off: false, nibp_cuff: false, abp_transducer: false, etco2_line: false };
+// Monitor channel (params key) of each fault's sensor
+export const SENSOR_FAULT_CHANNELS = { leads_off: 'ecg', spo2_probe_off: 'spo2', nibp_cuff: 'nibp', abp_transducer: 'abp', etco2_line: 'etco2' };
+
+// --- Defibrillator ---
+export const DEFAULT_DEFIB = { energy: 200, sync: false };
+// A synchronized shock that finds no R wave within this time is not delivered.
+export const SYNC_SHOCK_TIMEOUT_S = 4;
+
+// --- Waveform Recording (export) ---
+// The monitor keeps this much of the drawn waveforms for export; older samples are dropped. About 6 MB per hour.
+export const RECORDING_MAX_MINUTES = 120;
+
+// --- Trends ---
+// The monitor samples its numerics for the trend view this often and keeps TREND_MAX_HOURS of them (2880 samples).
+export const TREND_INTERVAL_S = 5;
+export const TREND_MAX_HOURS = 4;
+
+// --- Time compression ---
+// A scenario's timeScale is patient seconds per real second: stage timers, stage drift and the trends run that
+// much faster, the waveforms keep real time. A drifting stage sends the vitals every DRIFT_UPDATE_INTERVAL_S.
+export const MAX_TIME_SCALE = 60;
+export const DRIFT_UPDATE_INTERVAL_S = 5;
+
 export const DEFAULT_ALARM_THRESHOLDS = {
-    ecg: { low: 50, high: 120 },   // Low/High Heart Rate
-    spo2: { low: 90 },             // Low SpO2
+    ecg: { low: 50, high: 120,     // Low/High Heart Rate
+           extreme_low: 40, extreme_high: 150, pause_s: 3 }, // EXTREME BRADY/TACHY (bpm), PAUSE (s without a detected R wave)
+    spo2: { low: 90, high: 95 },   // Low/High SpO2 (high is off by default, for neonatal oxygen targets)
     abp: { low_map: 65, low_sys: 90, low_dia: 60, high_sys: 180, high_dia: 120 },          // Low MAP, Sys/Dia; High Sys/Dia
-    etco2: { low: 3.0, high: 6.0 } // Low/High ETCO2 (kPa)
-};
\ No newline at end of file
+    etco2: { low: 3.0, high: 6.0 }, // Low/High ETCO2 (kPa)
+    rr: { low: 8, high: 30 },       // Low/High respiratory rate (/min); RR 0 is APNEA
+    temp: { low: 35.0, high: 38.5 }, // Low/High temperature (°C)
+    nibp: { low_map: 65, low_sys: 90, low_dia: 50, high_sys: 180, high_dia: 110 }, // Limits of the last NIBP reading
+    // Alarm priority per condition ('high' | 'medium' | 'low'): banner colour, tone burst, latching (high only)
+    priorities: {
+        low_spo2: 'high', low_map: 'high', low_abp_sys: 'high', low_abp_dia: 'high',
+        low_hr: 'medium', high_hr: 'medium', high_abp_sys: 'medium', high_abp_dia: 'medium',
+        low_etco2: 'medium', high_etco2: 'medium',
+        high_spo2: 'medium', low_rr: 'medium', high_rr: 'medium', low_temp: 'low', high_temp: 'low',
+        low_nibp_map: 'medium', low_nibp_sys: 'medium', low_nibp_dia: 'medium', high_nibp_sys: 'medium', high_nibp_dia: 'medium'
+    },
+    // On/off switch per limit alarm; rhythm alarms cannot be switched off
+    enabled: {
+        low_hr: true, high_hr: true, low_spo2: true, high_spo2: false,
+        low_map: true, low_abp_sys: true, low_abp_dia: true, high_abp_sys: true, high_abp_dia: true,
+        low_etco2: true, high_etco2: true, low_rr: true, high_rr: true, low_temp: true, high_temp: true,
+        low_nibp_map: true, low_nibp_sys: true, low_nibp_dia: true, high_nibp_sys: true, high_nibp_dia: true
+    }
+};
+
+/**
+ * Alarm limits with defaults filled in for anything missing (e.g. cases saved before a limit existed).
+ * @param {object} [alarms] params.alarms.
+ * @returns {object} Same shape as DEFAULT_ALARM_THRESHOLDS.
+ */
+export function resolveAlarmThresholds(alarms) {
+    return Object.fromEntries(Object.entries(DEFAULT_ALARM_THRESHOLDS).map(([category, defaults]) =>
+        [category, { ...defaults, ...(alarms?.[category] || {}) }]));
+}
@@ -12,6 +12,39 @@
 //                      from a pulseless rhythm to a perfusing rhythm via dropdown.
 //          MODIFIED: Removed RR slider and RR adjust button lock when cpr_artifact is active.
 //                    Ensured SpO2, ABP, ETCO2, and Temp controls remain enabled.
+//          ADDED: Scenario controls. Cases can carry a timeline scenario (scenarioEngine.js);
+//                 stages are applied immediately and shock/CPR events are reported to the engine.
+//          ADDED: Ectopy controls (PVC/PAC type, pattern, frequency, focus, NSVT run) stored in targetParams.ecg.ectopy.
+//          ADDED: Torsades rate / twist period inputs, stored as rhythm overrides in targetParams.ecg.overrides.
+//          ADDED: ECG lead selectors on the monitor (main and second channel). Applied immediately, not via Update Vitals.
+//          ADDED: 12-lead ECG snapshot modal with SVG/PNG export.
+//          ADDED: Transcutaneous pacing controls (on/off, rate, mA, capture threshold) in targetParams.pacer.
+//                 Presets and cases carry their own capture threshold.
+//          ADDED: Defibrillator energy selector and SYNC toggle (applied immediately, sent as 'defib_state').
+//                 The scenario engine gets the energy and sync state of each delivered shock.
+//          ADDED: Waveform seed input (targetParams.seed, sent with "Update Vitals"). A scenario's `seed` is applied on start.
+//          ADDED: Waveform export (CSV / WFDB) of the monitor's recording for the last N seconds, a from/to window
+//                 or the whole session. NIBP results are marked on the recording.
+//          ADDED: Debrief dialog: timeline of the session's event log (debriefReport.js) with JSON export and a
+//                 printable report. Scenario stages and the scenario end are sent to the log ('scenario_event').
+//          ADDED: Replay of the debrief's event log on this device's monitor (scenarioReplay.js) with play/pause,
+//                 seek and 1x/2x/4x speed. A saved debrief JSON can be opened for debrief and replay without a session.
+//                 Live session messages are dropped during a replay; closing it returns to the session's current state.
+//          ADDED: Alarm priority per condition in the alarm limits (targetParams.alarms.priorities) and tone previews.
+//          ADDED: SpO2 high, RR, temperature and NIBP limits, and an on/off switch per limit (targetParams.alarms.enabled).
+//          ADDED: Technical alarm switches (sensor faults, targetParams.faults). NIBP measurements fail while the cuff
+//                 is faulted.
+//          MODIFIED: NIBP Start runs a measurement cycle (nibpCycle.js) instead of copying the ABP target at once;
+//                    mode (manual / auto / STAT), measurement error and patient movement are applied immediately.
+//          ADDED: Trend view from the monitor menu, the Trends button and the trend screen's window / graph / table
+//                 buttons (monitorInstance.setTrendView).
+//          ADDED: Time compression: time scale and synthetic trend history controls (monitorInstance.setTimeCompression).
+//                 A scenario's `timeScale` and `history` are applied on start; a stage with `drift` moves the vitals
+//                 in steps sent every DRIFT_UPDATE_INTERVAL_S.
+//                 Vitals changed by hand during a drift stop drifting and keep the value set.
+//          FIX: Scenario Pause / Resume follows the engine's paused state, not the button text.
+//          FIX: Preset and case files are saved through the shared download helper (fileDownload.js).
+//          FIX: A replay sends nothing to the session until the live state is restored, and pauses a running scenario.
 
 import { RHYTHM_PARAMS } from "./rhythms.js";
 import {
@@ -24,20 +57,81 @@ import {
     DEFAULT_TEMP_C,
     DEFAULT_TEMP_UNIT,
     celsiusToFahrenheit,
-    fahrenheitToCelsius
+    fahrenheitToCelsius,
+    DEFAULT_PACER,
+    PACER_MAX_MA,
+    DEFAULT_SENSOR_FAULTS,
+    DEFAULT_ALARM_THRESHOLDS,
+    resolveAlarmThresholds,
+    MAX_TIME_SCALE,
+    DRIFT_UPDATE_INTERVAL_S
 } from "./config.js";
 import { ensureFinite } from "./waveformUtils.js";
+import { createRandomSeed, normalizeSeed } from "./random.js";
+import { DEFAULT_ECTOPY } from "./ecgGenerators/index.js";
 
 import { updateMonitorColors } from "./uiUpdater.js";
-import { checkAlarms, updateAlarmVisuals, triggerAlarmSounds } from './alarmManager.js';
+import { checkAlarms, updateAlarmVisuals, triggerAlarmSounds, previewAlarmTone } from './alarmManager.js';
+import { ALARM_PRIORITY_LEVELS } from './alarmTones.js';
 // Import network functions
 import {
     sendParamUpdate,
     getCurrentRole,
     sendActivateCommand,
     sendDeactivateCommand,
-    sendNibpTrigger
+    sendDefibState,
+    sendScenarioEvent,
+    requestEventLog,
+    requestStateSnapshot,
+    setReplayActive
 } from './networkManager.js';
+import {
+    initializeScenarioEngine,
+    validateScenario,
+    buildLinearScenario,
+    loadScenario,
+    startScenario,
+    stopScenario,
+    pauseScenario,
+    resumeScenario,
+    advanceScenario,
+    notifyScenarioEvent,
+    getScenarioStatus,
+    setScenarioTimeScale,
+    driftParams,
+    editedDriftFields
+} from './scenarioEngine.js';
+import { validateTrendHistory, resolveTrendHistory, trendValuesFromParams } from './trendRecorder.js';
+import { recordTwelveLead, renderTwelveLeadSvg, exportTwelveLeadSvg, exportTwelveLeadPng } from './twelveLeadRenderer.js';
+import { exportWaveformCsv, exportWaveformWfdb } from './waveformExport.js';
+import { buildDebriefTimeline, describeAlarm, formatElapsed, findScenarioStart, exportDebriefJson, printDebriefReport, DEBRIEF_CATEGORIES } from './debriefReport.js';
+import { ScenarioReplay } from './scenarioReplay.js';
+import { downloadBlob } from './fileDownload.js';
+
+// --- Alarm Limit Controls ---
+// Each limit has a number box (id), a slider (id-slider) and an on/off switch (id-enabled) for its alarm.
+const ALARM_LIMIT_BINDINGS = [
+    { id: 'alarm-ecg-low', cat: 'ecg', key: 'low', alarmKey: 'low_hr' },
+    { id: 'alarm-ecg-high', cat: 'ecg', key: 'high', alarmKey: 'high_hr' },
+    { id: 'alarm-spo2-low', cat: 'spo2', key: 'low', alarmKey: 'low_spo2' },
+    { id: 'alarm-spo2-high', cat: 'spo2', key: 'high', alarmKey: 'high_spo2' },
+    { id: 'alarm-abp-low', cat: 'abp', key: 'low_map', alarmKey: 'low_map' },
+    { id: 'alarm-abp-sys-low', cat: 'abp', key: 'low_sys', alarmKey: 'low_abp_sys' },
+    { id: 'alarm-abp-sys-high', cat: 'abp', key: 'high_sys', alarmKey: 'high_abp_sys' },
+    { id: 'alarm-abp-dia-low', cat: 'abp', key: 'low_dia', alarmKey: 'low_abp_dia' },
+    { id: 'alarm-abp-dia-high', cat: 'abp', key: 'high_dia', alarmKey: 'high_abp_dia' },
+    { id: 'alarm-etco2-low', cat: 'etco2', key: 'low', alarmKey: 'low_etco2' },
+    { id: 'alarm-etco2-high', cat: 'etco2', key: 'high', alarmKey: 'high_etco2' },
+    { id: 'alarm-rr-low', cat: 'rr', key: 'low', alarmKey: 'low_rr' },
+    { id: 'alarm-rr-high', cat: 'rr', key: 'high', alarmKey: 'high_rr' },
+    { id: 'alarm-temp-low', cat: 'temp', key: 'low', alarmKey: 'low_temp' },
+    { id: 'alarm-temp-high', cat: 'temp', key: 'high', alarmKey: 'high_temp' },
+    { id: 'alarm-nibp-map-low', cat: 'nibp', key: 'low_map', alarmKey: 'low_nibp_map' },
+    { id: 'alarm-nibp-sys-low', cat: 'nibp', key: 'low_sys', alarmKey: 'low_nibp_sys' },
+    { id: 'alarm-nibp-sys-high', cat: 'nibp', key: 'high_sys', alarmKey: 'high_nibp_sys' },
+    { id: 'alarm-nibp-dia-low', cat: 'nibp', key: 'low_dia', alarmKey: 'low_nibp_dia' },
+    { id: 'alarm-nibp-dia-high', cat: 'nibp', key: 'high_dia', alarmKey: 'high_nibp_dia' }
+];
 
 // --- Preset Definitions ---
 const PRESETS = {
@@ -58,6 +152,9 @@ const CUSTOM_PRESETS_STORAGE_KEY = 'medicalMonitorCustomPresets_v1.1';
 let loadedCases = [];
 let nextCaseId = 0;
 const CASES_STORAGE_KEY = 'medicalMonitorCases_v1.0';
+let scenarioCaseId = null; // Case whose scenario is currently loaded in the engine
+let scenarioTimeScaleSet = false; // the running scenario set the time scale, back to 1x when it ends
+let stageDrift = null; // { from, to, fraction, sentAt, drifted, edited } while a scenario stage with `drift` moves the vitals
 const ADJUST_STEPS = { HR: 5, SPO2: 1, ABP_SYS: 5, ABP_DIA: 5, ETCO2_KPA: 0.1, ETCO2_MMHG: 1, RR: 1, TEMP_C: 0.1, TEMP_F: 0.2 };
 
 // Compute an auto-adjusted diastolic when systolic is driven below diastolic.
@@ -116,6 +213,7 @@ function _handleEcgRhythmChange(event, monitorInstance) {
          const rhythmChanged = monitorInstance.targetParams.ecg.rhythm !== rhythmKey;
          monitorInstance.targetParams.ecg.rhythm = rhythmKey;
          monitorInstance.targetParams.ecg.params = JSON.parse(JSON.stringify(newParamsFromRhythms));
+         if (rhythmChanged) delete monitorInstance.targetParams.ecg.overrides; // overrides are rhythm specific
 
          const currentEcgParams = monitorInstance.targetParams.ecg.params;
          const isCprArtifact = rhythmKey === 'cpr_artifact';
@@ -177,6 +275,307 @@ function _handleEcgRhythmChange(event, monitorInstance) {
 }
 
 function _handleHrSliderInput(event, monitorInstance) { if(!monitorInstance.targetParams.ecg || !monitorInstance.targetParams.ecg.params) return; const ecgParams = monitorInstance.targetParams.ecg.params; const isFixedOrPulseless = monitorInstance.targetParams.ecg.rhythm === 'cpr_artifact' || ecgParams.isPEA || ecgParams.isChaotic || ecgParams.isFlat || monitorInstance.targetParams.ecg.rhythm === 'vt_pulseless'; if (!isFixedOrPulseless) { const { canChangeHR } = monitorInstance._calculateInitialHR(ecgParams, monitorInstance.targetParams.ecg.hr); if(!canChangeHR) { const { initialHR } = monitorInstance._calculateInitialHR(ecgParams, monitorInstance.targetParams.ecg.hr); event.target.value = initialHR >= 0 ? initialHR : event.target.min; monitorInstance.updateSliderDisplays(); return; } } else { event.target.value = 0; monitorInstance.targetParams.ecg.hr = 0; monitorInstance.updateSliderDisplays(); return; } monitorInstance.targetParams.ecg.hr = parseInt(event.target.value, 10); monitorInstance.updateSliderDisplays(); monitorInstance.showPendingChanges(); }
+let lastTwelveLeadSvg = null;
+let lastDebrief = null; // { sessionId, events, timeline } shown in the debrief dialog
+let activeReplay = null; // ScenarioReplay of lastDebrief while the replay bar is shown
+let replayClockOffsetS = 0; // replay position -> debrief elapsed time
+let replayLiveState = null; // { params, active } before the replay, restored when there is no session to return to
+let replayPausedScenario = false; // the replay paused the running scenario, which resumes with the live state
+// Closing a replay waits this long for the session's state before falling back to the state from before the replay
+const REPLAY_RESTORE_TIMEOUT_MS = 5000;
+const DEBRIEF_BADGE_CLASSES = {
+    [DEBRIEF_CATEGORIES.SCENARIO]: 'bg-secondary',
+    [DEBRIEF_CATEGORIES.MONITOR]: 'bg-secondary',
+    [DEBRIEF_CATEGORIES.RHYTHM]: 'bg-info text-dark',
+    [DEBRIEF_CATEGORIES.CPR]: 'bg-primary',
+    [DEBRIEF_CATEGORIES.SHOCK]: 'bg-danger',
+    [DEBRIEF_CATEGORIES.NIBP]: 'bg-light text-dark',
+    [DEBRIEF_CATEGORIES.ALARM]: 'bg-warning text-dark',
+    [DEBRIEF_CATEGORIES.SOUND]: 'bg-secondary'
+};
+function _twelveLeadFileName(extension) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    return `12-lead_${stamp}.${extension}`;
+}
+function _handleTwelveLeadRender(monitorInstance) {
+    const container = document.getElementById("twelve-lead-container");
+    if (!container) return;
+    // The running monitor's rhythm if there is one, otherwise what is selected on the controller.
+    const ecgSrc = (monitorInstance.isMonitorActive() && monitorInstance.currentParams.ecg?.params)
+        ? monitorInstance.getEffectiveEcg()
+        : monitorInstance.targetParams.ecg;
+    if (!ecgSrc?.params) {
+        container.innerHTML = '<p class="text-muted text-center my-4">No ECG rhythm selected.</p>';
+        lastTwelveLeadSvg = null;
+        return;
+    }
+    const option = document.querySelector(`#ecg-rhythm-select option[value="${ecgSrc.rhythm}"]`);
+    const isPulseless = ecgSrc.params.isChaotic || ecgSrc.params.isFlat || ecgSrc.params.isPEA;
+    try {
+        const recording = recordTwelveLead(ecgSrc);
+        lastTwelveLeadSvg = renderTwelveLeadSvg(recording, {
+            title: option ? option.textContent : ecgSrc.rhythm,
+            hr: isPulseless ? undefined : ecgSrc.hr,
+            timestamp: new Date().toLocaleString(),
+        });
+        container.innerHTML = lastTwelveLeadSvg;
+    } catch (e) {
+        console.error("[_handleTwelveLeadRender] Failed to render 12-lead:", e);
+        container.innerHTML = '<p class="text-danger text-center my-4">Could not render the 12-lead ECG.</p>';
+        lastTwelveLeadSvg = null;
+    }
+}
+function _handleTwelveLeadExport(format) {
+    if (!lastTwelveLeadSvg) return;
+    if (format === 'svg') {
+        exportTwelveLeadSvg(lastTwelveLeadSvg, _twelveLeadFileName('svg'));
+    } else {
+        exportTwelveLeadPng(lastTwelveLeadSvg, _twelveLeadFileName('png'))
+            .catch(e => { console.error("[_handleTwelveLeadExport] PNG export failed:", e); alert("PNG export failed. Try SVG instead."); });
+    }
+}
+function _handleWaveformExportWindowChange() {
+    const custom = document.getElementById("waveform-export-custom");
+    const isCustom = document.getElementById("waveform-export-window")?.value === 'custom';
+    if (custom) { custom.classList.toggle('d-none', !isCustom); custom.classList.toggle('d-inline-flex', isCustom); }
+}
+function _handleWaveformExport(monitorInstance) {
+    const recorder = monitorInstance.recorder;
+    if (!recorder || recorder.sampleCount === 0) { alert("Nothing recorded yet. Activate the monitor first."); return; }
+    const windowValue = document.getElementById("waveform-export-window")?.value ?? 'all';
+    const format = document.getElementById("waveform-export-format")?.value ?? 'csv';
+    let startS;
+    let endS;
+    if (windowValue === 'custom') {
+        startS = parseFloat(document.getElementById("waveform-export-from")?.value);
+        endS = parseFloat(document.getElementById("waveform-export-to")?.value);
+        if (!Number.isFinite(startS) || !Number.isFinite(endS) || endS <= startS) { alert("Enter a window with 'to' after 'from' (seconds since the monitor was activated)."); return; }
+    } else if (windowValue !== 'all') {
+        endS = recorder.durationS;
+        startS = endS - parseFloat(windowValue);
+    }
+    const recordingWindow = recorder.getWindow(startS, endS);
+    if (recordingWindow.length === 0) {
+        alert(`No samples in that window. ${recorder.firstAvailableS.toFixed(0)}-${recorder.durationS.toFixed(0)} s is recorded.`);
+        return;
+    }
+    try {
+        if (format === 'wfdb') exportWaveformWfdb(recordingWindow);
+        else exportWaveformCsv(recordingWindow);
+    } catch (e) {
+        console.error("[_handleWaveformExport] Export failed:", e);
+        alert("Waveform export failed. Check console for details.");
+    }
+}
+function _rhythmLabel(rhythmKey) {
+    const option = document.querySelector(`#ecg-rhythm-select option[value="${rhythmKey}"]`);
+    return option ? option.textContent.trim() : rhythmKey;
+}
+function _handleDebriefLoad() {
+    const container = document.getElementById("debrief-timeline");
+    if (!container) return;
+    container.innerHTML = '<p class="text-muted text-center my-4">Loading event log...</p>';
+    const requested = requestEventLog(({ sessionId, events }) => {
+        lastDebrief = { sessionId, events, timeline: buildDebriefTimeline(events, { rhythmLabel: _rhythmLabel }) };
+        _renderDebriefTimeline(container, lastDebrief);
+    });
+    if (!requested) {
+        lastDebrief = null;
+        container.innerHTML = '<p class="text-warning text-center my-4">The debrief needs a multi-device session: the event log is kept by the server.</p>';
+    }
+}
+function _renderDebriefTimeline(container, debrief) {
+    const { entries, startedAt } = debrief.timeline;
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="text-muted text-center my-4">No events recorded in this session yet.</p>';
+        return;
+    }
+    const summary = document.createElement("p");
+    summary.className = "small text-muted mb-2";
+    summary.textContent = `Session ${debrief.sessionId} - times from scenario start (${new Date(startedAt).toLocaleTimeString()})`;
+    const table = document.createElement("table");
+    table.className = "table table-dark table-sm table-striped mb-0";
+    table.innerHTML = '<thead><tr><th scope="col">Elapsed</th><th scope="col">Time</th><th scope="col"></th><th scope="col">Event</th></tr></thead>';
+    const body = document.createElement("tbody");
+    for (const entry of entries) {
+        const row = body.insertRow();
+        row.insertCell().textContent = formatElapsed(entry.elapsedS);
+        row.insertCell().textContent = new Date(entry.t).toLocaleTimeString();
+        const badge = document.createElement("span");
+        badge.className = `badge ${DEBRIEF_BADGE_CLASSES[entry.category] || 'bg-secondary'}`;
+        badge.textContent = entry.category;
+        row.insertCell().appendChild(badge);
+        row.insertCell().textContent = entry.text;
+    }
+    table.appendChild(body);
+    container.replaceChildren(summary, table);
+}
+function _handleDebriefPrint() {
+    if (!lastDebrief) return;
+    if (!printDebriefReport(lastDebrief.sessionId, lastDebrief.timeline)) alert("The report window was blocked. Allow pop-ups for this page and try again.");
+}
+function _handleDebriefOpenClick() { const fileInput = document.getElementById('debrief-file-input'); if (fileInput) { fileInput.click(); } else { console.error('[_handleDebriefOpenClick] debrief-file-input not found'); } }
+function _handleLoadDebriefFile(event) {
+    const files = event.target.files; if (!files || files.length === 0) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const parsed = JSON.parse(e.target.result);
+            if (!parsed || !Array.isArray(parsed.events)) throw new Error('Invalid debrief file (missing events array).');
+            const sessionId = String(parsed.sessionId ?? 'file');
+            lastDebrief = { sessionId, events: parsed.events, timeline: buildDebriefTimeline(parsed.events, { rhythmLabel: _rhythmLabel }) };
+            const container = document.getElementById("debrief-timeline");
+            if (container) _renderDebriefTimeline(container, lastDebrief);
+        } catch (err) {
+            console.error('[_handleLoadDebriefFile] Failed to load debrief:', err);
+            alert('Error loading debrief file: ' + err.message);
+        } finally {
+            event.target.value = null;
+        }
+    };
+    reader.onerror = () => { alert('Error reading file.'); event.target.value = null; };
+    reader.readAsText(files[0]);
+}
+function _handleReplayStart(monitorInstance) {
+    if (!lastDebrief || lastDebrief.events.length === 0) { alert("Load the debrief of a session first."); return; }
+    _disposeReplay(monitorInstance);
+    const replay = new ScenarioReplay(lastDebrief.events, {
+        onEvent: (event) => monitorInstance.applyReplayEvent(event),
+        onSeek: (state) => monitorInstance.applyReplayState(state),
+        onStatus: _renderReplayStatus
+    });
+    if (replay.events.length === 0) { alert("The event log has nothing to replay."); return; }
+    // Show the same elapsed times as the debrief timeline
+    const startedAt = findScenarioStart(lastDebrief.events);
+    replayClockOffsetS = startedAt === null ? 0 : (replay.startT - startedAt) / 1000;
+    if (!replayLiveState) replayLiveState = { params: JSON.parse(JSON.stringify(monitorInstance.targetParams)), active: monitorInstance.animationRunning };
+    activeReplay = replay;
+    monitorInstance.replaying = true;
+    setReplayActive(true);
+    // Stage changes would apply to the replayed vitals, so the scenario waits for the live state
+    const scenarioStatus = getScenarioStatus();
+    if (scenarioStatus.running && !scenarioStatus.paused) {
+        pauseScenario();
+        replayPausedScenario = true;
+    }
+    document.getElementById("replay-bar")?.classList.replace("d-none", "d-flex");
+    const speedSelect = document.getElementById("replay-speed-select");
+    if (speedSelect) replay.setSpeed(parseInt(speedSelect.value, 10));
+    replay.seek(0);
+}
+function _disposeReplay(monitorInstance) {
+    if (!activeReplay) return;
+    activeReplay.dispose();
+    activeReplay = null;
+    monitorInstance.replaying = false;
+    setReplayActive(false);
+}
+function _handleReplayClose(monitorInstance) {
+    const liveState = replayLiveState;
+    replayLiveState = null;
+    _disposeReplay(monitorInstance);
+    document.getElementById("replay-bar")?.classList.replace("d-flex", "d-none");
+    if (!liveState) return;
+    // Back to the live session as it is now; without a session, back to where this device was before the replay.
+    // Nothing is sent to the session until then, so the replayed vitals never reach it.
+    setReplayActive(true);
+    let restored = false;
+    const restore = (state) => {
+        if (restored) return;
+        restored = true;
+        clearTimeout(timeoutId);
+        monitorInstance.restoreLiveState(state ? { ...state, params: { ...liveState.params, ...state.params } } : liveState);
+        setReplayActive(false);
+        if (replayPausedScenario) {
+            replayPausedScenario = false;
+            resumeScenario();
+        }
+    };
+    const timeoutId = setTimeout(() => restore(null), REPLAY_RESTORE_TIMEOUT_MS);
+    if (!requestStateSnapshot(restore)) restore(null);
+}
+function _handleReplayPlayToggle() {
+    if (!activeReplay) return;
+    if (activeReplay.playing) activeReplay.pause(); else activeReplay.play();
+}
+function _renderReplayStatus(status) {
+    const seek = document.getElementById("replay-seek");
+    if (seek) {
+        seek.max = String(Math.ceil(status.durationS));
+        if (document.activeElement !== seek) seek.value = String(status.positionS);
+    }
+    _renderReplayTime(status.positionS, status.durationS);
+    const playButton = document.getElementById("replay-play-button");
+    if (playButton) {
+        playButton.innerHTML = status.playing ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+        playButton.setAttribute("aria-label", status.playing ? "Pause" : "Play");
+    }
+}
+function _renderReplayTime(positionS, durationS) {
+    const label = document.getElementById("replay-time-label");
+    if (label) label.textContent = `${formatElapsed(positionS + replayClockOffsetS)} / ${formatElapsed(durationS + replayClockOffsetS)}`;
+}
+function _handleEcgLeadChange(monitorInstance) {
+    const primary = document.getElementById("ecg-lead-select")?.value;
+    const secondary = document.getElementById("ecg2-lead-select")?.value || null;
+    monitorInstance.setEcgLeads(primary, secondary);
+}
+function _handleTorsadesOptionChange(monitorInstance) {
+    const ecgTarget = monitorInstance.targetParams.ecg;
+    if (!ecgTarget || ecgTarget.params?.generatorType !== 'torsades') return;
+    const rhythmDefaults = RHYTHM_PARAMS[ecgTarget.rhythm] || {};
+    const rateInput = document.getElementById("ecg-torsades-rate");
+    const twistInput = document.getElementById("ecg-torsades-twist");
+    const rate = Math.max(150, Math.min(300, ensureFinite(parseFloat(rateInput?.value), rhythmDefaults.torsadesRate ?? 220)));
+    const twist = Math.max(0.5, Math.min(6, ensureFinite(parseFloat(twistInput?.value), rhythmDefaults.twistPeriod ?? 2)));
+    ecgTarget.overrides = { ...(ecgTarget.overrides || {}), torsadesRate: rate, twistPeriod: twist };
+    ecgTarget.params = { ...JSON.parse(JSON.stringify(rhythmDefaults)), ...ecgTarget.overrides };
+    monitorInstance.showPendingChanges();
+}
+function _handlePacerChange(monitorInstance) {
+    const current = { ...DEFAULT_PACER, ...(monitorInstance.targetParams.pacer || {}) };
+    const readNumber = (id, fallback) => ensureFinite(parseFloat(document.getElementById(id)?.value), fallback);
+    const clampMa = (value) => Math.max(0, Math.min(PACER_MAX_MA, value));
+    monitorInstance.targetParams.pacer = {
+        enabled: document.getElementById("pacer-enabled-switch")?.checked ?? current.enabled,
+        rate: Math.max(30, Math.min(180, readNumber("pacer-rate", current.rate))),
+        mA: clampMa(readNumber("pacer-ma", current.mA)),
+        captureThreshold: clampMa(readNumber("pacer-capture-threshold", current.captureThreshold))
+    };
+    monitorInstance.showPendingChanges();
+}
+const sensorFaultSwitchId = (faultKey) => `fault-${faultKey.replace(/_/g, "-")}-switch`;
+function _handleSensorFaultChange(monitorInstance) {
+    const current = { ...DEFAULT_SENSOR_FAULTS, ...(monitorInstance.targetParams.faults || {}) };
+    monitorInstance.targetParams.faults = Object.fromEntries(Object.keys(DEFAULT_SENSOR_FAULTS).map(faultKey =>
+        [faultKey, document.getElementById(sensorFaultSwitchId(faultKey))?.checked ?? current[faultKey]]));
+    monitorInstance.showPendingChanges();
+}
+function _handleSeedChange(monitorInstance, seed) {
+    const value = seed ?? parseInt(document.getElementById("random-seed-input")?.value, 10);
+    if (!Number.isFinite(value)) { _updateSeedControlsUI(monitorInstance.targetParams); return; }
+    monitorInstance.targetParams.seed = normalizeSeed(value);
+    _updateSeedControlsUI(monitorInstance.targetParams);
+    monitorInstance.showPendingChanges();
+}
+function _handleEctopyChange(monitorInstance) {
+    if (!monitorInstance.targetParams.ecg) return;
+    const readValue = (id, fallback) => { const el = document.getElementById(id); return el ? el.value : fallback; };
+    const frequency = parseInt(readValue("ecg-ectopy-frequency-slider", DEFAULT_ECTOPY.frequency), 10);
+    const runLength = parseInt(readValue("ecg-ectopy-run-length", DEFAULT_ECTOPY.runLength), 10);
+    const runRate = parseInt(readValue("ecg-ectopy-run-rate", DEFAULT_ECTOPY.runRate), 10);
+    monitorInstance.targetParams.ecg.ectopy = {
+        type: readValue("ecg-ectopy-type-select", DEFAULT_ECTOPY.type),
+        pattern: readValue("ecg-ectopy-pattern-select", DEFAULT_ECTOPY.pattern),
+        frequency: ensureFinite(frequency, DEFAULT_ECTOPY.frequency),
+        focus: readValue("ecg-ectopy-focus-select", DEFAULT_ECTOPY.focus),
+        runLength: Math.max(3, ensureFinite(runLength, DEFAULT_ECTOPY.runLength)),
+        runRate: Math.max(100, ensureFinite(runRate, DEFAULT_ECTOPY.runRate))
+    };
+    const freqDisplay = document.getElementById("ecg-ectopy-frequency-display");
+    if (freqDisplay) freqDisplay.textContent = monitorInstance.targetParams.ecg.ectopy.frequency;
+    monitorInstance.showPendingChanges();
+}
 function _handleSpo2SliderInput(event, monitorInstance) { if(monitorInstance.targetParams.spo2){ monitorInstance.targetParams.spo2.value = parseInt(event.target.value,10); monitorInstance.updateSliderDisplays(); monitorInstance.showPendingChanges(); } }
 function _handleSpo2ShapeChange(event, monitorInstance) { if(monitorInstance.targetParams.spo2) { monitorInstance.targetParams.spo2.shape=event.target.value; monitorInstance.showPendingChanges(); } }
 function _handleAbpSysInput(event, monitorInstance) {
@@ -241,29 +640,19 @@ function _handleEtco2RRInput(event, monitorInstance) { if(monitorInstance.target
 function _handleEtco2UnitChange(event, monitorInstance) { if(!monitorInstance.targetParams.etco2) return; monitorInstance.targetParams.etco2.unitPref=event.target.checked?'mmHg':'kPa'; monitorInstance.updateControlsToReflectParams(); monitorInstance.updateSliderDisplays(); monitorInstance.showPendingChanges(); }
 function _handleEtco2ShapeChange(event, monitorInstance) { if(monitorInstance.targetParams.etco2) { monitorInstance.targetParams.etco2.etco2Shape=event.target.value; monitorInstance.showPendingChanges(); } }
 function _handleNibpStart(monitorInstance) {
-    if (!monitorInstance.targetParams.abp || !monitorInstance.currentParams.nibp) { console.warn("[_handleNibpStart] Cannot start NIBP: Missing target ABP or current NIBP params."); return; }
-    console.log("[_handleNibpStart] NIBP Start triggered.");
-    const targetSys = ensureFinite(monitorInstance.targetParams.abp.sys, 0); const targetDia = ensureFinite(monitorInstance.targetParams.abp.dia, 0);
-    let measuredSys, measuredDia, measuredMap; const measurementTime = new Date();
-    if (targetSys < 30 && targetDia < 20) {
-        measuredSys = null;
-        measuredDia = null;
-        measuredMap = null;
-        console.log("[_handleNibpStart] Simulating failed NIBP measurement due to low target ABP.");
-    } else {
-        // Use exact user-specified ABP values for NIBP measurement (no random noise)
-        measuredSys = Math.round(targetSys);
-        measuredDia = Math.round(targetDia);
-        measuredDia = Math.max(0, measuredDia);
-        // Ensure systolic is at least a few mmHg above diastolic for plausibility
-        if (measuredSys <= measuredDia) measuredSys = measuredDia + 1;
-        measuredMap = (measuredSys > measuredDia) ? Math.round(measuredDia + (measuredSys - measuredDia) / 3) : null;
-    }
-    monitorInstance.currentParams.nibp.sys = measuredSys; monitorInstance.currentParams.nibp.dia = measuredDia; monitorInstance.currentParams.nibp.map = measuredMap; monitorInstance.currentParams.nibp.timestamp = measurementTime;
-    monitorInstance.targetParams.nibp.sys = measuredSys; monitorInstance.targetParams.nibp.dia = measuredDia; monitorInstance.targetParams.nibp.map = measuredMap; monitorInstance.targetParams.nibp.timestamp = measurementTime;
-    monitorInstance.updateVitalsDisplay(); console.log("[_handleNibpStart] Local NIBP updated:", monitorInstance.currentParams.nibp);
-    const role = getCurrentRole();
-    if (role === 'controller') { const nibpDataToSend = { sys: measuredSys, dia: measuredDia, map: measuredMap, timestamp: measurementTime.toISOString() }; console.log("[_handleNibpStart] Sending NIBP trigger via network with data:", nibpDataToSend); sendNibpTrigger(nibpDataToSend); }
+    if (!monitorInstance.currentParams.nibp) { console.warn("[_handleNibpStart] Cannot start NIBP: Missing current NIBP params."); return; }
+    // Starts a measurement, or stops the one in progress; the cycle sends each step to the monitors
+    console.log("[_handleNibpStart] NIBP Start/Stop triggered.");
+    monitorInstance.nibpCycle.start();
+}
+function _handleNibpModeChange(event, monitorInstance) {
+    monitorInstance.nibpCycle.setMode(event.target.value);
+}
+function _handleNibpOptionsChange(monitorInstance) {
+    monitorInstance.nibpCycle.setOptions({
+        errorMmHg: ensureFinite(parseFloat(document.getElementById("nibp-error-input")?.value), 0),
+        patientMoving: !!document.getElementById("nibp-motion-switch")?.checked,
+    });
 }
 function _handleTempSliderInput(event, monitorInstance) { if(!monitorInstance.targetParams.temp) return; const sliderValue=parseFloat(event.target.value); const isFahrenheit=monitorInstance.targetParams.temp.unitPref==='F'; const newTempC=isFahrenheit?fahrenheitToCelsius(sliderValue):sliderValue; monitorInstance.targetParams.temp.valueC=newTempC; monitorInstance.updateSliderDisplays(); monitorInstance.showPendingChanges(); }
 function _handleTempUnitChange(event, monitorInstance) { if(!monitorInstance.targetParams.temp) return; const isFahrenheit=event.target.checked; const newUnitPref=isFahrenheit?'F':'C'; monitorInstance.targetParams.temp.unitPref=newUnitPref; monitorInstance.updateControlsToReflectParams(); monitorInstance.updateSliderDisplays(); monitorInstance.showPendingChanges(); }
@@ -283,7 +672,19 @@ function _handleActivateClick(monitorInstance) {
     const activateButton = document.getElementById("activate-button");
     if (activateButton) { activateButton.textContent = monitorInstance.animationRunning ? "Deactivate Monitor" : "Activate Monitor"; activateButton.classList.toggle("btn-success", !monitorInstance.animationRunning); activateButton.classList.toggle("btn-danger", monitorInstance.animationRunning); }
 }
-function _handleEcgShock(monitorInstance) { if(monitorInstance && monitorInstance.animationRunning){ console.log("[_handleEcgShock] Shock button clicked."); monitorInstance.requestShock(); } else { console.log("[_handleEcgShock] Shock ignored (simulation not active)."); } }
+function _handleEcgShock(monitorInstance) {
+    if (monitorInstance && monitorInstance.animationRunning) {
+        console.log("[_handleEcgShock] Shock button clicked.");
+        // The scenario hears about the shock when it is delivered (a synchronized shock waits for an R wave).
+        monitorInstance.requestShock({ ...monitorInstance.defib }, (shock) => notifyScenarioEvent('shock', shock));
+    } else {
+        console.log("[_handleEcgShock] Shock ignored (simulation not active).");
+    }
+}
+function _handleDefibChange(monitorInstance, changes) {
+    monitorInstance.setDefibState({ ...monitorInstance.defib, ...changes });
+    sendDefibState({ ...monitorInstance.defib });
+}
 
 function _handleCprToggle(monitorInstance) {
     if (!monitorInstance || !monitorInstance.targetParams) return;
@@ -330,6 +731,7 @@ function _handleCprToggle(monitorInstance) {
         monitorInstance.showPendingChanges();
 
         try { const role = getCurrentRole(); if (role === 'controller') { const paramsToSend = { ...monitorInstance.targetParams }; delete paramsToSend.params; sendParamUpdate(paramsToSend); console.log('[CPR Toggle] Sent CPR param update to session.'); } } catch (e) { console.error('[CPR Toggle] Network send error', e); }
+        notifyScenarioEvent('cpr_on');
     } else {
         // Deactivate: restore saved target params
         const saved = monitorInstance._cprSavedTargetParams;
@@ -349,6 +751,7 @@ function _handleCprToggle(monitorInstance) {
         monitorInstance.showPendingChanges();
 
         try { const role = getCurrentRole(); if (role === 'controller') { const paramsToSend = { ...monitorInstance.targetParams }; delete paramsToSend.params; sendParamUpdate(paramsToSend); console.log('[CPR Toggle] Sent restore param update to session.'); } } catch (e) { console.error('[CPR Toggle] Network send error', e); }
+        notifyScenarioEvent('cpr_off');
     }
 }
 
@@ -450,9 +853,9 @@ function _handleAdjustButton(paramType, direction, monitorInstance) {
     monitorInstance.updateControlsToReflectParams();monitorInstance.updateSliderDisplays();monitorInstance.showPendingChanges();
 }
 
-function _handleUpdateVitalsClick(monitorInstance) {
+function _handleUpdateVitalsClick(monitorInstance, delayOverrideMs = null) {
     const updateDelaySelect = document.getElementById("update-delay-select");
-    const delayMs = updateDelaySelect ? parseInt(updateDelaySelect.value, 10) : 0;
+    const delayMs = delayOverrideMs !== null ? delayOverrideMs : (updateDelaySelect ? parseInt(updateDelaySelect.value, 10) : 0);
 
     // Clear any existing timeout to avoid double-firing
     if (monitorInstance.updateTimeoutId !== null) { 
@@ -765,6 +1168,11 @@ function _applyPresetParameters(presetParamsToApply, monitorInstance) {
                             hr: 0,
                             visible: monitorInstance.targetParams.ecg?.visible ?? true
                         };
+                    if (ecgPreset.ectopy) newTargetParams.ecg.ectopy = JSON.parse(JSON.stringify(ecgPreset.ectopy));
+                    if (ecgPreset.overrides) {
+                        newTargetParams.ecg.overrides = JSON.parse(JSON.stringify(ecgPreset.overrides));
+                        Object.assign(newTargetParams.ecg.params, newTargetParams.ecg.overrides);
+                    }
                     let hrSourceValue = ecgPreset.hr !== undefined ? ecgPreset.hr : newParamsFromRhythms.baseHR;
                     const { initialHR } = monitorInstance._calculateInitialHR(newTargetParams.ecg.params, hrSourceValue);
                     newTargetParams.ecg.hr = initialHR;
@@ -885,15 +1293,8 @@ function _handleSavePreset(monitorInstance) {
         try {
             const jsonString = JSON.stringify(presetFileContent, null, 2);
             const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
             const safeFileName = presetName.replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.json';
-            link.download = safeFileName;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+            downloadBlob(blob, safeFileName);
             console.log(`[_handleSavePreset] Preset '${presetName}' downloaded as '${safeFileName}'.`);
         } catch (error) {
             console.error("[_handleSavePreset] Error creating or saving file:", error);
@@ -1100,6 +1501,175 @@ function _handleDeleteCase(monitorInstance) {
     _renderPresetsForSelectedCase(monitorInstance);
 }
 
+// --- Scenario Handling ---
+function _resolveStageParams(stage) {
+    if (stage.params) return stage.params;
+    const targetCase = loadedCases.find(c => c.id === scenarioCaseId);
+    const preset = targetCase?.presets?.find(p => p.name === stage.preset || p.id === stage.preset);
+    return preset ? preset.params : null;
+}
+
+function _applyScenarioStage(stage, monitorInstance) {
+    const params = _resolveStageParams(stage);
+    if (!params) {
+        console.error(`[Scenario] No parameters found for stage '${stage.id}' (preset: ${stage.preset}).`);
+        alert(`Scenario error: preset '${stage.preset}' for stage '${stage.name}' was not found in the case.`);
+        return;
+    }
+    console.log(`[Scenario] Applying stage '${stage.name}'.`);
+    const previousParams = JSON.parse(JSON.stringify(monitorInstance.targetParams));
+    _applyPresetParameters(params, monitorInstance);
+    stageDrift = null;
+    if (stage.drift) {
+        // The rhythm and everything else change now; the numeric vitals start from where they were
+        stageDrift = { from: previousParams, to: JSON.parse(JSON.stringify(monitorInstance.targetParams)), fraction: 0, sentAt: Date.now(), drifted: null, edited: new Set() };
+        _setDriftedParams(monitorInstance, 0);
+    }
+    // Stages apply immediately (no update delay) and are broadcast like a normal "Update Vitals"
+    _handleUpdateVitalsClick(monitorInstance, 0);
+}
+
+function _setDriftedParams(monitorInstance, fraction) {
+    // Vitals changed by hand since the last step keep the instructor's value for the rest of the drift
+    if (stageDrift.drifted) editedDriftFields(monitorInstance.targetParams, stageDrift.drifted).forEach(field => stageDrift.edited.add(field));
+    monitorInstance.targetParams = driftParams(monitorInstance.targetParams, stageDrift.from, stageDrift.to, fraction, [...stageDrift.edited]);
+    stageDrift.drifted = JSON.parse(JSON.stringify(monitorInstance.targetParams));
+    stageDrift.fraction = fraction;
+    monitorInstance.updateControlsToReflectParams();
+    monitorInstance.updateSliderDisplays();
+}
+
+// Moves a drifting stage's vitals on with scenario time, sent every DRIFT_UPDATE_INTERVAL_S and when complete
+function _updateStageDrift(status, monitorInstance) {
+    if (!stageDrift) return;
+    if (!status.running || status.drift === null) { stageDrift = null; return; }
+    if (status.drift === stageDrift.fraction) return;
+    if (status.drift < 1 && Date.now() - stageDrift.sentAt < DRIFT_UPDATE_INTERVAL_S * 1000) return;
+    _setDriftedParams(monitorInstance, status.drift);
+    stageDrift.sentAt = Date.now();
+    _handleUpdateVitalsClick(monitorInstance, 0);
+    if (status.drift >= 1) stageDrift = null;
+}
+
+/**
+ * Sets the time scale of the scenario and the trends, and optionally fills the trends with a synthetic history
+ * that ends at the current vitals. Sent to the monitors by monitorInstance.setTimeCompression.
+ * @param {object} monitorInstance
+ * @param {number} timeScale - Patient seconds per real second.
+ * @param {object|null} [history] - From validateTrendHistory().
+ */
+function _applyTimeCompression(monitorInstance, timeScale, history = null) {
+    const scale = Math.min(MAX_TIME_SCALE, Math.max(1, Number(timeScale) || 1));
+    setScenarioTimeScale(scale);
+    const resolved = history ? resolveTrendHistory(history, trendValuesFromParams(monitorInstance.targetParams)) : null;
+    monitorInstance.setTimeCompression({ timeScale: scale, history: resolved });
+    const input = document.getElementById('time-scale-input');
+    if (input) input.value = String(scale);
+}
+
+function _handleTrendHistoryApply(monitorInstance) {
+    const vitals = {};
+    document.querySelectorAll('[data-history-from]').forEach(input => {
+        const from = parseFloat(input.value);
+        if (!Number.isFinite(from)) return;
+        const key = input.dataset.historyFrom;
+        vitals[key] = { from, shape: document.querySelector(`[data-history-shape="${key}"]`)?.value || 'linear' };
+    });
+    let history;
+    try {
+        history = validateTrendHistory({ hours: parseFloat(document.getElementById('history-hours-input')?.value), vitals });
+    } catch (e) {
+        alert('Trend history: ' + e.message);
+        return;
+    }
+    _applyTimeCompression(monitorInstance, monitorInstance.trends.timeScale, history);
+}
+
+function _renderScenarioStatus(status) {
+    const stageLabel = document.getElementById('scenario-stage-label');
+    const timerLabel = document.getElementById('scenario-timer-label');
+    const startBtn = document.getElementById('scenario-start-button');
+    const pauseBtn = document.getElementById('scenario-pause-button');
+    const nextBtn = document.getElementById('scenario-next-button');
+    const stopBtn = document.getElementById('scenario-stop-button');
+    if (startBtn) startBtn.disabled = status.running;
+    if (pauseBtn) {
+        pauseBtn.disabled = !status.running;
+        pauseBtn.innerHTML = status.paused ? '<i class="fas fa-play me-1"></i> Resume' : '<i class="fas fa-pause me-1"></i> Pause';
+    }
+    if (nextBtn) nextBtn.disabled = !status.running || status.paused;
+    if (stopBtn) stopBtn.disabled = !status.running;
+    if (stageLabel) {
+        if (status.running) {
+            stageLabel.textContent = `${status.name}: ${status.stageName}${status.paused ? ' (paused)' : ''}`;
+            stageLabel.className = status.paused ? 'badge bg-warning text-dark' : 'badge bg-success';
+        } else if (status.stageName) {
+            stageLabel.textContent = `${status.name}: finished at ${status.stageName}`;
+            stageLabel.className = 'badge bg-secondary';
+        } else {
+            stageLabel.textContent = 'No scenario running';
+            stageLabel.className = 'badge bg-secondary';
+        }
+    }
+    if (timerLabel) {
+        if (!status.running) { timerLabel.textContent = ''; return; }
+        // Time-compressed scenario times are patient time, often hours
+        const compressed = status.timeScale > 1;
+        const time = (seconds) => compressed ? formatElapsed(seconds) : `${seconds} s`;
+        let text = `${time(Math.floor(status.stageElapsed))} in stage`;
+        if (status.nextTimed) text += ` · ${status.nextTimed.to || 'end'} in ${time(Math.ceil(status.nextTimed.remaining))}`;
+        if (compressed) text += ` · ×${status.timeScale}`;
+        timerLabel.textContent = text;
+    }
+}
+
+function _handleScenarioStart(monitorInstance) {
+    const caseId = _getSelectedCaseId();
+    const targetCase = loadedCases.find(c => c.id === caseId);
+    if (!targetCase) { alert('Please select a case to run as a scenario.'); return; }
+    let definition = targetCase.scenario;
+    if (!definition) {
+        if (!targetCase.presets || targetCase.presets.length === 0) { alert(`Case '${targetCase.name}' has no presets or scenario to run.`); return; }
+        definition = buildLinearScenario(targetCase.name, targetCase.presets);
+    }
+    try {
+        _endScenarioTimeScale(monitorInstance);
+        scenarioCaseId = targetCase.id;
+        loadScenario(definition);
+        // Set before the first stage is applied, so the stage goes out with the scenario's seed.
+        if (definition.seed !== undefined) _handleSeedChange(monitorInstance, definition.seed);
+        startScenario();
+        // After the start stage, so the history leads up to its vitals
+        scenarioTimeScaleSet = definition.timeScale !== undefined;
+        if (scenarioTimeScaleSet || definition.history) {
+            _applyTimeCompression(monitorInstance, getScenarioStatus().timeScale, definition.history ? validateTrendHistory(definition.history) : null);
+        }
+    } catch (e) {
+        console.error('[_handleScenarioStart] Invalid scenario:', e);
+        alert('Scenario error: ' + e.message);
+    }
+}
+
+function _handleScenarioStop(monitorInstance) {
+    const wasRunning = getScenarioStatus().running;
+    stopScenario();
+    if (wasRunning) _reportScenarioEvent('end', { reason: 'stopped' });
+    _endScenarioTimeScale(monitorInstance);
+}
+
+function _endScenarioTimeScale(monitorInstance) {
+    if (!scenarioTimeScaleSet) return;
+    scenarioTimeScaleSet = false;
+    _applyTimeCompression(monitorInstance, 1);
+}
+
+function _reportScenarioEvent(event, details) {
+    sendScenarioEvent({ event, scenario: getScenarioStatus().name, ...details });
+}
+
+function _handleScenarioPauseToggle() {
+    if (getScenarioStatus().paused) resumeScenario(); else pauseScenario();
+}
 
 function _handleFullscreenToggle() { const targetElement = document.getElementById('monitor-wrapper-fullscreen-target'); if (!targetElement) { console.error("Fullscreen target element (#monitor-wrapper-fullscreen-target) not found."); return; } const isFullscreen = document.fullscreenElement || document.webkitFullscreenElement || document.mozFullScreenElement || document.msFullscreenElement; if (!isFullscreen) { console.log("Requesting fullscreen..."); const requestMethod = targetElement.requestFullscreen || targetElement.webkitRequestFullscreen || targetElement.mozRequestFullScreen || targetElement.msRequestFullscreen; if (requestMethod) { requestMethod.call(targetElement).catch(err => { console.error("Error attempting to enable full-screen mode:", err); document.body.classList.remove('fullscreen-active'); }); document.body.classList.add('fullscreen-active'); } else { console.error("Fullscreen API is not supported by this browser."); alert("Fullscreen mode is not supported by your browser."); } } else { console.log("Exiting fullscreen..."); const exitMethod = document.exitFullscreen || document.webkitExitFullscreen || document.mozCancelFullScreen || document.msExitFullscreen; if (exitMethod) { exitMethod.call(document).catch(err => console.error("Error attempting to disable full-screen mode:", err)); document.body.classList.remove('fullscreen-active'); } } }
 function _updateFullscreenState() { const button = document.getElementById('fullscreen-button'); const isFullscreen = !!(document.fullscreenElement || document.webkitFullscreenElement || document.mozFullScreenElement || document.msFullscreenElement); console.log("Fullscreen change event detected. Is fullscreen:", isFullscreen); document.body.classList.toggle('fullscreen-active', isFullscreen); if (button) { const icon = button.querySelector('i'); if (isFullscreen) { button.innerHTML = '<i class="fas fa-compress me-1"></i> Poistu'; } else { button.innerHTML = '<i class="fas fa-expand me-1"></i> Koko näyttö'; } } window.dispatchEvent(new Event('resize')); }
@@ -1118,7 +1688,29 @@ export function bindControlEvents(monitorInstance) {
     _addListener("nibp-visibility-switch", "change", (e) => _handleVisibilityChange('nibp', e, monitorInstance));
     _addListener("temp-visibility-switch", "change", (e) => _handleVisibilityChange('temp', e, monitorInstance));
     _addListener("ecg-rhythm-select", "change", (e) => _handleEcgRhythmChange(e, monitorInstance));
+    _addListener("ecg-lead-select", "change", () => _handleEcgLeadChange(monitorInstance));
+    _addListener("ecg-12lead-button", "click", () => _handleTwelveLeadRender(monitorInstance));
+    _addListener("waveform-export-window", "change", _handleWaveformExportWindowChange);
+    _addListener("waveform-export-button", "click", () => _handleWaveformExport(monitorInstance));
+    _addListener("twelve-lead-refresh-button", "click", () => _handleTwelveLeadRender(monitorInstance));
+    _addListener("twelve-lead-export-svg-button", "click", () => _handleTwelveLeadExport('svg'));
+    _addListener("twelve-lead-export-png-button", "click", () => _handleTwelveLeadExport('png'));
+    _addListener("ecg2-lead-select", "change", () => _handleEcgLeadChange(monitorInstance));
     _addListener("hr-slider", "input", (e) => _handleHrSliderInput(e, monitorInstance));
+    ["ecg-ectopy-type-select", "ecg-ectopy-pattern-select", "ecg-ectopy-focus-select", "ecg-ectopy-run-length", "ecg-ectopy-run-rate"].forEach(id =>
+        _addListener(id, "change", () => _handleEctopyChange(monitorInstance)));
+    _addListener("ecg-ectopy-frequency-slider", "input", () => _handleEctopyChange(monitorInstance));
+    _addListener("ecg-torsades-rate", "change", () => _handleTorsadesOptionChange(monitorInstance));
+    _addListener("ecg-torsades-twist", "change", () => _handleTorsadesOptionChange(monitorInstance));
+    _addListener("pacer-enabled-switch", "change", () => _handlePacerChange(monitorInstance));
+    ["pacer-rate", "pacer-ma", "pacer-capture-threshold"].forEach(id =>
+        _addListener(id, "change", () => _handlePacerChange(monitorInstance)));
+    Object.keys(DEFAULT_SENSOR_FAULTS).forEach(faultKey =>
+        _addListener(sensorFaultSwitchId(faultKey), "change", () => _handleSensorFaultChange(monitorInstance)));
+    _addListener("random-seed-input", "change", () => _handleSeedChange(monitorInstance));
+    _addListener("random-seed-new-button", "click", () => _handleSeedChange(monitorInstance, createRandomSeed()));
+    _addListener("defib-energy-select", "change", (e) => _handleDefibChange(monitorInstance, { energy: parseInt(e.target.value, 10) }));
+    _addListener("defib-sync-toggle", "click", () => _handleDefibChange(monitorInstance, { sync: !monitorInstance.defib.sync }));
     _addListener("ecg-shock-button", "click", () => _handleEcgShock(monitorInstance));
     _addListener("ecg-cpr-toggle", "click", () => _handleCprToggle(monitorInstance));
     _addListener("hr-minus-btn", "click", () => _handleAdjustButton('hr', 'minus', monitorInstance));
@@ -1143,6 +1735,9 @@ export function bindControlEvents(monitorInstance) {
     _addListener("rr-minus-btn", "click", () => _handleAdjustButton('rr', 'minus', monitorInstance));
     _addListener("rr-plus-btn", "click", () => _handleAdjustButton('rr', 'plus', monitorInstance));
     _addListener("start-nibp-button", "click", () => _handleNibpStart(monitorInstance));
+    _addListener("nibp-mode-select", "change", (e) => _handleNibpModeChange(e, monitorInstance));
+    _addListener("nibp-error-input", "change", () => _handleNibpOptionsChange(monitorInstance));
+    _addListener("nibp-motion-switch", "change", () => _handleNibpOptionsChange(monitorInstance));
     _addListener("temp-slider", "input", (e) => _handleTempSliderInput(e, monitorInstance));
     _addListener("temp-unit-switch", "change", (e) => _handleTempUnitChange(e, monitorInstance));
     _addListener("temp-minus-btn", "click", () => _handleAdjustButton('temp', 'minus', monitorInstance));
@@ -1166,6 +1761,43 @@ export function bindControlEvents(monitorInstance) {
     _addListener('save-case-button', 'click', () => _handleSaveCase(monitorInstance));
     _addListener('upload-case-button', 'click', _handleCaseUploadClick);
     _addListener('case-file-input', 'change', (e) => _handleLoadCaseFile(e, monitorInstance));
+    initializeScenarioEngine({
+        onStageEnter: (stage, reason) => {
+            _reportScenarioEvent('stage', { stage: stage.name, reason });
+            _applyScenarioStage(stage, monitorInstance);
+        },
+        onScenarioEnd: (reason) => {
+            _reportScenarioEvent('end', { reason });
+            _endScenarioTimeScale(monitorInstance);
+        },
+        onStatusChange: (status) => {
+            _renderScenarioStatus(status);
+            _updateStageDrift(status, monitorInstance);
+        }
+    });
+    _addListener('scenario-start-button', 'click', () => _handleScenarioStart(monitorInstance));
+    _addListener('scenario-pause-button', 'click', _handleScenarioPauseToggle);
+    _addListener('scenario-next-button', 'click', () => advanceScenario());
+    _addListener('scenario-stop-button', 'click', () => _handleScenarioStop(monitorInstance));
+    _addListener('time-scale-input', 'change', (e) => _applyTimeCompression(monitorInstance, parseFloat(e.target.value)));
+    _addListener('history-apply-button', 'click', () => _handleTrendHistoryApply(monitorInstance));
+    _addListener('debrief-button', 'click', _handleDebriefLoad);
+    _addListener('debrief-refresh-button', 'click', _handleDebriefLoad);
+    _addListener('debrief-export-json-button', 'click', () => { if (lastDebrief) exportDebriefJson(lastDebrief.sessionId, lastDebrief.events, lastDebrief.timeline); });
+    _addListener('debrief-print-button', 'click', _handleDebriefPrint);
+    _addListener('debrief-open-button', 'click', _handleDebriefOpenClick);
+    _addListener('debrief-file-input', 'change', _handleLoadDebriefFile);
+    _addListener('debrief-replay-button', 'click', () => _handleReplayStart(monitorInstance));
+    _addListener('replay-play-button', 'click', _handleReplayPlayToggle);
+    _addListener('replay-seek', 'input', (e) => { if (activeReplay) _renderReplayTime(parseFloat(e.target.value), activeReplay.durationS); });
+    _addListener('replay-seek', 'change', (e) => { if (activeReplay) activeReplay.seek(parseFloat(e.target.value)); });
+    _addListener('replay-speed-select', 'change', (e) => { if (activeReplay) activeReplay.setSpeed(parseInt(e.target.value, 10)); });
+    _addListener('replay-close-button', 'click', () => _handleReplayClose(monitorInstance));
+    _addListener('monitor-menu-trends', 'click', () => monitorInstance.setTrendView({ open: true }));
+    _addListener('trend-view-button', 'click', () => monitorInstance.setTrendView({ open: !monitorInstance.trendView.open }));
+    _addListener('trend-view-close-button', 'click', () => monitorInstance.setTrendView({ open: false }));
+    document.querySelectorAll('[data-trend-window]').forEach(btn => btn.addEventListener('click', () => monitorInstance.setTrendView({ window: btn.dataset.trendWindow })));
+    document.querySelectorAll('[data-trend-display]').forEach(btn => btn.addEventListener('click', () => monitorInstance.setTrendView({ display: btn.dataset.trendDisplay })));
     _addListener("fullscreen-button", "click", _handleFullscreenToggle);
     document.addEventListener('fullscreenchange', _updateFullscreenState);
     document.addEventListener('webkitfullscreenchange', _updateFullscreenState);
@@ -1178,28 +1810,17 @@ export function bindControlEvents(monitorInstance) {
     _addListener("nibp-color-picker", "input", (e) => _handleColorChange('nibpColor', e, monitorInstance));
     _addListener("temp-color-picker", "input", (e) => _handleColorChange('tempColor', e, monitorInstance));
     // --- Alarm Limit Bindings ---
-    const alarmBindings = [
-        { id: 'alarm-ecg-low', cat: 'ecg', key: 'low' },
-        { id: 'alarm-ecg-high', cat: 'ecg', key: 'high' },
-        { id: 'alarm-spo2-low', cat: 'spo2', key: 'low' },
-        { id: 'alarm-abp-low', cat: 'abp', key: 'low_map' },
-        { id: 'alarm-abp-sys-low', cat: 'abp', key: 'low_sys' },
-        { id: 'alarm-abp-sys-high', cat: 'abp', key: 'high_sys' },
-        { id: 'alarm-abp-dia-low', cat: 'abp', key: 'low_dia' },
-        { id: 'alarm-abp-dia-high', cat: 'abp', key: 'high_dia' },
-        { id: 'alarm-etco2-low', cat: 'etco2', key: 'low' },
-        { id: 'alarm-etco2-high', cat: 'etco2', key: 'high' }
-    ];
-
-    alarmBindings.forEach(binding => {
+    ALARM_LIMIT_BINDINGS.forEach(binding => {
         const inputEl = document.getElementById(binding.id);
         const sliderEl = document.getElementById(binding.id + '-slider');
+        const switchEl = document.getElementById(binding.id + '-enabled');
 
         // Helper to update global state and mark pending changes (do NOT apply immediately)
         const updateState = (val) => {
             if (isNaN(val) || !monitorInstance.targetParams || !monitorInstance.targetParams.alarms) return;
-            // Update target params (pending change)
-            monitorInstance.targetParams.alarms[binding.cat][binding.key] = val;
+            // Update target params (pending change); cases saved before a limit existed lack its category
+            const alarms = monitorInstance.targetParams.alarms;
+            alarms[binding.cat] = { ...DEFAULT_ALARM_THRESHOLDS[binding.cat], ...(alarms[binding.cat] || {}), [binding.key]: val };
 
             // Do NOT copy into currentParams here; controller changes must be applied
             // by pressing the "Update Vitals" button to preserve core program logic.
@@ -1225,14 +1846,63 @@ export function bindControlEvents(monitorInstance) {
                 updateState(val);
             });
         }
+
+        // On/off switch of this limit's alarm
+        if (switchEl) {
+            switchEl.addEventListener('change', (e) => {
+                const alarms = monitorInstance.targetParams?.alarms;
+                if (!alarms) return;
+                alarms.enabled = { ...DEFAULT_ALARM_THRESHOLDS.enabled, ...(alarms.enabled || {}), [binding.alarmKey]: e.target.checked };
+                _setAlarmLimitInputsEnabled(binding, e.target.checked);
+                monitorInstance.showPendingChanges();
+            });
+        }
     });
 
+    _buildAlarmPriorityControls(monitorInstance);
+    document.querySelectorAll('.alarm-tone-preview').forEach(btn => btn.addEventListener('click', () => previewAlarmTone(btn.dataset.priority)));
+
     _loadCasesFromStorage(monitorInstance);
 
     console.log("[bindControlEvents] All event listeners attached.");
     monitorInstance.showPendingChanges();
 }
 
+function _setAlarmLimitInputsEnabled(binding, enabled) {
+    [binding.id, binding.id + '-slider'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = !enabled;
+    });
+}
+
+function _buildAlarmPriorityControls(monitorInstance) {
+    const container = document.getElementById('alarm-priority-controls');
+    if (!container) return;
+    container.replaceChildren(...Object.keys(DEFAULT_ALARM_THRESHOLDS.priorities).map(alarmKey => {
+        const col = document.createElement('div');
+        col.className = 'col-6 d-flex align-items-center gap-2';
+        const label = document.createElement('label');
+        label.className = 'small flex-grow-1 text-end';
+        label.htmlFor = `alarm-priority-${alarmKey}`;
+        label.textContent = describeAlarm(alarmKey);
+        const select = document.createElement('select');
+        select.className = 'form-select form-select-sm bg-dark text-white w-auto';
+        select.id = `alarm-priority-${alarmKey}`;
+        ALARM_PRIORITY_LEVELS.forEach(level => {
+            const opt = document.createElement('option'); opt.value = level; opt.textContent = level.charAt(0).toUpperCase() + level.slice(1); select.appendChild(opt);
+        });
+        select.value = DEFAULT_ALARM_THRESHOLDS.priorities[alarmKey];
+        select.addEventListener('change', (e) => {
+            const alarms = monitorInstance.targetParams?.alarms;
+            if (!alarms) return;
+            alarms.priorities = { ...DEFAULT_ALARM_THRESHOLDS.priorities, ...(alarms.priorities || {}), [alarmKey]: e.target.value };
+            monitorInstance.showPendingChanges();
+        });
+        col.append(label, select);
+        return col;
+    }));
+}
+
 function _handleCaseUploadClick() { const fileInput = document.getElementById('case-file-input'); if (fileInput) { fileInput.click(); } else { console.error('[_handleCaseUploadClick] case-file-input not found'); } }
 
 function _handleSaveCase(monitorInstance) {
@@ -1247,8 +1917,8 @@ function _handleSaveCase(monitorInstance) {
         out.id = undefined;
         const json = JSON.stringify({ caseName: targetCase.name, formatVersion: '1.0', case: targetCase }, null, 2);
         const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a'); link.href = url; const safeFileName = (targetCase.name || 'case').replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.json'; link.download = safeFileName; document.body.appendChild(link); link.click(); document.body.removeChild(link); URL.revokeObjectURL(url);
+        const safeFileName = (targetCase.name || 'case').replace(/[^a-z0-9]/gi, '_').toLowerCase() + '.json';
+        downloadBlob(blob, safeFileName);
         console.log(`[_handleSaveCase] Case '${targetCase.name}' exported.`);
         alert(`Case '${targetCase.name}' saved to file.`);
     } catch (e) { console.error('[_handleSaveCase] Error exporting case:', e); alert('Error exporting case.'); }
@@ -1271,6 +1941,15 @@ function _handleLoadCaseFile(event, monitorInstance) {
                     throw new Error('Invalid preset structure or unknown ECG rhythm in one of the presets.');
                 }
             }
+            // Optional timeline scenario: stages reference presets by name, so check they exist
+            const scenario = payload.scenario ? validateScenario(payload.scenario) : null;
+            if (scenario) {
+                for (const stage of scenario.stages) {
+                    if (!stage.params && !payload.presets.some(p => p.name === stage.preset)) {
+                        throw new Error(`Scenario stage '${stage.id}' references unknown preset '${stage.preset}'.`);
+                    }
+                }
+            }
 
             // If case with same name exists, ask to overwrite or keep both
             const existing = loadedCases.find(c => c.name === name);
@@ -1280,6 +1959,7 @@ function _handleLoadCaseFile(event, monitorInstance) {
                     let i = 1; let newName = name + ' (' + i + ')';
                     while (loadedCases.find(c => c.name === newName)) { i++; newName = name + ' (' + i + ')'; }
                     const newCase = { id: `case-${nextCaseId++}`, name: newName, presets: [] };
+                    if (scenario) newCase.scenario = payload.scenario;
                     payload.presets.forEach(p => newCase.presets.push({ id: `preset-${nextCustomPresetId++}`, name: p.name, params: p.params }));
                     loadedCases.push(newCase);
                     const sel = document.getElementById('case-select'); if (sel) { const opt = document.createElement('option'); opt.value = newCase.id; opt.textContent = newCase.name; sel.appendChild(opt); sel.value = newCase.id; }
@@ -1288,6 +1968,7 @@ function _handleLoadCaseFile(event, monitorInstance) {
                 } else {
                     // Overwrite
                     existing.presets = [];
+                    if (scenario) existing.scenario = payload.scenario; else delete existing.scenario;
                     payload.presets.forEach(p => existing.presets.push({ id: `preset-${nextCustomPresetId++}`, name: p.name, params: p.params }));
                     _saveCasesToStorage();
                     const sel = document.getElementById('case-select'); if (sel) sel.value = existing.id;
@@ -1296,6 +1977,7 @@ function _handleLoadCaseFile(event, monitorInstance) {
                 }
             } else {
                 const newCase = { id: `case-${nextCaseId++}`, name: name, presets: [] };
+                if (scenario) newCase.scenario = payload.scenario;
                 payload.presets.forEach(p => newCase.presets.push({ id: `preset-${nextCustomPresetId++}`, name: p.name, params: p.params }));
                 loadedCases.push(newCase);
                 const sel = document.getElementById('case-select'); if (sel) { const opt = document.createElement('option'); opt.value = newCase.id; opt.textContent = newCase.name; sel.appendChild(opt); sel.value = newCase.id; }
@@ -1314,11 +1996,54 @@ function _handleLoadCaseFile(event, monitorInstance) {
 }
 
 export function updateControlsToReflectParams(monitorInstance) {
-    try { const paramsToReflect = JSON.parse(JSON.stringify(monitorInstance.targetParams)); _updateVisibilitySwitches(paramsToReflect); _updateEcgControlsUI(paramsToReflect, monitorInstance._calculateInitialHR); _updateSpo2ControlsUI(paramsToReflect); _updateAbpControlsUI(paramsToReflect); _updateEtco2ControlsUI(paramsToReflect); _updateTempControlsUI(paramsToReflect); _updateColorControlsUI(paramsToReflect); }
+    try { const paramsToReflect = JSON.parse(JSON.stringify(monitorInstance.targetParams)); _updateVisibilitySwitches(paramsToReflect); _updateEcgControlsUI(paramsToReflect, monitorInstance._calculateInitialHR); _updateEctopyControlsUI(paramsToReflect); _updateTorsadesControlsUI(paramsToReflect); _updatePacerControlsUI(paramsToReflect); _updateSensorFaultControlsUI(paramsToReflect); _updateSeedControlsUI(paramsToReflect); _updateSpo2ControlsUI(paramsToReflect); _updateAbpControlsUI(paramsToReflect); _updateEtco2ControlsUI(paramsToReflect); _updateTempControlsUI(paramsToReflect); _updateColorControlsUI(paramsToReflect); }
     catch(error) { console.error("[updateControlsToReflectParams] Error updating controls UI:", error); }
 }
 function _updateVisibilitySwitches(params) { const ecgVisSwitch = document.getElementById("ecg-visibility-switch"); const spo2VisSwitch = document.getElementById("spo2-visibility-switch"); const abpVisSwitch = document.getElementById("abp-visibility-switch"); const etco2VisSwitch = document.getElementById("etco2-visibility-switch"); const nibpVisSwitch = document.getElementById("nibp-visibility-switch"); const tempVisSwitch = document.getElementById("temp-visibility-switch"); if(ecgVisSwitch&&params.ecg) ecgVisSwitch.checked=params.ecg.visible; if(spo2VisSwitch&&params.spo2) spo2VisSwitch.checked=params.spo2.visible; if(abpVisSwitch&&params.abp) abpVisSwitch.checked=params.abp.visible; if(etco2VisSwitch&&params.etco2) etco2VisSwitch.checked=params.etco2.visible; if(nibpVisSwitch&&params.nibp) nibpVisSwitch.checked=params.nibp.visible; if(tempVisSwitch&&params.temp) tempVisSwitch.checked=params.temp.visible; }
 function _updateEcgControlsUI(params, calculateInitialHRFunc) { const rhythmSelect=document.getElementById("ecg-rhythm-select"); const hrSlider=document.getElementById("hr-slider"); const hrSliderDisplay=document.getElementById("hr-slider-display"); if(rhythmSelect&&params.ecg){ rhythmSelect.value=params.ecg.rhythm; try { rhythmSelect.disabled = (params.ecg.rhythm === 'cpr_artifact'); } catch(e){} } if(params.ecg&&calculateInitialHRFunc&&params.ecg.params&&hrSlider&&hrSliderDisplay){ const ecgParams=params.ecg.params; const targetHRValue=params.ecg.hr; const isCprOrPulseless=params.ecg.rhythm==='cpr_artifact'||ecgParams.isPEA||ecgParams.isChaotic||ecgParams.isFlat||params.ecg.rhythm==='vt_pulseless'; const {canChangeHR}=calculateInitialHRFunc(ecgParams,targetHRValue); const enableSlider=!isCprOrPulseless&&canChangeHR; hrSlider.value=ensureFinite(targetHRValue,0); hrSlider.disabled=!enableSlider; hrSliderDisplay.textContent=ensureFinite(targetHRValue,0); }else if(hrSliderDisplay){ hrSliderDisplay.textContent='N/A'; if(hrSlider)hrSlider.disabled=true; } }
+function _updateTorsadesControlsUI(params) {
+    const row = document.getElementById("ecg-torsades-controls");
+    const ecgParams = params.ecg?.params;
+    const isTorsades = ecgParams?.generatorType === 'torsades';
+    if (row) row.classList.toggle("d-none", !isTorsades);
+    if (!isTorsades) return;
+    const rateInput = document.getElementById("ecg-torsades-rate");
+    const twistInput = document.getElementById("ecg-torsades-twist");
+    if (rateInput) rateInput.value = ensureFinite(ecgParams.torsadesRate, 220);
+    if (twistInput) twistInput.value = ensureFinite(ecgParams.twistPeriod, 2);
+}
+function _updatePacerControlsUI(params) {
+    const pacer = { ...DEFAULT_PACER, ...(params.pacer || {}) };
+    const enabledSwitch = document.getElementById("pacer-enabled-switch");
+    if (enabledSwitch) enabledSwitch.checked = !!pacer.enabled;
+    const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+    setValue("pacer-rate", pacer.rate);
+    setValue("pacer-ma", pacer.mA);
+    setValue("pacer-capture-threshold", pacer.captureThreshold);
+}
+function _updateSensorFaultControlsUI(params) {
+    const faults = { ...DEFAULT_SENSOR_FAULTS, ...(params.faults || {}) };
+    Object.keys(DEFAULT_SENSOR_FAULTS).forEach(faultKey => {
+        const faultSwitch = document.getElementById(sensorFaultSwitchId(faultKey));
+        if (faultSwitch) faultSwitch.checked = !!faults[faultKey];
+    });
+}
+function _updateSeedControlsUI(params) {
+    const seedInput = document.getElementById("random-seed-input");
+    if (seedInput && params.seed !== undefined) seedInput.value = params.seed;
+}
+function _updateEctopyControlsUI(params) {
+    const ectopy = { ...DEFAULT_ECTOPY, ...(params.ecg?.ectopy || {}) };
+    const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+    setValue("ecg-ectopy-type-select", ectopy.type);
+    setValue("ecg-ectopy-pattern-select", ectopy.pattern);
+    setValue("ecg-ectopy-focus-select", ectopy.focus);
+    setValue("ecg-ectopy-frequency-slider", ectopy.frequency);
+    setValue("ecg-ectopy-run-length", ectopy.runLength);
+    setValue("ecg-ectopy-run-rate", ectopy.runRate);
+    const freqDisplay = document.getElementById("ecg-ectopy-frequency-display");
+    if (freqDisplay) freqDisplay.textContent = ectopy.frequency;
+}
 function _updateSpo2ControlsUI(params) {
     const spo2Slider=document.getElementById("spo2-slider");
     const spo2ShapeSelect=document.getElementById("spo2-shape-select");
@@ -1453,16 +2178,19 @@ function _updateColorControlsUI(params) {
             if (sliderEl) sliderEl.value = val;
         };
 
-        syncAlarmControls('alarm-ecg-low', params.alarms.ecg.low);
-        syncAlarmControls('alarm-ecg-high', params.alarms.ecg.high);
-        syncAlarmControls('alarm-spo2-low', params.alarms.spo2.low);
-        syncAlarmControls('alarm-abp-low', params.alarms.abp.low_map);
-        syncAlarmControls('alarm-abp-sys-low', params.alarms.abp.low_sys);
-        syncAlarmControls('alarm-abp-sys-high', params.alarms.abp.high_sys);
-        syncAlarmControls('alarm-abp-dia-low', params.alarms.abp.low_dia);
-        syncAlarmControls('alarm-abp-dia-high', params.alarms.abp.high_dia);
-        syncAlarmControls('alarm-etco2-low', params.alarms.etco2.low);
-        syncAlarmControls('alarm-etco2-high', params.alarms.etco2.high);
+        const thresholds = resolveAlarmThresholds(params.alarms);
+        ALARM_LIMIT_BINDINGS.forEach(binding => {
+            syncAlarmControls(binding.id, thresholds[binding.cat][binding.key]);
+            const enabled = thresholds.enabled[binding.alarmKey] !== false;
+            const switchEl = document.getElementById(binding.id + '-enabled');
+            if (switchEl) switchEl.checked = enabled;
+            _setAlarmLimitInputsEnabled(binding, enabled);
+        });
+        const priorities = { ...DEFAULT_ALARM_THRESHOLDS.priorities, ...(params.alarms.priorities || {}) };
+        Object.keys(priorities).forEach(alarmKey => {
+            const select = document.getElementById(`alarm-priority-${alarmKey}`);
+            if (select) select.value = priorities[alarmKey];
+        });
     }
 }
 
@@ -1489,7 +2217,7 @@ export function showPendingChanges(monitorInstance) {
         console.log("[showPendingChanges] No interpolationTargetParams, assuming pending changes if targetParams exist.");
     } else {
         try {
-            const keysToCompare = ['ecg', 'spo2', 'abp', 'etco2', 'temp', 'nibp', 'colors', 'alarms'];
+            const keysToCompare = ['ecg', 'spo2', 'abp', 'etco2', 'temp', 'nibp', 'colors', 'alarms', 'pacer', 'faults', 'seed'];
             for (const key of keysToCompare) {
                 if (!target[key] || !compareTo[key]) {
                     if (target[key] !== compareTo[key]) {
@@ -0,0 +1,302 @@
+// debriefReport.js - Debrief timeline built from a session's event log, with JSON and printable exports
+// VERSION: Initial version. The server records controller commands (param_update, shock, nibp_trigger,
+//          activate_sim / deactivate_sim, sound_state_update, scenario_event) and the monitors' alarm onsets
+//          per session; 'get_event_log' returns them. This module turns that log into a timeline of rhythm
+//          changes, shocks, CPR on/off, NIBP readings and alarm onsets. No DOM access except the export helpers.
+//
+//          + ADDED: Alarm audio pause and alarm acknowledgement entries.
+//          + ADDED: Labels of the rhythm alarms (rhythmAlarms.js), SpO2 high, RR, temperature and NIBP alarms.
+//          + ADDED: Labels of the technical (sensor fault) alarms.
+//          + ADDED: NIBP cycle (nibpCycle.js): results with the reason a measurement failed, and mode changes.
+//                   Cuff starts are left out.
+//          + FIX: 'param_update' events that carry only the changed params ('changes').
+//
+// Elapsed times count from the scenario start: the first scenario start in the log, or the first activation
+// of the monitor when no scenario was run. Events before that point get negative times.
+
+import { NIBP_MODES, NIBP_ERRORS } from "./nibpCycle.js";
+import { downloadBlob } from "./fileDownload.js";
+
+export const DEBRIEF_CATEGORIES = {
+    SCENARIO: "scenario",
+    MONITOR: "monitor",
+    RHYTHM: "rhythm",
+    CPR: "cpr",
+    SHOCK: "shock",
+    NIBP: "nibp",
+    ALARM: "alarm",
+    SOUND: "sound",
+};
+
+const CPR_RHYTHM = "cpr_artifact";
+
+// Alarm keys from alarmManager.checkAlarms(). null = aggregate of other alarms, left out of the timeline.
+const ALARM_LABELS = {
+    low_hr: "HR LOW",
+    high_hr: "HR HIGH",
+    low_spo2: "SpO2 LOW",
+    low_map: "ABP MAP LOW",
+    low_abp_sys: "ABP SYS LOW",
+    low_abp_dia: "ABP DIA LOW",
+    high_abp_sys: "ABP SYS HIGH",
+    high_abp_dia: "ABP DIA HIGH",
+    low_abp: null,
+    high_abp: null,
+    low_etco2: "ETCO2 LOW",
+    high_etco2: "ETCO2 HIGH",
+    high_spo2: "SpO2 HIGH",
+    low_rr: "RR LOW",
+    high_rr: "RR HIGH",
+    low_temp: "TEMP LOW",
+    high_temp: "TEMP HIGH",
+    low_nibp_map: "NIBP MAP LOW",
+    low_nibp_sys: "NIBP SYS LOW",
+    low_nibp_dia: "NIBP DIA LOW",
+    high_nibp_sys: "NIBP SYS HIGH",
+    high_nibp_dia: "NIBP DIA HIGH",
+    asystole: "ASYSTOLE",
+    vfib_vtach: "VFIB/VTACH",
+    vtach: "VTACH",
+    extreme_brady: "EXTREME BRADY",
+    extreme_tachy: "EXTREME TACHY",
+    pause: "PAUSE",
+    apnea: "APNEA",
+    leads_off: "ECG LEADS OFF",
+    spo2_probe_off: "SPO2 PROBE OFF",
+    nibp_cuff: "NIBP CUFF LEAK/ARTIFACT",
+    abp_transducer: "ABP TRANSDUCER DISCONNECTED",
+    etco2_line: "ETCO2 CHECK SAMPLING LINE",
+};
+
+/**
+ * @param {string} alarmKey Key reported by the monitor, e.g. 'low_spo2'.
+ * @returns {string|null} Display text, or null for alarms not shown on their own.
+ */
+export function describeAlarm(alarmKey) {
+    if (alarmKey in ALARM_LABELS) return ALARM_LABELS[alarmKey];
+    return String(alarmKey).replace(/_/g, " ").toUpperCase();
+}
+
+/**
+ * Elapsed time as m:ss, or h:mm:ss from one hour on. Negative times get a leading minus.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatElapsed(seconds) {
+    const sign = seconds < 0 ? "-" : "";
+    const total = Math.floor(Math.abs(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, "0");
+    return h > 0 ? `${sign}${h}:${String(m).padStart(2, "0")}:${s}` : `${sign}${m}:${s}`;
+}
+
+function _isScenarioStart(event) {
+    return event.type === "scenario_event" && event.event === "stage" && event.reason === "start";
+}
+
+/**
+ * Time (ms) elapsed times are counted from: first scenario start, else first activation, else the first event.
+ * @param {Array<object>} events Event log from the server, oldest first.
+ * @returns {number|null}
+ */
+export function findScenarioStart(events) {
+    const start = events.find(_isScenarioStart) ?? events.find((event) => event.type === "activate_sim") ?? events[0];
+    return start ? start.t : null;
+}
+
+function _describeNibp(nibpData) {
+    if (!nibpData || !Number.isFinite(nibpData.sys) || !Number.isFinite(nibpData.dia)) {
+        return NIBP_ERRORS[nibpData?.error] ? `NIBP: no reading (${NIBP_ERRORS[nibpData.error]})` : "NIBP: no reading";
+    }
+    const map = Number.isFinite(nibpData.map) ? ` (${Math.round(nibpData.map)})` : "";
+    return `NIBP ${Math.round(nibpData.sys)}/${Math.round(nibpData.dia)}${map}`;
+}
+
+/**
+ * Builds the debrief timeline from an event log.
+ * @param {Array<{t: number, type: string}>} events Event log from the server ('event_log' message), oldest first.
+ * @param {{rhythmLabel?: function(string): string}} [options] rhythmLabel turns a rhythm key into display text.
+ * @returns {{startedAt: number|null, entries: Array<{t: number, elapsedS: number, category: string, text: string}>}}
+ */
+export function buildDebriefTimeline(events, options = {}) {
+    const rhythmLabel = options.rhythmLabel ?? ((key) => key);
+    const startedAt = findScenarioStart(events);
+    const entries = [];
+    const add = (event, category, text) => entries.push({ t: event.t, elapsedS: (event.t - startedAt) / 1000, category, text });
+
+    let rhythm = null;           // rhythm on the monitor, including the CPR artifact
+    let underlyingRhythm = null; // last rhythm other than the CPR artifact
+    let scenarioName = null;
+    let nibpMode = "manual";     // NIBP cycle mode, mode changes are listed
+
+    const changeRhythm = (event, newRhythm, suffix = "") => {
+        if (!newRhythm || newRhythm === rhythm) return;
+        if (newRhythm === CPR_RHYTHM) {
+            add(event, DEBRIEF_CATEGORIES.CPR, "CPR started");
+        } else {
+            if (rhythm === CPR_RHYTHM) add(event, DEBRIEF_CATEGORIES.CPR, "CPR stopped");
+            if (newRhythm !== underlyingRhythm) add(event, DEBRIEF_CATEGORIES.RHYTHM, `Rhythm: ${rhythmLabel(newRhythm)}${suffix}`);
+            underlyingRhythm = newRhythm;
+        }
+        rhythm = newRhythm;
+    };
+
+    for (const event of events) {
+        switch (event.type) {
+            case "param_update":
+                // 'changes' has the rhythm only when it changed; logs from before it carry all 'params'
+                changeRhythm(event, (event.changes ?? event.params)?.ecg?.rhythm ?? null);
+                break;
+            case "shock": {
+                const energy = Number.isFinite(event.energy) ? `${event.energy} J` : "energy not recorded";
+                add(event, DEBRIEF_CATEGORIES.SHOCK, `Shock ${energy}${event.sync ? " SYNC" : ""}`);
+                changeRhythm(event, event.rhythm, " (after shock)");
+                break;
+            }
+            case "nibp_trigger": {
+                const mode = event.nibpData?.mode;
+                if (NIBP_MODES[mode] && mode !== nibpMode) {
+                    nibpMode = mode;
+                    add(event, DEBRIEF_CATEGORIES.NIBP, `NIBP mode: ${NIBP_MODES[mode].label}`);
+                }
+                // Only results carry a new reading; data without an event comes from controllers before the cycle
+                const nibpEvent = event.nibpData?.event;
+                if (!nibpEvent || nibpEvent === "result") add(event, DEBRIEF_CATEGORIES.NIBP, _describeNibp(event.nibpData));
+                break;
+            }
+            case "alarm": {
+                const label = describeAlarm(event.alarm);
+                if (label) add(event, DEBRIEF_CATEGORIES.ALARM, `Alarm: ${label}`);
+                break;
+            }
+            case "activate_sim":
+                add(event, DEBRIEF_CATEGORIES.MONITOR, "Monitor activated");
+                break;
+            case "deactivate_sim":
+                add(event, DEBRIEF_CATEGORIES.MONITOR, "Monitor deactivated");
+                nibpMode = "manual"; // stopping the monitor ends the NIBP cycle
+                break;
+            case "sound_state_update":
+                add(event, DEBRIEF_CATEGORIES.SOUND, event.soundState ? "Alarm sounds on" : "Alarm sounds off");
+                break;
+            case "audio_pause_update":
+                add(event, DEBRIEF_CATEGORIES.SOUND, event.audioPauseMs > 0
+                    ? `Alarm audio paused ${formatElapsed(event.audioPauseMs / 1000)}`
+                    : "Alarm audio resumed");
+                break;
+            case "alarm_acknowledge": {
+                const labels = (event.alarmKeys ?? []).map(describeAlarm).filter(Boolean);
+                if (labels.length) add(event, DEBRIEF_CATEGORIES.ALARM, `Acknowledged: ${labels.join(", ")}`);
+                break;
+            }
+            case "scenario_event":
+                if (_isScenarioStart(event)) {
+                    scenarioName = event.scenario;
+                    add(event, DEBRIEF_CATEGORIES.SCENARIO, `Scenario '${event.scenario}' started: ${event.stage}`);
+                } else if (event.event === "stage") {
+                    add(event, DEBRIEF_CATEGORIES.SCENARIO, `Stage: ${event.stage} (${event.reason})`);
+                } else if (event.event === "end") {
+                    add(event, DEBRIEF_CATEGORIES.SCENARIO, `Scenario '${event.scenario ?? scenarioName}' ended (${event.reason})`);
+                }
+                break;
+            default:
+                break; // alarm_cleared and anything newer are kept in the log but not shown
+        }
+    }
+    return { startedAt, entries };
+}
+
+/**
+ * @param {string} sessionId
+ * @param {Array<object>} events Raw event log.
+ * @param {{startedAt: number|null, entries: Array<object>}} timeline From buildDebriefTimeline().
+ * @returns {string} JSON with the timeline (elapsed and wall-clock times) and the raw event log.
+ */
+export function formatDebriefJson(sessionId, events, timeline) {
+    return JSON.stringify({
+        sessionId,
+        exportedAt: new Date().toISOString(),
+        scenarioStartedAt: timeline.startedAt === null ? null : new Date(timeline.startedAt).toISOString(),
+        timeline: timeline.entries.map((entry) => ({
+            time: new Date(entry.t).toISOString(),
+            elapsed: formatElapsed(entry.elapsedS),
+            elapsedS: Math.round(entry.elapsedS * 10) / 10,
+            category: entry.category,
+            text: entry.text,
+        })),
+        events,
+    }, null, 2);
+}
+
+function _escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
+/**
+ * @param {string} sessionId
+ * @param {{startedAt: number|null, entries: Array<object>}} timeline From buildDebriefTimeline().
+ * @returns {string} Stand-alone HTML document laid out for printing (black on white, one row per entry).
+ */
+export function formatDebriefReportHtml(sessionId, timeline) {
+    const started = timeline.startedAt === null ? "-" : new Date(timeline.startedAt).toLocaleString();
+    const rows = timeline.entries.map((entry) =>
+        `<tr class="${_escapeHtml(entry.category)}"><td>${formatElapsed(entry.elapsedS)}</td>` +
+        `<td>${_escapeHtml(new Date(entry.t).toLocaleTimeString())}</td><td>${_escapeHtml(entry.text)}</td></tr>`
+    ).join("\n");
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Debrief - session ${_escapeHtml(sessionId)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #000; background: #fff; margin: 2em; }
+  h1 { font-size: 1.4em; margin-bottom: 0.2em; }
+  p { margin: 0.2em 0 1em; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border-bottom: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 0.9em; }
+  td:first-child { font-variant-numeric: tabular-nums; width: 5em; }
+  tr.shock td, tr.rhythm td { font-weight: bold; }
+  tr { page-break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>Simulation debrief</h1>
+<p>Session ${_escapeHtml(sessionId)} &middot; scenario start ${_escapeHtml(started)} &middot; ${timeline.entries.length} events</p>
+<table>
+<thead><tr><th>Elapsed</th><th>Time</th><th>Event</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Downloads the debrief as debrief_<session>_<date>.json.
+ * @param {string} sessionId
+ * @param {Array<object>} events Raw event log.
+ * @param {object} timeline From buildDebriefTimeline().
+ */
+export function exportDebriefJson(sessionId, events, timeline) {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([formatDebriefJson(sessionId, events, timeline)], { type: "application/json" }), `debrief_${sessionId}_${date}.json`);
+}
+
+/**
+ * Opens the printable report in a new window and starts printing.
+ * @param {string} sessionId
+ * @param {object} timeline From buildDebriefTimeline().
+ * @returns {boolean} False when the browser blocked the window.
+ */
+export function printDebriefReport(sessionId, timeline) {
+    const reportWindow = window.open("", "_blank");
+    if (!reportWindow) return false;
+    reportWindow.document.write(formatDebriefReportHtml(sessionId, timeline));
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+    return true;
+}
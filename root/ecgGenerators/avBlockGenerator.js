@@ -1,5 +1,6 @@
 // ecgGenerators/avBlockGenerator.js
 import { ensureFinite, gaussian, generateNoise } from '../waveformUtils.js';
+import { random } from '../random.js';
 
 // Apufunktio P-aallon generointiin (yksinkertaistettu PQRST:stä)
 function generatePWave(t_relative_p, p_amp, p_duration) {
@@ -8,7 +9,9 @@ function generatePWave(t_relative_p, p_amp, p_duration) {
     }
     const Bp = Math.PI / p_duration;
     let p_value = p_amp * Math.sin(Bp * t_relative_p);
-    return p_value < 0 ? 0 : p_value; // Vain positiivinen osa
+    if (p_amp > 0 && p_value < 0) return 0;
+    if (p_amp < 0 && p_value > 0) return 0; // inverted P (e.g. aVR)
+    return p_value;
 }
 
 // Apufunktio QRS-T kompleksin generointiin (yksinkertaistettu PQRST:stä)
@@ -69,11 +72,72 @@ function generateQRST(t_relative_p, params, pr_offset) {
 }
 
 
+// Escape pacemaker defaults for complete heart block, by focus. QRS morphology comes from the rhythm
+// parameters (narrow for junctional, wide for ventricular) so the lead model can scale it.
+const ESCAPE_FOCUS_DEFAULTS = {
+    junctional: { rate: 45, irregular: 0.02 },
+    ventricular: { rate: 35, irregular: 0.04 },
+};
+
+/**
+ * Complete (third-degree) AV block: the atrial and escape pacemakers run on independent clocks,
+ * so P waves march through the QRS complexes and T waves without any fixed PR relation.
+ * The starting phases and the escape jitter are drawn from the seeded random() (random.js), never Math.random(),
+ * so a session's monitors and the golden traces (avb3, avb3_junctional) reproduce the same beats.
+ * State times are finite numbers or null (the caller copies the state through JSON).
+ */
+function generateCompleteBlock(currentTime, params, state) {
+    const focus = ESCAPE_FOCUS_DEFAULTS[params.escapeFocus] ? params.escapeFocus : 'ventricular';
+    const escapeRate = params.baseHR ?? ESCAPE_FOCUS_DEFAULTS[focus].rate;
+    const escapeIrregular = params.irregular ?? ESCAPE_FOCUS_DEFAULTS[focus].irregular;
+    const atrialRate = params.atrialRate ?? 80;
+    const pInterval = atrialRate > 0 ? 60.0 / atrialRate : null;
+    const escapeInterval = escapeRate > 0 ? 60.0 / escapeRate : null;
+
+    if (!state || state.blockType !== 'complete') {
+        // Random phases so the two rhythms start unrelated to each other.
+        state = {
+            blockType: 'complete',
+            lastPTime: null,
+            nextPTime: pInterval !== null ? currentTime + pInterval * random() : null,
+            lastQRSTime: null,
+            nextQRSTime: escapeInterval !== null ? currentTime + escapeInterval * random() : null,
+        };
+    }
+
+    // Atrial clock (regular sinus rate, never conducted)
+    if (state.nextPTime !== null && currentTime >= state.nextPTime) {
+        state.lastPTime = state.nextPTime;
+        state.nextPTime += pInterval;
+    }
+    // Escape clock
+    if (state.nextQRSTime !== null && currentTime >= state.nextQRSTime) {
+        state.lastQRSTime = state.nextQRSTime;
+        state.nextQRSTime += escapeInterval * (1.0 + escapeIrregular * (random() - 0.5) * 2);
+    }
+
+    let value = 0;
+    const pDuration = params.p_duration ?? 0.10;
+    if (state.lastPTime !== null) {
+        value += generatePWave(currentTime - state.lastPTime, params.p_amp ?? 0.15, pDuration);
+    }
+    if (state.lastQRSTime !== null) {
+        const tDuration = Math.max(0.1, 3.0 * (params.t_width ?? 0.07));
+        const qrstDuration = Math.max(params.qrs_width ?? 0.08, (params.t_mean_offset ?? 0.25) + tDuration / 2);
+        const timeSinceQRS = currentTime - state.lastQRSTime;
+        if (timeSinceQRS >= 0 && timeSinceQRS < qrstDuration) {
+            value += generateQRST(timeSinceQRS, params, 0);
+        }
+    }
+    return { value, state };
+}
+
 /**
  * Generates a single point for AV Block ECG waveforms.
  * Requires state management from the caller (script.js).
  * @param {number} currentTime Absolute simulation time.
- * @param {object} params ECG rhythm parameters including blockType etc.
+ * @param {object} params ECG rhythm parameters including blockType ('mobitz1', 'mobitz2', 'complete') etc.
+ *   'complete' uses baseHR as the escape rate, atrialRate for the P waves and escapeFocus ('junctional' | 'ventricular').
  * @param {object} state Current state { lastPTime, nextPTime, lastQRSTime, nextQRSTime, ... }
  * @returns {{value: number, state: object}} Calculated ECG value and the updated state object.
  */
@@ -82,6 +146,11 @@ export function generateAVBlock(currentTime, params, state) {
     let currentValue = 0;
     const noise = generateNoise(params.noise_amp ?? 0.02);
 
+    if (blockType === 'complete') {
+        const result = generateCompleteBlock(currentTime, params, state);
+        return { value: ensureFinite(result.value + noise), state: result.state };
+    }
+
     // --- Alusta tila, jos se on tyhjä (ensimmäinen kutsu tälle rytmille) ---
     if (!state || Object.keys(state).length === 0) {
         console.log("[AVB Gen] Initializing state for", blockType);
@@ -102,7 +171,7 @@ export function generateAVBlock(currentTime, params, state) {
         if (blockType === 'avb3') {
              const escapeRate = params.baseHR; // Kolmannessa asteessa baseHR on kammiotaajuus
              const escapeInterval = escapeRate > 0 ? 60.0 / escapeRate : Infinity;
-             state.nextQRSTime = currentTime + escapeInterval * Math.random(); // Hieman satunnaisuutta alkuun
+             state.nextQRSTime = currentTime + escapeInterval * random(); // Hieman satunnaisuutta alkuun
         }
          if (blockType === 'mobitz2' && params.escapeEnabled) {
              const escapeRate = params.escapeRate;
@@ -154,7 +223,7 @@ export function generateAVBlock(currentTime, params, state) {
         } else if (blockType === 'mobitz2') {
             // Mobitz II: Johtuminen todennäköisyyden tai suhteen mukaan
             const probability = params.conductionProbability ?? 0.5;
-            if (Math.random() < probability) {
+            if (random() < probability) {
                 conductThisP = true;
                 currentPRForConduction = params.prIntervalFixed ?? 0.18;
                 state.conductedBeatCount++;
@@ -173,7 +242,7 @@ export function generateAVBlock(currentTime, params, state) {
             if (blockType === 'mobitz2' && params.escapeEnabled) {
                   const escapeRate = params.escapeRate;
                   const escapeInterval = escapeRate > 0 ? 60.0 / escapeRate : Infinity;
-                  state.nextEscapeBeatTime = currentTime + escapeInterval * (1.5 + Math.random()); // Siirrä seuraavaa escapea kauemmas
+                  state.nextEscapeBeatTime = currentTime + escapeInterval * (1.5 + random()); // Siirrä seuraavaa escapea kauemmas
             }
         }
     }
@@ -212,7 +281,7 @@ export function generateAVBlock(currentTime, params, state) {
         const escapeRate = params.baseHR;
         const escapeInterval = escapeRate > 0 ? 60.0 / escapeRate : Infinity;
         // Lisää hieman epäsäännöllisyyttä
-        const irregularityFactor = 1.0 + ((params.irregular ?? 0.02) * (Math.random() - 0.5) * 2);
+        const irregularityFactor = 1.0 + ((params.irregular ?? 0.02) * (random() - 0.5) * 2);
         state.nextQRSTime += escapeInterval * irregularityFactor;
          console.log("AVB3 Escape QRS generated at:", state.lastQRSTime.toFixed(3));
 
@@ -228,7 +297,7 @@ export function generateAVBlock(currentTime, params, state) {
              // Laske seuraava escape
              const escapeRate = params.escapeRate;
              const escapeInterval = escapeRate > 0 ? 60.0 / escapeRate : Infinity;
-              const irregularityFactor = 1.0 + ((params.irregular ?? 0.02) * (Math.random() - 0.5) * 2);
+              const irregularityFactor = 1.0 + ((params.irregular ?? 0.02) * (random() - 0.5) * 2);
              state.nextEscapeBeatTime += escapeInterval * irregularityFactor;
              console.log("Mobitz II Escape QRS generated at:", state.lastQRSTime.toFixed(3));
          } else {
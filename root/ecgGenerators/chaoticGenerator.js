@@ -1,12 +1,11 @@
 // ecgGenerators/chaoticGenerator.js
 import { ensureFinite, generateNoise } from '../waveformUtils.js';
+import { random } from '../random.js';
 
-// --- Moduulinlaajuiset muuttujat VF-aaltomuodon sulavampaan generointiin ---
-let lastChaoticValue = 0;
-let nextChaoticValue = 0; // Tuleva arvo, johon interpoloidaan
-let holdCounter = 0;
-let interpolationStep = 0; // Nykyinen askel interpolaatiossa
+// --- Moduulinlaajuinen tila VF-aaltomuodon sulavampaan generointiin ---
+// Values are stored normalised (-1..1) so the same state can be drawn at any lead amplitude.
 const DEFAULT_VF_HOLD_DURATION = 4; // Oletuspitoaika näytteinä (interpolaation kesto)
+const moduleState = {};
 // ---
 
 /**
@@ -17,42 +16,51 @@ const DEFAULT_VF_HOLD_DURATION = 4; // Oletuspitoaika näytteinä (interpolaatio
  * - vf_amp: Amplitude of the ventricular fibrillation.
  * - noise_amp: Amplitude of the baseline noise.
  * - vf_hold_duration (optional): Specific hold duration (interpolation steps) for this rhythm.
+ * @param {object} [state] Interpolation state, advanced in place. Defaults to a module-level state;
+ *        pass one per trace to draw several leads of the same VF (see script.js).
  * @returns {number} Calculated ECG value for the given time.
  */
-export function generateChaotic(params) {
+export function generateChaotic(params, state = moduleState) {
     const vfAmplitude = params?.vf_amp ?? 0.7; // Default VF amplitude if not specified
     const noiseAmp = params?.noise_amp ?? 0.03; // Default noise amplitude
     // Use vf_hold_duration from params if available, otherwise use the module's default
     const currentVfHoldDuration = params?.vf_hold_duration ?? DEFAULT_VF_HOLD_DURATION;
 
+    if (state.holdCounter === undefined) {
+        state.lastChaoticValue = 0;
+        state.nextChaoticValue = 0; // Tuleva arvo, johon interpoloidaan
+        state.holdCounter = 0;
+        state.interpolationStep = 0; // Nykyinen askel interpolaatiossa
+    }
+
     // Check if it's time to generate new target values for interpolation
-    if (holdCounter <= 0) {
+    if (state.holdCounter <= 0) {
         // The previous target value becomes the starting point for the new interpolation
-        lastChaoticValue = nextChaoticValue;
+        state.lastChaoticValue = state.nextChaoticValue;
         // Generate a new random target value for the VF waveform
-        nextChaoticValue = (Math.random() - 0.5) * 2 * vfAmplitude;
-        
+        state.nextChaoticValue = (random() - 0.5) * 2;
+
         // Reset the interpolation step and the hold counter
-        interpolationStep = 0;
-        holdCounter = currentVfHoldDuration; // This counter ensures a new value is picked after duration
+        state.interpolationStep = 0;
+        state.holdCounter = currentVfHoldDuration; // This counter ensures a new value is picked after duration
     }
 
     let currentValue;
     // Perform linear interpolation if the hold duration is positive and we haven't reached the end
-    if (currentVfHoldDuration > 0 && interpolationStep < currentVfHoldDuration) {
-        const progress = interpolationStep / currentVfHoldDuration;
-        currentValue = lastChaoticValue + (nextChaoticValue - lastChaoticValue) * progress;
-        interpolationStep++; // Increment the step for the next point
+    if (currentVfHoldDuration > 0 && state.interpolationStep < currentVfHoldDuration) {
+        const progress = state.interpolationStep / currentVfHoldDuration;
+        currentValue = state.lastChaoticValue + (state.nextChaoticValue - state.lastChaoticValue) * progress;
+        state.interpolationStep++; // Increment the step for the next point
     } else {
         // If hold duration is 0 or interpolation is complete, use the target value directly
-        currentValue = nextChaoticValue;
+        currentValue = state.nextChaoticValue;
     }
-    
+
     // Decrement the main counter that triggers new random value generation
-    holdCounter--;
+    state.holdCounter--;
 
     // Add baseline noise to the current interpolated or target value
-    let ecgValue = currentValue + generateNoise(noiseAmp);
+    let ecgValue = currentValue * vfAmplitude + generateNoise(noiseAmp);
 
     // Ensure the final value is a finite number
     return ensureFinite(ecgValue);
@@ -0,0 +1,147 @@
+// ecgGenerators/ectopyGenerator.js
+// Ectopy layer for 'pqrst' rhythms: decides which upcoming beats are premature (PVC/PAC),
+// when they occur and what they look like. script.js keeps the beat clock; this module only plans beats.
+//
+// Config (targetParams.ecg.ectopy):
+// { type: 'none' | 'pvc' | 'pac',
+//   pattern: 'isolated' | 'bigeminy' | 'trigeminy' | 'couplets' | 'nsvt',
+//   frequency: 0-100,        // % chance per sinus beat (isolated, couplets, nsvt)
+//   focus: 'unifocal' | 'multifocal',
+//   runLength: 5,            // ectopic beats per NSVT run
+//   runRate: 160 }           // bpm inside an NSVT run
+import { random } from '../random.js';
+
+export const ECTOPY_TYPES = ['none', 'pvc', 'pac'];
+export const ECTOPY_PATTERNS = ['isolated', 'bigeminy', 'trigeminy', 'couplets', 'nsvt'];
+
+export const DEFAULT_ECTOPY = {
+    type: 'none',
+    pattern: 'isolated',
+    frequency: 10,
+    focus: 'unifocal',
+    runLength: 5,
+    runRate: 160,
+};
+
+// Coupling interval as a fraction of the underlying sinus interval.
+const PVC_COUPLING = 0.6;
+const PAC_COUPLING = 0.7;
+// Sinus beats arriving within this fraction of an R-R interval after a PVC are blocked.
+const PVC_REFRACTORY_FRACTION = 0.75;
+// Relative stroke volume of the ectopic beat (drives SpO2/ABP pulse height).
+const PVC_PERFUSION = 0.35;
+const PVC_RUN_PERFUSION = 0.25;
+const PAC_PERFUSION = 0.75;
+
+// PVC morphologies. Unifocal rhythms always use the first one.
+const PVC_FOCI = [
+    { qrs_amp: 1.7, qrs_width: 0.15, q_amp_factor: 0.05, s_amp_factor: 0.3, t_amp: -0.45, t_width: 0.1, t_mean_offset: 0.32 },
+    { qrs_amp: -1.4, qrs_width: 0.16, q_amp_factor: 0.05, s_amp_factor: 0.1, t_amp: 0.4, t_width: 0.1, t_mean_offset: 0.33 },
+    { qrs_amp: 1.1, qrs_width: 0.14, q_amp_factor: 0.2, s_amp_factor: 0.9, t_amp: -0.3, t_width: 0.09, t_mean_offset: 0.3 },
+];
+// PAC P-wave variants (ectopic atrial focus: shorter PR, different P shape).
+const PAC_FOCI = [
+    { p_amp: 0.1, p_duration: 0.07, pr_interval: 0.13 },
+    { p_amp: 0.2, p_duration: 0.06, pr_interval: 0.12 },
+    { p_amp: 0.06, p_duration: 0.09, pr_interval: 0.11 },
+];
+
+export const SINUS_BEAT = { kind: 'sinus', perfusion: 1, params: null };
+
+/**
+ * @param {object} ectopy Ectopy config from params.ecg.ectopy.
+ * @param {object} rhythmParams Runtime rhythm parameters.
+ * @returns {boolean} True if ectopic beats should be injected into this rhythm.
+ */
+export function isEctopyApplicable(ectopy, rhythmParams) {
+    return !!ectopy && (ectopy.type === 'pvc' || ectopy.type === 'pac') &&
+        rhythmParams?.generatorType === 'pqrst' && !(rhythmParams.isPEA ?? false);
+}
+
+export function createEctopyState() {
+    return { lastKind: 'sinus', sinusSinceEctopic: 0, runRemaining: 0, runIsNsvt: false, timeSinceSinus: 0 };
+}
+
+function _buildEctopicBeat(type, focusMode, rhythmParams, inRun) {
+    const foci = type === 'pvc' ? PVC_FOCI : PAC_FOCI;
+    const focus = focusMode === 'multifocal' ? foci[Math.floor(random() * foci.length)] : foci[0];
+    if (type === 'pvc') {
+        return {
+            kind: 'pvc',
+            perfusion: inRun ? PVC_RUN_PERFUSION : PVC_PERFUSION,
+            params: { ...rhythmParams, hasP: false, p_amp: 0, pr_interval: 0, st_elevation_amp: 0, hasT: true, ...focus },
+        };
+    }
+    return {
+        kind: 'pac',
+        perfusion: PAC_PERFUSION,
+        params: { ...rhythmParams, hasP: true, ...focus },
+    };
+}
+
+/**
+ * Plans the next beat given the beat that just started.
+ * Pure: the returned state should only be committed when the planned beat actually fires.
+ * @param {object} ectopy Ectopy config.
+ * @param {object} state Current ectopy state (see createEctopyState).
+ * @param {number} sinusInterval Underlying sinus R-R interval in seconds.
+ * @param {object} rhythmParams Runtime rhythm parameters (used as the base for ectopic morphology).
+ * @returns {{beat: object, interval: number, state: object}} Upcoming beat, time until it, and the state after it.
+ */
+export function planNextBeat(ectopy, state, sinusInterval, rhythmParams) {
+    const cfg = { ...DEFAULT_ECTOPY, ...(ectopy || {}) };
+    const s = { ...createEctopyState(), ...(state || {}) };
+    const type = cfg.type;
+    const chance = Math.max(0, Math.min(100, Number(cfg.frequency) || 0)) / 100;
+    const coupling = sinusInterval * (type === 'pvc' ? PVC_COUPLING : PAC_COUPLING);
+
+    let ectopicNext = false;
+    let inRun = false;
+    if (s.runRemaining > 0) {
+        ectopicNext = true;
+        inRun = true;
+    } else if (s.lastKind === 'sinus') {
+        switch (cfg.pattern) {
+            case 'bigeminy': ectopicNext = true; break;
+            case 'trigeminy': ectopicNext = s.sinusSinceEctopic >= 2; break;
+            case 'couplets':
+            case 'nsvt':
+            case 'isolated':
+            default: ectopicNext = random() < chance; break;
+        }
+        if (ectopicNext && (cfg.pattern === 'couplets' || cfg.pattern === 'nsvt')) {
+            s.runIsNsvt = cfg.pattern === 'nsvt';
+            s.runRemaining = cfg.pattern === 'couplets' ? 2 : Math.max(3, Math.round(Number(cfg.runLength) || DEFAULT_ECTOPY.runLength));
+        }
+    }
+
+    let interval;
+    let beat;
+    if (ectopicNext) {
+        const runInterval = s.runIsNsvt ? 60.0 / Math.max(60, Number(cfg.runRate) || DEFAULT_ECTOPY.runRate) : coupling;
+        interval = inRun ? Math.min(runInterval, coupling) : coupling;
+        beat = _buildEctopicBeat(type, cfg.focus, rhythmParams, inRun);
+        if (s.runRemaining > 0) s.runRemaining--;
+        s.timeSinceSinus += interval;
+        s.sinusSinceEctopic = 0;
+        s.lastKind = beat.kind;
+    } else {
+        if (s.lastKind === 'pvc') {
+            // Compensatory pause: the sinus node was not reset, so the next sinus beat lands on its own schedule.
+            // A sinus beat falling too soon after the PVC hits refractory tissue and is not conducted.
+            const elapsed = s.timeSinceSinus;
+            let cycles = Math.ceil(elapsed / sinusInterval);
+            if (cycles * sinusInterval - elapsed < sinusInterval * PVC_REFRACTORY_FRACTION) cycles++;
+            interval = cycles * sinusInterval - elapsed;
+        } else {
+            // After a PAC the sinus node is reset (non-compensatory pause).
+            interval = sinusInterval;
+        }
+        beat = SINUS_BEAT;
+        s.timeSinceSinus = 0;
+        s.sinusSinceEctopic++;
+        s.lastKind = 'sinus';
+        s.runIsNsvt = false;
+    }
+    return { beat, interval: Math.max(0.1, interval), state: s };
+}
@@ -0,0 +1,123 @@
+// ecgGenerators/flutterGenerator.js
+import { ensureFinite, generateNoise } from '../waveformUtils.js';
+import { generatePQRST } from './pqrstGenerator.js';
+import { random } from '../random.js';
+
+const DEFAULT_FLUTTER_RATE = 300;
+const DEFAULT_VARIABLE_RATIOS = [2, 3, 4];
+
+/**
+ * Sawtooth F-wave. Slow negative-going ramp followed by a quick return to baseline,
+ * as seen in the inferior leads in typical flutter. Centred around zero.
+ * @param {number} t_relative_f Time since the start of the current F-wave.
+ * @param {number} fInterval Duration of one F-wave (60 / flutterRate).
+ * @param {number} f_amp Peak-to-peak amplitude.
+ * @param {number} rampFraction Fraction of the cycle spent on the slow downslope.
+ */
+function generateFWave(t_relative_f, fInterval, f_amp, rampFraction) {
+    if (f_amp === 0 || fInterval <= 0 || t_relative_f < 0) return 0;
+    const phase = (t_relative_f % fInterval) / fInterval;
+    let value;
+    if (phase < rampFraction) {
+        value = -f_amp * (phase / rampFraction);
+    } else {
+        value = -f_amp * (1 - (phase - rampFraction) / (1 - rampFraction));
+    }
+    return value + f_amp / 2;
+}
+
+/**
+ * Picks the number of F-waves per conducted QRS.
+ * @param {object} params Rhythm parameters (conductionRatio: 2 | 3 | 4 | 'variable').
+ * @returns {number} Conduction ratio for the next ventricular beat.
+ */
+function pickConductionRatio(params) {
+    if (params.conductionRatio === 'variable') {
+        const ratios = Array.isArray(params.variableRatios) && params.variableRatios.length > 0
+            ? params.variableRatios
+            : DEFAULT_VARIABLE_RATIOS;
+        return Math.max(1, Math.round(ratios[Math.floor(random() * ratios.length)]));
+    }
+    return Math.max(1, Math.round(ensureFinite(params.conductionRatio, 2)));
+}
+
+/**
+ * Mean ventricular rate for a flutter rhythm (flutterRate / conduction ratio).
+ * For variable conduction the mean of `variableRatios` is used.
+ * @param {object} params Rhythm parameters.
+ * @returns {number} Ventricular rate in bpm.
+ */
+export function getFlutterVentricularRate(params) {
+    const flutterRate = ensureFinite(params?.flutterRate, DEFAULT_FLUTTER_RATE);
+    let ratio;
+    if (params?.conductionRatio === 'variable') {
+        const ratios = Array.isArray(params.variableRatios) && params.variableRatios.length > 0
+            ? params.variableRatios
+            : DEFAULT_VARIABLE_RATIOS;
+        ratio = ratios.reduce((sum, r) => sum + r, 0) / ratios.length;
+    } else {
+        ratio = Math.max(1, ensureFinite(params?.conductionRatio, 2));
+    }
+    return flutterRate / ratio;
+}
+
+/**
+ * Generates a single point for atrial flutter.
+ * F-waves run continuously at `flutterRate`; every Nth F-wave (N = conduction ratio) is
+ * conducted to the ventricles after `flutterConductionDelay`. Requires state management
+ * from the caller (script.js), like generateAVBlock.
+ * @param {number} currentTime Absolute simulation time.
+ * @param {object} params ECG rhythm parameters (flutterRate, conductionRatio, f_amp, QRS/T params).
+ * @param {object} state Current state { nextFTime, lastFTime, fSinceConduction, currentRatio, nextQRSTime, lastQRSTime }.
+ *        Unset times are stored as null (not ±Infinity) because the caller deep-copies state through JSON.
+ * @returns {{value: number, state: object}} Calculated ECG value and the updated state object.
+ */
+export function generateFlutter(currentTime, params, state) {
+    const flutterRate = ensureFinite(params.flutterRate, DEFAULT_FLUTTER_RATE);
+    const fInterval = flutterRate > 0 ? 60.0 / flutterRate : Infinity;
+    const conductionDelay = params.flutterConductionDelay ?? 0.2;
+    const noise = generateNoise(params.noise_amp ?? 0.015);
+
+    if (!state || Object.keys(state).length === 0) {
+        state = {
+            lastFTime: null,
+            nextFTime: currentTime,
+            fSinceConduction: 0,
+            currentRatio: pickConductionRatio(params),
+            lastQRSTime: null,
+            nextQRSTime: null,
+        };
+    }
+
+    // --- Atrial schedule (F-waves) ---
+    if (fInterval < Infinity && currentTime >= state.nextFTime) {
+        state.lastFTime = state.nextFTime;
+        state.nextFTime += fInterval;
+        state.fSinceConduction++;
+        if (state.fSinceConduction >= state.currentRatio) {
+            state.fSinceConduction = 0;
+            state.nextQRSTime = state.lastFTime + conductionDelay;
+            state.currentRatio = pickConductionRatio(params);
+        }
+    }
+
+    // --- Ventricular schedule (conducted QRS) ---
+    if (state.nextQRSTime !== null && currentTime >= state.nextQRSTime) {
+        state.lastQRSTime = state.nextQRSTime;
+        state.nextQRSTime = null;
+    }
+
+    let currentValue = 0;
+    if (state.lastFTime !== null) {
+        currentValue += generateFWave(currentTime - state.lastFTime, fInterval, params.f_amp ?? 0.2, params.f_ramp_fraction ?? 0.75);
+    }
+
+    // QRS-T uses the PQRST shape without a P-wave (pr_interval 0 puts the QRS at the conduction time).
+    const qrstDuration = (params.t_mean_offset ?? 0.25) + (params.t_width ?? 0.07) * 3;
+    const timeSinceQRS = state.lastQRSTime !== null ? currentTime - state.lastQRSTime : -1;
+    if (timeSinceQRS >= 0 && timeSinceQRS < qrstDuration) {
+        currentValue += generatePQRST(timeSinceQRS, params);
+    }
+
+    return { value: ensureFinite(currentValue + noise), state: state };
+}
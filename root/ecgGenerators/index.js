@@ -4,5 +4,9 @@ export { generateChaotic } from './chaoticGenerator.js';
 export { generateFlatline } from './flatlineGenerator.js';
 export { generateArtifact } from './artifactGenerator.js';
 export { generateAVBlock } from './avBlockGenerator.js';
-export { generatePaced } from './pacedGenerator.js';
+export { generatePaced, generatePacingSpike } from './pacedGenerator.js';
+export { generateFlutter, getFlutterVentricularRate } from './flutterGenerator.js';
+export { generateTorsades } from './torsadesGenerator.js';
+export { ECG_LEADS, DEFAULT_LEAD, getLeadParams, getLeadFactors } from './leadModel.js';
+export { planNextBeat, createEctopyState, isEctopyApplicable, SINUS_BEAT, DEFAULT_ECTOPY } from './ectopyGenerator.js';
 // Tulevaisuudessa: export { generateAVBlock } from './avBlockGenerator.js';
\ No newline at end of file
@@ -0,0 +1,122 @@
+// ecgGenerators/leadModel.js
+// Per-lead ECG model. Rhythm parameters in rhythms.js describe lead II; this module derives the
+// parameters for any of the 12 standard leads, so every generator can draw any lead unchanged.
+//
+// Limb leads are projections of the P, QRS, T and ST vectors on the hexaxial reference system.
+// A rhythm can move a vector with `p_axis`, `qrs_axis`, `t_axis`, `st_axis` (degrees, frontal plane).
+// Precordial leads use a fixed table of R/S progression relative to lead II.
+// A rhythm can also override any parameter in a given lead with `leads`, e.g.
+//   leads: { III: { st_elevation_amp: 0.5 }, aVL: { st_elevation_amp: -0.25, t_amp: -0.1 } }
+// Values in `leads` are absolute for that lead, not factors.
+
+export const ECG_LEADS = ['I', 'II', 'III', 'aVR', 'aVL', 'aVF', 'V1', 'V2', 'V3', 'V4', 'V5', 'V6'];
+export const DEFAULT_LEAD = 'II';
+
+// Hexaxial angles (degrees) of the limb leads.
+const LIMB_LEAD_ANGLES = { I: 0, II: 60, III: 120, aVR: -150, aVL: -30, aVF: 90 };
+
+// Normal frontal-plane axes. The lead II amplitudes in rhythms.js are taken to be measured at these axes.
+const DEFAULT_AXES = { p: 50, qrs: 60, t: 45 };
+
+// Precordial leads relative to lead II: p, r (R height), s (S depth), q (Q depth), t, st,
+// and gain for waveforms without P/QRS/T structure (VF, torsades, CPR artifact).
+const PRECORDIAL_FACTORS = {
+    V1: { p: 0.6, r: 0.25, s: 6.0, q: 0, t: 0.2, st: 0.3, gain: 0.9 },
+    V2: { p: 0.5, r: 0.5, s: 7.0, q: 0, t: 1.2, st: 0.6, gain: 1.2 },
+    V3: { p: 0.5, r: 0.85, s: 4.0, q: 0, t: 1.1, st: 0.8, gain: 1.2 },
+    V4: { p: 0.5, r: 1.3, s: 2.0, q: 0.5, t: 1.0, st: 1.0, gain: 1.1 },
+    V5: { p: 0.5, r: 1.2, s: 0.8, q: 1.0, t: 0.9, st: 1.0, gain: 1.0 },
+    V6: { p: 0.5, r: 1.0, s: 0.4, q: 1.0, t: 0.7, st: 0.9, gain: 0.8 },
+};
+
+// Smallest |R factor| used when deriving Q/S factors, so a near-isoelectric lead keeps its Q and S waves.
+const MIN_R_FACTOR = 0.05;
+// Waveforms without P/QRS/T structure never shrink below this in a limb lead.
+const MIN_GAIN = 0.35;
+
+const _leadParamsCache = new WeakMap();
+
+function _project(lead, axis, defaultAxis) {
+    const rad = Math.PI / 180;
+    return Math.cos((LIMB_LEAD_ANGLES[lead] - axis) * rad) / Math.cos((LIMB_LEAD_ANGLES.II - defaultAxis) * rad);
+}
+
+/**
+ * Amplitude factors of a lead relative to lead II.
+ * @param {object} params Rhythm parameters (may define p_axis, qrs_axis, t_axis, st_axis).
+ * @param {string} lead One of ECG_LEADS.
+ * @returns {{p: number, r: number, s: number, q: number, t: number, st: number, gain: number}}
+ */
+export function getLeadFactors(params, lead) {
+    if (PRECORDIAL_FACTORS[lead]) {
+        return { ...PRECORDIAL_FACTORS[lead] };
+    }
+    if (LIMB_LEAD_ANGLES[lead] === undefined) lead = DEFAULT_LEAD;
+    const pAxis = params?.p_axis ?? DEFAULT_AXES.p;
+    const qrsAxis = params?.qrs_axis ?? DEFAULT_AXES.qrs;
+    const tAxis = params?.t_axis ?? DEFAULT_AXES.t;
+    const stAxis = params?.st_axis ?? tAxis;
+    const qrs = _project(lead, qrsAxis, DEFAULT_AXES.qrs);
+    return {
+        p: _project(lead, pAxis, DEFAULT_AXES.p),
+        r: qrs,
+        s: qrs,
+        q: qrs,
+        t: _project(lead, tAxis, DEFAULT_AXES.t),
+        st: _project(lead, stAxis, DEFAULT_AXES.t),
+        gain: (qrs < 0 ? -1 : 1) * Math.max(MIN_GAIN, Math.abs(qrs)),
+    };
+}
+
+function _deriveLeadParams(params, lead) {
+    const f = getLeadFactors(params, lead);
+    const out = { ...params };
+    const scale = (key, factor) => {
+        if (typeof out[key] === 'number') out[key] *= factor;
+    };
+
+    scale('p_amp', f.p);
+    scale('f_amp', f.p); // flutter waves follow the atrial vector
+
+    // Generators express Q and S relative to the R amplitude, so rescale their factors against the new R.
+    const r = Math.abs(f.r) < MIN_R_FACTOR ? (f.r < 0 ? -MIN_R_FACTOR : MIN_R_FACTOR) : f.r;
+    scale('qrs_amp', r);
+    out.q_amp_factor = (params.q_amp_factor ?? 0.1) * f.q / r;
+    out.s_amp_factor = (params.s_amp_factor ?? 0.15) * f.s / r;
+
+    scale('t_amp', f.t);
+    scale('pacedTWaveAmp', f.t);
+    scale('st_elevation_amp', f.st);
+
+    scale('vf_amp', f.gain);
+    scale('torsades_amp', f.gain);
+    scale('artifact_amp', f.gain);
+
+    const leadOverrides = params.leads?.[lead];
+    if (leadOverrides) Object.assign(out, leadOverrides);
+    out.lead = lead; // lets generators that draw other rhythms (torsades lead-in) use the same lead
+    return out;
+}
+
+/**
+ * Parameters for drawing `params` (a lead II description) in another lead.
+ * Results are cached per parameter object, so call it freely from the sample loop.
+ * @param {object} params Rhythm or beat parameters.
+ * @param {string} lead One of ECG_LEADS. Lead II without overrides returns `params` itself.
+ * @returns {object} Parameters for the requested lead.
+ */
+export function getLeadParams(params, lead) {
+    if (!params || typeof params !== 'object') return params;
+    if ((!lead || lead === DEFAULT_LEAD) && !params.leads?.[DEFAULT_LEAD] &&
+        params.p_axis === undefined && params.qrs_axis === undefined && params.t_axis === undefined && params.st_axis === undefined) {
+        return params;
+    }
+    let byLead = _leadParamsCache.get(params);
+    if (!byLead) {
+        byLead = {};
+        _leadParamsCache.set(params, byLead);
+    }
+    const key = lead || DEFAULT_LEAD;
+    if (!byLead[key]) byLead[key] = _deriveLeadParams(params, key);
+    return byLead[key];
+}
@@ -1,6 +1,23 @@
 // ecgGenerators/pacedGenerator.js
 import { ensureFinite, gaussian, generateNoise } from '../waveformUtils.js'; // Tuodaan apufunktiot
 
+/**
+ * Pacing spike (pacemaker or external pacer output artifact) as a single half-sine pulse.
+ * Also used on its own for pacer spikes that fail to capture.
+ *
+ * @param {number} t_since_spike Time since the spike started.
+ * @param {number} amp Spike amplitude (mV, sign gives polarity).
+ * @param {number} duration Spike duration in seconds.
+ * @returns {number} Spike value, 0 outside the spike.
+ */
+export function generatePacingSpike(t_since_spike, amp, duration) {
+    if (amp === 0 || !(duration > 1e-3) || t_since_spike < 0 || t_since_spike >= duration) return 0;
+    const value = amp * Math.sin((Math.PI / duration) * t_since_spike);
+    if (value < 0 && amp > 0) return 0;
+    if (value > 0 && amp < 0) return 0;
+    return value;
+}
+
 /**
  * Generates a single point for a paced ECG waveform, based on PQRST structure,
  * potentially including a pacing spike and a native P-wave.
@@ -71,10 +88,7 @@ export function generatePaced(t_relative, params) {
         const spike_actual_end_time = spike_actual_start_time + pacing_spike_duration;
 
         if (t_relative >= spike_actual_start_time && t_relative < spike_actual_end_time) {
-            const B_spike = Math.PI / pacing_spike_duration;
-            pacing_spike_p_value = pacing_spike_amp * Math.sin(B_spike * (t_relative - spike_actual_start_time));
-            if (pacing_spike_p_value < 0 && pacing_spike_amp > 0) pacing_spike_p_value = 0;
-            if (pacing_spike_p_value > 0 && pacing_spike_amp < 0) pacing_spike_p_value = 0;
+            pacing_spike_p_value = generatePacingSpike(t_relative - spike_actual_start_time, pacing_spike_amp, pacing_spike_duration);
         }
     }
 
@@ -86,7 +100,8 @@ export function generatePaced(t_relative, params) {
         if (t_relative >= native_p_start_time && t_relative < (native_p_start_time + native_p_duration)) {
             const Bp_native = Math.PI / native_p_duration;
             native_p_value = p_amp_native * Math.sin(Bp_native * (t_relative - native_p_start_time));
-            if (native_p_value < 0) native_p_value = 0;
+            if (p_amp_native > 0 && native_p_value < 0) native_p_value = 0;
+            if (p_amp_native < 0 && native_p_value > 0) native_p_value = 0;
         }
     }
 
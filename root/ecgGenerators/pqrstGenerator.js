@@ -34,7 +34,8 @@ export function generatePQRST(t_relative, params) {
         if (p_duration > 1e-3 && t_relative >= 0 && t_relative < p_duration) {
             const Bp = Math.PI / p_duration;
             p_value = p_amp * Math.sin(Bp * t_relative);
-            if (p_value < 0) p_value = 0;
+            if (p_amp > 0 && p_value < 0) p_value = 0;
+            if (p_amp < 0 && p_value > 0) p_value = 0; // inverted P (e.g. aVR)
         }
     }
 
@@ -0,0 +1,94 @@
+// ecgGenerators/torsadesGenerator.js
+import { ensureFinite, generateNoise } from '../waveformUtils.js';
+import { generatePQRST } from './pqrstGenerator.js';
+import { RHYTHM_PARAMS } from '../rhythms.js';
+import { getLeadParams } from './leadModel.js';
+import { random } from '../random.js';
+
+const DEFAULT_TORSADES_RATE = 220;
+const DEFAULT_TWIST_PERIOD = 2.0;
+
+/**
+ * One wide polymorphic complex. `shapeMix` blends two morphologies so that the
+ * twisting axis can rotate from one to the other.
+ * @param {number} phase Position within the beat, 0..1.
+ * @param {number} skew Per-beat shape variation, roughly -1..1.
+ * @returns {{primary: number, secondary: number}}
+ */
+function complexShape(phase, skew) {
+    const p = Math.max(0, Math.min(1, phase));
+    const primary = Math.sin(2 * Math.PI * p) + 0.25 * Math.sin(4 * Math.PI * p + 0.6 + skew * 0.5);
+    const secondary = Math.sin(2 * Math.PI * p + Math.PI / 2) * Math.sin(Math.PI * p);
+    return { primary, secondary };
+}
+
+function _startBeat(state, startTime, params) {
+    const rate = Math.max(60, ensureFinite(params.torsadesRate, DEFAULT_TORSADES_RATE));
+    const variability = Math.max(0, Math.min(1, params.beatVariability ?? 0.1));
+    state.beatStart = startTime;
+    state.beatInterval = (60.0 / rate) * (1 + (random() - 0.5) * 2 * variability * 0.5);
+    state.beatAmp = 1 + (random() - 0.5) * 2 * variability;
+    state.beatSkew = (random() - 0.5) * 2 * variability;
+}
+
+/**
+ * Generates a single point for torsades de pointes / polymorphic VT.
+ * Complexes are drawn at `torsadesRate`; their axis rotates over `twistPeriod` seconds
+ * (one spindle from node to node), so the amplitude waxes and wanes and the polarity flips
+ * around the baseline. `twistDepth` 1 gives classic torsades, lower values a less regular polymorphic VT.
+ *
+ * With `rOnTOnset` the run is preceded by `onsetSinusBeats` beats of `onsetRhythm` (long-QT sinus);
+ * the first complex falls on the peak of the last T-wave (R-on-T).
+ * Requires state management from the caller (script.js), like generateAVBlock.
+ * @param {number} currentTime Absolute simulation time.
+ * @param {object} params ECG rhythm parameters.
+ * @param {object} state Current state { startTime, torsadesStart, beatStart, beatInterval, beatAmp, beatSkew }
+ * @returns {{value: number, state: object}} Calculated ECG value and the updated state object.
+ */
+export function generateTorsades(currentTime, params, state) {
+    const noise = generateNoise(params.noise_amp ?? 0.02);
+    const onsetParams = params.rOnTOnset ? getLeadParams(RHYTHM_PARAMS[params.onsetRhythm ?? 'long_qt'], params.lead) : null;
+
+    if (!state || Object.keys(state).length === 0) {
+        state = { startTime: currentTime, torsadesStart: currentTime, onsetInterval: 0, onsetBeats: 0 };
+        if (onsetParams) {
+            const onsetHR = Math.max(20, ensureFinite(onsetParams.baseHR, 60));
+            state.onsetInterval = 60.0 / onsetHR;
+            state.onsetBeats = Math.max(1, Math.round(params.onsetSinusBeats ?? 1));
+            // R-on-T: first complex at the T-wave peak of the last sinus beat.
+            const tPeak = (onsetParams.pr_interval ?? 0.16) + (onsetParams.t_mean_offset ?? 0.25);
+            state.torsadesStart = currentTime + (state.onsetBeats - 1) * state.onsetInterval + tPeak;
+        }
+        _startBeat(state, state.torsadesStart, params);
+    }
+
+    let currentValue = 0;
+
+    // Long-QT lead-in (and the tail of its last T-wave under the first complexes)
+    if (onsetParams && state.onsetBeats > 0) {
+        const sinceStart = currentTime - state.startTime;
+        const beatIndex = Math.min(state.onsetBeats - 1, Math.floor(sinceStart / state.onsetInterval));
+        const tInBeat = sinceStart - beatIndex * state.onsetInterval;
+        if (tInBeat >= 0 && tInBeat < state.onsetInterval * 1.5) {
+            currentValue += generatePQRST(tInBeat, onsetParams);
+        }
+    }
+
+    if (currentTime >= state.torsadesStart) {
+        while (currentTime >= state.beatStart + state.beatInterval) {
+            _startBeat(state, state.beatStart + state.beatInterval, params);
+        }
+        const amplitude = params.torsades_amp ?? 1.4;
+        const twistPeriod = Math.max(0.5, ensureFinite(params.twistPeriod, DEFAULT_TWIST_PERIOD));
+        const twistDepth = Math.max(0, Math.min(1, params.twistDepth ?? 1));
+        const theta = Math.PI * (currentTime - state.torsadesStart) / twistPeriod;
+        const phase = (currentTime - state.beatStart) / state.beatInterval;
+        const { primary, secondary } = complexShape(phase, state.beatSkew);
+        // Rotating axis: full-depth twist passes through small 'node' complexes and flips polarity.
+        const twisted = Math.cos(theta) * primary + 0.25 * Math.sin(theta) * secondary;
+        const mixed = twistDepth * twisted + (1 - twistDepth) * primary;
+        currentValue += amplitude * state.beatAmp * mixed;
+    }
+
+    return { value: ensureFinite(currentValue + noise), state: state };
+}
@@ -0,0 +1,21 @@
+// fileDownload.js - Saves generated files (exports, reports) through the browser's download
+// VERSION: Initial version. One helper for the waveform, debrief and 12-lead exports and the preset and case files,
+//          which each had a copy.
+//
+// Only touches the DOM when called, so the modules importing it stay loadable in Node for their tests.
+
+/**
+ * Downloads a blob as a file.
+ * @param {Blob} blob File contents.
+ * @param {string} fileName Name offered in the browser's save dialog.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
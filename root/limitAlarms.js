@@ -0,0 +1,137 @@
+// limitAlarms.js - Physiological limit alarms (HR, SpO2, ABP, ETCO2, RR, temperature, NIBP)
+// VERSION: Initial version. Moved out of alarmManager.checkAlarms() so it can be tested without a DOM; the alarm
+//          manager adds the rhythm and technical alarms and keeps priorities, latches and sounds.
+//          + NIBP limit alarms follow the last reading only while it is current (NIBP_ALARM_MAX_AGE_S).
+//
+// Each limit can be switched off (alarms.enabled). Values a monitor cannot measure raise nothing: HR of flat,
+// chaotic, pulseless and artifact rhythms, ABP during CPR, SpO2 without a signal, a disconnected ETCO2 line.
+
+import { resolveAlarmThresholds } from "./config.js";
+import { NIBP_MODES } from "./nibpCycle.js";
+
+// A reading older than the longest automatic interval is stale, and its limit alarms end
+export const NIBP_ALARM_MAX_AGE_S = NIBP_MODES.auto_15.intervalS;
+
+/**
+ * @param {object} nibp params.nibp.
+ * @param {number} nowMs Current time (ms since epoch).
+ * @returns {boolean} True when the reading has values and is not stale; readings without a time count as current.
+ */
+export function isNibpReadingCurrent(nibp, nowMs) {
+    if (!Number.isFinite(nibp?.sys) || !Number.isFinite(nibp?.dia)) return false;
+    if (!nibp.timestamp) return true;
+    const takenAt = new Date(nibp.timestamp).getTime();
+    return !Number.isFinite(takenAt) || nowMs - takenAt <= NIBP_ALARM_MAX_AGE_S * 1000;
+}
+
+/**
+ * @param {object} currentParams Effective params (the ECG as drawn). Channels with a sensor fault are passed hidden.
+ * @param {object} [thresholds] resolveAlarmThresholds() of currentParams.alarms.
+ * @param {number} [nowMs] Current time (ms since epoch), for the age of the NIBP reading.
+ * @returns {object} Active limit alarm keys (key -> true), with the aggregated low_abp / high_abp.
+ */
+export function classifyLimitAlarms(currentParams, thresholds = resolveAlarmThresholds(currentParams?.alarms), nowMs = Date.now()) {
+    const nowActive = {};
+    if (!currentParams) return nowActive;
+
+    // 1. CHECK ECG (Heart Rate) - IGNORE if Flatline, VF, PEA, or Artifact
+    if (currentParams.ecg?.visible &&
+        currentParams.ecg.params &&
+        !currentParams.ecg.params.isFlat &&
+        !currentParams.ecg.params.isChaotic &&
+        !currentParams.ecg.params.isPEA &&
+        !currentParams.ecg.params.isArtifact) {
+
+        const hr = currentParams.ecg.hr;
+        if (hr !== null) {
+            if (hr < thresholds.ecg.low) nowActive.low_hr = true;
+            if (hr > thresholds.ecg.high) nowActive.high_hr = true;
+        }
+    }
+
+    // 2. CHECK SPO2
+    if (currentParams.spo2?.visible) {
+        const spo2 = currentParams.spo2.value;
+        if (spo2 !== null && spo2 > 0 && currentParams.spo2.shape !== "no_signal") {
+            if (spo2 < thresholds.spo2.low) nowActive.low_spo2 = true;
+            if (spo2 > thresholds.spo2.high) nowActive.high_spo2 = true;
+        }
+    }
+
+    // 3. CHECK ABP (MAP)
+    if (currentParams.abp?.visible && !(currentParams.ecg?.params?.isArtifact && currentParams.ecg?.params?.artifactType === "cpr")) {
+        const sys = currentParams.abp.sys;
+        const dia = currentParams.abp.dia;
+        if (sys !== null && dia !== null && sys > 0 && dia >= 0 && sys > dia) {
+            const map = Math.round(dia + (sys - dia) / 3);
+            if (map < thresholds.abp.low_map) {
+                nowActive.low_map = true;
+            }
+            // Systolic/Diastolic specific alarms (low)
+            if (typeof thresholds.abp.low_sys !== "undefined" && sys < thresholds.abp.low_sys) {
+                nowActive.low_abp_sys = true;
+            }
+            if (typeof thresholds.abp.low_dia !== "undefined" && dia < thresholds.abp.low_dia) {
+                nowActive.low_abp_dia = true;
+            }
+            // Systolic/Diastolic specific alarms (high)
+            if (typeof thresholds.abp.high_sys !== "undefined" && sys > thresholds.abp.high_sys) {
+                nowActive.high_abp_sys = true;
+            }
+            if (typeof thresholds.abp.high_dia !== "undefined" && dia > thresholds.abp.high_dia) {
+                nowActive.high_abp_dia = true;
+            }
+        }
+    }
+
+    // 4. CHECK ETCO2
+    if (currentParams.etco2?.visible) {
+        const valueKpa = currentParams.etco2.valueKpa;
+        if (valueKpa !== null && valueKpa > 0 &&
+            currentParams.etco2.etco2Shape !== "disconnect" &&
+            currentParams.etco2.etco2Shape !== "cpr_low_flow") {
+
+            if (valueKpa < thresholds.etco2.low) nowActive.low_etco2 = true;
+            if (valueKpa > thresholds.etco2.high) nowActive.high_etco2 = true;
+        }
+    }
+
+    // 5. CHECK RR (RR 0 is APNEA, a rhythm alarm)
+    if (currentParams.etco2?.visible && currentParams.etco2.etco2Shape !== "disconnect") {
+        const rr = currentParams.etco2.rr;
+        if (Number.isFinite(rr) && rr > 0) {
+            if (rr < thresholds.rr.low) nowActive.low_rr = true;
+            if (rr > thresholds.rr.high) nowActive.high_rr = true;
+        }
+    }
+
+    // 6. CHECK TEMPERATURE (limits in °C)
+    if (currentParams.temp?.visible && Number.isFinite(currentParams.temp.valueC)) {
+        if (currentParams.temp.valueC < thresholds.temp.low) nowActive.low_temp = true;
+        if (currentParams.temp.valueC > thresholds.temp.high) nowActive.high_temp = true;
+    }
+
+    // 7. CHECK NIBP - the last reading, while it is shown and current
+    const nibp = currentParams.nibp;
+    if (nibp?.visible && isNibpReadingCurrent(nibp, nowMs)) {
+        const map = Number.isFinite(nibp.map) ? nibp.map : nibp.dia + (nibp.sys - nibp.dia) / 3;
+        if (map < thresholds.nibp.low_map) nowActive.low_nibp_map = true;
+        if (nibp.sys < thresholds.nibp.low_sys) nowActive.low_nibp_sys = true;
+        if (nibp.dia < thresholds.nibp.low_dia) nowActive.low_nibp_dia = true;
+        if (nibp.sys > thresholds.nibp.high_sys) nowActive.high_nibp_sys = true;
+        if (nibp.dia > thresholds.nibp.high_dia) nowActive.high_nibp_dia = true;
+    }
+
+    // Limits switched off in the alarm limits
+    Object.keys(nowActive).forEach(key => { if (thresholds.enabled[key] === false) delete nowActive[key]; });
+
+    // Aggregate ABP low/high alarms for visuals/sounds
+    if (nowActive.low_map || nowActive.low_abp_sys || nowActive.low_abp_dia) {
+        nowActive.low_abp = true;
+    }
+    if (nowActive.high_abp_sys || nowActive.high_abp_dia) {
+        nowActive.high_abp = true;
+    }
+
+    return nowActive;
+}
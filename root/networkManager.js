@@ -7,6 +7,17 @@
 //          + MODIFIED: Controller also gets UI reset and alert on session_not_found/error, without page reload.
 //          + MODIFIED (v3.3): Universal page reload for ALL roles on session_not_found/critical_error after alert.
 //          + MODIFIED (v3.4): All user-facing alerts and console logs translated to English.
+//          + ADDED: 'state_snapshot' handling so late-joining monitors restore the current simulation state.
+//          + ADDED: Shock commands carry energy and sync; 'defib_state' keeps the monitors' energy/SYNC display in step.
+//          + ADDED: Event log for the debrief: monitors report alarm changes ('alarm_state'), the controller reports
+//                   scenario stages ('scenario_event'), requestEventLog() fetches the session's log ('event_log').
+//          + ADDED: Alarm audio pause ('audio_pause_update') and alarm acknowledgement ('alarm_acknowledge') sync.
+//          + ADDED: Trend view ('trend_view'): the controller opens and sets the trend screen on the monitors.
+//          + ADDED: Time compression ('time_compression'): the controller's trend time scale and synthetic history.
+//          + ADDED: During a replay the live session's state messages are dropped (setReplayActive);
+//                   requestStateSnapshot() fetches the session's state to return to afterwards ('get_state').
+//          + FIX: The audio pause is sent as its duration ('audioPauseMs'), not as a time on the controller's clock.
+//          + FIX: During a replay the live session's state messages are not sent either.
 
 // --- Configuration ---
 const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
@@ -26,6 +37,12 @@ let onDeactivateReceivedCallback = null;
 let onShockReceivedCallback = null;
 let onNibpTriggerReceivedCallback = null;
 let onSoundStateReceivedCallback = null;
+let onAudioPauseReceivedCallback = null;
+let onAlarmAcknowledgeReceivedCallback = null;
+let onStateSnapshotReceivedCallback = null;
+let onDefibStateReceivedCallback = null;
+let onTrendViewReceivedCallback = null;
+let onTimeCompressionReceivedCallback = null;
 let monitorInterface = null;
 let reconnectTimerId = null;
 let reconnectDelay = RECONNECT_INITIAL_DELAY;
@@ -34,6 +51,13 @@ let isAttemptingAutoJoin = false;
 let onSessionCreatedCallback = null;
 let onSessionJoinedCallback = null;
 let onSessionListCallback = null;
+let pendingEventLogCallback = null;
+let pendingStateSnapshotCallback = null;
+let replayActive = false;
+// Live session messages that change the simulation; neither applied nor sent while a recorded session is replayed
+// on this device, so the replay never changes the live session
+const LIVE_STATE_MESSAGES = ['param_update', 'activate_sim', 'deactivate_sim', 'shock', 'nibp_trigger', 'sound_state_update',
+    'audio_pause_update', 'alarm_acknowledge', 'defib_state', 'time_compression', 'state_snapshot'];
 
 // --- DOM Elements ---
 let sessionIdInput, createSessionBtn, joinSessionBtn, connectionStatusLabel;
@@ -58,6 +82,12 @@ export function initializeNetwork(callbacks, mInterface) {
     onShockReceivedCallback = callbacks.onShock;
     onNibpTriggerReceivedCallback = callbacks.onNibpTrigger;
     onSoundStateReceivedCallback = callbacks.onSoundState;
+    onAudioPauseReceivedCallback = callbacks.onAudioPause;
+    onAlarmAcknowledgeReceivedCallback = callbacks.onAlarmAcknowledge;
+    onStateSnapshotReceivedCallback = callbacks.onStateSnapshot;
+    onDefibStateReceivedCallback = callbacks.onDefibState;
+    onTrendViewReceivedCallback = callbacks.onTrendView;
+    onTimeCompressionReceivedCallback = callbacks.onTimeCompression;
     onSessionCreatedCallback = callbacks.onSessionCreated;
     onSessionJoinedCallback = callbacks.onSessionJoined;
     onSessionListCallback = callbacks.onSessionList;
@@ -249,6 +279,10 @@ function handleSessionEndedOrNotFoundAndReload(alertMessage = "Session not found
 
 // --- Message Handling ---
 function handleServerMessage(message) {
+    if (replayActive && LIVE_STATE_MESSAGES.includes(message.type)) {
+        console.log(`[Network] Ignoring ${message.type} during replay.`);
+        return;
+    }
     switch (message.type) {
         case 'connection_ack':
             console.log(`[Network] Server Ack: ${message.message}`);
@@ -398,7 +432,7 @@ function handleServerMessage(message) {
              console.log('[Network] Shock command received with rhythm:', message.rhythm);
              if (currentRole === 'monitor' && typeof onShockReceivedCallback === 'function') {
                   console.log('[Network] Calling onShockReceivedCallback for Monitor.');
-                  onShockReceivedCallback(message.rhythm);
+                  onShockReceivedCallback(message.rhythm, { energy: message.energy, sync: message.sync });
              } else {
                    console.log('[Network] Ignoring shock command as role is not Monitor or callback missing.');
              }
@@ -421,12 +455,73 @@ function handleServerMessage(message) {
                 console.log('[Network] Ignoring sound_state_update as role is not Monitor or callback missing.');
             }
             break;
+        case 'audio_pause_update':
+            console.log('[Network] Audio pause update received:', message.audioPauseMs);
+            if (currentRole === 'monitor' && typeof onAudioPauseReceivedCallback === 'function') {
+                onAudioPauseReceivedCallback(message.audioPauseMs);
+            } else {
+                console.log('[Network] Ignoring audio_pause_update as role is not Monitor or callback missing.');
+            }
+            break;
+        case 'alarm_acknowledge':
+            console.log('[Network] Alarm acknowledgement received:', message.alarmKeys);
+            if (currentRole === 'monitor' && typeof onAlarmAcknowledgeReceivedCallback === 'function' && Array.isArray(message.alarmKeys)) {
+                onAlarmAcknowledgeReceivedCallback(message.alarmKeys);
+            } else {
+                console.log('[Network] Ignoring alarm_acknowledge as role is not Monitor, callback missing or keys missing.');
+            }
+            break;
+        case 'defib_state':
+            console.log('[Network] Defibrillator state received:', message.defib);
+            if (currentRole === 'monitor' && typeof onDefibStateReceivedCallback === 'function' && message.defib) {
+                onDefibStateReceivedCallback(message.defib);
+            } else {
+                console.log('[Network] Ignoring defib_state as role is not Monitor, callback missing or state missing.');
+            }
+            break;
+        case 'trend_view':
+            console.log('[Network] Trend view received:', message.trendView);
+            if (currentRole === 'monitor' && typeof onTrendViewReceivedCallback === 'function' && message.trendView) {
+                onTrendViewReceivedCallback(message.trendView);
+            } else {
+                console.log('[Network] Ignoring trend_view as role is not Monitor, callback missing or view missing.');
+            }
+            break;
+        case 'time_compression':
+            console.log('[Network] Time compression received: x' + message.timeCompression?.timeScale);
+            if (currentRole === 'monitor' && typeof onTimeCompressionReceivedCallback === 'function' && message.timeCompression) {
+                onTimeCompressionReceivedCallback(message.timeCompression);
+            } else {
+                console.log('[Network] Ignoring time_compression as role is not Monitor, callback missing or settings missing.');
+            }
+            break;
+        case 'state_snapshot':
+            console.log('[Network] State snapshot received:', message.state);
+            if (typeof pendingStateSnapshotCallback === 'function') {
+                const callback = pendingStateSnapshotCallback;
+                pendingStateSnapshotCallback = null;
+                callback(message.state || null);
+            } else if (currentRole === 'monitor' && typeof onStateSnapshotReceivedCallback === 'function' && message.state) {
+                console.log('[Network] Calling onStateSnapshotReceivedCallback for Monitor.');
+                onStateSnapshotReceivedCallback(message.state);
+            } else {
+                console.log('[Network] Ignoring state_snapshot as role is not Monitor, callback missing or state missing.');
+            }
+            break;
         case 'session_list':
             console.log('[Network] Received current session list from server.');
             if (typeof onSessionListCallback === 'function') {
                 onSessionListCallback(message.sessions || []);
             }
             break;
+        case 'event_log':
+            console.log(`[Network] Event log received: ${(message.events || []).length} event(s).`);
+            if (typeof pendingEventLogCallback === 'function') {
+                const callback = pendingEventLogCallback;
+                pendingEventLogCallback = null;
+                callback({ sessionId: message.sessionId, createdAt: message.createdAt, events: message.events || [] });
+            }
+            break;
         case 'error':
             console.error(`[Network] Server Error: ${message.message}`);
             if (message.details === 'session_does_not_exist' || message.message.includes("Session not found") || message.message.includes("Sessiota ei löytynyt")) { // Keep Finnish check for compatibility if server sends it
@@ -443,6 +538,10 @@ function handleServerMessage(message) {
 
 // --- Sending Messages ---
 function sendMessage(message) {
+    if (replayActive && LIVE_STATE_MESSAGES.includes(message.type)) {
+        console.warn(`[Network] Not sending ${message.type} during replay.`);
+        return;
+    }
     if (ws && ws.readyState === WebSocket.OPEN) {
         try {
             const messageString = JSON.stringify(message);
@@ -595,12 +694,41 @@ export function sendDeactivateCommand() {
     console.log('[Network] Sending deactivate_sim command.');
     sendMessage({ type: 'deactivate_sim', sessionId: currentSessionId });
 }
-export function sendShockCommand(rhythmKey) {
+/**
+ * @param {string} rhythmKey Post-shock rhythm.
+ * @param {{energy?: number, sync?: boolean}} [shock] Energy (J) and sync mode of the delivered shock.
+ */
+export function sendShockCommand(rhythmKey, shock = {}) {
     if (currentRole !== 'controller') return;
     if (!currentSessionId) { console.warn('[Network] Cannot send shock command, not in a session.'); return; }
     if (!rhythmKey) { console.error('[Network] Cannot send shock command: rhythmKey is missing.'); return; }
-    console.log(`[Network] Sending shock command with target rhythm: ${rhythmKey}`);
-    sendMessage({ type: 'shock', sessionId: currentSessionId, rhythm: rhythmKey });
+    console.log(`[Network] Sending shock command with target rhythm: ${rhythmKey}, energy: ${shock.energy} J, sync: ${!!shock.sync}`);
+    sendMessage({ type: 'shock', sessionId: currentSessionId, rhythm: rhythmKey, energy: shock.energy, sync: !!shock.sync });
+}
+export function sendDefibState(defib) {
+    if (currentRole !== 'controller') return;
+    if (!currentSessionId) { console.warn('[Network] Cannot send defibrillator state, not in a session.'); return; }
+    console.log('[Network] Sending defibrillator state:', defib);
+    sendMessage({ type: 'defib_state', sessionId: currentSessionId, defib: defib });
+}
+/**
+ * @param {{open: boolean, window: string, display: string}} trendView Trend screen as set on the controller.
+ */
+export function sendTrendView(trendView) {
+    if (currentRole !== 'controller') return;
+    if (!currentSessionId) { console.warn('[Network] Cannot send trend view, not in a session.'); return; }
+    console.log('[Network] Sending trend view:', trendView);
+    sendMessage({ type: 'trend_view', sessionId: currentSessionId, trendView: trendView });
+}
+/**
+ * @param {{timeScale: number, history: object|null}} timeCompression Trend time scale and, when set, a history
+ *        from resolveTrendHistory() for the monitors to load.
+ */
+export function sendTimeCompression(timeCompression) {
+    if (currentRole !== 'controller') return;
+    if (!currentSessionId) { console.warn('[Network] Cannot send time compression, not in a session.'); return; }
+    console.log('[Network] Sending time compression: x' + timeCompression.timeScale);
+    sendMessage({ type: 'time_compression', sessionId: currentSessionId, timeCompression: timeCompression });
 }
 export function sendNibpTrigger(nibpData) {
     if (currentRole !== 'controller') return;
@@ -609,6 +737,64 @@ export function sendNibpTrigger(nibpData) {
     sendMessage({ type: 'nibp_trigger', sessionId: currentSessionId, nibpData: nibpData });
 }
 
+/**
+ * Reports the monitor's active alarms to the session's event log. Call when the set changes.
+ * @param {string[]} alarmKeys Keys of the active alarms (alarmManager.checkAlarms).
+ */
+export function sendAlarmState(alarmKeys) {
+    if (currentRole !== 'monitor') return;
+    if (!currentSessionId) return;
+    sendMessage({ type: 'alarm_state', sessionId: currentSessionId, alarms: alarmKeys });
+}
+/**
+ * Records a scenario stage change or the end of the scenario in the session's event log.
+ * @param {{event: 'stage'|'end', scenario: string, stage?: string, reason: string}} scenarioEvent
+ */
+export function sendScenarioEvent(scenarioEvent) {
+    if (currentRole !== 'controller') return;
+    if (!currentSessionId) return;
+    console.log('[Network] Sending scenario event:', scenarioEvent);
+    sendMessage({ type: 'scenario_event', sessionId: currentSessionId, scenarioEvent: scenarioEvent });
+}
+
+/**
+ * Fetches the current session's event log (debrief).
+ * @param {function({sessionId: string, createdAt: number, events: Array<object>}): void} callback Called once with the log.
+ * @returns {boolean} False when not connected or not in a session (callback is not called).
+ */
+export function requestEventLog(callback) {
+    if (!ws || ws.readyState !== WebSocket.OPEN || !currentSessionId) {
+        console.warn('[Network] Cannot request event log: not connected to a session.');
+        return false;
+    }
+    pendingEventLogCallback = callback;
+    sendMessage({ type: 'get_event_log', sessionId: currentSessionId });
+    return true;
+}
+
+/**
+ * Requests the session's current state snapshot, e.g. to return to the live session after a replay.
+ * @param {function(object|null): void} callback Called with the snapshot (null if the session has none yet).
+ * @returns {boolean} False if not connected to a session (the callback is not called).
+ */
+export function requestStateSnapshot(callback) {
+    if (!ws || ws.readyState !== WebSocket.OPEN || !currentSessionId) {
+        console.warn('[Network] Cannot request state snapshot: not connected to a session.');
+        return false;
+    }
+    pendingStateSnapshotCallback = callback;
+    sendMessage({ type: 'get_state', sessionId: currentSessionId });
+    return true;
+}
+
+/**
+ * While a recorded session is replayed on this device, the live session's state messages are dropped.
+ * @param {boolean} active
+ */
+export function setReplayActive(active) {
+    replayActive = !!active;
+}
+
 export function requestSessionList() {
     if (!ws || ws.readyState !== WebSocket.OPEN) {
         console.warn('[Network] Cannot request session list: WebSocket not open.');
@@ -662,6 +848,26 @@ export function sendSoundStateUpdate(soundState) {
     sendMessage({ type: 'sound_state_update', sessionId: currentSessionId, soundState: soundState });
 }
 
+/**
+ * @param {number} audioPauseMs Duration (ms) alarm audio stays paused; 0 resumes it.
+ */
+export function sendAudioPauseUpdate(audioPauseMs) {
+    if (currentRole !== 'controller') return;
+    if (!currentSessionId) { console.warn('[Network] Cannot send audio pause, not in a session.'); return; }
+    console.log(`[Network] Sending audio pause for ${audioPauseMs} ms`);
+    sendMessage({ type: 'audio_pause_update', sessionId: currentSessionId, audioPauseMs: audioPauseMs });
+}
+
+/**
+ * @param {string[]} alarmKeys Alarms acknowledged on the controller (alarmManager keys).
+ */
+export function sendAlarmAcknowledge(alarmKeys) {
+    if (currentRole !== 'controller') return;
+    if (!currentSessionId) { console.warn('[Network] Cannot send alarm acknowledgement, not in a session.'); return; }
+    console.log('[Network] Sending alarm acknowledgement:', alarmKeys);
+    sendMessage({ type: 'alarm_acknowledge', sessionId: currentSessionId, alarmKeys: alarmKeys });
+}
+
 // --- UI Updates ---
 function updateConnectionStatus(text, bgClass, textDark = false) {
     if (connectionStatusLabel) {
@@ -0,0 +1,361 @@
+// nibpCycle.js - Oscillometric NIBP measurement cycle (cuff inflation and deflation, auto intervals, STAT, history)
+// VERSION: Initial version. A measurement takes 20-40 s: the cuff inflates above the expected systolic pressure,
+//          deflates in steps and vents, then the reading (or the reason it failed) is shown. Modes: manual,
+//          automatic every 2.5, 5 or 15 min, and STAT (measurements back to back for 5 min). No DOM access;
+//          script.js runs the cycle on the device where NIBP is started and sends its state to the monitors
+//          as 'nibp_trigger'.
+//          + FIX: The cuff and auto-mode timing is sent as seconds elapsed and remaining instead of the controller's
+//            clock times, and each device counts them from its own receive time (nibpStatusAt).
+//
+// nibpData (the 'nibp_trigger' payload and the session's NIBP snapshot):
+//   sys, dia, map, timestamp  last reading; null values after a failed measurement
+//   error                     NIBP_ERRORS key of the last failed measurement, or null
+//   event                     'start' | 'result' | 'mode'. Only 'result' carries a new reading; data without
+//                             an event (older controllers) is a result.
+//   mode                      NIBP_MODES key
+//   measuring                 { elapsedS, durationS, inflationMmHg, endMmHg } while the cuff works, else null
+//   nextInS                   seconds to the next automatic measurement, or null
+//                             (elapsedS and nextInS count from the time the data was made, see ageNibpData)
+//   history                   results, newest first (up to NIBP_HISTORY_LENGTH)
+
+export const NIBP_MODES = {
+    manual: { label: "MANUAL", intervalS: null },
+    auto_2_5: { label: "AUTO 2.5 min", intervalS: 150 },
+    auto_5: { label: "AUTO 5 min", intervalS: 300 },
+    auto_15: { label: "AUTO 15 min", intervalS: 900 },
+    stat: { label: "STAT", intervalS: 0, runS: 300 },
+};
+
+export const NIBP_ERRORS = {
+    cuff: "CUFF LEAK/ARTIFACT",
+    no_pulse: "NO PULSE DETECTED",
+    irregular: "IRREGULAR PULSE",
+    motion: "MOTION ARTIFACT",
+};
+
+export const NIBP_HISTORY_LENGTH = 20;
+export const NIBP_MIN_DURATION_S = 20;
+export const NIBP_MAX_DURATION_S = 40;
+
+const NIBP_TICK_INTERVAL_MS = 250;
+
+// Cuff timing: inflation rate, deflation in steps, venting at the end
+const INFLATE_MMHG_PER_S = 25;
+const DEFLATE_MMHG_PER_S = 6;
+const DEFLATE_STEP_MMHG = 8;
+const VENT_S = 2;
+const DEFAULT_INFLATION_MMHG = 160;
+// Inflation above the last systolic reading (or the expected one), as monitors do to find the first oscillations
+const INFLATION_MARGIN_MMHG = 30;
+const MIN_INFLATION_MMHG = 100;
+const MAX_INFLATION_MMHG = 280;
+// A leaking cuff never builds up pressure
+const CUFF_LEAK_INFLATION_MMHG = 30;
+
+// Failure chances per measurement: patient moving, and irregular rhythms (ecg.params.irregular of AF and up)
+const MOTION_FAILURE_CHANCE = 0.8;
+const IRREGULAR_FAILURE_CHANCE = 0.3;
+const IRREGULAR_RHYTHM_THRESHOLD = 0.3;
+// Target pressures below these give no oscillations (as before the cycle existed)
+const NO_PULSE_SYS = 30;
+const NO_PULSE_DIA = 20;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Cuff pressure during a measurement: linear inflation, stepwise deflation, venting.
+ * @param {{durationS: number, inflationMmHg: number, endMmHg: number}} measuring
+ * @param {number} elapsedS Seconds since the measurement started.
+ * @returns {number} Cuff pressure in mmHg (0 outside the measurement).
+ */
+export function nibpCuffPressure(measuring, elapsedS) {
+    if (!measuring || !(elapsedS >= 0) || elapsedS >= measuring.durationS) return 0;
+    const { durationS, inflationMmHg, endMmHg } = measuring;
+    const inflateS = inflationMmHg / INFLATE_MMHG_PER_S;
+    const ventStartS = durationS - VENT_S;
+    if (elapsedS < inflateS) return inflationMmHg * (elapsedS / inflateS);
+    if (elapsedS < ventStartS) {
+        const steps = Math.max(1, Math.round((inflationMmHg - endMmHg) / DEFLATE_STEP_MMHG));
+        const step = Math.floor(steps * (elapsedS - inflateS) / (ventStartS - inflateS));
+        return inflationMmHg - (inflationMmHg - endMmHg) * step / steps;
+    }
+    return endMmHg * (durationS - elapsedS) / VENT_S;
+}
+
+/**
+ * Why a measurement started now would fail, before any chance is applied.
+ * @param {{abp: object|null, ecg: object|null, faults: object|null, patientMoving: boolean}} conditions
+ * @returns {string|null} NIBP_ERRORS key, or null when a reading is possible.
+ */
+function _certainFailure({ abp, ecg, faults }) {
+    if (faults?.nibp_cuff) return "cuff";
+    const ecgParams = ecg?.params;
+    if (ecgParams?.isArtifact) return "motion";
+    if (ecgParams?.isFlat || ecgParams?.isChaotic || ecgParams?.isPEA || ecg?.rhythm === "vt_pulseless") return "no_pulse";
+    if (!abp || (Number(abp.sys) < NO_PULSE_SYS && Number(abp.dia) < NO_PULSE_DIA)) return "no_pulse";
+    return null;
+}
+
+/**
+ * Plans one measurement: cuff pressures, duration and whether it will fail.
+ * @param {object} conditions abp (target), ecg (as drawn), faults, patientMoving.
+ * @param {number|null} lastSys Systolic pressure of the last reading, null if none.
+ * @param {function(): number} random Uniform [0, 1).
+ * @returns {{durationS: number, inflationMmHg: number, endMmHg: number, error: string|null}}
+ */
+export function planNibpMeasurement(conditions, lastSys, random = Math.random) {
+    let error = _certainFailure(conditions);
+    const irregular = Number(conditions.ecg?.params?.irregular) >= IRREGULAR_RHYTHM_THRESHOLD;
+    if (!error && conditions.patientMoving && random() < MOTION_FAILURE_CHANCE) error = "motion";
+    if (!error && irregular && random() < IRREGULAR_FAILURE_CHANCE) error = "irregular";
+
+    if (error === "cuff") {
+        return { durationS: NIBP_MIN_DURATION_S, inflationMmHg: CUFF_LEAK_INFLATION_MMHG, endMmHg: 0, error };
+    }
+    const targetSys = Number(conditions.abp?.sys) || 0;
+    const targetDia = Number(conditions.abp?.dia) || 0;
+    const base = Number.isFinite(lastSys) ? lastSys + INFLATION_MARGIN_MMHG : DEFAULT_INFLATION_MMHG;
+    const inflationMmHg = Math.round(clamp(Math.max(base, targetSys + INFLATION_MARGIN_MMHG), MIN_INFLATION_MMHG, MAX_INFLATION_MMHG));
+    const endMmHg = Math.round(clamp(targetDia - 10, 20, inflationMmHg - DEFLATE_STEP_MMHG));
+    // Fewer, slower beats per pressure step: slower deflation for bradycardia and irregular rhythms
+    const hr = Number(conditions.ecg?.hr) || 0;
+    const rate = DEFLATE_MMHG_PER_S * clamp(hr / 70, 0.5, 1) * (irregular ? 0.7 : 1);
+    const durationS = error
+        ? NIBP_MAX_DURATION_S // searches for oscillations until it gives up
+        : clamp(inflationMmHg / INFLATE_MMHG_PER_S + (inflationMmHg - endMmHg) / rate + VENT_S, NIBP_MIN_DURATION_S, NIBP_MAX_DURATION_S);
+    return { durationS: Math.round(durationS * 10) / 10, inflationMmHg, endMmHg, error };
+}
+
+/**
+ * The reading at the end of a measurement: the target pressures with the measurement error.
+ * @param {{sys: number, dia: number}|null} abp Target ABP.
+ * @param {number} errorMmHg Largest error, applied separately to systolic and diastolic.
+ * @param {function(): number} random Uniform [0, 1).
+ * @returns {{sys: number, dia: number, map: number}|null} null when the pressure is too low to measure.
+ */
+export function measureNibp(abp, errorMmHg = 0, random = Math.random) {
+    const targetSys = Number(abp?.sys) || 0;
+    const targetDia = Number(abp?.dia) || 0;
+    if (targetSys < NO_PULSE_SYS && targetDia < NO_PULSE_DIA) return null;
+    const error = () => (errorMmHg > 0 ? (random() * 2 - 1) * errorMmHg : 0);
+    const dia = Math.max(0, Math.round(targetDia + error()));
+    const sys = Math.max(dia + 1, Math.round(targetSys + error()));
+    return { sys, dia, map: Math.round(dia + (sys - dia) / 3) };
+}
+
+/**
+ * Moves the reading times in an nibpData by offsetMs (replay of a recorded session).
+ * @param {object} nibpData
+ * @param {number} offsetMs
+ * @returns {object} Copy with shifted timestamp and history timestamps.
+ */
+export function shiftNibpTimes(nibpData, offsetMs) {
+    const shift = (iso) => (iso ? new Date(new Date(iso).getTime() + offsetMs).toISOString() : iso);
+    return {
+        ...nibpData,
+        timestamp: shift(nibpData.timestamp),
+        history: Array.isArray(nibpData.history) ? nibpData.history.map((entry) => ({ ...entry, timestamp: shift(entry.timestamp) })) : nibpData.history,
+    };
+}
+
+/**
+ * An nibpData as it would have been made seconds later (the server's snapshot of data it received earlier).
+ * @param {object} nibpData
+ * @param {number} seconds
+ * @returns {object} Copy with measuring.elapsedS and nextInS moved on.
+ */
+export function ageNibpData(nibpData, seconds) {
+    return {
+        ...nibpData,
+        measuring: nibpData.measuring ? { ...nibpData.measuring, elapsedS: (Number(nibpData.measuring.elapsedS) || 0) + seconds } : null,
+        nextInS: Number.isFinite(nibpData.nextInS) ? Math.max(0, nibpData.nextInS - seconds) : null,
+    };
+}
+
+/**
+ * The NIBP tile's status from an nibpData, with the cuff start and next measurement on this device's clock.
+ * @param {object} nibpData
+ * @param {number} [receivedAtMs] Time the data arrived (this device's clock).
+ * @returns {{mode: string, measuring: object|null, nextAtMs: number|null, error: string|null, history: Array<object>}}
+ *          measuring carries startedAtMs.
+ */
+export function nibpStatusAt(nibpData, receivedAtMs = Date.now()) {
+    const { mode = "manual", measuring = null, nextInS = null, error = null, history = [] } = nibpData;
+    return {
+        mode,
+        measuring: measuring ? { ...measuring, startedAtMs: receivedAtMs - (Number(measuring.elapsedS) || 0) * 1000 } : null,
+        nextAtMs: Number.isFinite(nextInS) ? receivedAtMs + nextInS * 1000 : null,
+        error,
+        history,
+    };
+}
+
+/**
+ * Runs measurements in the selected mode. Every change is reported through onUpdate as nibpData.
+ */
+export class NibpCycle {
+    /**
+     * @param {object} [handlers]
+     * @param {function(): object} [handlers.conditions] Current abp (target), ecg (as drawn) and faults.
+     * @param {function(object): void} [handlers.onUpdate] Called with getData() on start, result and mode changes.
+     * @param {number} [tickIntervalMs] Internal timer interval while busy; 0 for none (call tick() yourself).
+     * @param {function(): number} [random] Uniform [0, 1), for the failures and the measurement error.
+     */
+    constructor(handlers = {}, tickIntervalMs = NIBP_TICK_INTERVAL_MS, random = Math.random) {
+        this.handlers = handlers;
+        this.tickIntervalMs = tickIntervalMs;
+        this.tickIntervalId = null;
+        this.random = random;
+        this.mode = "manual";
+        this.errorMmHg = 0;
+        this.patientMoving = false;
+        this.reset();
+    }
+
+    /** Forgets the readings and the schedule and returns to manual mode (monitor stopped). */
+    reset() {
+        this.mode = "manual";
+        this.reading = { sys: null, dia: null, map: null, timestamp: null, error: null };
+        this.history = [];
+        this.measuring = null; // { startedAtMs, durationS, inflationMmHg, endMmHg, error }
+        this.nextAtMs = null;
+        this.statUntilMs = null;
+        this._stopTicking();
+    }
+
+    /**
+     * @param {string} [event] 'start' | 'result' | 'mode'
+     * @param {number} [nowMs]
+     * @returns {object} nibpData (see the file header).
+     */
+    getData(event = "mode", nowMs = Date.now()) {
+        const { sys, dia, map, timestamp, error } = this.reading;
+        return {
+            sys, dia, map, timestamp, error, event,
+            mode: this.mode,
+            measuring: this.measuring
+                ? { elapsedS: Math.max(0, (nowMs - this.measuring.startedAtMs) / 1000), durationS: this.measuring.durationS,
+                    inflationMmHg: this.measuring.inflationMmHg, endMmHg: this.measuring.endMmHg }
+                : null,
+            nextInS: this.nextAtMs !== null ? Math.max(0, (this.nextAtMs - nowMs) / 1000) : null,
+            history: this.history.map((entry) => ({ ...entry })),
+        };
+    }
+
+    /**
+     * Starts a measurement, or stops the one in progress (the Start/Stop key of a monitor).
+     * @param {number} [nowMs]
+     */
+    start(nowMs = Date.now()) {
+        if (this.measuring) {
+            this.measuring = null;
+            this.statUntilMs = null;
+            if (this.mode === "stat") this.mode = "manual";
+            this._scheduleNext(nowMs, nowMs);
+            this._emit("mode", nowMs);
+            return;
+        }
+        this._startMeasurement(nowMs);
+    }
+
+    /**
+     * Selects the mode. An automatic mode measures now and then every interval; STAT measures back to back
+     * for 5 min and then returns to manual.
+     * @param {string} mode NIBP_MODES key.
+     * @param {number} [nowMs]
+     */
+    setMode(mode, nowMs = Date.now()) {
+        if (!(mode in NIBP_MODES) || mode === this.mode) return;
+        this.mode = mode;
+        this.statUntilMs = mode === "stat" ? nowMs + NIBP_MODES.stat.runS * 1000 : null;
+        if (mode === "manual") {
+            this.nextAtMs = null;
+        } else if (!this.measuring) {
+            this._startMeasurement(nowMs);
+            return;
+        }
+        this._emit("mode", nowMs);
+    }
+
+    /**
+     * @param {{errorMmHg?: number, patientMoving?: boolean}} options Used from the next measurement on.
+     */
+    setOptions({ errorMmHg, patientMoving } = {}) {
+        if (Number.isFinite(errorMmHg)) this.errorMmHg = clamp(errorMmHg, 0, 30);
+        if (typeof patientMoving === "boolean") this.patientMoving = patientMoving;
+    }
+
+    /**
+     * Finishes a measurement whose time is up and starts scheduled ones.
+     * @param {number} [nowMs]
+     */
+    tick(nowMs = Date.now()) {
+        if (this.measuring && nowMs >= this.measuring.startedAtMs + this.measuring.durationS * 1000) {
+            this._finishMeasurement(nowMs);
+        } else if (!this.measuring && this.nextAtMs !== null && nowMs >= this.nextAtMs) {
+            this._startMeasurement(nowMs);
+        }
+    }
+
+    /** Stops the timer and drops the handlers. */
+    dispose() {
+        this._stopTicking();
+        this.handlers = {};
+    }
+
+    _startMeasurement(nowMs) {
+        const conditions = { ...(typeof this.handlers.conditions === "function" ? this.handlers.conditions() : {}), patientMoving: this.patientMoving };
+        const plan = planNibpMeasurement(conditions, this.reading.sys, this.random);
+        this.measuring = { startedAtMs: nowMs, ...plan };
+        this.nextAtMs = null;
+        this._emit("start", nowMs);
+    }
+
+    _finishMeasurement(nowMs) {
+        const { startedAtMs, error } = this.measuring;
+        this.measuring = null;
+        const conditions = typeof this.handlers.conditions === "function" ? this.handlers.conditions() : {};
+        const reading = error ? null : measureNibp(conditions.abp, this.errorMmHg, this.random);
+        this.reading = {
+            sys: reading?.sys ?? null,
+            dia: reading?.dia ?? null,
+            map: reading?.map ?? null,
+            timestamp: new Date(nowMs).toISOString(),
+            error: reading ? null : error ?? "no_pulse",
+        };
+        this.history = [{ ...this.reading }, ...this.history].slice(0, NIBP_HISTORY_LENGTH);
+        if (this.mode === "stat" && !(nowMs < this.statUntilMs)) {
+            this.mode = "manual";
+            this.statUntilMs = null;
+        }
+        this._scheduleNext(startedAtMs, nowMs);
+        this._emit("result", nowMs);
+    }
+
+    // Next automatic measurement: intervals count from the start of the previous one
+    _scheduleNext(lastStartMs, nowMs) {
+        const intervalS = NIBP_MODES[this.mode].intervalS;
+        this.nextAtMs = intervalS === null ? null : Math.max(nowMs, lastStartMs + intervalS * 1000);
+    }
+
+    _emit(event, nowMs) {
+        this._updateTicking();
+        if (typeof this.handlers.onUpdate === "function") this.handlers.onUpdate(this.getData(event, nowMs));
+    }
+
+    _updateTicking() {
+        const busy = this.measuring !== null || this.nextAtMs !== null;
+        if (!busy) {
+            this._stopTicking();
+        } else if (this.tickIntervalId === null && this.tickIntervalMs > 0 && typeof setInterval === "function") {
+            this.tickIntervalId = setInterval(() => this.tick(Date.now()), this.tickIntervalMs);
+        }
+    }
+
+    _stopTicking() {
+        if (this.tickIntervalId !== null) {
+            clearInterval(this.tickIntervalId);
+            this.tickIntervalId = null;
+        }
+    }
+}
@@ -0,0 +1,66 @@
+// rWaveDetector.js - R-wave detection on the displayed ECG for synchronized cardioversion
+// VERSION: Initial version. Adaptive amplitude threshold with a slope check and a refractory period.
+//
+// Works on the samples the monitor draws, not on beat timing, so it behaves like a real sync detector:
+// the result depends on the selected lead, tall T waves or pacer spikes may be marked, and
+// VF gives unreliable or no markers.
+
+const REFRACTORY_S = 0.25;          // no new detection this soon after the previous R peak
+const SEARCH_WINDOW_S = 0.08;       // after a threshold crossing, the peak is searched this long
+const MIN_THRESHOLD_MV = 0.3;
+const THRESHOLD_FRACTION = 0.5;     // of the running R amplitude
+const MIN_SLOPE_MV_PER_S = 10;      // QRS upstroke; slower deflections (T waves, baseline drift) are ignored
+const BASELINE_TIME_CONSTANT_S = 1.5;
+const PEAK_LEVEL_TIME_CONSTANT_S = 4; // running R amplitude decays so a smaller rhythm is picked up again
+
+/**
+ * @returns {object} Fresh detector state.
+ */
+export function createRWaveDetectorState() {
+    return { baseline: null, peakLevel: 0, lastValue: null, lastDetectionTime: null, search: null };
+}
+
+/**
+ * Feeds one ECG sample to the detector. The state object is updated in place.
+ * @param {object} state From createRWaveDetectorState().
+ * @param {number} value ECG sample (mV).
+ * @param {number} time Sample time (s).
+ * @param {number} sampleRate Samples per second.
+ * @returns {{peakValue: number, samplesSincePeak: number}|null} The detected R peak, reported once its
+ *          search window closes, or null.
+ */
+export function detectRWave(state, value, time, sampleRate) {
+    if (!Number.isFinite(value)) return null;
+    const dt = 1 / sampleRate;
+    if (state.baseline === null) state.baseline = value;
+    const slope = state.lastValue === null ? 0 : (value - state.lastValue) / dt;
+    state.lastValue = value;
+    const amplitude = Math.abs(value - state.baseline);
+
+    if (state.search) {
+        const search = state.search;
+        if (amplitude > search.peakAmplitude) {
+            search.peakAmplitude = amplitude;
+            search.peakValue = value;
+            search.peakTime = time;
+        }
+        if (time - search.startTime < SEARCH_WINDOW_S && amplitude >= search.peakAmplitude * 0.5) return null;
+
+        state.search = null;
+        state.lastDetectionTime = search.peakTime;
+        state.peakLevel = state.peakLevel > 0
+            ? state.peakLevel + (search.peakAmplitude - state.peakLevel) * 0.25
+            : search.peakAmplitude;
+        return { peakValue: search.peakValue, samplesSincePeak: Math.round((time - search.peakTime) * sampleRate) };
+    }
+
+    state.baseline += (value - state.baseline) * Math.min(1, dt / BASELINE_TIME_CONSTANT_S);
+    state.peakLevel *= 1 - Math.min(1, dt / PEAK_LEVEL_TIME_CONSTANT_S);
+
+    const threshold = Math.max(MIN_THRESHOLD_MV, state.peakLevel * THRESHOLD_FRACTION);
+    const refractory = state.lastDetectionTime !== null && time - state.lastDetectionTime < REFRACTORY_S;
+    if (!refractory && amplitude >= threshold && Math.abs(slope) >= MIN_SLOPE_MV_PER_S) {
+        state.search = { startTime: time, peakAmplitude: amplitude, peakValue: value, peakTime: time };
+    }
+    return null;
+}
@@ -0,0 +1,82 @@
+// random.js - Seedable pseudo-random number source shared by all waveform generators
+// Every random draw in waveform generation goes through random(), so a run can be reproduced from its seed.
+// The stream is a 32-bit Mulberry32 generator: small, fast and identical in every browser and in Node.
+//
+// The simulator reseeds the stream from the session seed whenever the ECG rhythm (re)starts, so every
+// monitor in a session draws the same VF/AF trace for the same rhythm (see deriveSeed).
+
+const MAX_SEED = 0xFFFFFFFF;
+
+let randomState = 0;
+let currentSeed = 0;
+
+/**
+ * Normalises any number to an unsigned 32-bit seed.
+ * @param {number} seed
+ * @returns {number} Integer in 0..2^32-1.
+ */
+export function normalizeSeed(seed) {
+    const value = Math.floor(Math.abs(Number(seed)));
+    return Number.isFinite(value) ? value % (MAX_SEED + 1) : 0;
+}
+
+/** A fresh seed for a new session. The seed itself does not need to be reproducible. */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Restarts the stream from a seed.
+ * @param {number} seed Unsigned 32-bit seed (other numbers are normalised).
+ */
+export function setRandomSeed(seed) {
+    currentSeed = normalizeSeed(seed);
+    randomState = currentSeed;
+}
+
+/** @returns {number} The seed the stream was last started from. */
+export function getRandomSeed() {
+    return currentSeed;
+}
+
+/**
+ * Position of the stream. Together with setRandomState this lets a caller draw "off the record"
+ * (e.g. a second ECG lead or the 12-lead snapshot) without shifting the main trace.
+ * @returns {number}
+ */
+export function getRandomState() {
+    return randomState;
+}
+
+/** @param {number} state A value returned by getRandomState(). */
+export function setRandomState(state) {
+    randomState = state >>> 0;
+}
+
+/**
+ * Drop-in replacement for Math.random().
+ * @returns {number} Uniform number in [0, 1).
+ */
+export function random() {
+    randomState = (randomState + 0x6D2B79F5) >>> 0;
+    let t = randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Mixes a base seed with labels (e.g. the rhythm key) into a new seed (FNV-1a over the label text).
+ * @param {number} seed Base seed.
+ * @param {...(string|number)} labels
+ * @returns {number} Unsigned 32-bit seed.
+ */
+export function deriveSeed(seed, ...labels) {
+    let hash = (0x811C9DC5 ^ normalizeSeed(seed)) >>> 0;
+    const text = labels.join('|');
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
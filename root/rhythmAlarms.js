@@ -0,0 +1,60 @@
+// rhythmAlarms.js - Arrhythmia and lethal-rhythm alarms (ASYSTOLE, VFIB/VTACH, VTACH, EXTREME BRADY/TACHY, PAUSE, APNEA)
+// VERSION: Initial version. Classified from the flags of the rhythm as drawn (rhythms.js), the ECG rate and the
+//          time since the last R wave the monitor detected. No DOM access; alarmManager.checkAlarms() adds the
+//          result to the limit alarms.
+//
+// These alarms are always high priority and are not suppressed by the HR limit logic: the HR limit alarms are
+// ignored for flat, chaotic and pulseless rhythms, which are exactly the ones a real monitor alarms loudest on.
+// Nothing ECG-based is reported during CPR artifact.
+
+import { DEFAULT_ALARM_THRESHOLDS } from "./config.js";
+
+export const RHYTHM_ALARM_KEYS = ["asystole", "vfib_vtach", "vtach", "extreme_brady", "extreme_tachy", "pause", "apnea"];
+
+// Ventricular tachycardia: no P waves, wide QRS, fast rate
+const VTACH_MIN_QRS_WIDTH_S = 0.12;
+const VTACH_MIN_RATE = 100;
+
+/**
+ * ECG rate the classification uses: the HR numeric, or the drawn rate of pulseless rhythms (their HR is 0).
+ * @param {object} ecg params.ecg (effective, i.e. the paced rhythm while the pacer captures).
+ * @returns {number} Beats per minute, 0 when there are no beats.
+ */
+export function rhythmAlarmRate(ecg) {
+    const params = ecg?.params;
+    if (!params) return 0;
+    const rate = params.isPEA || ecg.rhythm === "vt_pulseless" ? params.baseHR : ecg.hr;
+    return Number.isFinite(rate) && rate > 0 ? rate : 0;
+}
+
+/**
+ * @param {object} currentParams Effective params (ecg, etco2, alarms).
+ * @param {number|null} [secondsSinceRWave] Time since the monitor last detected an R wave; null skips PAUSE.
+ * @returns {object} Active rhythm alarm keys (key -> true).
+ */
+export function classifyRhythmAlarms(currentParams, secondsSinceRWave = null) {
+    const active = {};
+    const limits = { ...DEFAULT_ALARM_THRESHOLDS.ecg, ...(currentParams?.alarms?.ecg || {}) };
+
+    const ecg = currentParams?.ecg;
+    const params = ecg?.params;
+    if (ecg?.visible && params && !params.isArtifact) {
+        const rate = rhythmAlarmRate(ecg);
+        if (params.isFlat) {
+            active.asystole = true;
+        } else if (params.isChaotic) {
+            active.vfib_vtach = true;
+        } else {
+            const wideWithoutP = !params.hasP && !params.hasPacingSpike && params.qrs_width >= VTACH_MIN_QRS_WIDTH_S;
+            if (wideWithoutP && rate >= VTACH_MIN_RATE) active.vtach = true;
+            if (rate > 0 && rate < limits.extreme_low) active.extreme_brady = true;
+            if (rate > limits.extreme_high && !active.vtach) active.extreme_tachy = true;
+            if (Number.isFinite(secondsSinceRWave) && secondsSinceRWave > limits.pause_s) active.pause = true;
+        }
+    }
+
+    const etco2 = currentParams?.etco2;
+    if (etco2?.visible && etco2.etco2Shape !== "disconnect" && Number(etco2.rr) === 0) active.apnea = true;
+
+    return active;
+}
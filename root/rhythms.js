@@ -6,6 +6,12 @@
 //          ADDED: vf_hold_duration parameter to vf and fine_vf rhythms.
 //          MODIFIED: cpr_artifact respiratoryRate to 10, as per user request.
 //          MODIFIED: PEA rhythm parameters to be more agonal-like.
+//          ADDED: Atrial flutter rhythms (2:1, 3:1, 4:1, variable) for flutterGenerator.
+//          ADDED: long_qt sinus and torsades / polymorphic VT rhythms for torsadesGenerator.
+//          ADDED: Per-lead `leads` overrides (see ecgGenerators/leadModel.js). stemi is now an inferior
+//                 STEMI with reciprocal changes; added stemi_anterior.
+//          ADDED: tcp_capture, the captured rhythm drawn while the external pacer is above its capture threshold.
+//          MODIFIED: avb3 is a true complete heart block ('complete' block type, ventricular escape). Added avb3_junctional.
 
 export const RHYTHM_PARAMS = {
   // --- Sinus Rhythms & Variations ---
@@ -202,6 +208,113 @@ export const RHYTHM_PARAMS = {
     noise_amp: 0.015,
   },
 
+  // --- Atrial Flutter (flutterGenerator) ---
+  flutter_2to1: {
+    generatorType: "flutter",
+    flutterRate: 300,
+    conductionRatio: 2,
+    baseHR: 150, // flutterRate / conductionRatio (mean ratio for variable)
+    isFlat: false,
+    isChaotic: false,
+    hasP: false,
+    hasT: true,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    f_amp: 0.22, // peak-to-peak sawtooth amplitude
+    f_ramp_fraction: 0.75, // slow downslope portion of each F-wave
+    flutterConductionDelay: 0.2, // F-wave start -> QRS
+    p_amp: 0,
+    qrs_amp: 1.2,
+    qrs_width: 0.08,
+    q_amp_factor: 0.1,
+    s_amp_factor: 0.15,
+    t_amp: 0.22,
+    t_width: 0.07,
+    pr_interval: 0,
+    t_mean_offset: 0.22,
+    noise_amp: 0.015,
+  },
+  flutter_3to1: {
+    generatorType: "flutter",
+    flutterRate: 300,
+    conductionRatio: 3,
+    baseHR: 100, // flutterRate / conductionRatio (mean ratio for variable)
+    isFlat: false,
+    isChaotic: false,
+    hasP: false,
+    hasT: true,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    f_amp: 0.22, // peak-to-peak sawtooth amplitude
+    f_ramp_fraction: 0.75, // slow downslope portion of each F-wave
+    flutterConductionDelay: 0.2, // F-wave start -> QRS
+    p_amp: 0,
+    qrs_amp: 1.2,
+    qrs_width: 0.08,
+    q_amp_factor: 0.1,
+    s_amp_factor: 0.15,
+    t_amp: 0.22,
+    t_width: 0.07,
+    pr_interval: 0,
+    t_mean_offset: 0.22,
+    noise_amp: 0.015,
+  },
+  flutter_4to1: {
+    generatorType: "flutter",
+    flutterRate: 300,
+    conductionRatio: 4,
+    baseHR: 75, // flutterRate / conductionRatio (mean ratio for variable)
+    isFlat: false,
+    isChaotic: false,
+    hasP: false,
+    hasT: true,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    f_amp: 0.22, // peak-to-peak sawtooth amplitude
+    f_ramp_fraction: 0.75, // slow downslope portion of each F-wave
+    flutterConductionDelay: 0.2, // F-wave start -> QRS
+    p_amp: 0,
+    qrs_amp: 1.2,
+    qrs_width: 0.08,
+    q_amp_factor: 0.1,
+    s_amp_factor: 0.15,
+    t_amp: 0.22,
+    t_width: 0.07,
+    pr_interval: 0,
+    t_mean_offset: 0.22,
+    noise_amp: 0.015,
+  },
+  flutter_variable: {
+    generatorType: "flutter",
+    flutterRate: 300,
+    conductionRatio: "variable",
+    variableRatios: [2, 3, 4], // ratio picked at random for each conducted beat
+    baseHR: 100, // flutterRate / conductionRatio (mean ratio for variable)
+    isFlat: false,
+    isChaotic: false,
+    hasP: false,
+    hasT: true,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    f_amp: 0.22, // peak-to-peak sawtooth amplitude
+    f_ramp_fraction: 0.75, // slow downslope portion of each F-wave
+    flutterConductionDelay: 0.2, // F-wave start -> QRS
+    p_amp: 0,
+    qrs_amp: 1.2,
+    qrs_width: 0.08,
+    q_amp_factor: 0.1,
+    s_amp_factor: 0.15,
+    t_amp: 0.22,
+    t_width: 0.07,
+    pr_interval: 0,
+    t_mean_offset: 0.22,
+    noise_amp: 0.015,
+  },
+
   // --- Junctional Rhythms ---
   junctional: {
     generatorType: "pqrst",
@@ -416,9 +529,11 @@ export const RHYTHM_PARAMS = {
     noise_amp: 0.02,
   },
   avb3: {
+    // Complete heart block with a ventricular escape: P waves and wide QRS complexes are unrelated.
     generatorType: "avBlock",
-    blockType: "mobitz2",
-    baseHR: 40,
+    blockType: "complete",
+    escapeFocus: "ventricular",
+    baseHR: 35,
     atrialRate: 80,
     isFlat: false,
     isChaotic: false,
@@ -426,21 +541,67 @@ export const RHYTHM_PARAMS = {
     hasT: true,
     isPEA: false,
     isArtifact: false,
-    irregular: 0.03,
+    irregular: 0.04,
     p_amp: 0.15,
+    p_duration: 0.10,
     qrs_amp: 1.2,
-    qrs_width: 0.14,
+    qrs_width: 0.16,
+    q_amp_factor: 0.05,
+    s_amp_factor: 0.4,
+    t_amp: -0.3, // discordant T after a wide ventricular QRS
+    t_width: 0.10,
+    t_mean_offset: 0.36,
+    noise_amp: 0.02,
+  },
+  avb3_junctional: {
+    // Complete heart block with a junctional escape: narrow QRS at 40-60 bpm.
+    generatorType: "avBlock",
+    blockType: "complete",
+    escapeFocus: "junctional",
+    baseHR: 45,
+    atrialRate: 80,
+    isFlat: false,
+    isChaotic: false,
+    hasP: true,
+    hasT: true,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0.02,
+    p_amp: 0.15,
+    p_duration: 0.10,
+    qrs_amp: 1.2,
+    qrs_width: 0.08,
     q_amp_factor: 0.1,
     s_amp_factor: 0.15,
-    t_amp: 0.2,
-    t_width: 0.08,
-    prIntervalFixed: 0.18,
-    conductionProbability: 0.5,
-    escapeEnabled: true,
-    escapeRate: 40,
+    t_amp: 0.25,
+    t_width: 0.07,
+    t_mean_offset: 0.28,
     noise_amp: 0.02,
   },
 
+  // --- QT Prolongation (lead-in for torsades_r_on_t) ---
+  long_qt: {
+    generatorType: "pqrst",
+    baseHR: 55,
+    isFlat: false,
+    isChaotic: false,
+    hasP: true,
+    hasT: true,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0.02,
+    p_amp: 0.15,
+    qrs_amp: 1.3,
+    qrs_width: 0.08,
+    q_amp_factor: 0.1,
+    s_amp_factor: 0.15,
+    t_amp: 0.3,
+    t_width: 0.11, // broad T-wave
+    pr_interval: 0.16,
+    t_mean_offset: 0.46, // late T-wave peak, QT ~0.6 s
+    noise_amp: 0.015,
+  },
+
   // --- Injury / Ischemia Patterns ---
   stemi: {
     generatorType: "pqrst",
@@ -462,7 +623,60 @@ export const RHYTHM_PARAMS = {
     pr_interval: 0.16,
     t_mean_offset: 0.25,
     noise_amp: 0.015,
-    st_elevation_amp: 0.4,
+    st_elevation_amp: 0.4, // lead II; other leads below
+    // Inferior STEMI: ST elevation II, III, aVF (III > II), reciprocal depression in I and aVL.
+    leads: {
+      I: { st_elevation_amp: -0.1 },
+      II: { st_elevation_amp: 0.4 },
+      III: { st_elevation_amp: 0.5, t_amp: 0.4 },
+      aVR: { st_elevation_amp: -0.1 },
+      aVL: { st_elevation_amp: -0.25, t_amp: -0.1 },
+      aVF: { st_elevation_amp: 0.45, t_amp: 0.38 },
+      V1: { st_elevation_amp: 0 },
+      V2: { st_elevation_amp: -0.05 },
+      V3: { st_elevation_amp: 0 },
+      V4: { st_elevation_amp: 0 },
+      V5: { st_elevation_amp: 0.05 },
+      V6: { st_elevation_amp: 0.1 },
+    },
+  },
+  stemi_anterior: {
+    generatorType: "pqrst",
+    baseHR: 95,
+    isFlat: false,
+    isChaotic: false,
+    hasP: true,
+    hasT: true,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0.03,
+    p_amp: 0.15,
+    qrs_amp: 1.2,
+    qrs_width: 0.09,
+    q_amp_factor: 0.1,
+    s_amp_factor: 0.15,
+    t_amp: 0.3,
+    t_width: 0.08,
+    pr_interval: 0.16,
+    t_mean_offset: 0.25,
+    noise_amp: 0.015,
+    st_elevation_amp: 0, // lead II is near normal; the injury is seen in V1-V4
+    // Anterior STEMI: ST elevation and hyperacute T in V1-V4 with poor R-wave progression,
+    // slight elevation in I/aVL, mild reciprocal depression in the inferior leads.
+    leads: {
+      I: { st_elevation_amp: 0.1 },
+      II: { st_elevation_amp: 0 },
+      III: { st_elevation_amp: -0.1 },
+      aVR: { st_elevation_amp: -0.05 },
+      aVL: { st_elevation_amp: 0.15 },
+      aVF: { st_elevation_amp: -0.05 },
+      V1: { st_elevation_amp: 0.2, qrs_amp: 0.15, s_amp_factor: 7 },
+      V2: { st_elevation_amp: 0.5, qrs_amp: 0.2, s_amp_factor: 6, t_amp: 0.6 },
+      V3: { st_elevation_amp: 0.55, qrs_amp: 0.35, s_amp_factor: 3, t_amp: 0.6 },
+      V4: { st_elevation_amp: 0.45, t_amp: 0.5 },
+      V5: { st_elevation_amp: 0.25 },
+      V6: { st_elevation_amp: 0.1 },
+    },
   },
 
   // --- Paced Rhythms (using NEW pacedGenerator) ---
@@ -535,6 +749,42 @@ export const RHYTHM_PARAMS = {
     st_elevation_amp: 0,
   },
 
+  // Transcutaneous pacing with capture. Not selectable; the monitor draws it while the external pacer
+  // captures (see `pacer` in targetParams). HR comes from the pacer rate.
+  tcp_capture: {
+    generatorType: "paced",
+    displayName: "Paced (TCP capture)",
+    baseHR: 70,
+    isFlat: false,
+    isChaotic: false,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    noise_amp: 0.02,
+
+    hasP: false,
+    p_amp: 0,
+
+    hasPacingSpike: true,
+    pacing_spike_amp: 2.0, // External pacer output is much larger than an implanted pacemaker spike
+    pacing_spike_duration: 0.04,
+    pacing_spike_pr_offset: 0.0,
+
+    qrs_start_after_spike_delay: 0.05,
+    qrs_amp: 1.4,
+    pacedQrsWidth: 0.18, // Wide, bizarre ventricular complex
+    q_amp_factor: 0.05,
+    s_amp_factor: 0.35,
+
+    hasT: true,
+    pacedTWaveAmp: -0.45, // Discordant T-wave
+    pacedTWaveWidth: 0.13,
+    // For pacedGenerator: t_mean_offset is from QRS START to T-wave center
+    t_mean_offset: 0.38,
+
+    st_elevation_amp: 0,
+  },
+
   // --- Pulseless Rhythms / Artifacts ---
   vf: {
     generatorType: "chaotic",
@@ -570,6 +820,69 @@ export const RHYTHM_PARAMS = {
     noise_amp: 0.02,
     vf_hold_duration: 3, // Pidetään arvoa 3 näytteen ajan
   },
+  torsades: {
+    generatorType: "torsades",
+    baseHR: 0,
+    isFlat: false,
+    isChaotic: true, // pulseless, shockable
+    hasP: false,
+    hasT: false,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    p_amp: 0,
+    qrs_amp: 0,
+    t_amp: 0,
+    torsadesRate: 220, // complexes per minute
+    twistPeriod: 2.0, // seconds from node to node (one spindle)
+    twistDepth: 1.0, // 1 = full polarity twist, lower = irregular polymorphic VT
+    beatVariability: 0.1,
+    torsades_amp: 1.4,
+    noise_amp: 0.02,
+  },
+  torsades_r_on_t: {
+    generatorType: "torsades",
+    baseHR: 0,
+    isFlat: false,
+    isChaotic: true, // pulseless, shockable
+    hasP: false,
+    hasT: false,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    p_amp: 0,
+    qrs_amp: 0,
+    t_amp: 0,
+    torsadesRate: 220,
+    twistPeriod: 2.0,
+    twistDepth: 1.0,
+    beatVariability: 0.1,
+    torsades_amp: 1.4,
+    noise_amp: 0.02,
+    rOnTOnset: true, // lead in with long-QT sinus, first complex on the last T-wave peak
+    onsetRhythm: "long_qt",
+    onsetSinusBeats: 1,
+  },
+  polymorphic_vt: {
+    generatorType: "torsades",
+    baseHR: 0,
+    isFlat: false,
+    isChaotic: true, // pulseless, shockable
+    hasP: false,
+    hasT: false,
+    isPEA: false,
+    isArtifact: false,
+    irregular: 0,
+    p_amp: 0,
+    qrs_amp: 0,
+    t_amp: 0,
+    torsadesRate: 200,
+    twistPeriod: 3.0,
+    twistDepth: 0.35,
+    beatVariability: 0.4,
+    torsades_amp: 1.3,
+    noise_amp: 0.02,
+  },
   vt_pulseless: {
     generatorType: "pqrst",
     baseHR: 180,
@@ -0,0 +1,393 @@
+// scenarioEngine.js - Timeline-driven scenario engine (stages with timed and triggered transitions)
+// VERSION: Initial version. Stages, time/event triggers, branching, manual "Next".
+//          ADDED: Shock transitions can depend on the shock itself (`sync`, `minEnergy`, `maxEnergy`).
+//          ADDED: Optional scenario `seed` (waveform random seed, applied by the controller on start).
+//          ADDED: Time compression: scenario `timeScale` and `history` (synthetic trend history), stage `drift`.
+//          FIX: Drift leaves the vitals the instructor changes during it (editedDriftFields) where they were set.
+//          FIX: "Next" does nothing while paused and only follows a 'next' transition or the duration + next shorthand.
+//
+// Scenario format (stored on a case as `case.scenario`):
+// {
+//   name: 'VF megacode',
+//   startStage: 'vf',                          // optional, defaults to the first stage
+//   seed: 12345,                               // optional waveform seed, so every run draws the same traces
+//   timeScale: 12,                             // optional: patient seconds per real second (1 min = 12 min)
+//   history: { hours: 4, vitals: { hr: 72, abpSys: { from: 135, shape: 'late' } } }, // optional trend history
+//   stages: [
+//     { id: 'vf', name: 'VF arrest', preset: 'VF',   // preset name in the case, or inline `params`
+//       transitions: [
+//         { trigger: 'shock', count: 2, to: 'rosc' },   // second shock in this stage -> ROSC
+//         { trigger: 'time', after: 180, to: 'asystole' } // otherwise -> asystole after 3 min
+//       ] },
+//     { id: 'svt', name: 'Unstable SVT', preset: 'SVT',
+//       transitions: [
+//         { trigger: 'shock', sync: false, to: 'vf' },           // unsynchronized shock -> VF
+//         { trigger: 'shock', sync: true, minEnergy: 50, to: 'rosc' } // synchronized, >= 50 J -> sinus
+//       ] },
+//     { id: 'rosc', name: 'ROSC', params: { ecg: { rhythm: 'tachy', hr: 110 } }, duration: 120, next: 'stable' },
+//     { id: 'bleed', name: 'Slow bleed', params: { abp: { sys: 85, dia: 50 } }, drift: 1800 }, // over 30 min
+//     ...
+//   ]
+// }
+// `duration` + `next` on a stage is shorthand for a 'time' transition. A transition with `to: null` ends the scenario.
+// Transitions are evaluated in order, so the first matching one wins (this is how branching is expressed).
+// `sync`, `minEnergy` and `maxEnergy` on a shock transition are checked against the shock just delivered;
+// `count` still counts every shock in the stage.
+// Time compression: with `timeScale`, stage durations, time triggers and `drift` are patient time and run that much
+// faster; the waveforms keep real time. A stage with `drift` moves the numeric vitals (DRIFT_PARAMS) from where they
+// were to the stage's values over that many seconds instead of at once. `history` (see validateTrendHistory in
+// trendRecorder.js) fills the trends with curves ending at the start stage, as if the patient had been monitored
+// for `hours` already.
+
+import { MAX_TIME_SCALE } from './config.js';
+import { validateTrendHistory } from './trendRecorder.js';
+
+export const SCENARIO_TRIGGERS = ['time', 'shock', 'cpr_on', 'cpr_off', 'next'];
+const SCENARIO_TICK_INTERVAL_MS = 250;
+
+// Numeric vitals a drifting stage moves gradually: [params key, field, decimals]
+export const DRIFT_PARAMS = [
+    ['ecg', 'hr', 0], ['spo2', 'value', 0], ['abp', 'sys', 0], ['abp', 'dia', 0],
+    ['etco2', 'valueKpa', 1], ['etco2', 'rr', 0], ['temp', 'valueC', 1]
+];
+
+// Engine State
+let scenario = null;
+let stagesById = {};
+let currentStage = null;
+let stageElapsed = 0;        // seconds spent in the current stage (paused time excluded, patient time)
+let scenarioElapsed = 0;     // seconds since the scenario was started (patient time)
+let timeScale = 1;           // patient seconds per real second (kept between scenarios unless a scenario sets it)
+let eventCounts = {};        // per-stage event counters, e.g. { shock: 1 }
+let running = false;
+let paused = false;
+let tickIntervalId = null;
+let lastTickTimestamp = 0;
+let onStageEnterCallback = null;
+let onStatusChangeCallback = null;
+let onScenarioEndCallback = null;
+
+/**
+ * Registers engine callbacks.
+ * @param {object} callbacks - { onStageEnter(stage, reason), onStatusChange(status), onScenarioEnd(reason) }
+ */
+export function initializeScenarioEngine(callbacks = {}) {
+    onStageEnterCallback = callbacks.onStageEnter || null;
+    onStatusChangeCallback = callbacks.onStatusChange || null;
+    onScenarioEndCallback = callbacks.onScenarioEnd || null;
+}
+
+/**
+ * Normalises and validates a scenario definition.
+ * @param {object} definition - Raw scenario (e.g. from a case file).
+ * @returns {object} A normalised copy of the scenario.
+ * @throws {Error} If the structure is invalid or a transition points to an unknown stage.
+ */
+export function validateScenario(definition) {
+    if (!definition || typeof definition !== 'object' || !Array.isArray(definition.stages) || definition.stages.length === 0) {
+        throw new Error('Scenario must have a non-empty stages array.');
+    }
+    const normalised = JSON.parse(JSON.stringify(definition));
+    if (normalised.seed !== undefined && !(Number.isInteger(normalised.seed) && normalised.seed >= 0)) {
+        throw new Error('Scenario seed must be a non-negative integer.');
+    }
+    if (normalised.timeScale !== undefined && !(Number(normalised.timeScale) >= 1 && Number(normalised.timeScale) <= MAX_TIME_SCALE)) {
+        throw new Error(`Scenario timeScale must be between 1 and ${MAX_TIME_SCALE}.`);
+    }
+    if (normalised.history !== undefined) {
+        try {
+            normalised.history = validateTrendHistory(normalised.history);
+        } catch (e) {
+            throw new Error(`Scenario history: ${e.message}`);
+        }
+    }
+    const ids = new Set();
+    normalised.stages.forEach((stage, index) => {
+        if (!stage || typeof stage !== 'object') throw new Error(`Stage ${index + 1} is not an object.`);
+        if (!stage.id) stage.id = `stage-${index + 1}`;
+        if (ids.has(stage.id)) throw new Error(`Duplicate stage id '${stage.id}'.`);
+        ids.add(stage.id);
+        if (!stage.name) stage.name = stage.id;
+        if (!stage.params && !stage.preset) throw new Error(`Stage '${stage.id}' needs either 'params' or 'preset'.`);
+        stage.transitions = Array.isArray(stage.transitions) ? stage.transitions : [];
+        if (stage.duration !== undefined) {
+            const duration = Number(stage.duration);
+            if (!Number.isFinite(duration) || duration <= 0) throw new Error(`Stage '${stage.id}' has an invalid duration.`);
+            stage.transitions.push({ trigger: 'time', after: duration, to: stage.next !== undefined ? stage.next : null });
+        }
+        if (stage.drift !== undefined && !(Number(stage.drift) > 0)) throw new Error(`Stage '${stage.id}' has an invalid drift.`);
+    });
+    normalised.stages.forEach(stage => {
+        stage.transitions.forEach(tr => {
+            if (!SCENARIO_TRIGGERS.includes(tr.trigger)) throw new Error(`Stage '${stage.id}' has unknown trigger '${tr.trigger}'.`);
+            if (tr.trigger === 'time' && !(Number(tr.after) > 0)) throw new Error(`Stage '${stage.id}' has a time trigger without a positive 'after'.`);
+            if (tr.to === undefined) tr.to = null;
+            if (tr.to !== null && !ids.has(tr.to)) throw new Error(`Stage '${stage.id}' transitions to unknown stage '${tr.to}'.`);
+            if (tr.count !== undefined && !(Number(tr.count) >= 1)) throw new Error(`Stage '${stage.id}' has an invalid trigger count.`);
+            if (tr.sync !== undefined && typeof tr.sync !== 'boolean') throw new Error(`Stage '${stage.id}' has a non-boolean 'sync' condition.`);
+            ['minEnergy', 'maxEnergy'].forEach(key => {
+                if (tr[key] !== undefined && !(Number(tr[key]) > 0)) throw new Error(`Stage '${stage.id}' has an invalid '${key}'.`);
+            });
+        });
+    });
+    if (normalised.startStage && !ids.has(normalised.startStage)) {
+        throw new Error(`Unknown startStage '${normalised.startStage}'.`);
+    }
+    if (!normalised.name) normalised.name = 'Scenario';
+    return normalised;
+}
+
+/**
+ * Builds a linear scenario from a list of presets: each preset becomes a stage advanced with "Next".
+ * @param {string} name - Scenario name.
+ * @param {Array<{name: string}>} presets - Presets in playback order.
+ * @returns {object} Scenario definition.
+ */
+export function buildLinearScenario(name, presets) {
+    const stages = (presets || []).map((p, i) => ({
+        id: `stage-${i + 1}`,
+        name: p.name || `Stage ${i + 1}`,
+        preset: p.name,
+        transitions: i < presets.length - 1 ? [{ trigger: 'next', to: `stage-${i + 2}` }] : []
+    }));
+    return { name: name || 'Scenario', stages };
+}
+
+/**
+ * Loads a scenario. Stops any running scenario first.
+ * @param {object} definition - Scenario definition (validated here).
+ */
+export function loadScenario(definition) {
+    stopScenario();
+    scenario = validateScenario(definition);
+    stagesById = {};
+    scenario.stages.forEach(s => { stagesById[s.id] = s; });
+    console.log(`[ScenarioEngine] Loaded scenario '${scenario.name}' with ${scenario.stages.length} stage(s).`);
+    _emitStatus();
+}
+
+/**
+ * Starts the loaded scenario from its start stage.
+ * @returns {boolean} True if started.
+ */
+export function startScenario() {
+    if (!scenario) { console.warn('[ScenarioEngine] No scenario loaded.'); return false; }
+    running = true;
+    paused = false;
+    scenarioElapsed = 0;
+    if (scenario.timeScale !== undefined) timeScale = Number(scenario.timeScale);
+    currentStage = null;
+    _enterStage(scenario.startStage || scenario.stages[0].id, 'start');
+    _startTicking();
+    return true;
+}
+
+/**
+ * Stops the scenario. Monitor parameters are left as they are.
+ */
+export function stopScenario() {
+    if (!running) return;
+    running = false;
+    paused = false;
+    _stopTicking();
+    console.log('[ScenarioEngine] Scenario stopped.');
+    _emitStatus();
+}
+
+export function pauseScenario() {
+    if (!running || paused) return;
+    paused = true;
+    _stopTicking();
+    _emitStatus();
+}
+
+export function resumeScenario() {
+    if (!running || !paused) return;
+    paused = false;
+    _startTicking();
+    _emitStatus();
+}
+
+/**
+ * Changes the time scale of the running scenario (the controller's time compression setting).
+ * @param {number} scale - Patient seconds per real second, 1 to MAX_TIME_SCALE.
+ */
+export function setScenarioTimeScale(scale) {
+    timeScale = Math.min(MAX_TIME_SCALE, Math.max(1, Number(scale) || 1));
+    _emitStatus();
+}
+
+/**
+ * Reports an instructor or simulator event ('shock', 'cpr_on', 'cpr_off', 'next') to the engine.
+ * @param {string} eventType - One of SCENARIO_TRIGGERS (except 'time').
+ * @param {object} [details] - Event details; for 'shock': { energy, sync }.
+ * @returns {boolean} True if the event caused a stage transition.
+ */
+export function notifyScenarioEvent(eventType, details = {}) {
+    if (!running || paused || !currentStage || eventType === 'time') return false;
+    eventCounts[eventType] = (eventCounts[eventType] || 0) + 1;
+    const transition = currentStage.transitions.find(tr =>
+        tr.trigger === eventType && eventCounts[eventType] >= (Number(tr.count) || 1) && _matchesDetails(tr, details)
+    );
+    if (!transition) { _emitStatus(); return false; }
+    _followTransition(transition, eventType);
+    return true;
+}
+
+function _matchesDetails(tr, details) {
+    if (tr.sync !== undefined && tr.sync !== Boolean(details.sync)) return false;
+    const energy = Number(details.energy);
+    if (tr.minEnergy !== undefined && !(energy >= Number(tr.minEnergy))) return false;
+    if (tr.maxEnergy !== undefined && !(energy <= Number(tr.maxEnergy))) return false;
+    return true;
+}
+
+/**
+ * Instructor "Next" button. Follows the stage's 'next' transition, else its `duration` + `next` shorthand, and ends
+ * the scenario on a stage without transitions. Shock, CPR and other time branches are never taken by "Next".
+ * @returns {boolean} True if the scenario moved on (false while paused).
+ */
+export function advanceScenario() {
+    if (!running || paused || !currentStage) return false;
+    if (notifyScenarioEvent('next')) return true;
+    if (currentStage.duration !== undefined) {
+        _followTransition({ to: currentStage.next !== undefined ? currentStage.next : null }, 'next');
+        return true;
+    }
+    if (currentStage.transitions.length > 0) return false;
+    _endScenario('next');
+    return true;
+}
+
+/**
+ * Advances scenario time. Called by the internal timer; exposed for headless use.
+ * @param {number} deltaSeconds - Elapsed real time since the previous tick (scenario time runs timeScale times faster).
+ */
+export function tickScenario(deltaSeconds) {
+    if (!running || paused || !currentStage || !(deltaSeconds > 0)) return;
+    stageElapsed += deltaSeconds * timeScale;
+    scenarioElapsed += deltaSeconds * timeScale;
+    const due = currentStage.transitions.find(tr => tr.trigger === 'time' && stageElapsed >= Number(tr.after));
+    if (due) {
+        _followTransition(due, 'time');
+    } else {
+        _emitStatus();
+    }
+}
+
+/**
+ * @returns {object} Snapshot of the engine state for UI display.
+ */
+export function getScenarioStatus() {
+    const nextTimed = currentStage
+        ? currentStage.transitions.filter(tr => tr.trigger === 'time').sort((a, b) => a.after - b.after)[0]
+        : null;
+    return {
+        loaded: !!scenario,
+        name: scenario ? scenario.name : null,
+        running,
+        paused,
+        stageId: currentStage ? currentStage.id : null,
+        stageName: currentStage ? currentStage.name : null,
+        stageElapsed,
+        scenarioElapsed,
+        timeScale,
+        drift: currentStage?.drift ? Math.min(1, stageElapsed / Number(currentStage.drift)) : null,
+        eventCounts: { ...eventCounts },
+        nextTimed: nextTimed ? { to: nextTimed.to, remaining: Math.max(0, nextTimed.after - stageElapsed) } : null,
+        transitions: currentStage ? currentStage.transitions.map(tr => ({ ...tr })) : []
+    };
+}
+
+/**
+ * The vitals of a drifting stage part way: `params` with every DRIFT_PARAMS value moved from `from` towards `to`.
+ * @param {object} params - Monitor params to start from (other values are kept).
+ * @param {object} from - Params before the stage.
+ * @param {object} to - The stage's params.
+ * @param {number} fraction - 0 (from) to 1 (to), status.drift.
+ * @param {string[]} [fixed] - 'key.field' names (see editedDriftFields) that keep their value in `params`.
+ * @returns {object} A copy of `params`.
+ */
+export function driftParams(params, from, to, fraction, fixed = []) {
+    const result = JSON.parse(JSON.stringify(params));
+    const f = Math.min(1, Math.max(0, fraction));
+    DRIFT_PARAMS.forEach(([key, field, decimals]) => {
+        if (fixed.includes(`${key}.${field}`)) return;
+        const start = from?.[key]?.[field];
+        const end = to?.[key]?.[field];
+        if (!result[key] || !Number.isFinite(start) || !Number.isFinite(end)) return;
+        const scale = 10 ** decimals;
+        result[key][field] = Math.round((start + (end - start) * f) * scale) / scale;
+    });
+    return result;
+}
+
+/**
+ * The DRIFT_PARAMS values that differ between two params, e.g. the ones changed by hand since the last drift step.
+ * @param {object} params - Current params.
+ * @param {object} drifted - Params the last drift step returned.
+ * @returns {string[]} 'key.field' names.
+ */
+export function editedDriftFields(params, drifted) {
+    return DRIFT_PARAMS
+        .filter(([key, field]) => params?.[key]?.[field] !== drifted?.[key]?.[field])
+        .map(([key, field]) => `${key}.${field}`);
+}
+
+function _followTransition(transition, reason) {
+    if (transition.to === null) {
+        _endScenario(reason);
+        return;
+    }
+    _enterStage(transition.to, reason);
+}
+
+function _enterStage(stageId, reason) {
+    const stage = stagesById[stageId];
+    if (!stage) { console.error(`[ScenarioEngine] Stage not found: ${stageId}`); _endScenario('error'); return; }
+    const previous = currentStage ? currentStage.id : null;
+    currentStage = stage;
+    stageElapsed = 0;
+    eventCounts = {};
+    console.log(`[ScenarioEngine] ${previous || '(start)'} -> ${stage.id} (${reason}).`);
+    if (typeof onStageEnterCallback === 'function') {
+        try { onStageEnterCallback(JSON.parse(JSON.stringify(stage)), reason); } catch (e) { console.error('[ScenarioEngine] onStageEnter callback failed:', e); }
+    }
+    _emitStatus();
+}
+
+function _endScenario(reason) {
+    console.log(`[ScenarioEngine] Scenario '${scenario?.name}' finished (${reason}).`);
+    running = false;
+    paused = false;
+    _stopTicking();
+    if (typeof onScenarioEndCallback === 'function') {
+        try { onScenarioEndCallback(reason); } catch (e) { console.error('[ScenarioEngine] onScenarioEnd callback failed:', e); }
+    }
+    _emitStatus();
+}
+
+function _startTicking() {
+    _stopTicking();
+    if (typeof setInterval !== 'function') return;
+    lastTickTimestamp = Date.now();
+    tickIntervalId = setInterval(() => {
+        const now = Date.now();
+        const delta = (now - lastTickTimestamp) / 1000;
+        lastTickTimestamp = now;
+        tickScenario(delta);
+    }, SCENARIO_TICK_INTERVAL_MS);
+}
+
+function _stopTicking() {
+    if (tickIntervalId !== null) {
+        clearInterval(tickIntervalId);
+        tickIntervalId = null;
+    }
+}
+
+function _emitStatus() {
+    if (typeof onStatusChangeCallback === 'function') {
+        try { onStatusChangeCallback(getScenarioStatus()); } catch (e) { console.error('[ScenarioEngine] onStatusChange callback failed:', e); }
+    }
+}
@@ -0,0 +1,184 @@
+// scenarioReplay.js - Replay of a recorded session event log (debrief) on the local monitor
+// VERSION: Initial version. Plays the controller commands of an event log ('event_log' from the server or a
+//          debrief JSON export) back in time order at 1x, 2x or 4x, with pause and seek. No DOM access; the
+//          monitor applies the events through the same paths as live network messages (script.js).
+//
+// Only event timing is scaled: waveforms are always drawn in real time. Seeking rebuilds the monitor state at
+// the target time (last vitals, shocked rhythm, activation, last NIBP, alarm sound state) in one step, like the
+// snapshot a late-joining monitor gets; events after that point are then played as they come.
+//
+// The server logs 'param_update' with only the params that changed ('changes'); logs from before that carry the full
+// 'params'. Both are resolved to full params before they are played, the same way the server's log trimming does
+// (paramsAfterEvent in sessionEvents.js).
+
+import { paramsAfterEvent } from "./sessionEvents.js";
+
+export const REPLAY_SPEEDS = [1, 2, 4];
+export const REPLAYED_EVENT_TYPES = ["param_update", "shock", "nibp_trigger", "activate_sim", "deactivate_sim", "sound_state_update"];
+const REPLAY_TICK_INTERVAL_MS = 100;
+
+/**
+ * Gives every 'param_update' of a log its full params, accumulated from the changes before it.
+ * @param {Array<object>} events Event log entries, oldest first.
+ * @returns {Array<object>} The same entries, with copies of the 'param_update' ones carrying 'params'.
+ */
+export function resolveParamUpdates(events) {
+    let params = null;
+    return events.map((event) => {
+        params = paramsAfterEvent(params, event);
+        if (event.type !== "param_update") return event;
+        const { changes, ...rest } = event;
+        return { ...rest, params: JSON.parse(JSON.stringify(params)) };
+    });
+}
+
+/**
+ * Monitor state after a list of events, in the shape of the server's session snapshot.
+ * @param {Array<object>} events Event log entries, oldest first.
+ * @returns {{params: object|null, active: boolean, nibp: object|null, soundState: boolean|null}}
+ */
+export function replayStateAfter(events) {
+    const state = { params: null, active: false, nibp: null, soundState: null };
+    for (const event of events) {
+        state.params = paramsAfterEvent(state.params, event);
+        switch (event.type) {
+            case "nibp_trigger":
+                state.nibp = event.nibpData;
+                break;
+            case "activate_sim":
+                state.active = true;
+                break;
+            case "deactivate_sim":
+                state.active = false;
+                state.nibp = null; // the monitor clears NIBP when it is stopped
+                break;
+            case "sound_state_update":
+                state.soundState = event.soundState;
+                break;
+            default:
+                break;
+        }
+    }
+    return state;
+}
+
+/**
+ * Plays an event log back. Positions are seconds since the first replayed event.
+ */
+export class ScenarioReplay {
+    /**
+     * @param {Array<{t: number, type: string}>} events Event log; entries of other types are ignored.
+     * @param {object} [handlers]
+     * @param {function(object): void} [handlers.onEvent] Called with each event as its time is reached.
+     * @param {function(object): void} [handlers.onSeek] Called with replayStateAfter() of everything up to the new position.
+     * @param {function(object): void} [handlers.onStatus] Called with getStatus() whenever position, speed or play state change.
+     * @param {number} [tickIntervalMs] Internal timer interval while playing; 0 for none (call tick() yourself).
+     */
+    constructor(events, handlers = {}, tickIntervalMs = REPLAY_TICK_INTERVAL_MS) {
+        this.events = resolveParamUpdates(events
+            .filter((event) => REPLAYED_EVENT_TYPES.includes(event.type) && Number.isFinite(event.t))
+            .sort((a, b) => a.t - b.t));
+        this.startT = this.events.length ? this.events[0].t : 0;
+        this.durationS = this.events.length ? (this.events[this.events.length - 1].t - this.startT) / 1000 : 0;
+        this.handlers = handlers;
+        this.tickIntervalMs = tickIntervalMs;
+        this.tickIntervalId = null;
+        this.lastTickTimestamp = 0;
+        this.positionS = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.nextIndex = 0; // first event not yet applied
+    }
+
+    /** @returns {{playing: boolean, positionS: number, durationS: number, speed: number, startT: number}} */
+    getStatus() {
+        return { playing: this.playing, positionS: this.positionS, durationS: this.durationS, speed: this.speed, startT: this.startT };
+    }
+
+    _offsetS(event) {
+        return (event.t - this.startT) / 1000;
+    }
+
+    play() {
+        if (this.playing || this.events.length === 0) return;
+        if (this.positionS >= this.durationS) this.seek(0);
+        this.playing = true;
+        this._startTicking();
+        this._emitStatus();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.playing = false;
+        this._stopTicking();
+        this._emitStatus();
+    }
+
+    /**
+     * @param {number} speed One of REPLAY_SPEEDS.
+     */
+    setSpeed(speed) {
+        if (!REPLAY_SPEEDS.includes(speed)) return;
+        this.speed = speed;
+        this._emitStatus();
+    }
+
+    /**
+     * Jumps to a position. Everything up to and including it is applied at once through onSeek.
+     * @param {number} positionS Seconds since the first event (clamped to the recording).
+     */
+    seek(positionS) {
+        this.positionS = Math.max(0, Math.min(this.durationS, Number(positionS) || 0));
+        this.nextIndex = this.events.findIndex((event) => this._offsetS(event) > this.positionS);
+        if (this.nextIndex === -1) this.nextIndex = this.events.length;
+        if (typeof this.handlers.onSeek === "function") this.handlers.onSeek(replayStateAfter(this.events.slice(0, this.nextIndex)));
+        this._emitStatus();
+    }
+
+    /**
+     * Advances replay time and applies the events that became due. Stops at the end of the recording.
+     * @param {number} deltaSeconds Wall-clock time since the previous tick (scaled by the speed here).
+     */
+    tick(deltaSeconds) {
+        if (!this.playing || !(deltaSeconds > 0)) return;
+        this.positionS = Math.min(this.durationS, this.positionS + deltaSeconds * this.speed);
+        while (this.nextIndex < this.events.length && this._offsetS(this.events[this.nextIndex]) <= this.positionS) {
+            const event = this.events[this.nextIndex++];
+            if (typeof this.handlers.onEvent === "function") this.handlers.onEvent(event);
+        }
+        if (this.positionS >= this.durationS) {
+            this.pause();
+        } else {
+            this._emitStatus();
+        }
+    }
+
+    /** Stops playing and releases the timer. */
+    dispose() {
+        this.pause();
+        this.handlers = {};
+    }
+
+    _startTicking() {
+        this._stopTicking();
+        if (!(this.tickIntervalMs > 0) || typeof setInterval !== "function") return;
+        this.lastTickTimestamp = Date.now();
+        this.tickIntervalId = setInterval(() => {
+            const now = Date.now();
+            const delta = (now - this.lastTickTimestamp) / 1000;
+            this.lastTickTimestamp = now;
+            this.tick(delta);
+        }, this.tickIntervalMs);
+    }
+
+    _stopTicking() {
+        if (this.tickIntervalId !== null) {
+            clearInterval(this.tickIntervalId);
+            this.tickIntervalId = null;
+        }
+    }
+
+    _emitStatus() {
+        if (typeof this.handlers.onStatus === "function") this.handlers.onStatus(this.getStatus());
+    }
+}
@@ -1,12 +1,40 @@
-// server.js - Node.js WebSocket server for multi-device synchronization
+// server.cjs - Node.js WebSocket server for multi-device synchronization
 // VERSION: Added WebSocket ping/pong keep-alive mechanism.
 //          + Added sound state synchronization message handling.
+//          + Shock commands relay energy and sync mode; added 'defib_state' (energy / SYNC) to the session snapshot.
+//          + Sessions keep an authoritative simulation snapshot, sent to monitors as 'state_snapshot' when they set their role.
+//          + Sessions are persisted through a pluggable store (sessionStore.cjs) and restored on startup.
+//          + Sessions keep a timestamped event log (controller commands, scenario stages, monitor alarm onsets)
+//            for the debrief view, returned by 'get_event_log'.
+//          + Alarm audio pause ('audio_pause_update', kept in the snapshot) and alarm acknowledgement ('alarm_acknowledge')
+//            are relayed from the controller to the monitors like the sound state, and logged.
+//          + Trend view ('trend_view') is relayed from the controller to the monitors. It is display only, so it is
+//            neither kept in the snapshot nor logged.
+//          + Time compression ('time_compression': trend time scale and synthetic history) is relayed to the monitors
+//            like the trend view.
+//          + 'get_state' returns the session's snapshot to any device of the session (returning from a replay).
+//          + FIX: The audio pause arrives as a duration ('audioPauseMs'). The server keeps its end time on its own
+//            clock and sends snapshots the time still left, so no device depends on the controller's clock.
+//          + FIX: 'param_update' is logged with only the params that changed, and trimming the event log keeps the
+//            scenario start, the first activation and the vitals set before the kept events (sessionEvents.js).
+//          + FIX: The last time compression is kept in the snapshot, so monitors that join later get the time scale
+//            and history. Its validation is in timeCompressionSettings.js.
+//          + FIX: Renamed from server.js: the package is ES modules ("type": "module") like the browser modules, the
+//            server stays CommonJS. The helpers it shares with them (sessionEvents.js, timeCompressionSettings.js)
+//            are ES modules, imported before the server starts listening.
+//          + FIX: NIBP data carries its cuff and auto-mode timing as seconds elapsed and remaining. The server keeps the
+//            time it arrived and sends snapshots the timing moved on by the time since (ageNibpData in nibpCycle.js).
+//          + FIX: Snapshots send the time since the time compression was set ('elapsedMs'), so monitors that join
+//            later run their trend clock and place the history like the devices that were there.
 
 const express = require('express');
 const http = require('http');
 const path = require('path');
 const WebSocket = require('ws');
 const crypto = require('crypto');
+const { createSessionStore, serializeSessions, deserializeSessions } = require('./sessionStore.cjs');
+// ES modules, imported before the server starts listening (see the end of this file)
+let diffParams, trimSessionEvents, sanitizeTimeCompression, ageNibpData;
 
 const app = express();
 const server = http.createServer(app);
@@ -27,12 +55,20 @@ const SESSION_ID_LENGTH = 4; // Length of the generated session IDs
 const PING_INTERVAL = 30000; // Send ping every 30 seconds (ms)
 
 // --- Serve static files from the root directory ---
+// Never expose the persisted session file (admin tokens, device hashes)
+app.use('/.data', (req, res) => res.sendStatus(404));
 app.use(express.static(path.join(__dirname, '/')));
 app.use('/ecgGenerators', express.static(path.join(__dirname, 'ecgGenerators')));
 
 // --- Server State ---
 // Store active sessions. Key: sessionId, Value: session object
-// session = { clients: Set(ws), adminToken: string|null, createdAt: number, lastActiveAt: number }
+// session = { clients: Set(ws), adminToken: string|null, devices: {}, state: object, events: Array, createdAt: number, lastActiveAt: number }
+// session.state = { params: object|null, active: boolean, nibp: object|null, soundState: boolean|null, rhythm: string|null,
+//                   defib: { energy: number, sync: boolean }|null, alarms: string[], audioPausedUntil: number (server clock ms, 0 = not paused),
+//                   nibpReceivedAt: number (server clock ms of the last nibp), timeCompressionSetAt: number (server clock ms),
+//                   timeCompression: { timeScale: number, history: object|null }|null, updatedAt: number }
+// session.events = [{ t: number (ms), type: string, ...message fields }], oldest first (see logSessionEvent);
+//                  'param_update' has 'changes' instead of 'params' (sessionEvents.js)
 const sessions = {}; // E.g., { "ABCD": { clients: Set(ws1, ws2), adminToken: '...', createdAt: 0, lastActiveAt: 0 } }
 let keepAliveInterval = null; // Variable to hold the interval ID
 let sessionCleanupInterval = null;
@@ -43,6 +79,17 @@ const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
 const SESSION_TTL_MS = process.env.SESSION_TTL_MS ? parseInt(process.env.SESSION_TTL_MS) : DEFAULT_SESSION_TTL_MS;
 const SESSION_CLEANUP_INTERVAL_MS = parseInt(process.env.SESSION_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000; // default 1 hour
 
+// Session persistence. SESSION_STORE selects the backend ('file' or 'memory'), SESSION_STORE_FILE overrides the file path.
+const SESSION_STORE_TYPE = process.env.SESSION_STORE || 'file';
+const SESSION_PERSIST_DEBOUNCE_MS = 1000; // Coalesce bursts of changes into one write
+const sessionStore = createSessionStore(SESSION_STORE_TYPE, { filePath: process.env.SESSION_STORE_FILE });
+let persistTimeoutId = null;
+
+// Event log (debrief). Oldest events are dropped beyond the limit, except the ones trimSessionEvents keeps.
+const MAX_SESSION_EVENTS = parseInt(process.env.MAX_SESSION_EVENTS) || 1000;
+const MAX_REPORTED_ALARMS = 32;
+const SCENARIO_EVENTS = ['stage', 'end'];
+
 // --- Helper Functions ---
 
 /**
@@ -71,6 +118,118 @@ function generateSessionId(length) {
     return result;
 }
 
+/**
+ * Writes all sessions to the configured store immediately.
+ */
+function persistSessionsNow() {
+    if (persistTimeoutId) { clearTimeout(persistTimeoutId); persistTimeoutId = null; }
+    try {
+        sessionStore.save(serializeSessions(sessions));
+    } catch (e) {
+        console.error(`[Server] Failed to persist sessions to '${sessionStore.name}' store:`, e);
+    }
+}
+
+/**
+ * Schedules a debounced write of all sessions to the configured store.
+ */
+function schedulePersistSessions() {
+    if (persistTimeoutId) return;
+    persistTimeoutId = setTimeout(() => {
+        persistTimeoutId = null;
+        persistSessionsNow();
+    }, SESSION_PERSIST_DEBOUNCE_MS);
+}
+
+/**
+ * Loads persisted sessions from the configured store into the sessions map.
+ * Sessions that already expired while the server was down are dropped.
+ */
+function restoreSessions() {
+    try {
+        const restored = deserializeSessions(sessionStore.load(), SESSION_TTL_MS);
+        Object.assign(sessions, restored);
+        const count = Object.keys(restored).length;
+        console.log(`[Server] Restored ${count} session(s) from '${sessionStore.name}' store.`);
+    } catch (e) {
+        console.error(`[Server] Failed to restore sessions from '${sessionStore.name}' store:`, e);
+    }
+}
+
+/**
+ * Creates an empty simulation snapshot for a new session.
+ * The snapshot is updated from controller messages and sent to monitors that join later.
+ * @returns {object} The initial session state.
+ */
+function createSessionState() {
+    return { params: null, active: false, nibp: null, nibpReceivedAt: 0, soundState: null, rhythm: null, defib: null, alarms: [], audioPausedUntil: 0, timeCompression: null, timeCompressionSetAt: 0, updatedAt: Date.now() };
+}
+
+/**
+ * Merges changes into a session's simulation snapshot.
+ * @param {string} sessionId - The ID of the session.
+ * @param {object} changes - Snapshot fields to overwrite.
+ */
+function updateSessionState(sessionId, changes) {
+    const sessionObj = sessions[sessionId];
+    if (!sessionObj) return;
+    if (!sessionObj.state) sessionObj.state = createSessionState();
+    Object.assign(sessionObj.state, changes, { updatedAt: Date.now() });
+    sessionObj.lastActiveAt = Date.now();
+    schedulePersistSessions();
+}
+
+/**
+ * Appends an entry to a session's event log, which the debrief timeline is built from.
+ * @param {string} sessionId - The ID of the session.
+ * @param {string} type - Message type the event came from ('shock', 'param_update', ...) or 'alarm' / 'alarm_cleared'.
+ * @param {object} [data={}] - Event fields, stored as received.
+ */
+function logSessionEvent(sessionId, type, data = {}) {
+    const sessionObj = sessions[sessionId];
+    if (!sessionObj) return;
+    if (!Array.isArray(sessionObj.events)) sessionObj.events = [];
+    sessionObj.events.push({ t: Date.now(), type: type, ...data });
+    sessionObj.events = trimSessionEvents(sessionObj.events, MAX_SESSION_EVENTS);
+    schedulePersistSessions();
+}
+
+/**
+ * @param {*} list - Alarm keys from a client message.
+ * @returns {boolean} True for an array of short strings of acceptable length.
+ */
+function isAlarmKeyList(list) {
+    return Array.isArray(list) && list.length <= MAX_REPORTED_ALARMS && list.every(a => typeof a === 'string' && a.length <= 64);
+}
+
+/**
+ * The session state as sent to the devices: the audio pause end (server clock) becomes the time left in ms, the
+ * NIBP timing is moved on by the time since it arrived and the time compression gets the time since it was set.
+ * @param {object|null} state - The session's simulation snapshot (session.state).
+ * @returns {object|null} A copy for a 'state_snapshot' message, or null if the session has no state yet.
+ */
+function snapshotState(state) {
+    if (!state) return null;
+    const { audioPausedUntil, nibpReceivedAt, timeCompressionSetAt, ...rest } = state;
+    const nibp = rest.nibp && nibpReceivedAt ? ageNibpData(rest.nibp, Math.max(0, Date.now() - nibpReceivedAt) / 1000) : rest.nibp;
+    const timeCompression = rest.timeCompression && timeCompressionSetAt
+        ? { ...rest.timeCompression, elapsedMs: Math.max(0, Date.now() - timeCompressionSetAt) }
+        : rest.timeCompression;
+    return { ...rest, nibp: nibp, timeCompression: timeCompression, audioPauseMs: Math.max(0, (audioPausedUntil || 0) - Date.now()) };
+}
+
+/**
+ * Sends the current simulation snapshot of a session to a single client.
+ * @param {WebSocket} ws - The client to receive the snapshot.
+ * @param {string} sessionId - The ID of the session.
+ */
+function sendStateSnapshot(ws, sessionId) {
+    const sessionObj = sessions[sessionId];
+    if (!sessionObj || !sessionObj.state) return;
+    console.log(`[Server] Sending state snapshot of session ${sessionId} to client ${ws.clientId}.`);
+    sendMessage(ws, { type: 'state_snapshot', sessionId: sessionId, state: snapshotState(sessionObj.state) });
+}
+
 function generateAdminToken() {
     // Simple random token - sufficient for this minimal approach
     return Math.random().toString(36).substring(2, 10) + Math.random().toString(36).substring(2, 10);
@@ -150,6 +309,7 @@ function cleanupClientConnection(ws) {
         }
         // Do not delete the session when empty - persist it so others can rejoin or owner can reclaim.
         sessionObj.lastActiveAt = Date.now();
+        schedulePersistSessions();
         ws.sessionId = null; // Clear session ID from the connection object
         ws.role = null;      // Clear role
     }
@@ -195,7 +355,7 @@ wss.on('connection', (ws, req) => {
         }
 
         // LISÄTTY: soundState destrukturointiin
-        const { type, sessionId, role, params, nibpData, rhythm, soundState } = parsedMessage;
+        const { type, sessionId, role, params, nibpData, rhythm, soundState, energy, sync, defib, alarms, scenarioEvent, audioPauseMs, alarmKeys, trendView, timeCompression } = parsedMessage;
 
         // Reset keep-alive on any valid message received
         ws.isAlive = true;
@@ -207,7 +367,7 @@ wss.on('connection', (ws, req) => {
                 if (newSessionId) {
                     const adminToken = generateAdminToken();
                     // Initialize devices map to track per-device tokens and metadata
-                    sessions[newSessionId] = { clients: new Set([ws]), adminToken: adminToken, devices: {}, createdAt: Date.now(), lastActiveAt: Date.now() };
+                    sessions[newSessionId] = { clients: new Set([ws]), adminToken: adminToken, devices: {}, state: createSessionState(), events: [], createdAt: Date.now(), lastActiveAt: Date.now() };
                     ws.sessionId = newSessionId;
                     ws.role = null; // Role needs to be set explicitly
                     // create device entry for this creator
@@ -224,6 +384,7 @@ wss.on('connection', (ws, req) => {
                         // fallback if anything failed
                         sendMessage(ws, { type: 'session_created', sessionId: newSessionId, adminToken: adminToken });
                     }
+                    schedulePersistSessions();
                 } else {
                     sendMessage(ws, { type: 'error', message: 'Failed to create a unique session ID. Please try again.' });
                 }
@@ -263,6 +424,7 @@ wss.on('connection', (ws, req) => {
                         console.warn('[Server] Failed to create device token for joining client', e);
                         sendMessage(ws, { type: 'session_joined', sessionId: targetSessionId, admin: !!ws.isOwner });
                     }
+                    schedulePersistSessions();
                 } else {
                     console.log(`[Server] Client ${ws.clientId} failed to join session: ${targetSessionId} (Not Found)`);
                     sendMessage(ws, { type: 'session_not_found', sessionId: targetSessionId });
@@ -297,6 +459,7 @@ wss.on('connection', (ws, req) => {
                 ws.role = null;
                 deviceRecord.lastSeen = Date.now();
                 sessionForRejoin.lastActiveAt = Date.now();
+                schedulePersistSessions();
                 console.log(`[Server] Client ${ws.clientId} rejoined session ${sid} as device ${deviceId}`);
                 sendMessage(ws, { type: 'session_rejoined', sessionId: sid, deviceId: deviceId });
                 break;
@@ -376,6 +539,8 @@ wss.on('connection', (ws, req) => {
                     ws.role = role;
                     console.log(`[Server] Client ${ws.clientId} in session ${ws.sessionId} set role to: ${role}`);
                     sendMessage(ws, { type: 'role_set', role: ws.role });
+                    // Late-joining or reconnecting monitors get the current simulation state right away
+                    if (role === 'monitor') sendStateSnapshot(ws, ws.sessionId);
                 } else {
                     sendMessage(ws, { type: 'error', message: `Invalid role specified: ${role}. Use 'controller' or 'monitor'.` });
                 }
@@ -385,6 +550,10 @@ wss.on('connection', (ws, req) => {
                 if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send params: Not in a session.' }); return; }
                 if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send params: Role is not controller.' }); return; }
                 if (!params || typeof params !== 'object') { sendMessage(ws, { type: 'error', message: 'Invalid or missing params in update.' }); return; }
+                // Only the changed params are logged: drift and slider updates resend all of them
+                const paramChanges = diffParams(sessions[ws.sessionId].state && sessions[ws.sessionId].state.params, params);
+                updateSessionState(ws.sessionId, { params: params, rhythm: (params.ecg && params.ecg.rhythm) || null });
+                if (paramChanges !== undefined) logSessionEvent(ws.sessionId, 'param_update', { changes: paramChanges });
                 broadcastToSession(ws.sessionId, { type: 'param_update', params: params }, ws, 'monitor');
                 break;
 
@@ -392,6 +561,8 @@ wss.on('connection', (ws, req) => {
                 if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send activate command: Not in a session.' }); return; }
                 if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send activate command: Role is not controller.' }); return; }
                 console.log(`[Server] Controller ${ws.clientId} sent activate command for session ${ws.sessionId}`);
+                updateSessionState(ws.sessionId, { active: true });
+                logSessionEvent(ws.sessionId, 'activate_sim');
                 broadcastToSession(ws.sessionId, { type: 'activate_sim' }, ws, 'monitor');
                 break;
 
@@ -399,6 +570,8 @@ wss.on('connection', (ws, req) => {
                  if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send deactivate command: Not in a session.' }); return; }
                  if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send deactivate command: Role is not controller.' }); return; }
                  console.log(`[Server] Controller ${ws.clientId} sent deactivate command for session ${ws.sessionId}`);
+                 updateSessionState(ws.sessionId, { active: false });
+                 logSessionEvent(ws.sessionId, 'deactivate_sim');
                  broadcastToSession(ws.sessionId, { type: 'deactivate_sim' }, ws, 'monitor');
                  break;
 
@@ -407,7 +580,13 @@ wss.on('connection', (ws, req) => {
                  if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send shock command: Role is not controller.' }); return; }
                  if (!rhythm || typeof rhythm !== 'string') { sendMessage(ws, { type: 'error', message: 'Invalid or missing rhythm in shock command.' }); return; }
                  console.log(`[Server] Controller ${ws.clientId} sent shock command for session ${ws.sessionId} with target rhythm: ${rhythm}`);
-                 broadcastToSession(ws.sessionId, { type: 'shock', rhythm: rhythm }, ws, 'monitor');
+                 // Keep the stored params in line with the post-shock rhythm
+                 const shockState = sessions[ws.sessionId].state;
+                 if (shockState && shockState.params && shockState.params.ecg) shockState.params.ecg.rhythm = rhythm;
+                 updateSessionState(ws.sessionId, { rhythm: rhythm });
+                 const shockEvent = { rhythm: rhythm, energy: Number.isFinite(energy) ? energy : null, sync: sync === true };
+                 logSessionEvent(ws.sessionId, 'shock', shockEvent);
+                 broadcastToSession(ws.sessionId, { type: 'shock', ...shockEvent }, ws, 'monitor');
                  break;
 
              case 'nibp_trigger':
@@ -415,6 +594,8 @@ wss.on('connection', (ws, req) => {
                  if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send NIBP trigger: Role is not controller.' }); return; }
                  if (!nibpData || typeof nibpData !== 'object') { sendMessage(ws, { type: 'error', message: 'Invalid or missing nibpData in NIBP trigger.' }); return; }
                  console.log(`[Server] Controller ${ws.clientId} sent NIBP trigger for session ${ws.sessionId} with data:`, nibpData);
+                 updateSessionState(ws.sessionId, { nibp: nibpData, nibpReceivedAt: Date.now() });
+                 logSessionEvent(ws.sessionId, 'nibp_trigger', { nibpData: nibpData });
                  broadcastToSession(ws.sessionId, { type: 'nibp_trigger', nibpData: nibpData }, ws, 'monitor');
                  break;
 
@@ -425,10 +606,110 @@ wss.on('connection', (ws, req) => {
                 if (typeof soundState !== 'boolean') { sendMessage(ws, { type: 'error', message: 'Invalid soundState in update.' }); return; }
                 console.log(`[Server] Controller ${ws.clientId} sent sound state update for session ${ws.sessionId}: ${soundState}`);
                 // Lähetä päivitys kaikille Monitor-roolissa oleville clienteille samassa sessiossa (paitsi lähettäjälle itselleen)
+                updateSessionState(ws.sessionId, { soundState: soundState });
+                logSessionEvent(ws.sessionId, 'sound_state_update', { soundState: soundState });
                 broadcastToSession(ws.sessionId, { type: 'sound_state_update', soundState: soundState }, ws, 'monitor');
                 break;
             // --- LISÄYS LOPPUU ---
 
+            case 'audio_pause_update':
+                // Alarm audio paused for the given duration (ms), 0 = resumed. The end time is kept on the server's clock.
+                if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send audio pause: Not in a session.' }); return; }
+                if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send audio pause: Role is not controller.' }); return; }
+                if (!Number.isFinite(audioPauseMs) || audioPauseMs < 0) { sendMessage(ws, { type: 'error', message: 'Invalid audioPauseMs in update.' }); return; }
+                updateSessionState(ws.sessionId, { audioPausedUntil: audioPauseMs ? Date.now() + audioPauseMs : 0 });
+                logSessionEvent(ws.sessionId, 'audio_pause_update', { audioPauseMs: audioPauseMs });
+                broadcastToSession(ws.sessionId, { type: 'audio_pause_update', audioPauseMs: audioPauseMs }, ws, 'monitor');
+                break;
+
+            case 'alarm_acknowledge':
+                // Acknowledgements belong to the current alarm episodes, so they are relayed but not kept in the snapshot
+                if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot acknowledge alarms: Not in a session.' }); return; }
+                if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot acknowledge alarms: Role is not controller.' }); return; }
+                if (!isAlarmKeyList(alarmKeys) || alarmKeys.length === 0) { sendMessage(ws, { type: 'error', message: 'Invalid alarmKeys in acknowledgement.' }); return; }
+                logSessionEvent(ws.sessionId, 'alarm_acknowledge', { alarmKeys: alarmKeys });
+                broadcastToSession(ws.sessionId, { type: 'alarm_acknowledge', alarmKeys: alarmKeys }, ws, 'monitor');
+                break;
+
+            case 'defib_state':
+                if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send defibrillator state: Not in a session.' }); return; }
+                if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send defibrillator state: Role is not controller.' }); return; }
+                if (!defib || typeof defib !== 'object' || !Number.isFinite(defib.energy) || typeof defib.sync !== 'boolean') {
+                    sendMessage(ws, { type: 'error', message: 'Invalid defib state in update.' }); return;
+                }
+                const defibState = { energy: defib.energy, sync: defib.sync };
+                updateSessionState(ws.sessionId, { defib: defibState });
+                broadcastToSession(ws.sessionId, { type: 'defib_state', defib: defibState }, ws, 'monitor');
+                break;
+
+            case 'trend_view':
+                if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send trend view: Not in a session.' }); return; }
+                if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send trend view: Role is not controller.' }); return; }
+                if (!trendView || typeof trendView !== 'object' || typeof trendView.open !== 'boolean' ||
+                    typeof trendView.window !== 'string' || typeof trendView.display !== 'string') {
+                    sendMessage(ws, { type: 'error', message: 'Invalid trend view in update.' }); return;
+                }
+                broadcastToSession(ws.sessionId, {
+                    type: 'trend_view',
+                    trendView: { open: trendView.open, window: trendView.window.slice(0, 8), display: trendView.display.slice(0, 8) }
+                }, ws, 'monitor');
+                break;
+
+            case 'time_compression':
+                if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send time compression: Not in a session.' }); return; }
+                if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send time compression: Role is not controller.' }); return; }
+                const compressionSettings = sanitizeTimeCompression(timeCompression);
+                if (!compressionSettings) { sendMessage(ws, { type: 'error', message: 'Invalid time compression in update.' }); return; }
+                updateSessionState(ws.sessionId, { timeCompression: compressionSettings, timeCompressionSetAt: Date.now() });
+                broadcastToSession(ws.sessionId, { type: 'time_compression', timeCompression: compressionSettings }, ws, 'monitor');
+                break;
+
+            case 'scenario_event':
+                // Scenario stages entered and scenario end, reported by the controller for the event log only
+                if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot send scenario event: Not in a session.' }); return; }
+                if (ws.role !== 'controller') { sendMessage(ws, { type: 'error', message: 'Cannot send scenario event: Role is not controller.' }); return; }
+                if (!scenarioEvent || typeof scenarioEvent !== 'object' || !SCENARIO_EVENTS.includes(scenarioEvent.event)) {
+                    sendMessage(ws, { type: 'error', message: 'Invalid scenario event.' }); return;
+                }
+                const asText = (value) => (value === undefined || value === null) ? null : String(value).substring(0, 100);
+                logSessionEvent(ws.sessionId, 'scenario_event', {
+                    event: scenarioEvent.event,
+                    scenario: asText(scenarioEvent.scenario),
+                    stage: asText(scenarioEvent.stage),
+                    reason: asText(scenarioEvent.reason)
+                });
+                break;
+
+            case 'alarm_state':
+                // Monitors report their active alarms whenever the set changes; onsets and clears go to the event log.
+                // Several monitors report the same set, so only differences to the stored set are logged.
+                if (!ws.sessionId) { sendMessage(ws, { type: 'error', message: 'Cannot report alarms: Not in a session.' }); return; }
+                if (ws.role !== 'monitor') { sendMessage(ws, { type: 'error', message: 'Cannot report alarms: Role is not monitor.' }); return; }
+                if (!isAlarmKeyList(alarms)) {
+                    sendMessage(ws, { type: 'error', message: 'Invalid alarm state.' }); return;
+                }
+                const previousAlarms = (sessions[ws.sessionId].state && sessions[ws.sessionId].state.alarms) || [];
+                alarms.filter(a => !previousAlarms.includes(a)).forEach(a => logSessionEvent(ws.sessionId, 'alarm', { alarm: a }));
+                previousAlarms.filter(a => !alarms.includes(a)).forEach(a => logSessionEvent(ws.sessionId, 'alarm_cleared', { alarm: a }));
+                updateSessionState(ws.sessionId, { alarms: alarms });
+                break;
+
+            case 'get_event_log':
+                // Any device in the session may read its log (debrief)
+                if (!ws.sessionId || !sessions[ws.sessionId]) { sendMessage(ws, { type: 'error', message: 'Cannot get event log: Not in a session.' }); return; }
+                sendMessage(ws, {
+                    type: 'event_log',
+                    sessionId: ws.sessionId,
+                    createdAt: sessions[ws.sessionId].createdAt,
+                    events: sessions[ws.sessionId].events || []
+                });
+                break;
+
+            case 'get_state':
+                if (!ws.sessionId || !sessions[ws.sessionId]) { sendMessage(ws, { type: 'error', message: 'Cannot get state: Not in a session.' }); return; }
+                sendMessage(ws, { type: 'state_snapshot', sessionId: ws.sessionId, state: snapshotState(sessions[ws.sessionId].state) });
+                break;
+
             case 'list_devices':
                 if (!sessionId || typeof sessionId !== 'string') { sendMessage(ws, { type: 'error', message: 'Invalid or missing sessionId for list_devices.' }); return; }
                 const listSess = sessions[sessionId];
@@ -458,6 +739,7 @@ wss.on('connection', (ws, req) => {
                         }
                     });
                     sendMessage(ws, { type: 'device_revoked_confirm', sessionId: sessionId, deviceId: didToRevoke });
+                    schedulePersistSessions();
                 } else {
                     sendMessage(ws, { type: 'error', message: 'Device not found.' });
                 }
@@ -478,6 +760,7 @@ wss.on('connection', (ws, req) => {
                     });
                 } catch (e) { console.error('[Server] Error notifying clients of session end:', e); }
                 delete sessions[sessionId];
+                schedulePersistSessions();
                 console.log(`[Server] Session ${sessionId} ended by owner and deleted.`);
                 break;
 
@@ -544,7 +827,7 @@ function startSessionCleanup() {
                     const clientCount = s.clients ? s.clients.size : 0;
                     if (clientCount === 0 && s.lastActiveAt && (now - s.lastActiveAt) > SESSION_TTL_MS) {
                         console.log(`[Server] Cleaning up stale session ${id} (lastActiveAt=${new Date(s.lastActiveAt).toISOString()}).`);
-                        try { delete sessions[id]; } catch (e) { console.error('[Server] Failed to delete stale session', id, e); }
+                        try { delete sessions[id]; schedulePersistSessions(); } catch (e) { console.error('[Server] Failed to delete stale session', id, e); }
                     }
                 });
             }
@@ -554,17 +837,27 @@ function startSessionCleanup() {
 // --- /KEEP-ALIVE ---
 
 // --- Start the HTTP server and Keep-Alive ---
-server.listen(PORT, () => {
-    console.log(`[Server] HTTP server listening on port ${PORT}`);
-    console.log(`[Server] WebSocket server is running and ready for connections.`);
-    startKeepAlive(); // Start the ping interval when server is ready
-    startSessionCleanup(); // Start session cleanup loop
+Promise.all([import('./sessionEvents.js'), import('./timeCompressionSettings.js'), import('./nibpCycle.js')]).then(([sessionEvents, timeCompressionSettings, nibpCycle]) => {
+    ({ diffParams, trimSessionEvents } = sessionEvents);
+    ({ sanitizeTimeCompression } = timeCompressionSettings);
+    ({ ageNibpData } = nibpCycle);
+    restoreSessions(); // Reload persisted sessions before accepting connections
+    server.listen(PORT, () => {
+        console.log(`[Server] HTTP server listening on port ${PORT}`);
+        console.log(`[Server] WebSocket server is running and ready for connections.`);
+        startKeepAlive(); // Start the ping interval when server is ready
+        startSessionCleanup(); // Start session cleanup loop
+    });
+}).catch(e => {
+    console.error('[Server] Failed to load the shared modules:', e);
+    process.exit(1);
 });
 
 // --- Graceful Shutdown (Optional but Recommended) ---
 process.on('SIGTERM', () => {
     console.log('[Server] SIGTERM signal received. Shutting down gracefully...');
     clearInterval(keepAliveInterval); // Stop pinging
+    persistSessionsNow(); // Flush pending session changes before exit
     wss.close(() => {
         console.log('[Server] WebSocket server closed.');
         server.close(() => {
@@ -577,6 +870,7 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => { // Handle Ctrl+C
     console.log('[Server] SIGINT signal received. Shutting down gracefully...');
     clearInterval(keepAliveInterval);
+    persistSessionsNow();
     wss.close(() => {
         console.log('[Server] WebSocket server closed.');
         server.close(() => {
@@ -586,4 +880,4 @@ process.on('SIGINT', () => { // Handle Ctrl+C
     });
 });
 
-console.log('[Server] server.js script finished initial execution.');
+console.log('[Server] server.cjs script finished initial execution.');
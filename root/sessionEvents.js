@@ -0,0 +1,87 @@
+// sessionEvents.js - Session event log (debrief) helpers for the server and the replay
+// VERSION: Initial version. 'param_update' events carry only the params that changed ('changes'), and trimming the
+//          log to its limit keeps the events the debrief counts elapsed times from (first scenario start, first
+//          activation) and folds the dropped vitals into one 'param_update', so the changes after it still apply.
+//          + ES module, so the browser modules can use it too; the CommonJS server imports it on startup.
+//          + paramsAfterEvent: the one way params are rebuilt from the log, for trimming and for the replay.
+//
+// Params always have the same shape, so a change never removes a key. Arrays are compared and replaced whole.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {*} previous - Params (or a part of them) before the update; null for none.
+ * @param {*} next - Params after the update.
+ * @returns {*} The parts of next that differ from previous, or undefined when nothing changed.
+ */
+export function diffParams(previous, next) {
+    if (!isPlainObject(previous) || !isPlainObject(next)) {
+        return JSON.stringify(previous) === JSON.stringify(next) ? undefined : next;
+    }
+    const changes = {};
+    Object.keys(next).forEach(key => {
+        const change = diffParams(previous[key], next[key]);
+        if (change !== undefined) changes[key] = change;
+    });
+    return Object.keys(changes).length ? changes : undefined;
+}
+
+/**
+ * @param {*} base - Params the changes apply to (not modified).
+ * @param {*} changes - Result of diffParams.
+ * @returns {*} A new object with the changes applied.
+ */
+export function mergeParams(base, changes) {
+    if (!isPlainObject(base) || !isPlainObject(changes)) return JSON.parse(JSON.stringify(changes));
+    const merged = { ...base };
+    Object.keys(changes).forEach(key => { merged[key] = mergeParams(base[key], changes[key]); });
+    return merged;
+}
+
+/**
+ * Params after an event of the log. A 'param_update' applies its changes (logs from before changes were logged carry
+ * the full 'params'), a shock sets the post-shock rhythm, other events change nothing.
+ * @param {*} params - Params before the event; null for none (not modified).
+ * @param {object} event - Event log entry.
+ * @returns {*} New params, or params itself when the event leaves them as they are.
+ */
+export function paramsAfterEvent(params, event) {
+    if (event.type === 'param_update') {
+        return event.changes !== undefined ? mergeParams(params, event.changes) : mergeParams(null, event.params);
+    }
+    // The stored params follow the post-shock rhythm, so later changes leave it out
+    if (event.type === 'shock' && params && params.ecg && event.rhythm) return mergeParams(params, { ecg: { rhythm: event.rhythm } });
+    return params;
+}
+
+function isScenarioStart(event) {
+    return event.type === 'scenario_event' && event.event === 'stage' && event.reason === 'start';
+}
+
+/**
+ * Drops the oldest events beyond the limit. The first scenario start and the first activation are kept, and the
+ * vitals set by the dropped events are kept as one 'param_update' at the time of the last one, so the log can hold
+ * up to three events more than the limit.
+ * @param {Array<object>} events - Event log, oldest first.
+ * @param {number} maxEvents - Limit.
+ * @returns {Array<object>} The trimmed log (the same array when nothing was dropped).
+ */
+export function trimSessionEvents(events, maxEvents) {
+    const excess = events.length - maxEvents;
+    if (excess <= 0) return events;
+    const anchors = [events.find(isScenarioStart), events.find(event => event.type === 'activate_sim')];
+    const kept = [];
+    let vitals = null; // { t, params } of the dropped events
+    events.slice(0, excess).forEach(event => {
+        if (anchors.includes(event)) {
+            kept.push(event);
+        } else {
+            const params = paramsAfterEvent(vitals && vitals.params, event);
+            if (params !== (vitals && vitals.params)) vitals = { t: event.t, params: params };
+        }
+    });
+    if (vitals) kept.push({ t: vitals.t, type: 'param_update', changes: vitals.params });
+    return kept.sort((a, b) => a.t - b.t).concat(events.slice(excess));
+}
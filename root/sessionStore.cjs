@@ -0,0 +1,153 @@
+// sessionStore.cjs - Pluggable persistence backends for server sessions
+// VERSION: Initial version. JSON file store (default) and in-memory store.
+//          + ADDED: Session event logs (debrief) are persisted with the session.
+//          + MOVED: Dropping sessions that expired while the server was down, from server.js to deserializeSessions.
+//          + Renamed from sessionStore.js: the package is ES modules, the server and its store stay CommonJS.
+//          + FIX: A session file that cannot be read is renamed aside (.corrupt-<time>) instead of being overwritten
+//            by the next save.
+//
+// A store is a plain object with two synchronous methods:
+//   load()        -> { [sessionId]: persistedSession }
+//   save(records) -> void
+// persistedSession = { adminToken, devices, state, events, createdAt, lastActiveAt }
+// Connected clients are never persisted; they reattach with 'rejoin_with_device' after a restart.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSION_FILE = path.join(__dirname, '.data', 'sessions.json');
+const STORE_FILE_VERSION = 1;
+
+/**
+ * Converts the live sessions map into plain records that can be persisted.
+ * @param {object} sessions - Live sessions keyed by session ID.
+ * @returns {object} Persistable records keyed by session ID.
+ */
+function serializeSessions(sessions) {
+    const records = {};
+    Object.keys(sessions).forEach(id => {
+        const s = sessions[id];
+        records[id] = {
+            adminToken: s.adminToken || null,
+            devices: s.devices || {},
+            state: s.state || null,
+            events: s.events || [],
+            createdAt: s.createdAt,
+            lastActiveAt: s.lastActiveAt
+        };
+    });
+    return records;
+}
+
+/**
+ * Rebuilds live session objects from persisted records. Records with missing fields are skipped.
+ * @param {object} records - Persisted records keyed by session ID.
+ * @param {number} [ttlMs=0] - Sessions inactive for longer than this are dropped; 0 keeps all.
+ * @param {number} [now=Date.now()] - Current time (ms) the inactivity is measured to.
+ * @returns {object} Sessions keyed by session ID, each with an empty client set.
+ */
+function deserializeSessions(records, ttlMs = 0, now = Date.now()) {
+    const sessions = {};
+    if (!records || typeof records !== 'object') return sessions;
+    Object.keys(records).forEach(id => {
+        const r = records[id];
+        if (!r || typeof r !== 'object' || !r.createdAt) return;
+        if (ttlMs > 0 && now - (r.lastActiveAt || r.createdAt) > ttlMs) return;
+        sessions[id] = {
+            clients: new Set(),
+            adminToken: r.adminToken || null,
+            devices: (r.devices && typeof r.devices === 'object') ? r.devices : {},
+            state: r.state || null,
+            events: Array.isArray(r.events) ? r.events : [],
+            createdAt: r.createdAt,
+            lastActiveAt: r.lastActiveAt || r.createdAt
+        };
+    });
+    return sessions;
+}
+
+/**
+ * Store that keeps nothing between restarts. Useful for local development and tests.
+ */
+function createMemorySessionStore() {
+    let records = {};
+    return {
+        name: 'memory',
+        load() { return JSON.parse(JSON.stringify(records)); },
+        save(newRecords) { records = JSON.parse(JSON.stringify(newRecords)); }
+    };
+}
+
+/**
+ * Store that writes all sessions to a single JSON file.
+ * Writes go to a temporary file first and are renamed into place so a crash never leaves a half-written file.
+ * A file that is not valid JSON is renamed to `<file>.corrupt-<ms>` on load and the store starts empty, so the
+ * sessions in it can still be recovered by hand.
+ * @param {string} [filePath] - Target file. Defaults to .data/sessions.json next to server.cjs (not served statically).
+ */
+function createJsonFileSessionStore(filePath = DEFAULT_SESSION_FILE) {
+    return {
+        name: 'file',
+        filePath: filePath,
+        load() {
+            if (!fs.existsSync(filePath)) return {};
+            const raw = fs.readFileSync(filePath, 'utf8');
+            if (!raw.trim()) return {};
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch (e) {
+                const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+                fs.renameSync(filePath, corruptPath);
+                console.error(`[SessionStore] Session file '${filePath}' is not valid JSON (${e.message}); moved it to '${corruptPath}'.`);
+                return {};
+            }
+            return (parsed && parsed.sessions) || {};
+        },
+        save(records) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            const payload = { version: STORE_FILE_VERSION, savedAt: Date.now(), sessions: records };
+            fs.writeFileSync(tmpPath, JSON.stringify(payload, null, 2), { encoding: 'utf8', mode: 0o600 });
+            fs.renameSync(tmpPath, filePath);
+        }
+    };
+}
+
+const STORE_FACTORIES = {
+    file: (options) => createJsonFileSessionStore(options.filePath),
+    memory: () => createMemorySessionStore()
+};
+
+/**
+ * Creates a session store by type name.
+ * @param {string} [type='file'] - 'file' or 'memory'.
+ * @param {object} [options={}] - Backend options, e.g. { filePath } for the file store.
+ * @returns {{name: string, load: function(): object, save: function(object): void}}
+ */
+function createSessionStore(type = 'file', options = {}) {
+    const factory = STORE_FACTORIES[type];
+    if (!factory) {
+        console.warn(`[SessionStore] Unknown store type '${type}', falling back to 'file'.`);
+        return STORE_FACTORIES.file(options);
+    }
+    return factory(options);
+}
+
+/**
+ * Registers an additional backend (e.g. a database-backed store) under a type name.
+ * @param {string} type - Name used with createSessionStore / SESSION_STORE.
+ * @param {function(object): object} factory - Receives the options object, returns a store.
+ */
+function registerSessionStore(type, factory) {
+    STORE_FACTORIES[type] = factory;
+}
+
+module.exports = {
+    createSessionStore,
+    registerSessionStore,
+    createJsonFileSessionStore,
+    createMemorySessionStore,
+    serializeSessions,
+    deserializeSessions
+};
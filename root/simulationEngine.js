@@ -0,0 +1,1761 @@
+// simulationEngine.js - Headless patient simulation (timing, beat scheduling, interpolation, waveform samples)
+// VERSION: Extracted from the WaveformGenerator class in script.js. No DOM access: the engine takes params and
+//          a clock (advance / advanceSample) and produces waveform samples and numeric vitals, so it runs in
+//          Node (tests, server-side) as well as in the browser. script.js renders its output.
+//
+// Usage (Node or browser):
+//   const engine = new SimulationEngine(createDefaultParams("afib"));
+//   engine.start();
+//   const samples = engine.advance(5.0);   // 5 s of samples at SAMPLE_RATE: { time, ecg, ecg2, spo2, abp, etco2, syncMarker }
+//   const vitals = engine.getVitals();     // { hr, spo2, abp: { sys, dia, map }, etco2Kpa, rr, tempC, ... }
+//
+// Param changes follow the monitor's "Update Vitals" flow: edit engine.targetParams, then applyTargetParams().
+// Randomness comes from the shared stream in random.js, so run one engine at a time.
+
+import {
+    DEFAULT_ALARM_THRESHOLDS,
+    SAMPLE_RATE,
+    DEFAULT_ETCO2_KPA,
+    DEFAULT_RESP_RATE,
+    DEFAULT_ETCO2_SHAPE,
+    DEFAULT_ABP_SHAPE,
+    DEFAULT_SPO2_SHAPE,
+    DEFAULT_TEMP_C,
+    DEFAULT_TEMP_UNIT,
+    VITAL_INTERPOLATION_RATE,
+    INTERPOLATION_SNAP_THRESHOLD,
+    CPR_ETCO2_VALUE_KPA,
+    DEFAULT_PACER,
+    DEFAULT_DEFIB,
+    DEFAULT_SENSOR_FAULTS,
+    SYNC_SHOCK_TIMEOUT_S
+} from "./config.js";
+import { RHYTHM_PARAMS } from "./rhythms.js";
+import {
+    generateNoise,
+    ensureFinite,
+    generatePlethPulseShape,
+    generateAbpWaveformShape,
+    generateEtco2WaveformShape,
+} from "./waveformUtils.js";
+import * as ecgGenerators from "./ecgGenerators/index.js";
+import { createRWaveDetectorState, detectRWave } from "./rWaveDetector.js";
+import { random, createRandomSeed, deriveSeed, normalizeSeed, setRandomSeed, getRandomState, setRandomState } from "./random.js";
+
+// --- Constants and Registries ---
+const SHOCK_ARTIFACT_AMPLITUDE = 4.0;
+export const SHOCK_ARTIFACT_SAMPLES = 15;
+const ecgGeneratorRegistry = {
+    pqrst: ecgGenerators.generatePQRST,
+    avBlock: ecgGenerators.generateAVBlock,
+    flutter: ecgGenerators.generateFlutter,
+    torsades: ecgGenerators.generateTorsades,
+    chaotic: ecgGenerators.generateChaotic,
+    flatline: ecgGenerators.generateFlatline,
+    artifact: ecgGenerators.generateArtifact,
+    paced: ecgGenerators.generatePaced,
+};
+const DEFAULT_FALLBACK_BEAT_INTERVAL = 2.0;
+const DEFAULT_FALLBACK_BREATH_INTERVAL = 4.0;
+const PACER_CAPTURE_RHYTHM = "tcp_capture";
+export const DEFAULT_COLORS = {
+    ecgColor: "#00ff00",
+    spo2Color: "#00ffff",
+    abpColor: "#ff0000",
+    etco2Color: "#ffffff",
+    nibpColor: "#ff0000",
+    tempColor: "#ffc107",
+};
+
+/**
+ * Runtime ECG parameters for a rhythm: RHYTHM_PARAMS entry with the instructor's overrides on top.
+ * @param {string} rhythmKey Key in RHYTHM_PARAMS.
+ * @param {object} [overrides] Values from ecg.overrides.
+ * @returns {object} Fresh parameter object ({} for unknown rhythms).
+ */
+export function resolveRhythmParams(rhythmKey, overrides) {
+    const base = RHYTHM_PARAMS[rhythmKey];
+    if (!base) return {};
+    return { ...JSON.parse(JSON.stringify(base)), ...(overrides || {}) };
+}
+
+/**
+ * Heart rate a rhythm starts at, and whether the HR control can change it.
+ * @param {object} ecgParams Runtime ECG parameters (RHYTHM_PARAMS entry).
+ * @param {number|string} [sliderValue] Requested HR (HR slider); ignored for fixed-rate rhythms.
+ * @returns {{initialHR: number, canChangeHR: boolean}}
+ */
+export function calculateInitialHR(ecgParams, sliderValue) {
+    let initialHR = 0;
+    let canChangeHR = false;
+    if (!ecgParams) return { initialHR: 0, canChangeHR: false };
+
+    const generatorType = ecgParams.generatorType;
+    const isPEA = ecgParams.isPEA ?? false;
+    const isChaotic = ecgParams.isChaotic ?? false;
+    const isFlat = ecgParams.isFlat ?? false;
+    const isArtifact = ecgParams.isArtifact ?? false;
+    const isCprArtifact = isArtifact && ecgParams.artifactType === "cpr";
+    const isPulselessOrCPR = isPEA || isChaotic || isFlat || isCprArtifact;
+
+    if (isPulselessOrCPR) {
+        initialHR = 0;
+        canChangeHR = false;
+    } else if (generatorType === "avBlock") {
+        initialHR = ecgParams.baseHR ?? 0;
+        canChangeHR = false;
+    } else if (generatorType === "flutter") {
+        initialHR = ecgGenerators.getFlutterVentricularRate(ecgParams);
+        canChangeHR = false;
+    } else if (generatorType === "paced") {
+        initialHR =
+            sliderValue !== undefined &&
+            sliderValue !== null &&
+            !isNaN(parseInt(sliderValue, 10))
+                ? parseInt(sliderValue, 10)
+                : ecgParams.baseHR ?? 70;
+        canChangeHR = true;
+    } else if (generatorType === "pqrst") {
+        initialHR =
+            sliderValue !== undefined &&
+            sliderValue !== null &&
+            !isNaN(parseInt(sliderValue, 10))
+                ? parseInt(sliderValue, 10)
+                : ecgParams.baseHR ?? 75;
+        canChangeHR = true;
+    } else {
+        initialHR =
+            sliderValue !== undefined &&
+            sliderValue !== null &&
+            !isNaN(parseInt(sliderValue, 10))
+                ? parseInt(sliderValue, 10)
+                : ecgParams.baseHR ?? 50;
+        canChangeHR = true;
+    }
+    return { initialHR: Math.round(ensureFinite(initialHR, 0)), canChangeHR };
+}
+
+/**
+ * A complete params object with the monitor's defaults (the control panel's initial state).
+ * @param {string} [rhythmKey="normal"] Key in RHYTHM_PARAMS.
+ * @returns {object} Params in the shape the monitors exchange (ecg, spo2, abp, etco2, temp, nibp, alarms, pacer, faults,
+ *          colors, seed).
+ */
+export function createDefaultParams(rhythmKey = "normal") {
+    const ecgParams = JSON.parse(JSON.stringify(RHYTHM_PARAMS[rhythmKey] ?? RHYTHM_PARAMS["normal"]));
+    const { initialHR } = calculateInitialHR(ecgParams, ecgParams.baseHR ?? 75);
+    return {
+        ecg: { rhythm: rhythmKey, hr: initialHR, params: ecgParams, visible: true },
+        spo2: { value: 98, shape: DEFAULT_SPO2_SHAPE, visible: true },
+        abp: { sys: 120, dia: 80, shape: DEFAULT_ABP_SHAPE, visible: true },
+        etco2: {
+            valueKpa: DEFAULT_ETCO2_KPA,
+            rr: DEFAULT_RESP_RATE,
+            unitPref: "kPa",
+            etco2Shape: DEFAULT_ETCO2_SHAPE,
+            visible: true,
+        },
+        temp: { valueC: DEFAULT_TEMP_C, unitPref: DEFAULT_TEMP_UNIT, visible: true },
+        nibp: { sys: null, dia: null, map: null, timestamp: null, visible: true },
+        alarms: JSON.parse(JSON.stringify(DEFAULT_ALARM_THRESHOLDS)),
+        pacer: JSON.parse(JSON.stringify(DEFAULT_PACER)),
+        faults: { ...DEFAULT_SENSOR_FAULTS },
+        colors: JSON.parse(JSON.stringify(DEFAULT_COLORS)),
+        seed: createRandomSeed(),
+    };
+}
+
+/**
+ * ECG samples of the defibrillator discharge artifact (drawn over the trace; simulation time does not advance).
+ * @returns {number[]} SHOCK_ARTIFACT_SAMPLES values in mV.
+ */
+export function generateShockArtifact() {
+    const initialSpikeSamples = 2;
+    const artifact = [];
+    for (let i = 0; i < SHOCK_ARTIFACT_SAMPLES; i++) {
+        let shockValue = 0;
+        if (i < initialSpikeSamples) {
+            shockValue = i % 2 === 0 ? SHOCK_ARTIFACT_AMPLITUDE * 1.5 : -SHOCK_ARTIFACT_AMPLITUDE * 0.5;
+        } else {
+            const decayFactor = 1.0 - Math.pow((i - initialSpikeSamples) / (SHOCK_ARTIFACT_SAMPLES - initialSpikeSamples), 2);
+            shockValue = generateNoise(SHOCK_ARTIFACT_AMPLITUDE * 0.7 * decayFactor);
+        }
+        artifact.push(ensureFinite(shockValue, 0));
+    }
+    return artifact;
+}
+
+/**
+ * The simulated patient and devices: params (current / interpolation target / target), beat, breath, compression
+ * and pacer clocks, per-sample waveform generation, deferred SpO2/ABP/ETCO2 updates, sync detection and shocks.
+ */
+export class SimulationEngine {
+    /**
+     * @param {object} [initialParams] Params to start from (see createDefaultParams).
+     * @param {object} [callbacks]
+     * @param {function()} [callbacks.onVitalsChanged] Params shown as numerics changed outside interpolation
+     *        (deferred update applied, pacer capture gained or lost).
+     * @param {function(string)} [callbacks.onDefibStatus] Defibrillator status text ("" clears it).
+     */
+    constructor(initialParams = createDefaultParams(), callbacks = {}) {
+        this.callbacks = callbacks;
+        this.running = false;
+        this.rhythmTime = 0;
+        this.respiratoryTime = 0;
+        this.simulationTimeAccumulator = 0;
+        this.nextBeatTime = 0;
+        this.lastBeatTime = -Infinity;
+        this.nextBreathTime = 0;
+        this.lastBreathTime = -Infinity;
+        this.nextCompressionTime = 0;
+        this.lastCompressionTime = -Infinity;
+        this.ecgState = {};
+        this.currentBeat = ecgGenerators.SINUS_BEAT; // Beat currently being drawn (sinus or ectopic)
+        this.upcomingBeat = ecgGenerators.SINUS_BEAT; // Beat planned for nextBeatTime
+        this.ectopyState = ecgGenerators.createEctopyState();
+        this.upcomingEctopyState = this.ectopyState;
+        this.ecgLeads = { primary: ecgGenerators.DEFAULT_LEAD, secondary: null }; // Display setting, local to this monitor
+        this.pacerCaptureActive = false;
+        this.lastPacerTime = -Infinity; // Pacer clock for spikes without capture
+        this.nextPacerTime = 0;
+        this.defib = { ...DEFAULT_DEFIB }; // Device setting, sent to monitors separately from params
+        this.rWaveDetector = createRWaveDetectorState();
+        this.beatDetector = createRWaveDetectorState(); // Always on, for the PAUSE alarm
+        this.lastDetectedBeatTime = 0;
+        this.pendingShock = null; // Requested shock waiting for the next frame or, in SYNC mode, an R wave
+        this.shockRequested = false;
+        this.shockLog = [];
+
+        this.pendingEtco2Params = null;
+        this.isEtco2UpdatePending = false;
+        this.pendingSpo2Params = null;
+        this.isSpo2UpdatePending = false;
+        this.pendingAbpParams = null;
+        this.isAbpUpdatePending = false;
+
+        this.targetParams = JSON.parse(JSON.stringify(initialParams));
+        this.currentParams = JSON.parse(JSON.stringify(this.targetParams));
+        this.interpolationTargetParams = JSON.parse(JSON.stringify(this.targetParams));
+        if (this.currentParams.nibp) {
+            this.currentParams.nibp.sys = null;
+            this.currentParams.nibp.dia = null;
+            this.currentParams.nibp.map = null;
+            this.currentParams.nibp.timestamp = null;
+        }
+    }
+
+    _calculateInitialHR(ecgParams, sliderValue) {
+        return calculateInitialHR(ecgParams, sliderValue);
+    }
+
+    _notifyVitalsChanged() {
+        this.callbacks.onVitalsChanged?.();
+    }
+
+    _setDefibStatus(text) {
+        this.callbacks.onDefibStatus?.(text);
+    }
+
+    /**
+     * Starts the simulation from targetParams (or, with edits not yet applied, from the last applied params)
+     * with all clocks at zero.
+     */
+    start() {
+        // If there are unapplied edits, start from the last applied state so
+        // "Update Vitals" can still apply pending changes after activation.
+        const hasPendingBeforeStart = (() => {
+            if (
+                this.isEtco2UpdatePending ||
+                this.isSpo2UpdatePending ||
+                this.isAbpUpdatePending
+            ) {
+                return true;
+            }
+            if (!this.interpolationTargetParams) {
+                return false;
+            }
+            try {
+                const keysToCompare = [
+                    "ecg",
+                    "spo2",
+                    "abp",
+                    "etco2",
+                    "temp",
+                    "nibp",
+                    "colors",
+                    "alarms",
+                    "pacer",
+                    "faults",
+                    "seed",
+                ];
+                for (const key of keysToCompare) {
+                    const targetVal = this.targetParams?.[key];
+                    const appliedVal = this.interpolationTargetParams?.[key];
+
+                    if (key === "nibp") {
+                        if ((targetVal?.visible ?? undefined) !== (appliedVal?.visible ?? undefined)) {
+                            return true;
+                        }
+                        continue;
+                    }
+
+                    if (JSON.stringify(targetVal) !== JSON.stringify(appliedVal)) {
+                        return true;
+                    }
+                }
+            } catch (e) {
+                console.warn("[start] Pending-change detection failed, defaulting to targetParams.", e);
+            }
+            return false;
+        })();
+
+        const runtimeSource = hasPendingBeforeStart && this.interpolationTargetParams
+            ? this.interpolationTargetParams
+            : this.targetParams;
+
+        this.currentParams = JSON.parse(JSON.stringify(runtimeSource));
+        if (
+            this.currentParams.ecg &&
+            this.currentParams.ecg.rhythm &&
+            RHYTHM_PARAMS[this.currentParams.ecg.rhythm]
+        ) {
+            this.currentParams.ecg.params = resolveRhythmParams(
+                this.currentParams.ecg.rhythm,
+                this.currentParams.ecg.overrides
+            );
+        } else if (this.currentParams.ecg) {
+            console.warn(
+                "Initial targetParams missing valid ECG rhythm, cannot populate ecg.params for currentParams"
+            );
+            this.currentParams.ecg.params = {};
+        }
+        if (this.currentParams.nibp) {
+            this.currentParams.nibp.sys = null;
+            this.currentParams.nibp.dia = null;
+            this.currentParams.nibp.map = null;
+            this.currentParams.nibp.timestamp = null;
+        }
+        this.interpolationTargetParams = JSON.parse(JSON.stringify(this.currentParams));
+
+        console.log(
+            "[start] Starting simulation with params:",
+            JSON.parse(JSON.stringify(this.currentParams))
+        );
+
+        this.rhythmTime = 0;
+        this.respiratoryTime = 0;
+        this.simulationTimeAccumulator = 0;
+        this.ecgState = {};
+        this.pacerCaptureActive = false;
+        this.lastPacerTime = -Infinity;
+        this.nextPacerTime = 0;
+        this.rWaveDetector = createRWaveDetectorState();
+        this.beatDetector = createRWaveDetectorState();
+        this.lastDetectedBeatTime = 0;
+        this.pendingShock = null;
+        this._reseedRandom();
+
+        this.pendingEtco2Params = null;
+        this.isEtco2UpdatePending = false;
+        this.pendingSpo2Params = null;
+        this.isSpo2UpdatePending = false;
+        this.pendingAbpParams = null;
+        this.isAbpUpdatePending = false;
+
+
+        this.lastBeatTime = 0;
+        this.nextBeatTime = 0;
+
+        this.lastBreathTime = -Infinity;
+        this.nextBreathTime = 0;
+
+        this.lastCompressionTime = -Infinity;
+        this.nextCompressionTime = 0;
+
+        this._calculateNextBeatTime();
+        this._resetBreathTiming(
+            this.currentParams.etco2.rr > 0
+                ? 60.0 / this.currentParams.etco2.rr
+                : Infinity
+        );
+        if (this.currentParams.ecg?.params?.artifactType === 'cpr') {
+            this._resetCompressionTiming();
+        }
+
+        this.shockRequested = false;
+        this.running = true;
+    }
+
+    /** Stops the simulation and resets the clocks and deferred updates. Params are kept. */
+    stop() {
+        this.running = false;
+        this.shockRequested = false;
+
+        this.ecgState = {};
+        this.rhythmTime = 0;
+        this.respiratoryTime = 0;
+        this.simulationTimeAccumulator = 0;
+        this.lastBeatTime = -Infinity;
+        this.nextBeatTime = 0;
+        this.lastBreathTime = -Infinity;
+        this.nextBreathTime = 0;
+        this.lastCompressionTime = -Infinity;
+        this.nextCompressionTime = 0;
+
+        this.pendingEtco2Params = null;
+        this.isEtco2UpdatePending = false;
+        this.pendingSpo2Params = null;
+        this.isSpo2UpdatePending = false;
+        this.pendingAbpParams = null;
+        this.isAbpUpdatePending = false;
+    }
+
+    /**
+     * Advances the simulation clock: generates every whole sample that fits (fixed step 1 / SAMPLE_RATE,
+     * the remainder carries over to the next call) and interpolates the numeric vitals over deltaSeconds.
+     * @param {number} deltaSeconds Elapsed time (e.g. since the previous animation frame).
+     * @returns {object[]} The generated samples in order (see advanceSample).
+     */
+    advance(deltaSeconds) {
+        const samples = [];
+        this.simulationTimeAccumulator += deltaSeconds;
+        const simulationStep = 1.0 / SAMPLE_RATE;
+
+        while (this.simulationTimeAccumulator >= simulationStep) {
+            if (!this.running) break;
+
+            samples.push(this.advanceSample(simulationStep));
+
+            this.simulationTimeAccumulator -= simulationStep;
+        }
+
+        this.interpolateVitals(deltaSeconds);
+        return samples;
+    }
+
+    /**
+     * Advances the clocks by one step and generates one sample of every waveform.
+     * @param {number} [simulationStep] Seconds (defaults to one sample period).
+     * @returns {{time: number, ecg: number, ecg2: number|null, spo2: number|null, abp: number|null,
+     *            etco2: number|null, syncMarker: {samplesAgo: number, peakValue: number}|null}}
+     *          ecg2 is null without a second lead; syncMarker marks an R wave detected in SYNC mode. A waveform
+     *          whose sensor is faulted (params.faults) is null; it is still generated, so timing and randomness
+     *          do not change.
+     */
+    advanceSample(simulationStep = 1.0 / SAMPLE_RATE) {
+        this.rhythmTime += simulationStep;
+        this.respiratoryTime += simulationStep;
+
+        this._updatePacer();
+        this._checkAndResetTimers();
+
+        const previousEcgState = this.ecgState;
+        const randomStateBeforeEcg = getRandomState();
+        const ecgResult = this._generateECGWaveformInternal(
+            this.rhythmTime,
+            previousEcgState,
+            this.ecgLeads.primary
+        );
+        this.ecgState = ecgResult.state;
+        const faults = this.currentParams.faults;
+        const ecgValue = faults?.leads_off ? null : ecgResult.value;
+        if (detectRWave(this.beatDetector, ecgValue, this.rhythmTime, SAMPLE_RATE)) {
+            this.lastDetectedBeatTime = this.rhythmTime;
+        }
+        // Second lead is drawn from the same starting state and random draws; its results are discarded to keep
+        // both leads in step (and the main trace independent of whether a second lead is shown).
+        let ecg2Value = null;
+        if (this.ecgLeads.secondary) {
+            const randomStateAfterPrimary = getRandomState();
+            setRandomState(randomStateBeforeEcg);
+            ecg2Value = this._generateECGWaveformInternal(this.rhythmTime, previousEcgState, this.ecgLeads.secondary).value;
+            setRandomState(randomStateAfterPrimary);
+        }
+
+        const spo2Value = this._generateSpo2WaveformInternal();
+        const abpValue = this._generateAbpWaveformInternal();
+        const etco2Value = this._generateEtco2WaveformInternal();
+        return {
+            time: this.rhythmTime,
+            ecg: ecgValue,
+            ecg2: faults?.leads_off ? null : ecg2Value,
+            spo2: faults?.spo2_probe_off ? null : spo2Value,
+            abp: faults?.abp_transducer ? null : abpValue,
+            etco2: faults?.etco2_line ? null : etco2Value,
+            syncMarker: this._updateSyncDetection(ecgValue),
+        };
+    }
+
+    /**
+     * Time since the last R wave detected on the main ECG trace, as the monitor's PAUSE alarm sees it.
+     * @returns {number|null} Seconds, or null when the simulation is not running.
+     */
+    getSecondsSinceDetectedBeat() {
+        return this.running ? this.rhythmTime - this.lastDetectedBeatTime : null;
+    }
+
+    /**
+     * Numeric vitals as the monitor shows them (ECG as drawn, i.e. the paced rhythm while the pacer captures).
+     * Values are unrounded; null where the monitor shows dashes.
+     * @returns {{time: number, rhythm: string|null, hr: number|null, spo2: number|null,
+     *            abp: {sys: number, dia: number, map: number|null}|null, etco2Kpa: number|null, rr: number|null,
+     *            tempC: number|null, nibp: {sys: number, dia: number, map: number|null}|null}}
+     */
+    getVitals() {
+        const params = this.getEffectiveParams();
+        const { ecg, temp, nibp } = params;
+        const faults = params.faults || {};
+        const spo2 = faults.spo2_probe_off ? null : params.spo2;
+        const abp = faults.abp_transducer ? null : params.abp;
+        const etco2 = faults.etco2_line ? null : params.etco2;
+        const ecgParams = ecg?.params;
+        const isCprArtifact = !!(ecgParams?.isArtifact && ecgParams.artifactType === "cpr");
+
+        let abpVitals = null;
+        if (abp && ecgParams) {
+            const sys = Math.max(0, isCprArtifact ? ensureFinite(ecgParams.cpr_abp_sys, 0) : ensureFinite(abp.sys, 0));
+            const dia = Math.max(0, isCprArtifact ? ensureFinite(ecgParams.cpr_abp_dia, 0) : ensureFinite(abp.dia, 0));
+            abpVitals = { sys, dia, map: sys > dia ? dia + (sys - dia) / 3 : null };
+        }
+        let etco2Kpa = null;
+        if (etco2 && etco2.etco2Shape !== "disconnect") {
+            etco2Kpa = etco2.etco2Shape === "cpr_low_flow" ? CPR_ETCO2_VALUE_KPA : ensureFinite(etco2.valueKpa, 0);
+        }
+        const hasNibp = Number.isFinite(nibp?.sys) && Number.isFinite(nibp?.dia);
+
+        return {
+            time: this.rhythmTime,
+            rhythm: ecg?.rhythm ?? null,
+            hr: ecgParams && !faults.leads_off ? ensureFinite(ecg.hr, 0) : null,
+            spo2: spo2 ? ensureFinite(spo2.value, 0) : null,
+            abp: abpVitals,
+            etco2Kpa,
+            rr: etco2 ? ensureFinite(etco2.rr, 0) : null,
+            tempC: temp ? ensureFinite(temp.valueC, DEFAULT_TEMP_C) : null,
+            nibp: hasNibp ? { sys: nibp.sys, dia: nibp.dia, map: Number.isFinite(nibp.map) ? nibp.map : null } : null,
+        };
+    }
+
+    /**
+     * Moves the numeric vitals (HR, SpO2, ABP, temperature) towards interpolationTargetParams.
+     * @param {number} interpolationDelta Elapsed seconds.
+     */
+    interpolateVitals(interpolationDelta) {
+        if (this.interpolationTargetParams && interpolationDelta > 0) {
+            const rate = VITAL_INTERPOLATION_RATE;
+            const snap = INTERPOLATION_SNAP_THRESHOLD;
+
+            if (this.currentParams.ecg && this.interpolationTargetParams.ecg) {
+                const targetVal = this.interpolationTargetParams.ecg.hr;
+                const currentVal = this.currentParams.ecg.hr;
+                const diff = targetVal - currentVal;
+                if (Math.abs(diff) > snap) {
+                    const ecgP = this.currentParams.ecg.params;
+                    if (
+                        !(
+                            ecgP &&
+                            (ecgP.isFlat ||
+                            ecgP.isChaotic ||
+                            ecgP.isPEA ||
+                            ecgP.isArtifact || // Includes CPR artifact
+                            this.currentParams.ecg.rhythm === "vt_pulseless")
+                        )
+                    ) { // Only interpolate HR if it's a rhythm where HR can change
+                        this.currentParams.ecg.hr += diff * rate * interpolationDelta;
+                    } else { // For fixed HR rhythms (like pulseless), ensure it's 0
+                        if (this.currentParams.ecg.hr !== 0) this.currentParams.ecg.hr = 0;
+                    }
+                } else if (currentVal !== targetVal) {
+                    this.currentParams.ecg.hr = targetVal;
+                }
+            }
+            if (this.currentParams.spo2 && this.interpolationTargetParams.spo2) {
+                const targetVal = this.interpolationTargetParams.spo2.value;
+                const currentVal = this.currentParams.spo2.value;
+                const diff = targetVal - currentVal;
+                if (Math.abs(diff) > snap) {
+                    this.currentParams.spo2.value += diff * rate * interpolationDelta;
+                } else if (currentVal !== targetVal) {
+                    this.currentParams.spo2.value = targetVal;
+                }
+                 if (this.currentParams.spo2.shape !== this.interpolationTargetParams.spo2.shape && !this.isSpo2UpdatePending) { // Apply shape if not pending
+                    this.currentParams.spo2.shape = this.interpolationTargetParams.spo2.shape;
+                }
+            }
+            if (this.currentParams.abp && this.interpolationTargetParams.abp) {
+                const targetSys = this.interpolationTargetParams.abp.sys;
+                const currentSys = this.currentParams.abp.sys;
+                const diffSys = targetSys - currentSys;
+                if (Math.abs(diffSys) > snap) {
+                    this.currentParams.abp.sys += diffSys * rate * interpolationDelta;
+                } else if (currentSys !== targetSys) {
+                    this.currentParams.abp.sys = targetSys;
+                }
+
+                const targetDia = this.interpolationTargetParams.abp.dia;
+                const currentDia = this.currentParams.abp.dia;
+                const diffDia = targetDia - currentDia;
+                if (Math.abs(diffDia) > snap) {
+                    this.currentParams.abp.dia += diffDia * rate * interpolationDelta;
+                } else if (currentDia !== targetDia) {
+                    this.currentParams.abp.dia = targetDia;
+                }
+                this.currentParams.abp.dia = Math.max(0, this.currentParams.abp.dia);
+                // If the user recently edited ABP (sys/dia), allow their explicit values
+                // to persist briefly so UI changes are not immediately clamped by interpolation.
+                const nowTs = (Date.now) ? Date.now() : new Date().getTime();
+                const editWindowMs = 2000; // allow 2s grace for user edits
+                const lastEdit = this._lastAbpUserEdit || null;
+                const skipClamp = lastEdit && (nowTs - lastEdit.ts < editWindowMs);
+                if (!skipClamp) {
+                  this.currentParams.abp.sys = Math.max(this.currentParams.abp.dia + 1, this.currentParams.abp.sys);
+                } else {
+                  // respect user-driven systolic for the brief window; only ensure non-negative
+                  this.currentParams.abp.sys = Math.max(0, this.currentParams.abp.sys);
+                }
+
+                if (targetSys === 0 && targetDia === 0) {
+                  // If target ABP is explicitly zero (pulseless rhythm), snap immediately to zeros
+                  this.currentParams.abp.sys = 0;
+                  this.currentParams.abp.dia = 0;
+                }
+                if (this.currentParams.abp.shape !== this.interpolationTargetParams.abp.shape && !this.isAbpUpdatePending) { // Apply shape if not pending
+                    this.currentParams.abp.shape = this.interpolationTargetParams.abp.shape;
+                }
+            }
+             // ETCO2: Values and shape are now handled by the pending update mechanism.
+             // Only unitPref needs to be synced here if it changes.
+            if (this.currentParams.etco2 && this.interpolationTargetParams.etco2) {
+                if (this.currentParams.etco2.unitPref !== this.interpolationTargetParams.etco2.unitPref) {
+                    this.currentParams.etco2.unitPref = this.interpolationTargetParams.etco2.unitPref;
+                }
+                // RR and ValueKpa are NOT interpolated here; they are applied discretely via pending update.
+            }
+
+            if (this.currentParams.temp && this.interpolationTargetParams.temp) {
+                const targetValC = this.interpolationTargetParams.temp.valueC;
+                const currentValC = this.currentParams.temp.valueC;
+                const diffC = targetValC - currentValC;
+                if (Math.abs(diffC) > snap) {
+                    this.currentParams.temp.valueC += diffC * (rate / 2) * interpolationDelta; // Slower temp interpolation
+                } else if (currentValC !== targetValC) {
+                    this.currentParams.temp.valueC = targetValC;
+                }
+                if (this.currentParams.temp.unitPref !== this.interpolationTargetParams.temp.unitPref) {
+                    this.currentParams.temp.unitPref = this.interpolationTargetParams.temp.unitPref;
+                }
+            }
+        }
+    }
+
+    _checkAndResetTimers() {
+        const currentTime = this.rhythmTime;
+
+        // ETCO2 pending update application
+        if (this.isEtco2UpdatePending && this.pendingEtco2Params) {
+            if (this.respiratoryTime >= this.nextBreathTime) {
+                    console.log("[_checkAndResetTimers V16] Applying pending ETCO2 parameter update.");
+                    this.currentParams.etco2 = JSON.parse(JSON.stringify(this.pendingEtco2Params));
+
+                    const newRr = this.currentParams.etco2.rr;
+                    const newBreathInterval = newRr > 0 ? Math.max(0.5, 60.0 / newRr) : Infinity;
+
+                    this.lastBreathTime = this.respiratoryTime;
+                    this.nextBreathTime = this.respiratoryTime + newBreathInterval;
+
+                    this.isEtco2UpdatePending = false;
+                    this.pendingEtco2Params = null;
+                    this._notifyVitalsChanged();
+            }
+        } else if (this.currentParams.etco2 && this.respiratoryTime >= this.nextBreathTime) {
+            const currentRr = ensureFinite(this.currentParams.etco2.rr, 0);
+            const currentBreathInterval = currentRr > 0 ? Math.max(0.5, 60.0 / currentRr) : Infinity;
+            if (currentBreathInterval < Infinity) {
+                    this._resetBreathTiming(currentBreathInterval);
+            }
+        }
+
+
+        const ecgParams = this.getEffectiveEcg()?.params;
+        if (ecgParams) {
+            const generatorType = ecgParams.generatorType;
+            if (
+                generatorType === "pqrst" ||
+                generatorType === "avBlock" ||
+                generatorType === "flutter" ||
+                generatorType === "paced"
+            ) {
+                if (currentTime >= this.nextBeatTime) {
+                    this.lastBeatTime = this.nextBeatTime;
+                    this.currentBeat = this.upcomingBeat;
+                    this.ectopyState = this.upcomingEctopyState;
+                    this._calculateNextBeatTime();
+
+                    if (this.isSpo2UpdatePending && this.pendingSpo2Params) {
+                            console.log("[_checkAndResetTimers V16] Applying pending SpO2 parameter update.");
+                            this.currentParams.spo2.shape = this.pendingSpo2Params.shape;
+                            this.isSpo2UpdatePending = false;
+                            this.pendingSpo2Params = null;
+                            this._notifyVitalsChanged();
+                    }
+                    if (this.isAbpUpdatePending && this.pendingAbpParams) {
+                            console.log("[_checkAndResetTimers V16] Applying pending ABP parameter update.");
+                            this.currentParams.abp.shape = this.pendingAbpParams.shape;
+                            this.isAbpUpdatePending = false;
+                            this.pendingAbpParams = null;
+                            this._notifyVitalsChanged();
+                    }
+                }
+            } else if (
+                generatorType === "artifact" &&
+                ecgParams.artifactType === "cpr"
+            ) {
+                if (currentTime >= this.nextCompressionTime) {
+                    this._resetCompressionTiming();
+                      if (this.isSpo2UpdatePending && this.pendingSpo2Params) {
+                            this.currentParams.spo2.shape = this.pendingSpo2Params.shape;
+                            this.isSpo2UpdatePending = false; this.pendingSpo2Params = null; this._notifyVitalsChanged();
+                    }
+                    if (this.isAbpUpdatePending && this.pendingAbpParams) {
+                            this.currentParams.abp.shape = this.pendingAbpParams.shape;
+                            this.isAbpUpdatePending = false; this.pendingAbpParams = null; this._notifyVitalsChanged();
+                    }
+                }
+            }
+        }
+    }
+
+
+    _resetBreathTiming(interval) {
+        this.lastBreathTime = this.respiratoryTime;
+        this.nextBreathTime = this.respiratoryTime + interval;
+    }
+
+    _calculateNextBeatTime() {
+        let rate = 0;
+        let interval = Infinity;
+        const ecgSourceForRate = this.getEffectiveEcg(this.interpolationTargetParams?.ecg || this.currentParams.ecg);
+        const params = ecgSourceForRate?.params;
+
+        if (params && ecgSourceForRate) {
+            const generatorType = params.generatorType;
+            const isPEA = params.isPEA ?? false;
+            const isPulselessVT = ecgSourceForRate.rhythm === "vt_pulseless";
+
+            if (generatorType === "pqrst") {
+                    if (isPEA || isPulselessVT) {
+                            rate = Math.max(ensureFinite(params.baseHR, 0), 0);
+                    } else {
+                            rate = Math.max(ensureFinite(ecgSourceForRate.hr, 0), 0);
+                    }
+            } else if (generatorType === "avBlock" || generatorType === "flutter" || generatorType === "paced") {
+                rate = Math.max(ensureFinite(ecgSourceForRate.hr, 0), 0);
+            }
+        }
+
+        if (rate > 0) {
+            interval = 60.0 / rate;
+            const irreg = params?.irregular ?? 0;
+            if (irreg > 0 && irreg <= 1 && this.currentParams.ecg?.params) {
+                interval *= 1.0 + (random() - 0.5) * 2 * irreg;
+            }
+            interval = Math.max(0.1, interval);
+        } else {
+            interval = Infinity;
+        }
+
+        if (interval < Infinity && ecgGenerators.isEctopyApplicable(ecgSourceForRate?.ectopy, params)) {
+            const plan = ecgGenerators.planNextBeat(ecgSourceForRate.ectopy, this.ectopyState, interval, params);
+            interval = plan.interval;
+            this.upcomingBeat = plan.beat;
+            this.upcomingEctopyState = plan.state;
+        } else {
+            this.currentBeat = ecgGenerators.SINUS_BEAT;
+            this.upcomingBeat = ecgGenerators.SINUS_BEAT;
+            this.ectopyState = ecgGenerators.createEctopyState();
+            this.upcomingEctopyState = this.ectopyState;
+        }
+
+        if (interval === Infinity) {
+            this.nextBeatTime = Infinity;
+        } else {
+            const baseTime = (this.lastBeatTime === -Infinity) ? this.rhythmTime : this.lastBeatTime;
+            this.nextBeatTime = baseTime + interval;
+
+            if (this.nextBeatTime <= this.rhythmTime) {
+                      this.nextBeatTime = this.rhythmTime + (1.0 / SAMPLE_RATE);
+            }
+        }
+    }
+
+
+    /**
+     * True when the external pacer captures: pacer on with output at or above the capture threshold,
+     * over an underlying rhythm it can pace (not VF/pulseless VT, torsades or CPR).
+     */
+    _isPacerCapturing() {
+        const pacer = this.currentParams.pacer;
+        const ecg = this.currentParams.ecg;
+        if (!pacer?.enabled || !ecg?.params) return false;
+        const params = ecg.params;
+        if (params.isChaotic || ecg.rhythm === "vt_pulseless" || (params.isArtifact && params.artifactType === "cpr")) {
+            return false;
+        }
+        const mA = ensureFinite(pacer.mA, 0);
+        const threshold = ensureFinite(pacer.captureThreshold, DEFAULT_PACER.captureThreshold);
+        return ensureFinite(pacer.rate, 0) > 0 && mA > 0 && mA >= threshold;
+    }
+
+    /**
+     * ECG source as the monitor draws it. While the pacer captures, the paced rhythm replaces the
+     * underlying rhythm; currentParams and targetParams keep the underlying one for when capture is lost.
+     * @param {object} [ecgSource] ECG params (defaults to currentParams.ecg).
+     * @returns {object} ecgSource itself, or the captured rhythm at the pacer rate.
+     */
+    getEffectiveEcg(ecgSource = this.currentParams.ecg) {
+        if (!ecgSource || !this.pacerCaptureActive) return ecgSource;
+        return {
+            rhythm: PACER_CAPTURE_RHYTHM,
+            hr: ensureFinite(this.currentParams.pacer?.rate, DEFAULT_PACER.rate),
+            params: RHYTHM_PARAMS[PACER_CAPTURE_RHYTHM],
+            visible: ecgSource.visible,
+        };
+    }
+
+    /** currentParams with the ECG as drawn, for numerics and alarms. */
+    getEffectiveParams() {
+        if (!this.pacerCaptureActive) return this.currentParams;
+        return { ...this.currentParams, ecg: this.getEffectiveEcg() };
+    }
+
+    /**
+     * Restarts the random stream for the rhythm now being drawn. The stream depends only on the session seed
+     * and the rhythm, so every monitor with the same seed draws the same waveform from this point on.
+     */
+    _reseedRandom() {
+        const seed = normalizeSeed(this.currentParams?.seed ?? this.targetParams?.seed ?? 0);
+        const rhythm = this.currentParams ? this.getEffectiveEcg()?.rhythm : null;
+        setRandomSeed(deriveSeed(seed, rhythm ?? ""));
+    }
+
+    // Runs once per sample before the beat timers: follows capture changes and the pacer clock.
+    _updatePacer() {
+        const captured = this._isPacerCapturing();
+        if (captured !== this.pacerCaptureActive) {
+            console.log(`[_updatePacer] Pacer capture ${captured ? "gained" : "lost"}.`);
+            this.pacerCaptureActive = captured;
+            this.ecgState = {};
+            this._reseedRandom();
+            this.currentBeat = ecgGenerators.SINUS_BEAT;
+            this.upcomingBeat = ecgGenerators.SINUS_BEAT;
+            this.ectopyState = ecgGenerators.createEctopyState();
+            this.upcomingEctopyState = this.ectopyState;
+            this.nextBeatTime = this.rhythmTime; // First paced (or underlying) beat starts now
+            this._notifyVitalsChanged();
+        }
+
+        // Without capture the pacer still fires at its rate; the spikes are drawn over the underlying rhythm.
+        const pacer = this.currentParams.pacer;
+        const rate = ensureFinite(pacer?.rate, 0);
+        if (pacer?.enabled && !captured && ensureFinite(pacer.mA, 0) > 0 && rate > 0) {
+            if (this.rhythmTime >= this.nextPacerTime) {
+                this.lastPacerTime = this.rhythmTime;
+                this.nextPacerTime = this.rhythmTime + 60.0 / rate;
+            }
+        } else {
+            this.lastPacerTime = -Infinity;
+            this.nextPacerTime = this.rhythmTime;
+        }
+    }
+
+    _generatePacerSpikeInternal(currentTime) {
+        if (this.pacerCaptureActive || this.lastPacerTime === -Infinity) return 0;
+        const spikeParams = RHYTHM_PARAMS[PACER_CAPTURE_RHYTHM];
+        return ecgGenerators.generatePacingSpike(
+            currentTime - this.lastPacerTime,
+            spikeParams.pacing_spike_amp,
+            spikeParams.pacing_spike_duration
+        );
+    }
+
+    // SYNC mode: finds R waves on the main ECG trace (returned as sync markers) and releases a pending
+    // synchronized shock on the next one.
+    _updateSyncDetection(ecgValue) {
+        const shock = this.pendingShock;
+        const syncShockPending = !!shock?.sync && !this.shockRequested;
+        if (!this.defib.sync && !syncShockPending) return null;
+
+        const detection = detectRWave(this.rWaveDetector, ecgValue, this.rhythmTime, SAMPLE_RATE);
+        if (detection) {
+            if (syncShockPending) {
+                console.log(`[Sync] R wave detected, delivering synchronized shock (${shock.energy} J).`);
+                this.shockRequested = true;
+            }
+        } else if (syncShockPending && this.rhythmTime - shock.requestedAt > SYNC_SHOCK_TIMEOUT_S) {
+            if (shock.remote) {
+                // The controller has already delivered this shock; keep the monitor in step with it.
+                this.shockRequested = true;
+            } else {
+                console.warn("[Sync] No R wave detected, synchronized shock not delivered.");
+                this.pendingShock = null;
+                this._setDefibStatus(`No R wave detected - shock not delivered (${shock.energy} J SYNC).`);
+            }
+        }
+        return detection ? { samplesAgo: detection.samplesSincePeak, peakValue: detection.peakValue } : null;
+    }
+
+    _resetCompressionTiming() {
+        this.lastCompressionTime = this.rhythmTime;
+        const params = this.currentParams.ecg?.params;
+        let interval = Infinity;
+        if (
+            params &&
+            params.generatorType === "artifact" &&
+            params.artifactType === "cpr"
+        ) {
+            const freq = params.artifact_freq ?? 110;
+            if (freq > 0) {
+                interval = Math.max(0.1, 60.0 / freq);
+            }
+        }
+        this.nextCompressionTime = this.rhythmTime + interval;
+        this.lastBeatTime = this.lastCompressionTime;
+    }
+
+    _generateECGWaveformInternal(currentTime, previousEcgState, lead = ecgGenerators.DEFAULT_LEAD) {
+        const ecgCurrent = this.getEffectiveEcg();
+        let currentEcgState = (previousEcgState && Object.keys(previousEcgState).length > 0)
+                               ? JSON.parse(JSON.stringify(previousEcgState))
+                               : {};
+        let ecgValue = 0;
+
+        if (!ecgCurrent || !ecgCurrent.params) {
+            return { value: 0, state: {} };
+        }
+
+        const params = ecgGenerators.getLeadParams(ecgCurrent.params, lead);
+        const generatorType = params.generatorType;
+        const noiseAmp = params.noise_amp ?? 0.015;
+        let updatedState = currentEcgState;
+
+        const generatorFunction = ecgGeneratorRegistry[generatorType];
+
+        if (generatorFunction) {
+            if (generatorType === "pqrst" || generatorType === "paced") {
+                let timeForGenerator = -1;
+
+                if (Number.isFinite(this.lastBeatTime) && this.lastBeatTime > -Infinity) {
+                    timeForGenerator = currentTime - this.lastBeatTime;
+                } else if (this.lastBeatTime === 0 && currentTime >=0) {
+                    timeForGenerator = currentTime;
+                }
+
+                const isPEA = params.isPEA ?? false;
+                const isPulselessVT = ecgCurrent.rhythm === "vt_pulseless";
+                let rateForDuration = 0;
+
+                const hrSourceForCycle = this.getEffectiveEcg(this.interpolationTargetParams?.ecg)?.hr ?? ecgCurrent.hr;
+
+                if (isPEA || isPulselessVT) {
+                    rateForDuration = Math.max(ensureFinite(params.baseHR, 0), 0);
+                } else {
+                    rateForDuration = Math.max(ensureFinite(hrSourceForCycle, 0), 0);
+                }
+
+                const cycleDuration =
+                    rateForDuration > 0
+                        ? 60.0 / rateForDuration
+                        : DEFAULT_FALLBACK_BEAT_INTERVAL;
+
+                if (timeForGenerator >= 0 && timeForGenerator < cycleDuration * 1.5) {
+                    const beatParams = this.currentBeat?.params
+                        ? ecgGenerators.getLeadParams(this.currentBeat.params, lead)
+                        : params;
+                    ecgValue = generatorFunction(timeForGenerator, beatParams);
+                } else {
+                    ecgValue = 0;
+                }
+                ecgValue += generateNoise(noiseAmp);
+                updatedState = {};
+            } else if (generatorType === "avBlock" || generatorType === "flutter") {
+                const result = generatorFunction(
+                    currentTime,
+                    params,
+                    currentEcgState
+                );
+                ecgValue = result.value;
+                updatedState = result.state;
+            } else if (generatorType === "torsades") {
+                const result = generatorFunction(
+                    currentTime,
+                    params,
+                    currentEcgState
+                );
+                ecgValue = result.value;
+                updatedState = result.state;
+                this.lastBeatTime = -Infinity;
+            } else if (generatorType === "chaotic") {
+                // State is threaded like the stateful generators so a second lead can redraw the same sample.
+                ecgValue = generatorFunction(params, currentEcgState);
+                updatedState = currentEcgState;
+                this.lastBeatTime = -Infinity;
+            } else if (generatorType === "flatline") {
+                ecgValue = generatorFunction(params);
+                updatedState = {};
+                this.lastBeatTime = -Infinity;
+            } else if (
+                generatorType === "artifact" &&
+                params.artifactType === "cpr"
+            ) {
+                const timeSinceLastCompression =
+                    currentTime - this.lastCompressionTime;
+                if (
+                    this.lastCompressionTime > -Infinity &&
+                    timeSinceLastCompression >= 0
+                ) {
+                    ecgValue = generatorFunction(timeSinceLastCompression, params);
+                } else {
+                    ecgValue = generateNoise(noiseAmp);
+                }
+                updatedState = {};
+            }
+        } else {
+            console.warn(
+                `[ECG Gen] Unknown or missing generatorType: '${generatorType}'`
+            );
+            ecgValue = generateNoise(noiseAmp);
+            updatedState = {};
+            this.lastBeatTime = -Infinity;
+        }
+
+        ecgValue += this._generatePacerSpikeInternal(currentTime);
+
+        if (typeof updatedState !== "object" || updatedState === null) {
+            updatedState = {};
+        }
+        return { value: ensureFinite(ecgValue), state: updatedState };
+    }
+
+
+    _generateSpo2WaveformInternal() {
+        const spo2Params = this.currentParams.spo2;
+        if (!spo2Params) return null;
+
+        let timeSincePulse = -1;
+        let pulseDuration = Infinity;
+
+        const ecgParams = this.getEffectiveEcg()?.params;
+        const ecgSourceForRate = this.getEffectiveEcg(this.interpolationTargetParams?.ecg || this.currentParams.ecg); // Use target HR for pulse duration
+        const isCprArtifact =
+            ecgParams?.isArtifact && ecgParams?.artifactType === "cpr";
+
+        if (Number.isFinite(this.lastBeatTime) && this.lastBeatTime > -Infinity) {
+            timeSincePulse = this.rhythmTime - this.lastBeatTime;
+            const hrForPulse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1), 1);
+            let rateToUse = 0;
+
+            if (isCprArtifact) {
+                rateToUse = ecgParams.artifact_freq ?? 110;
+            } else if ((ecgParams?.generatorType === 'avBlock' || ecgParams?.generatorType === 'flutter') && !(ecgParams.isPEA ?? false)) {
+                rateToUse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1),1);
+            } else if (ecgParams?.generatorType === 'paced' && !(ecgParams.isPEA ?? false)) {
+                rateToUse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1),1);
+            } else if (ecgParams?.generatorType === 'pqrst' && !(ecgParams.isPEA ?? false) && ecgSourceForRate.rhythm !== 'vt_pulseless') {
+                rateToUse = hrForPulse;
+            } else if (ecgParams?.generatorType === 'pqrst' && (ecgParams.isPEA || ecgSourceForRate.rhythm === 'vt_pulseless')) {
+                    rateToUse = Math.max(ensureFinite(ecgParams.baseHR, 1), 1);
+            }
+            pulseDuration = rateToUse > 0 ? 60.0 / rateToUse : Infinity;
+
+        } else if (this.lastBeatTime === 0 && this.rhythmTime >=0) {
+            timeSincePulse = this.rhythmTime;
+            const hrForPulse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1), 1);
+              let rateToUse = 0;
+            if (isCprArtifact) { rateToUse = ecgParams.artifact_freq ?? 110; }
+            else if (hrForPulse > 0) { rateToUse = hrForPulse; }
+            pulseDuration = rateToUse > 0 ? 60.0 / rateToUse : Infinity;
+        } else {
+            pulseDuration = Infinity;
+        }
+
+        if (
+            timeSincePulse < 0 ||
+            pulseDuration <= 0 ||
+            !Number.isFinite(pulseDuration)
+        ) {
+            pulseDuration = DEFAULT_FALLBACK_BEAT_INTERVAL;
+            timeSincePulse = this.rhythmTime % pulseDuration;
+        }
+
+        const validDuration = pulseDuration;
+        const validTimeSincePulse = this._holdPulseAfterBeat(timeSincePulse, pulseDuration);
+        const beatPerfusion = this.currentBeat?.perfusion ?? 1;
+
+        const currentSpo2Value = ensureFinite(spo2Params.value, 0);
+        const originalShapeType = spo2Params.shape || DEFAULT_SPO2_SHAPE;
+        let effectiveShapeType = originalShapeType;
+
+        // If user has set SpO2 to 0 or shape to no_signal, respect that even during CPR.
+        if (currentSpo2Value < 1 || originalShapeType === "no_signal") {
+            effectiveShapeType = "no_signal";
+        } else if (isCprArtifact && ecgParams) {
+            // If CPR is active AND user has not set SpO2 to no_signal,
+            // then use the CPR-defined SpO2 shape (e.g., low_perfusion).
+            // If RHYTHM_PARAMS.cpr_artifact.spo2Shape is 'no_signal', it will use that.
+            effectiveShapeType = ecgParams.spo2Shape || "low_perfusion";
+        }
+
+
+        const plethValue = generatePlethPulseShape(
+            validTimeSincePulse,
+            validDuration,
+            currentSpo2Value,
+            effectiveShapeType
+        );
+        if (beatPerfusion === 1 || effectiveShapeType === "no_signal") return plethValue;
+        const plethBaseline = generatePlethPulseShape(0, validDuration, currentSpo2Value, "no_signal");
+        return plethBaseline + (plethValue - plethBaseline) * beatPerfusion;
+    }
+
+    // With ectopy the gap after a beat can be longer than one nominal pulse (compensatory pause).
+    // The shape generators wrap time modulo the duration, so hold the end of the pulse instead of drawing a phantom beat.
+    _holdPulseAfterBeat(timeSincePulse, pulseDuration) {
+        if (this.currentBeat === ecgGenerators.SINUS_BEAT && this.upcomingBeat === ecgGenerators.SINUS_BEAT) return timeSincePulse;
+        if (timeSincePulse >= pulseDuration) return pulseDuration * 0.999;
+        return timeSincePulse;
+    }
+
+    _generateAbpWaveformInternal() {
+        const abpParams = this.currentParams.abp;
+        if (!abpParams) return null;
+
+        let timeSincePulse = -1;
+        let pulseDuration = Infinity;
+
+        const ecgParams = this.getEffectiveEcg()?.params;
+        const ecgSourceForRate = this.getEffectiveEcg(this.interpolationTargetParams?.ecg || this.currentParams.ecg); // Use target HR
+        const isCprArtifact =
+            ecgParams?.isArtifact && ecgParams?.artifactType === "cpr";
+
+        if (Number.isFinite(this.lastBeatTime) && this.lastBeatTime > -Infinity) {
+            timeSincePulse = this.rhythmTime - this.lastBeatTime;
+            const hrForPulse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1), 1);
+            let rateToUse = 0;
+
+            if (isCprArtifact) {
+                rateToUse = ecgParams.artifact_freq ?? 110;
+            } else if ((ecgParams?.generatorType === 'avBlock' || ecgParams?.generatorType === 'flutter') && !(ecgParams.isPEA ?? false)) {
+                rateToUse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1),1);
+            } else if (ecgParams?.generatorType === 'paced' && !(ecgParams.isPEA ?? false)) {
+                rateToUse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1),1);
+            } else if (ecgParams?.generatorType === 'pqrst' && !(ecgParams.isPEA ?? false) && ecgSourceForRate.rhythm !== 'vt_pulseless') {
+                rateToUse = hrForPulse;
+            } else if (ecgParams?.generatorType === 'pqrst' && (ecgParams.isPEA || ecgSourceForRate.rhythm === 'vt_pulseless')) {
+                    rateToUse = Math.max(ensureFinite(ecgParams.baseHR, 1), 1);
+            }
+            pulseDuration = rateToUse > 0 ? 60.0 / rateToUse : Infinity;
+        } else if (this.lastBeatTime === 0 && this.rhythmTime >=0) {
+            timeSincePulse = this.rhythmTime;
+            const hrForPulse = Math.max(ensureFinite(ecgSourceForRate?.hr, 1), 1);
+            let rateToUse = 0;
+            if (isCprArtifact) { rateToUse = ecgParams.artifact_freq ?? 110; }
+            else if (hrForPulse > 0) { rateToUse = hrForPulse; }
+            pulseDuration = rateToUse > 0 ? 60.0 / rateToUse : Infinity;
+        } else {
+            pulseDuration = Infinity;
+        }
+
+
+        if (
+            timeSincePulse < 0 ||
+            pulseDuration <= 0 ||
+            !Number.isFinite(pulseDuration)
+        ) {
+            pulseDuration = DEFAULT_FALLBACK_BEAT_INTERVAL;
+            timeSincePulse = this.rhythmTime % pulseDuration;
+        }
+
+        const validDuration = pulseDuration;
+        const validTimeSincePulse = this._holdPulseAfterBeat(timeSincePulse, pulseDuration);
+        const beatPerfusion = this.currentBeat?.perfusion ?? 1;
+
+        let shapeType = abpParams.shape || DEFAULT_ABP_SHAPE;
+        let targetSys = ensureFinite(abpParams.sys, 0);
+        let targetDia = ensureFinite(abpParams.dia, 0);
+
+        if (pulseDuration === Infinity && !isCprArtifact) { // If no pulse and not CPR, ABP is flat
+            targetSys = 0;
+            targetDia = 0;
+            shapeType = "damped"; // Or some other flat representation
+        } else if (isCprArtifact && ecgParams) {
+            // During CPR, ABP waveform is driven by CPR compressions.
+            // The target Sys/Dia values should reflect the user's settings if they've modified them,
+            // otherwise, they fall back to CPR defaults from rhythms.js.
+            shapeType = abpParams.shape || ecgParams.cpr_abp_shape || "damped"; // User's shape if set, else CPR default
+            targetSys = ensureFinite(abpParams.sys, ensureFinite(ecgParams.cpr_abp_sys, 0));
+            targetDia = ensureFinite(abpParams.dia, ensureFinite(ecgParams.cpr_abp_dia, 0));
+        }
+        // If user has explicitly set Sys/Dia to 0, reflect that.
+        if (abpParams.sys === 0 && abpParams.dia === 0) {
+                targetSys = 0;
+                targetDia = 0;
+                shapeType = "damped";
+        }
+
+
+        if (beatPerfusion !== 1 && targetSys > targetDia) {
+            // Ectopic beat: reduced stroke volume gives a smaller pulse pressure on the same diastolic level.
+            targetSys = targetDia + (targetSys - targetDia) * beatPerfusion;
+        }
+
+        return generateAbpWaveformShape(
+            validTimeSincePulse,
+            validDuration,
+            targetSys,
+            targetDia,
+            shapeType
+        );
+    }
+
+    _generateEtco2WaveformInternal() {
+        const etco2Params = this.currentParams.etco2;
+        if (!etco2Params) return null;
+
+        const currentShape = etco2Params.etco2Shape;
+        const rr = ensureFinite(etco2Params.rr, 0); // User-modifiable RR
+        const breathDuration = rr > 0 ? 60.0 / rr : Infinity;
+
+        let validTimeSinceBreath = -1;
+        let validDuration = DEFAULT_FALLBACK_BREATH_INTERVAL;
+
+        if (breathDuration < Infinity && this.lastBreathTime > -Infinity) {
+            validDuration = breathDuration;
+            validTimeSinceBreath = this.respiratoryTime - this.lastBreathTime;
+        } else if (breathDuration < Infinity) { // First breath or after a long pause
+            validDuration = breathDuration;
+            validTimeSinceBreath = this.respiratoryTime % validDuration;
+        } else { // No respiration
+            return 0; // Flat line if RR is 0
+        }
+
+        validTimeSinceBreath = Math.max(0, validTimeSinceBreath);
+
+        // Use the user-set ETCO2 value and shape from currentParams
+        const targetValueKpa = ensureFinite(etco2Params.valueKpa, 0);
+        let valueForShape = targetValueKpa;
+        let shapeForGenerator = currentShape;
+
+        // If user sets RR to 0 or shape to 'disconnect', ETCO2 should be flat 0
+        if (rr === 0 || currentShape === 'disconnect') {
+                valueForShape = 0;
+                shapeForGenerator = 'disconnect'; // Force disconnect shape for flatline
+        } else if (currentShape === 'cpr_low_flow') {
+                // If shape is 'cpr_low_flow', it uses the CPR_ETCO2_VALUE_KPA,
+                // but RR is still user-controllable.
+                // The targetValueKpa (user's slider value) is still stored in etco2Params.valueKpa
+                // and will be used if the shape changes from cpr_low_flow.
+                valueForShape = CPR_ETCO2_VALUE_KPA;
+        }
+
+
+        return generateEtco2WaveformShape(
+            validTimeSinceBreath,
+            validDuration,
+            valueForShape,
+            shapeForGenerator
+        );
+    }
+
+    /**
+     * Applies targetParams ("Update Vitals"): ECG rhythm/HR, pacer, seed, visibility and colors at once,
+     * SpO2/ABP shape at the next beat, ETCO2 at the next breath; numerics interpolate (interpolateVitals).
+     * @returns {{colorsChanged: boolean}}
+     */
+    applyTargetParams() {
+        console.log("[applyTargetParams V17 BUGFIX] Initiating parameter change.");
+        const oldRhythmKey = this.currentParams.ecg?.rhythm;
+        const oldCurrentHR = this.currentParams.ecg?.hr; // Tallenna vanha HR vertailua varten
+        const oldCurrentEtco2RR = this.currentParams.etco2?.rr ?? 0;
+        const oldSpo2Shape = this.currentParams.spo2?.shape;
+        const oldAbpShape = this.currentParams.abp?.shape;
+
+        // Update interpolation target to the latest user-set targetParams (from sliders)
+        this.interpolationTargetParams = JSON.parse(JSON.stringify(this.targetParams));
+        let ecgTimingResetNeeded = false;
+        let colorsChanged = false;
+
+        // Apply alarm thresholds immediately to currentParams and interpolationTargetParams
+        // so that calling Update Vitals takes effect for alarm evaluation even while
+        // the numeric interpolation of vitals continues.
+        if (this.targetParams.alarms) {
+          try {
+            this.currentParams.alarms = JSON.parse(JSON.stringify(this.targetParams.alarms));
+            this.interpolationTargetParams.alarms = JSON.parse(JSON.stringify(this.targetParams.alarms));
+            console.log('[applyTargetParams] Applied alarm thresholds to current and interpolation targets.');
+          } catch (e) {
+            console.error('[applyTargetParams] Error copying alarm thresholds:', e);
+          }
+        }
+
+        // --- KORJATTU OSA: Näkyvyys- ja värimuutosten käsittely ---
+        // Sovella näkyvyysmuutokset suoraan ja välittömästi currentParamsiin ja interpolationTargetParamsiin
+        for (const key of ["ecg", "spo2", "abp", "etco2", "temp", "nibp"]) {
+            if (this.targetParams[key]) {
+                if (this.currentParams[key]) {
+                    // Varmista, että 'visible' on aina olemassa ennen kopiointia
+                    if (typeof this.targetParams[key].visible === 'boolean') {
+                        this.currentParams[key].visible = this.targetParams[key].visible;
+                    }
+                }
+                if (this.interpolationTargetParams[key]) { // Päivitä myös interpolationTarget
+                    if (typeof this.targetParams[key].visible === 'boolean') {
+                        this.interpolationTargetParams[key].visible = this.targetParams[key].visible;
+                    }
+                }
+            }
+        }
+
+        // Sovella värimuutokset välittömästi
+        if (this.targetParams.colors) {
+            if (this.currentParams.colors) {
+                 if(JSON.stringify(this.currentParams.colors) !== JSON.stringify(this.targetParams.colors)) {
+                    this.currentParams.colors = JSON.parse(JSON.stringify(this.targetParams.colors));
+                    colorsChanged = true;
+                 }
+            }
+            // Varmistetaan, että interpolationTargetParams.colors on olemassa ennen vertailua/päivitystä
+            if (!this.interpolationTargetParams.colors && this.targetParams.colors) {
+                this.interpolationTargetParams.colors = JSON.parse(JSON.stringify(this.targetParams.colors));
+                // colorsChanged-lippua ei tarvitse asettaa uudelleen, currentParams-päivitys riittää UI-triggerille
+            } else if (this.interpolationTargetParams.colors && this.targetParams.colors) {
+                 if(JSON.stringify(this.interpolationTargetParams.colors) !== JSON.stringify(this.targetParams.colors)) {
+                    this.interpolationTargetParams.colors = JSON.parse(JSON.stringify(this.targetParams.colors));
+                 }
+            }
+        }
+        // --- KORJATUN OSAN LOPPU ---
+
+
+        // --- ETCO2 Handling: Set as pending, apply at next breath cycle ---
+        if (this.targetParams.etco2 && this.currentParams.etco2) {
+            const targetEtco2CoreForCompare = {
+                valueKpa: this.targetParams.etco2.valueKpa,
+                rr: this.targetParams.etco2.rr,
+                etco2Shape: this.targetParams.etco2.etco2Shape
+            };
+            const currentEtco2CoreForCompare = { // What is currently running
+                valueKpa: this.currentParams.etco2.valueKpa,
+                rr: this.currentParams.etco2.rr,
+                etco2Shape: this.currentParams.etco2.etco2Shape
+            };
+
+            if (JSON.stringify(targetEtco2CoreForCompare) !== JSON.stringify(currentEtco2CoreForCompare) ||
+                (this.isEtco2UpdatePending && JSON.stringify(this.pendingEtco2Params) !== JSON.stringify(this.targetParams.etco2))) {
+                console.log("[IPC V17 BUGFIX] ETCO2 target differs from current or existing pending. Scheduling/Re-scheduling.");
+                this.pendingEtco2Params = JSON.parse(JSON.stringify(this.targetParams.etco2));
+                this.isEtco2UpdatePending = true;
+                // interpolationTargetParams.etco2 on jo päivitetty yllä olevassa näkyvyys/väri-lohkossa,
+                // mutta varmistetaan, että se on täysin synkassa targetParamsin kanssa numeeristen arvojen osalta.
+                this.interpolationTargetParams.etco2 = JSON.parse(JSON.stringify(this.targetParams.etco2));
+
+
+                const newPendingRR = this.pendingEtco2Params.rr;
+                if (newPendingRR > 0 && oldCurrentEtco2RR === 0) {
+                    console.log(`[IPC V17 BUGFIX] ETCO2 RR changing from 0 to ${newPendingRR}. Forcing breath timer reset.`);
+                    this.nextBreathTime = this.respiratoryTime;
+                }
+            }
+
+            if (this.currentParams.etco2.unitPref !== this.targetParams.etco2.unitPref) {
+                this.currentParams.etco2.unitPref = this.targetParams.etco2.unitPref;
+                if(this.interpolationTargetParams.etco2) { // Varmistetaan olemassaolo
+                    this.interpolationTargetParams.etco2.unitPref = this.targetParams.etco2.unitPref;
+                }
+            }
+        }
+
+
+        // --- SpO2 Handling (Keep pending shape update for smoother visuals if not recovering) ---
+        if (this.targetParams.spo2 && this.currentParams.spo2) {
+            const targetSpo2String = JSON.stringify({value: this.targetParams.spo2.value, shape: this.targetParams.spo2.shape});
+            const interpolationSpo2String = this.interpolationTargetParams.spo2 ? JSON.stringify({value: this.interpolationTargetParams.spo2.value, shape: this.interpolationTargetParams.spo2.shape}) : null;
+
+            if (targetSpo2String !== interpolationSpo2String) {
+                 console.log("[IPC V17 BUGFIX] SpO2 target differs from interpolation target. Scheduling shape update.");
+                this.pendingSpo2Params = JSON.parse(JSON.stringify(this.targetParams.spo2));
+                this.isSpo2UpdatePending = true;
+                // interpolationTargetParams.spo2 on jo päivitetty yllä
+                this.interpolationTargetParams.spo2 = JSON.parse(JSON.stringify(this.targetParams.spo2));
+
+
+                const wasSpo2NoSignal = oldSpo2Shape === 'no_signal';
+                const isNowSpo2Signal = this.targetParams.spo2.shape !== 'no_signal' && this.targetParams.spo2.value > 0;
+                if (wasSpo2NoSignal && isNowSpo2Signal) {
+                    this.currentParams.spo2.shape = this.targetParams.spo2.shape;
+                    this.isSpo2UpdatePending = false;
+                }
+            }
+        }
+
+        // --- ABP Handling (Keep pending shape update for smoother visuals if not recovering) ---
+        if (this.targetParams.abp && this.currentParams.abp) {
+            const targetAbpString = JSON.stringify({sys: this.targetParams.abp.sys, dia: this.targetParams.abp.dia, shape: this.targetParams.abp.shape});
+            const interpolationAbpString = this.interpolationTargetParams.abp ? JSON.stringify({sys: this.interpolationTargetParams.abp.sys, dia: this.interpolationTargetParams.abp.dia, shape: this.interpolationTargetParams.abp.shape}) : null;
+
+            if (targetAbpString !== interpolationAbpString) {
+                console.log("[IPC V17 BUGFIX] ABP target differs from interpolation target. Scheduling shape update.");
+                this.pendingAbpParams = JSON.parse(JSON.stringify(this.targetParams.abp));
+                this.isAbpUpdatePending = true;
+                // interpolationTargetParams.abp on jo päivitetty yllä
+                this.interpolationTargetParams.abp = JSON.parse(JSON.stringify(this.targetParams.abp));
+
+                const wasAbpNoPressure = oldAbpShape === 'damped' && (this.currentParams.abp.sys === 0 || this.currentParams.abp.dia === 0);
+                const isNowAbpPressure = this.targetParams.abp.sys > 0 || this.targetParams.abp.dia > 0;
+                 if (wasAbpNoPressure && isNowAbpPressure) {
+                    this.currentParams.abp.shape = this.targetParams.abp.shape;
+                    this.isAbpUpdatePending = false;
+                }
+            }
+        }
+
+        // --- ECG Rhythm and HR Changes ---
+        const targetRhythmKey = this.targetParams.ecg?.rhythm;
+        if (targetRhythmKey && targetRhythmKey !== oldRhythmKey) { // Rhythm type changed
+            ecgTimingResetNeeded = true;
+            console.log(`[IPC V17 BUGFIX] Rhythm type CHANGED: ${oldRhythmKey} -> ${targetRhythmKey}`);
+            this.currentParams.ecg.rhythm = targetRhythmKey;
+            this.currentParams.ecg.params = resolveRhythmParams(targetRhythmKey, this.targetParams.ecg.overrides);
+            this.currentParams.ecg.overrides = this.targetParams.ecg.overrides ? JSON.parse(JSON.stringify(this.targetParams.ecg.overrides)) : undefined;
+            this.ecgState = {};
+            this._reseedRandom();
+
+            const newEcgRuntimeParams = this.currentParams.ecg.params;
+            const isNewRhythmPulselessOrCpr = newEcgRuntimeParams && (newEcgRuntimeParams.isPEA || newEcgRuntimeParams.isChaotic || newEcgRuntimeParams.isFlat || targetRhythmKey === "vt_pulseless" || (newEcgRuntimeParams.isArtifact && newEcgRuntimeParams.artifactType === 'cpr'));
+
+            if (isNewRhythmPulselessOrCpr) {
+                console.log("[IPC V17 BUGFIX] New rhythm is pulseless/CPR. Snapping current HR and dependent vitals to defaults.");
+                this.currentParams.ecg.hr = 0;
+                const rhythmDefaults = RHYTHM_PARAMS[targetRhythmKey];
+
+                if (this.currentParams.spo2 && rhythmDefaults) {
+                    this.currentParams.spo2.value = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.spo2Value !== undefined) ? rhythmDefaults.spo2Value : 0;
+                    this.currentParams.spo2.shape = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.spo2Shape) ? rhythmDefaults.spo2Shape : "no_signal";
+                }
+                if (this.currentParams.abp && rhythmDefaults) {
+                    this.currentParams.abp.sys = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.cpr_abp_sys !== undefined) ? rhythmDefaults.cpr_abp_sys : 0;
+                    this.currentParams.abp.dia = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.cpr_abp_dia !== undefined) ? rhythmDefaults.cpr_abp_dia : 0;
+                    this.currentParams.abp.shape = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.cpr_abp_shape) ? rhythmDefaults.cpr_abp_shape : "damped";
+                }
+
+                if (this.currentParams.etco2 && rhythmDefaults) {
+                    this.currentParams.etco2.valueKpa = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.etco2ValueKpa !== undefined) ? rhythmDefaults.etco2ValueKpa : 0;
+                    this.currentParams.etco2.rr = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.respiratoryRate !== undefined) ? rhythmDefaults.respiratoryRate : 0;
+                    this.currentParams.etco2.etco2Shape = (targetRhythmKey === 'cpr_artifact' && rhythmDefaults.etco2Shape) ? rhythmDefaults.etco2Shape : "disconnect";
+
+                    this.interpolationTargetParams.etco2 = JSON.parse(JSON.stringify(this.currentParams.etco2));
+                    this.isEtco2UpdatePending = false;
+                    this.pendingEtco2Params = null;
+
+                    this.lastBreathTime = -Infinity;
+                    this.nextBreathTime = this.respiratoryTime;
+                    this._resetBreathTiming(this.currentParams.etco2.rr > 0 ? 60.0 / this.currentParams.etco2.rr : Infinity);
+                }
+
+                this.interpolationTargetParams.ecg.hr = this.currentParams.ecg.hr;
+                if(this.interpolationTargetParams.spo2) this.interpolationTargetParams.spo2 = JSON.parse(JSON.stringify(this.currentParams.spo2));
+                if(this.interpolationTargetParams.abp) this.interpolationTargetParams.abp = JSON.parse(JSON.stringify(this.currentParams.abp));
+
+                this.isSpo2UpdatePending = false; this.pendingSpo2Params = null;
+                this.isAbpUpdatePending = false; this.pendingAbpParams = null;
+            } else {
+                const wasPulselessOrCpr = oldRhythmKey && RHYTHM_PARAMS[oldRhythmKey] && (RHYTHM_PARAMS[oldRhythmKey].isPEA || RHYTHM_PARAMS[oldRhythmKey].isChaotic || RHYTHM_PARAMS[oldRhythmKey].isFlat || oldRhythmKey === "vt_pulseless" || (RHYTHM_PARAMS[oldRhythmKey].isArtifact && RHYTHM_PARAMS[oldRhythmKey].artifactType === 'cpr'));
+                if(wasPulselessOrCpr){
+                    if (this.currentParams.spo2) this.currentParams.spo2.shape = this.targetParams.spo2.shape || DEFAULT_SPO2_SHAPE;
+                    if (this.currentParams.abp) this.currentParams.abp.shape = this.targetParams.abp.shape || DEFAULT_ABP_SHAPE;
+                }
+            }
+        } else if (this.targetParams.ecg && this.targetParams.ecg.hr !== oldCurrentHR) {
+            ecgTimingResetNeeded = true;
+            console.log(`[IPC V17 BUGFIX] Target HR (${this.targetParams.ecg.hr}) differs from current HR (${oldCurrentHR}) for the same rhythm.`);
+            const currentEcgRuntimeParams = this.currentParams.ecg.params;
+            const isCurrentRhythmPulselessOrCpr = currentEcgRuntimeParams && (currentEcgRuntimeParams.isPEA || currentEcgRuntimeParams.isChaotic || currentEcgRuntimeParams.isFlat || this.currentParams.ecg.rhythm === "vt_pulseless" || (currentEcgRuntimeParams.isArtifact && currentEcgRuntimeParams.artifactType === 'cpr'));
+            if (isCurrentRhythmPulselessOrCpr) {
+                this.currentParams.ecg.hr = 0;
+                this.interpolationTargetParams.ecg.hr = 0;
+                this.targetParams.ecg.hr = 0; // Myös targetParams.hr nollataan jos yritetään muuttaa pulssittomalla
+                ecgTimingResetNeeded = false;
+                console.log("[IPC V17 BUGFIX] HR change attempted on pulseless/CPR rhythm. HR forced to 0.");
+            }
+        }
+
+
+        // A new seed applies immediately and restarts the random stream.
+        if (this.targetParams.seed !== undefined && this.targetParams.seed !== this.currentParams.seed) {
+            this.currentParams.seed = this.targetParams.seed;
+            this._reseedRandom();
+        }
+
+        // Pacer settings apply immediately; capture is re-evaluated on the next sample (_updatePacer).
+        if (this.targetParams.pacer) {
+            this.currentParams.pacer = JSON.parse(JSON.stringify(this.targetParams.pacer));
+        }
+        this.currentParams.faults = { ...DEFAULT_SENSOR_FAULTS, ...(this.targetParams.faults || {}) };
+
+        // Ectopy settings are picked up when the next beat is planned.
+        if (this.currentParams.ecg && this.targetParams.ecg) {
+            this.currentParams.ecg.ectopy = this.targetParams.ecg.ectopy ? JSON.parse(JSON.stringify(this.targetParams.ecg.ectopy)) : undefined;
+            // Rhythm parameter overrides for the same rhythm (e.g. torsades rate) apply without a timing reset.
+            if (JSON.stringify(this.currentParams.ecg.overrides ?? null) !== JSON.stringify(this.targetParams.ecg.overrides ?? null)) {
+                this.currentParams.ecg.overrides = this.targetParams.ecg.overrides ? JSON.parse(JSON.stringify(this.targetParams.ecg.overrides)) : undefined;
+                this.currentParams.ecg.params = resolveRhythmParams(this.currentParams.ecg.rhythm, this.currentParams.ecg.overrides);
+            }
+        }
+
+        if (ecgTimingResetNeeded) {
+            this.lastBeatTime = -Infinity;
+            this.nextBeatTime = this.rhythmTime;
+            this.currentBeat = ecgGenerators.SINUS_BEAT;
+            this.ectopyState = ecgGenerators.createEctopyState();
+            this._calculateNextBeatTime();
+
+            this.lastCompressionTime = -Infinity;
+            this.nextCompressionTime = this.rhythmTime;
+            if (this.currentParams.ecg.params?.artifactType === 'cpr') {
+                this._resetCompressionTiming();
+            }
+        }
+
+        console.log("[IPC V17 BUGFIX] End. interpolationTarget ETCO2 RR: ", this.interpolationTargetParams.etco2?.rr);
+        return { colorsChanged };
+    }
+
+
+    /**
+     * Requests a shock. Unsynchronized shocks are delivered on the next frame; synchronized shocks wait
+     * for the next detected R wave and are not delivered if none is found within SYNC_SHOCK_TIMEOUT_S.
+     * @param {{energy?: number, sync?: boolean, rhythmKey?: string, remote?: boolean}} [shock]
+     *        Defaults to the current defib settings. rhythmKey/remote are set for shocks received from the controller.
+     * @param {function(object)} [onDischarge] Called with { energy, sync } just before the shock is delivered.
+     */
+    requestShock(shock = {}, onDischarge = null) {
+        if (!this.running) {
+            console.log("[requestShock] Shock ignored (simulation not active).");
+            return;
+        }
+        this.pendingShock = {
+            energy: ensureFinite(shock.energy, this.defib.energy),
+            sync: typeof shock.sync === "boolean" ? shock.sync : this.defib.sync,
+            rhythmKey: shock.rhythmKey ?? null,
+            remote: !!shock.remote,
+            requestedAt: this.rhythmTime,
+            onDischarge,
+        };
+        if (this.pendingShock.sync) {
+            console.log(`[requestShock] Synchronized shock requested (${this.pendingShock.energy} J), waiting for R wave.`);
+            this._setDefibStatus(`Charged ${this.pendingShock.energy} J SYNC - waiting for R wave...`);
+        } else {
+            console.log(`[requestShock] Shock requested (${this.pendingShock.energy} J).`);
+            this.shockRequested = true;
+        }
+    }
+
+    /**
+     * Hands over a shock that is due (requested unsynchronized shock, or synchronized shock whose R wave arrived).
+     * The caller delivers it with deliverShock.
+     * @returns {{energy: number, sync: boolean, rhythmKey: string|null, onDischarge: function|null}|null}
+     *          null when no shock is due.
+     */
+    takeRequestedShock() {
+        if (!this.shockRequested) return null;
+        this.shockRequested = false;
+        const shock = this.pendingShock;
+        this.pendingShock = null;
+        return {
+            energy: shock?.energy ?? this.defib.energy,
+            sync: !!shock?.sync,
+            rhythmKey: shock?.rhythmKey ?? null,
+            onDischarge: shock?.onDischarge ?? null,
+        };
+    }
+
+    /**
+     * Sets the defibrillator energy and SYNC mode. A device setting: applied immediately, not via Update Vitals.
+     * @param {{energy?: number, sync?: boolean}} defib
+     */
+    setDefibState(defib = {}) {
+        const energy = ensureFinite(Number(defib.energy), this.defib.energy);
+        const sync = typeof defib.sync === "boolean" ? defib.sync : this.defib.sync;
+        if (sync !== this.defib.sync) {
+            this.rWaveDetector = createRWaveDetectorState();
+            if (!sync && this.pendingShock?.sync && !this.shockRequested) {
+                console.log("[setDefibState] SYNC switched off, pending synchronized shock cancelled.");
+                this.pendingShock = null;
+                this._setDefibStatus("");
+            }
+        }
+        this.defib = { energy, sync };
+    }
+
+    /**
+     * Selects the leads drawn on the ECG channel and the optional second ECG channel.
+     * Display-only: the rhythm and its timing are unaffected.
+     * @param {string} primary Lead for the main ECG channel (one of ECG_LEADS).
+     * @param {string|null} secondary Lead for the second channel, or null for none.
+     */
+    setEcgLeads(primary, secondary) {
+        const leads = ecgGenerators.ECG_LEADS;
+        const newPrimary = leads.includes(primary) ? primary : ecgGenerators.DEFAULT_LEAD;
+        const newSecondary = leads.includes(secondary) ? secondary : null;
+        this.ecgLeads = { primary: newPrimary, secondary: newSecondary };
+        console.log(`[setEcgLeads] ECG lead ${newPrimary}, second channel ${newSecondary || "off"}.`);
+    }
+
+    /**
+     * Delivers a shock: logs it (shockLog) and switches to the post-shock rhythm at once, with the other vitals
+     * moving to that rhythm's perfusion state. The ECG restarts after the discharge artifact (generateShockArtifact).
+     * @param {string} newRhythmKey Rhythm after the shock (key in RHYTHM_PARAMS).
+     * @param {{energy?: number, sync?: boolean}} [shock] Defaults to the current defib settings.
+     * @returns {object|null} The shockLog record, or null if the rhythm is unknown (shock logged, rhythm unchanged).
+     */
+    deliverShock(newRhythmKey, shock = null) {
+        const rhythmBeforeShock = this.currentParams.ecg?.rhythm ?? null;
+        const shockStartTime = this.rhythmTime;
+        console.log(`[deliverShock V16] Post-shock rhythm will be: ${newRhythmKey}`);
+
+        const shockRecord = {
+            time: new Date().toISOString(),
+            energy: shock?.energy ?? this.defib.energy,
+            sync: !!shock?.sync,
+            rhythmBefore: rhythmBeforeShock,
+            rhythmAfter: newRhythmKey,
+        };
+        this.shockLog.push(shockRecord);
+        this._setDefibStatus(
+            `Shock ${this.shockLog.length}: ${shockRecord.energy} J${shockRecord.sync ? " SYNC" : ""} at ${new Date(shockRecord.time).toLocaleTimeString()}`
+        );
+
+        const newEcgParamsFromDefinition = RHYTHM_PARAMS[newRhythmKey];
+        if (!newEcgParamsFromDefinition) {
+            console.error(`Shock: Could not find params for rhythm: ${newRhythmKey}. Aborting rhythm change.`);
+            this.ecgState = {};
+            this.lastBeatTime = -Infinity;
+            this.nextBeatTime = shockStartTime + (SHOCK_ARTIFACT_SAMPLES / SAMPLE_RATE) + 0.05;
+            this._calculateNextBeatTime();
+            return null;
+        }
+
+        const newEcgRuntimeParams = JSON.parse(JSON.stringify(newEcgParamsFromDefinition));
+        const isNewRhythmPulseless = newEcgRuntimeParams.isPEA ||
+                                     newEcgRuntimeParams.isChaotic ||
+                                     newEcgRuntimeParams.isFlat ||
+                                     newRhythmKey === "vt_pulseless";
+        const isNewRhythmCpr = newRhythmKey === 'cpr_artifact';
+        let newHr;
+
+        // 1. Update currentParams.ecg (rhythm, params, hr) immediately
+        if (isNewRhythmPulseless || isNewRhythmCpr) {
+            newHr = 0;
+        } else {
+            const { initialHR } = this._calculateInitialHR(newEcgRuntimeParams, newEcgRuntimeParams.baseHR);
+            newHr = initialHR;
+        }
+        this.currentParams.ecg.rhythm = newRhythmKey;
+        this.currentParams.ecg.params = newEcgRuntimeParams;
+        this.currentParams.ecg.hr = newHr;
+
+        // 2. Update targetParams and interpolationTargetParams for ECG to match the new currentParams.ecg
+        this.targetParams.ecg = JSON.parse(JSON.stringify(this.currentParams.ecg));
+        this.interpolationTargetParams.ecg = JSON.parse(JSON.stringify(this.currentParams.ecg));
+
+        // 3. Define new target states for SpO2, ABP, ETCO2 based on the new rhythm
+        let newTargetSpo2 = { ...(this.targetParams.spo2 || {}) };
+        let newTargetAbp = { ...(this.targetParams.abp || {}) };
+        let newTargetEtco2 = { ...(this.targetParams.etco2 || {}) };
+
+        if (isNewRhythmPulseless || isNewRhythmCpr) {
+            console.log(`[deliverShock V16] New rhythm ${newRhythmKey} is non-perfusing/CPR. Setting TARGETS for other vitals to non-perfusing/CPR state.`);
+            newTargetSpo2 = {
+                    value: isNewRhythmCpr ? (newEcgRuntimeParams.spo2Value ?? 0) : 0,
+                    shape: isNewRhythmCpr ? (newEcgRuntimeParams.spo2Shape ?? "no_signal") : "no_signal",
+                    visible: this.targetParams.spo2?.visible ?? true
+            };
+            newTargetAbp = {
+                    sys: isNewRhythmCpr ? (newEcgRuntimeParams.cpr_abp_sys ?? 0) : 0,
+                    dia: isNewRhythmCpr ? (newEcgRuntimeParams.cpr_abp_dia ?? 0) : 0,
+                    shape: isNewRhythmCpr ? (newEcgRuntimeParams.cpr_abp_shape ?? "damped") : "damped",
+                    visible: this.targetParams.abp?.visible ?? true
+            };
+            newTargetEtco2 = {
+                    valueKpa: isNewRhythmCpr ? (newEcgRuntimeParams.etco2ValueKpa ?? 0) : 0,
+                    rr: isNewRhythmCpr ? (newEcgRuntimeParams.respiratoryRate ?? 0) : 0,
+                    etco2Shape: isNewRhythmCpr ? (newEcgRuntimeParams.etco2Shape || "cpr_low_flow") : "disconnect",
+                    unitPref: this.targetParams.etco2?.unitPref || "kPa",
+                    visible: this.targetParams.etco2?.visible ?? true
+            };
+        } else { // New rhythm is perfusing
+            console.log(`[deliverShock V16] New rhythm ${newRhythmKey} is perfusing. Setting TARGETS for other vitals to perfusing state.`);
+            newTargetSpo2 = {
+                    value: newEcgRuntimeParams.spo2Value !== undefined ? newEcgRuntimeParams.spo2Value : 98,
+                    shape: newEcgRuntimeParams.spo2Shape || DEFAULT_SPO2_SHAPE,
+                    visible: this.targetParams.spo2?.visible ?? true
+            };
+            newTargetAbp = {
+                    sys: newEcgRuntimeParams.abpSys !== undefined ? newEcgRuntimeParams.abpSys : 120,
+                    dia: newEcgRuntimeParams.abpDia !== undefined ? newEcgRuntimeParams.abpDia : 80,
+                    shape: newEcgRuntimeParams.abpShape || DEFAULT_ABP_SHAPE,
+                    visible: this.targetParams.abp?.visible ?? true
+            };
+            newTargetAbp.dia = Math.max(0, Math.min(newTargetAbp.dia, newTargetAbp.sys -1));
+            newTargetAbp.sys = Math.max(newTargetAbp.dia + 1, newTargetAbp.sys);
+
+            newTargetEtco2 = {
+                    valueKpa: newEcgRuntimeParams.etco2ValueKpa !== undefined ? newEcgRuntimeParams.etco2ValueKpa : DEFAULT_ETCO2_KPA,
+                    rr: newEcgRuntimeParams.respiratoryRate !== undefined ? newEcgRuntimeParams.respiratoryRate : DEFAULT_RESP_RATE,
+                    etco2Shape: newEcgRuntimeParams.etco2Shape || DEFAULT_ETCO2_SHAPE,
+                    unitPref: this.targetParams.etco2?.unitPref || "kPa",
+                    visible: this.targetParams.etco2?.visible ?? true
+            };
+        }
+
+        // 4. Update targetParams and interpolationTargetParams for SpO2 & ABP
+        if (this.targetParams.spo2) this.targetParams.spo2 = JSON.parse(JSON.stringify(newTargetSpo2));
+        if (this.interpolationTargetParams.spo2) this.interpolationTargetParams.spo2 = JSON.parse(JSON.stringify(newTargetSpo2));
+        if (isNewRhythmPulseless || isNewRhythmCpr) {
+                    this.currentParams.spo2.value = newTargetSpo2.value;
+                    this.currentParams.spo2.shape = newTargetSpo2.shape;
+        }
+
+        if (this.targetParams.abp) this.targetParams.abp = JSON.parse(JSON.stringify(newTargetAbp));
+        if (this.interpolationTargetParams.abp) this.interpolationTargetParams.abp = JSON.parse(JSON.stringify(newTargetAbp));
+        if (isNewRhythmPulseless || isNewRhythmCpr) {
+                    this.currentParams.abp.sys = newTargetAbp.sys;
+                    this.currentParams.abp.dia = newTargetAbp.dia;
+                    this.currentParams.abp.shape = newTargetAbp.shape;
+        }
+
+        // 5. For ETCO2: Update targetParams, interpolationTargetParams, AND currentParams immediately.
+        //    Also, clear pending ETCO2 update and reset breath timing.
+        if (this.targetParams.etco2) this.targetParams.etco2 = JSON.parse(JSON.stringify(newTargetEtco2));
+        if (this.interpolationTargetParams.etco2) this.interpolationTargetParams.etco2 = JSON.parse(JSON.stringify(newTargetEtco2));
+        if (this.currentParams.etco2) this.currentParams.etco2 = JSON.parse(JSON.stringify(newTargetEtco2));
+
+        this.isEtco2UpdatePending = false;
+        this.pendingEtco2Params = null;
+        this.lastBreathTime = -Infinity;
+        this.nextBreathTime = this.respiratoryTime;
+        this._resetBreathTiming(this.currentParams.etco2.rr > 0 ? 60.0 / this.currentParams.etco2.rr : Infinity);
+        console.log(`[deliverShock V16] ETCO2 updated immediately post-shock. Next breath time: ${this.nextBreathTime.toFixed(3)}`);
+
+
+        // Reset ECG timing
+        this.ecgState = {};
+        this._reseedRandom();
+        this.lastBeatTime = -Infinity;
+        this.nextBeatTime = shockStartTime + (SHOCK_ARTIFACT_SAMPLES / SAMPLE_RATE) + 0.05;
+        this._calculateNextBeatTime();
+
+        this.isSpo2UpdatePending = false; this.pendingSpo2Params = null;
+        this.isAbpUpdatePending = false; this.pendingAbpParams = null;
+        return shockRecord;
+    }
+}
@@ -0,0 +1,45 @@
+// alarmTones.test.mjs - Alarm tone bursts against the IEC 60601-1-8 pulse timing
+// VERSION: Initial version. Pulse counts, pulse spacing, melodies and harmonic levels per priority.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildAlarmBurst, alarmToneCategory, ALARM_MELODIES, ALARM_HARMONICS } from "../alarmTones.js";
+
+const round = (x) => Math.round(x * 1000) / 1000;
+// Silence between the end of each pulse and the start of the next
+const gaps = ({ pulses }) => pulses.slice(1).map((p, i) => round(p.startS - pulses[i].startS - pulses[i].durationS));
+
+test("high priority is a 10-pulse burst x-x-x---x-x, twice, with the melody repeated", () => {
+    const burst = buildAlarmBurst("high", "cardiac");
+    assert.equal(burst.pulses.length, 10);
+    assert.deepEqual(gaps(burst), [0.1, 0.1, 0.35, 0.1, 0.8, 0.1, 0.1, 0.35, 0.1]);
+    assert.ok(burst.pulses.every((p) => p.durationS >= 0.075 && p.durationS <= 0.2));
+    assert.deepEqual(burst.pulses.map((p) => p.frequency), [...ALARM_MELODIES.cardiac, ...ALARM_MELODIES.cardiac]);
+    assert.ok(burst.repeatAfterS >= 2.5 && burst.repeatAfterS <= 15);
+    assert.equal(round(burst.durationS), round(10 * 0.15 + 0.1 * 6 + 0.35 * 2 + 0.8));
+});
+
+test("medium priority plays the first three notes; low priority two pulses repeated after more than 15 s", () => {
+    const medium = buildAlarmBurst("medium", "oxygen");
+    assert.deepEqual(medium.pulses.map((p) => p.frequency), ALARM_MELODIES.oxygen.slice(0, 3));
+    assert.deepEqual(gaps(medium), [0.2, 0.2]);
+    assert.ok(medium.pulses.every((p) => p.durationS >= 0.125 && p.durationS <= 0.25));
+    assert.ok(medium.repeatAfterS >= 2.5 && medium.repeatAfterS <= 30);
+
+    const low = buildAlarmBurst("low");
+    assert.equal(low.pulses.length, 2);
+    assert.ok(low.repeatAfterS > 15);
+});
+
+test("pitches and harmonics stay in the ranges of the standard", () => {
+    for (const melody of Object.values(ALARM_MELODIES)) {
+        for (const f of melody) {
+            assert.ok(f >= 150 && f <= 1000, `fundamental ${f}`);
+            const harmonics = ALARM_HARMONICS.slice(1).map((_, i) => f * (i + 2)).filter((h) => h >= 300 && h <= 4000);
+            assert.ok(harmonics.length >= 4, `harmonics of ${f}`);
+        }
+    }
+    assert.ok(ALARM_HARMONICS.every((a) => 20 * Math.log10(a) >= -15));
+    assert.equal(alarmToneCategory("low_spo2"), "oxygen");
+    assert.equal(alarmToneCategory("something_new"), "general");
+});
@@ -0,0 +1,114 @@
+// debriefReport.test.mjs - Debrief timeline from a session event log
+// VERSION: Initial version. Rhythm, CPR, shock, NIBP and alarm entries and the elapsed-time origin.
+//          + Alarm audio pause and acknowledgement entries.
+//          + NIBP cycle: results, failures and mode changes; cuff starts left out.
+//          + Param updates with only the changed params ('changes').
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDebriefTimeline, formatElapsed, formatDebriefJson, formatDebriefReportHtml } from "../debriefReport.js";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+const at = (seconds, event) => ({ t: T0 + seconds * 1000, ...event });
+const params = (rhythm) => ({ ecg: { rhythm, hr: 80 }, spo2: { value: 97 } });
+
+const LOG = [
+    at(-30, { type: "param_update", params: params("normal") }),
+    at(0, { type: "scenario_event", event: "stage", scenario: "VF megacode", stage: "VF arrest", reason: "start" }),
+    at(0, { type: "param_update", params: params("vf") }),
+    at(2, { type: "alarm", alarm: "low_spo2" }),
+    at(2, { type: "alarm", alarm: "low_abp" }),
+    at(10, { type: "param_update", params: params("cpr_artifact") }),
+    at(70, { type: "param_update", params: params("vf") }),
+    at(75, { type: "shock", rhythm: "normal", energy: 200, sync: false }),
+    at(80, { type: "param_update", params: params("normal") }),
+    at(95, { type: "nibp_trigger", nibpData: { sys: 104, dia: 62, map: 76 } }),
+    at(100, { type: "alarm_cleared", alarm: "low_spo2" }),
+];
+
+test("timeline lists rhythm changes, CPR, shocks, NIBP and alarm onsets from the scenario start", () => {
+    const { startedAt, entries } = buildDebriefTimeline(LOG, { rhythmLabel: (key) => key.toUpperCase() });
+    assert.equal(startedAt, T0);
+    assert.deepEqual(entries.map((e) => [e.elapsedS, e.category, e.text]), [
+        [-30, "rhythm", "Rhythm: NORMAL"],
+        [0, "scenario", "Scenario 'VF megacode' started: VF arrest"],
+        [0, "rhythm", "Rhythm: VF"],
+        [2, "alarm", "Alarm: SpO2 LOW"],
+        [10, "cpr", "CPR started"],
+        [70, "cpr", "CPR stopped"],
+        [75, "shock", "Shock 200 J"],
+        [75, "rhythm", "Rhythm: NORMAL (after shock)"],
+        [95, "nibp", "NIBP 104/62 (76)"],
+    ]);
+});
+
+test("without a scenario, times count from the first activation", () => {
+    const { startedAt, entries } = buildDebriefTimeline([
+        at(0, { type: "param_update", params: params("normal") }),
+        at(5, { type: "activate_sim" }),
+        at(20, { type: "shock", rhythm: "normal", energy: 100, sync: true }),
+    ]);
+    assert.equal(startedAt, T0 + 5000);
+    assert.deepEqual(entries.map((e) => [e.elapsedS, e.text]), [[-5, "Rhythm: normal"], [0, "Monitor activated"], [15, "Shock 100 J SYNC"]]);
+});
+
+test("param updates with only the changed params add a rhythm entry only when the rhythm changed", () => {
+    const { entries } = buildDebriefTimeline([
+        at(0, { type: "param_update", changes: params("normal") }),
+        at(5, { type: "param_update", changes: { abp: { sys: 90 } } }),
+        at(10, { type: "param_update", changes: { ecg: { rhythm: "vf" } } }),
+    ]);
+    assert.deepEqual(entries.map((e) => [e.elapsedS, e.text]), [[0, "Rhythm: normal"], [10, "Rhythm: vf"]]);
+});
+
+test("audio pause and acknowledgement entries", () => {
+    const { entries } = buildDebriefTimeline([
+        at(0, { type: "activate_sim" }),
+        at(5, { type: "audio_pause_update", audioPauseMs: 120000 }),
+        at(8, { type: "alarm_acknowledge", alarmKeys: ["low_spo2", "low_abp", "high_hr"] }),
+        at(9, { type: "audio_pause_update", audioPauseMs: 0 }),
+    ]);
+    assert.deepEqual(entries.slice(1).map((e) => [e.category, e.text]), [
+        ["sound", "Alarm audio paused 2:00"],
+        ["alarm", "Acknowledged: SpO2 LOW, HR HIGH"],
+        ["sound", "Alarm audio resumed"],
+    ]);
+});
+
+test("elapsed times format as m:ss and h:mm:ss", () => {
+    assert.equal(formatElapsed(0), "0:00");
+    assert.equal(formatElapsed(75.9), "1:15");
+    assert.equal(formatElapsed(-30), "-0:30");
+    assert.equal(formatElapsed(3725), "1:02:05");
+});
+
+test("JSON export carries the timeline and the raw log; the report escapes event text", () => {
+    const timeline = buildDebriefTimeline(LOG);
+    const exported = JSON.parse(formatDebriefJson("ABCD", LOG, timeline));
+    assert.equal(exported.sessionId, "ABCD");
+    assert.equal(exported.scenarioStartedAt, new Date(T0).toISOString());
+    assert.equal(exported.timeline.length, timeline.entries.length);
+    assert.deepEqual(exported.timeline[6], { time: new Date(T0 + 75000).toISOString(), elapsed: "1:15", elapsedS: 75, category: "shock", text: "Shock 200 J" });
+    assert.equal(exported.events.length, LOG.length);
+
+    const html = formatDebriefReportHtml("ABCD", buildDebriefTimeline([at(0, { type: "scenario_event", event: "stage", scenario: "<b>x</b>", stage: "s", reason: "start" })]));
+    assert.ok(html.includes("&lt;b&gt;x&lt;/b&gt;"));
+    assert.ok(!html.includes("<b>x</b>"));
+});
+
+test("NIBP cycle: results with the failure reason and mode changes, not the cuff starts", () => {
+    const { entries } = buildDebriefTimeline([
+        at(0, { type: "activate_sim" }),
+        at(10, { type: "nibp_trigger", nibpData: { event: "start", mode: "auto_5", sys: null, dia: null, measuring: { durationS: 30 } } }),
+        at(40, { type: "nibp_trigger", nibpData: { event: "result", mode: "auto_5", sys: 118, dia: 76, map: 90 } }),
+        at(340, { type: "nibp_trigger", nibpData: { event: "start", mode: "auto_5", sys: 118, dia: 76, map: 90 } }),
+        at(380, { type: "nibp_trigger", nibpData: { event: "result", mode: "auto_5", sys: null, dia: null, error: "motion" } }),
+        at(390, { type: "nibp_trigger", nibpData: { event: "mode", mode: "manual", sys: null, dia: null } }),
+    ]);
+    assert.deepEqual(entries.slice(1).map((e) => [e.elapsedS, e.text]), [
+        [10, "NIBP mode: AUTO 5 min"],
+        [40, "NIBP 118/76 (90)"],
+        [380, "NIBP: no reading (MOTION ARTIFACT)"],
+        [390, "NIBP mode: MANUAL"],
+    ]);
+});
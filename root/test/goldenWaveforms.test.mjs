@@ -0,0 +1,68 @@
+// goldenWaveforms.test.mjs - Every rhythm's first seconds, rendered with a fixed seed, against stored reference traces
+// VERSION: Initial version. References live in test/golden/<rhythm>.json.
+//
+// An intended waveform change makes these fail; check the new trace on the monitor, then regenerate with
+//   UPDATE_GOLDEN=1 npm test
+// and commit the changed JSON files together with the change.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { RHYTHM_PARAMS } from "../rhythms.js";
+import { SAMPLE_RATE } from "../config.js";
+import { renderRhythm, TEST_SEED } from "./waveformHarness.mjs";
+
+const GOLDEN_DIR = new URL("./golden/", import.meta.url);
+const WINDOW_S = 4.0;
+const DECIMALS = 3;
+const CHANNELS = ["ecg", "spo2", "abp", "etco2"];
+// Per-sample tolerance in the channel's unit (mV, pleth units, mmHg, ETCO2 units). Covers rounding and
+// last-digit differences of Math.sin/Math.exp between JavaScript engines, not a changed waveform.
+const TOLERANCE = { ecg: 0.005, spo2: 0.005, abp: 0.05, etco2: 0.005 };
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+const round = (value) => (value === null ? null : Number(value.toFixed(DECIMALS)));
+
+function goldenFile(rhythmKey) {
+    return new URL(`${rhythmKey}.json`, GOLDEN_DIR);
+}
+
+/**
+ * @returns {string|null} Description of the first out-of-tolerance sample, or null when the channel matches.
+ */
+function compareChannel(channel, actual, expected) {
+    if (actual.length !== expected.length) return `${channel}: ${actual.length} samples, reference has ${expected.length}`;
+    for (let i = 0; i < actual.length; i++) {
+        if (actual[i] === null || expected[i] === null) {
+            if (actual[i] !== expected[i]) return `${channel}[${i}]: ${actual[i]}, reference ${expected[i]}`;
+            continue;
+        }
+        if (Math.abs(actual[i] - expected[i]) > TOLERANCE[channel]) {
+            const time = (i / SAMPLE_RATE).toFixed(2);
+            return `${channel}[${i}] (t=${time} s): ${actual[i]}, reference ${expected[i]} (tolerance ${TOLERANCE[channel]})`;
+        }
+    }
+    return null;
+}
+
+for (const rhythmKey of Object.keys(RHYTHM_PARAMS)) {
+    test(`golden waveform: ${rhythmKey}`, () => {
+        const trace = renderRhythm(rhythmKey, WINDOW_S);
+        const rounded = Object.fromEntries(CHANNELS.map((channel) => [channel, trace[channel].map(round)]));
+
+        if (UPDATE) {
+            if (!existsSync(GOLDEN_DIR)) mkdirSync(GOLDEN_DIR);
+            const golden = { rhythm: rhythmKey, seed: TEST_SEED, sampleRate: SAMPLE_RATE, seconds: WINDOW_S, ...rounded };
+            writeFileSync(goldenFile(rhythmKey), JSON.stringify(golden) + "\n");
+            return;
+        }
+
+        assert.ok(existsSync(goldenFile(rhythmKey)), `no reference trace for ${rhythmKey}; run UPDATE_GOLDEN=1 npm test`);
+        const golden = JSON.parse(readFileSync(goldenFile(rhythmKey), "utf8"));
+        assert.equal(golden.seed, TEST_SEED, "reference was recorded with another seed");
+        assert.equal(golden.sampleRate, SAMPLE_RATE, "reference was recorded at another sample rate");
+
+        const mismatches = CHANNELS.map((channel) => compareChannel(channel, rounded[channel], golden[channel])).filter(Boolean);
+        assert.deepEqual(mismatches, [], `${rhythmKey} differs from its reference trace`);
+    });
+}
@@ -0,0 +1,80 @@
+// limitAlarms.test.mjs - Physiological limit alarms and the alarm limit defaults
+// VERSION: Initial version. SpO2 high, RR, temperature and NIBP limits, the per-limit switch, stale NIBP readings,
+//          and resolveAlarmThresholds() defaults and merging.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyLimitAlarms, NIBP_ALARM_MAX_AGE_S } from "../limitAlarms.js";
+import { DEFAULT_ALARM_THRESHOLDS, resolveAlarmThresholds } from "../config.js";
+import { createDefaultParams } from "../simulationEngine.js";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+const alarmsFor = (params, nowMs = T0) => Object.keys(classifyLimitAlarms(params, undefined, nowMs)).sort();
+
+test("default params raise no limit alarm", () => {
+    assert.deepEqual(alarmsFor(createDefaultParams("normal")), []);
+});
+
+test("SpO2 high, RR and temperature limits", () => {
+    const params = createDefaultParams("normal");
+    params.alarms.enabled.high_spo2 = true;
+    params.spo2.value = 99;
+    params.etco2.rr = 6;
+    params.temp.valueC = 34.5;
+    assert.deepEqual(alarmsFor(params), ["high_spo2", "low_rr", "low_temp"]);
+
+    params.spo2.value = 95;
+    params.etco2.rr = 32;
+    params.temp.valueC = 39;
+    assert.deepEqual(alarmsFor(params), ["high_rr", "high_temp"]);
+
+    // RR 0 is APNEA (a rhythm alarm); a disconnected line measures no RR
+    params.etco2.rr = 0;
+    assert.deepEqual(alarmsFor(params), ["high_temp"]);
+    params.etco2.rr = 40;
+    params.etco2.etco2Shape = "disconnect";
+    params.temp.visible = false;
+    assert.deepEqual(alarmsFor(params), []);
+});
+
+test("NIBP limits follow the last reading while it is current", () => {
+    const params = createDefaultParams("normal");
+    params.nibp = { ...params.nibp, sys: 85, dia: 45, map: 58, timestamp: new Date(T0) };
+    assert.deepEqual(alarmsFor(params, T0 + 60000), ["low_nibp_dia", "low_nibp_map", "low_nibp_sys"]);
+    assert.deepEqual(alarmsFor(params, T0 + NIBP_ALARM_MAX_AGE_S * 1000 + 1), []);
+
+    params.nibp = { ...params.nibp, sys: 190, dia: 115, map: null, timestamp: new Date(T0).toISOString() };
+    assert.deepEqual(alarmsFor(params), ["high_nibp_dia", "high_nibp_sys"]);
+
+    // A failed measurement has no values
+    params.nibp = { ...params.nibp, sys: null, dia: null, map: null };
+    assert.deepEqual(alarmsFor(params), []);
+});
+
+test("a limit switched off raises nothing; the ABP aggregate follows the enabled ones", () => {
+    const params = createDefaultParams("normal");
+    params.abp.sys = 80;
+    params.abp.dia = 55;
+    params.temp.valueC = 34;
+    assert.deepEqual(alarmsFor(params), ["low_abp", "low_abp_dia", "low_abp_sys", "low_map", "low_temp"]);
+    params.alarms.enabled = { ...params.alarms.enabled, low_map: false, low_abp_sys: false, low_abp_dia: false, low_temp: false };
+    assert.deepEqual(alarmsFor(params), []);
+});
+
+test("alarm limits fill in the defaults for missing categories and keys", () => {
+    assert.deepEqual(resolveAlarmThresholds(undefined), DEFAULT_ALARM_THRESHOLDS);
+    const resolved = resolveAlarmThresholds({ ecg: { low: 40 }, enabled: { low_temp: false } });
+    assert.equal(resolved.ecg.low, 40);
+    assert.equal(resolved.ecg.high, DEFAULT_ALARM_THRESHOLDS.ecg.high);
+    assert.deepEqual(resolved.rr, DEFAULT_ALARM_THRESHOLDS.rr);
+    assert.equal(resolved.enabled.low_temp, false);
+    assert.equal(resolved.enabled.high_temp, true);
+    assert.notEqual(resolved.rr, DEFAULT_ALARM_THRESHOLDS.rr); // copies, so changing them leaves the defaults alone
+
+    // Limits saved before a limit existed (no rr / temp / nibp) still get them
+    const params = createDefaultParams("normal");
+    delete params.alarms.rr;
+    delete params.alarms.enabled;
+    params.etco2.rr = 40;
+    assert.deepEqual(alarmsFor(params), ["high_rr"]);
+});
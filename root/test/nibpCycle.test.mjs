@@ -0,0 +1,137 @@
+// nibpCycle.test.mjs - NIBP measurement cycle: cuff pressure, failures, auto and STAT scheduling, history
+// VERSION: Initial version. The cycle runs on tick() with explicit times and a fixed random source.
+//          + The timing sent to other devices (elapsed and remaining seconds) and its local clock times.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    NibpCycle,
+    nibpCuffPressure,
+    planNibpMeasurement,
+    measureNibp,
+    ageNibpData,
+    nibpStatusAt,
+    NIBP_MIN_DURATION_S,
+    NIBP_MAX_DURATION_S,
+} from "../nibpCycle.js";
+import { createDefaultParams } from "../simulationEngine.js";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+
+function createCycle(params, random = () => 0.5) {
+    const updates = [];
+    const cycle = new NibpCycle({
+        conditions: () => ({ abp: params.abp, ecg: params.ecg, faults: params.faults }),
+        onUpdate: (nibpData) => updates.push(nibpData),
+    }, 0, random);
+    return { cycle, updates };
+}
+
+test("the cuff inflates above systolic, deflates in steps below diastolic and vents within 20-40 s", () => {
+    const params = createDefaultParams("normal");
+    const plan = planNibpMeasurement({ abp: params.abp, ecg: params.ecg }, null, () => 0.5);
+    assert.equal(plan.error, null);
+    assert.ok(plan.durationS >= NIBP_MIN_DURATION_S && plan.durationS <= NIBP_MAX_DURATION_S, `duration ${plan.durationS}`);
+    assert.ok(plan.inflationMmHg > params.abp.sys && plan.endMmHg < params.abp.dia);
+
+    const pressures = [];
+    for (let i = 0; i * 0.25 < plan.durationS; i++) pressures.push(nibpCuffPressure(plan, i * 0.25));
+    pressures.push(nibpCuffPressure(plan, plan.durationS));
+    const peak = pressures.indexOf(Math.max(...pressures));
+    assert.equal(pressures[0], 0);
+    assert.equal(Math.round(pressures[peak]), plan.inflationMmHg);
+    assert.ok(pressures.slice(peak).every((p, i, rest) => i === 0 || p <= rest[i - 1]));
+    assert.equal(pressures[pressures.length - 1], 0);
+});
+
+test("a measurement takes its time, then shows the target pressure with the configured error", () => {
+    const params = createDefaultParams("normal");
+    const { cycle, updates } = createCycle(params, () => 1);
+    cycle.start(T0);
+    const { measuring } = updates[0];
+    assert.equal(updates[0].event, "start");
+    assert.equal(measuring.elapsedS, 0);
+
+    cycle.tick(T0 + (measuring.durationS - 1) * 1000);
+    assert.equal(updates.length, 1);
+    cycle.tick(T0 + measuring.durationS * 1000);
+    assert.deepEqual(
+        (({ event, sys, dia, map, error, measuring: m }) => ({ event, sys, dia, map, error, m }))(updates[1]),
+        { event: "result", sys: 120, dia: 80, map: 93, error: null, m: null });
+
+    cycle.setOptions({ errorMmHg: 5 });
+    cycle.start(T0 + 60000);
+    cycle.tick(T0 + 120000);
+    assert.deepEqual([updates[3].sys, updates[3].dia], [125, 85]);
+    assert.equal(updates[3].history.length, 2);
+    assert.deepEqual(measureNibp({ sys: 20, dia: 10 }), null);
+});
+
+test("cuff faults, pulseless rhythms and patient movement fail the measurement", () => {
+    const params = createDefaultParams("normal");
+    params.faults.nibp_cuff = true;
+    assert.equal(planNibpMeasurement({ abp: params.abp, ecg: params.ecg, faults: params.faults }, null).error, "cuff");
+    const vf = createDefaultParams("vf");
+    assert.equal(planNibpMeasurement({ abp: vf.abp, ecg: vf.ecg }, null).error, "no_pulse");
+    const moving = planNibpMeasurement({ abp: params.abp, ecg: params.ecg, patientMoving: true }, null, () => 0);
+    assert.deepEqual([moving.error, moving.durationS], ["motion", NIBP_MAX_DURATION_S]);
+
+    const { cycle, updates } = createCycle(params);
+    cycle.start(T0);
+    cycle.tick(T0 + NIBP_MAX_DURATION_S * 1000);
+    const result = updates[updates.length - 1];
+    assert.deepEqual([result.sys, result.dia, result.error], [null, null, "cuff"]);
+});
+
+test("auto mode measures at once and then every interval; STAT runs back to back for 5 min", () => {
+    const params = createDefaultParams("normal");
+    const { cycle, updates } = createCycle(params);
+    cycle.setMode("auto_5", T0);
+    const durationMs = updates[0].measuring.durationS * 1000;
+    cycle.tick(T0 + durationMs);
+    assert.equal(updates[1].nextInS, (300000 - durationMs) / 1000);
+    cycle.tick(T0 + 299000);
+    assert.equal(updates.length, 2);
+    cycle.tick(T0 + 300000);
+    assert.equal(updates[2].event, "start");
+
+    const stat = createCycle(params);
+    stat.cycle.setMode("stat", T0);
+    let now = T0;
+    while (stat.cycle.mode === "stat" && now < T0 + 600000) {
+        now += 1000;
+        stat.cycle.tick(now);
+    }
+    const results = stat.updates.filter((u) => u.event === "result");
+    assert.ok(results.length >= 300 / NIBP_MAX_DURATION_S, `${results.length} STAT readings`);
+    assert.ok(now >= T0 + 300000 && now < T0 + 300000 + NIBP_MAX_DURATION_S * 1000 + 2000);
+    assert.equal(results[results.length - 1].mode, "manual");
+    assert.equal(results[results.length - 1].nextInS, null);
+
+    // Start during a measurement stops it
+    stat.cycle.start(now);
+    stat.cycle.start(now + 5000);
+    assert.deepEqual([stat.updates[stat.updates.length - 1].event, stat.updates[stat.updates.length - 1].measuring], ["mode", null]);
+});
+
+test("devices count the cuff and auto-mode timing from the time the data arrives", () => {
+    const { cycle, updates } = createCycle(createDefaultParams("normal"));
+    cycle.setMode("auto_5", T0);
+    const started = updates[0];
+    assert.equal(cycle.getData("mode", T0 + 10000).measuring.elapsedS, 10);
+
+    // A monitor whose clock is an hour ahead gets the data 2 s later by its clock
+    const local = T0 + 3600000 + 2000;
+    const status = nibpStatusAt(started, local);
+    assert.equal(status.measuring.startedAtMs, local);
+    assert.equal(status.nextAtMs, null);
+    assert.equal(nibpStatusAt(ageNibpData(started, 10), local).measuring.startedAtMs, local - 10000);
+
+    cycle.tick(T0 + started.measuring.durationS * 1000);
+    const result = updates[1];
+    const aged = ageNibpData(result, 60);
+    assert.equal(aged.nextInS, result.nextInS - 60);
+    assert.equal(aged.measuring, null);
+    assert.equal(ageNibpData(result, 3600).nextInS, 0);
+    assert.equal(nibpStatusAt(aged, local).nextAtMs, local + aged.nextInS * 1000);
+});
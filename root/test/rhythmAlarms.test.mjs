@@ -0,0 +1,62 @@
+// rhythmAlarms.test.mjs - Rhythm alarm classification from the rhythm definitions and the engine's beat detection
+// VERSION: Initial version. One lethal-rhythm alarm per rhythm class, extreme rates, apnea, and PAUSE from the
+//          R waves detected on the drawn ECG.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyRhythmAlarms } from "../rhythmAlarms.js";
+import { createDefaultParams } from "../simulationEngine.js";
+import { runEngine } from "./waveformHarness.mjs";
+
+const alarmsFor = (rhythmKey, secondsSinceBeat = 0.5) =>
+    Object.keys(classifyRhythmAlarms(createDefaultParams(rhythmKey), secondsSinceBeat)).sort();
+
+test("lethal rhythms raise their alarm whatever the HR numeric shows", () => {
+    assert.deepEqual(alarmsFor("asystole", 10), ["asystole"]);
+    assert.deepEqual(alarmsFor("vf"), ["vfib_vtach"]);
+    assert.deepEqual(alarmsFor("fine_vf"), ["vfib_vtach"]);
+    assert.deepEqual(alarmsFor("torsades"), ["vfib_vtach"]);
+    assert.deepEqual(alarmsFor("vt"), ["vtach"]);
+    assert.deepEqual(alarmsFor("vt_pulseless"), ["vtach"]);
+    assert.deepEqual(alarmsFor("pea"), ["extreme_brady"]);
+    assert.deepEqual(alarmsFor("normal"), []);
+    assert.deepEqual(alarmsFor("svt"), ["extreme_tachy"]);
+    assert.deepEqual(alarmsFor("cpr_artifact", 10), []);
+});
+
+test("extreme limits come from the alarm limits; apnea needs RR 0 and a connected CO2 line", () => {
+    const params = createDefaultParams("brady");
+    params.ecg.hr = 45;
+    assert.deepEqual(classifyRhythmAlarms(params), {});
+    params.alarms.ecg.extreme_low = 48;
+    assert.deepEqual(classifyRhythmAlarms(params), { extreme_brady: true });
+
+    params.etco2.rr = 0;
+    assert.equal(classifyRhythmAlarms(params).apnea, true);
+    params.etco2.etco2Shape = "disconnect";
+    assert.equal(classifyRhythmAlarms(params).apnea, undefined);
+});
+
+test("PAUSE follows the R waves detected on the drawn ECG", () => {
+    const params = createDefaultParams("normal");
+    params.seed = 12345;
+    runEngine(params, (engine) => {
+        let longest = 0;
+        for (let i = 0; i < 20; i++) {
+            engine.advance(0.5);
+            longest = Math.max(longest, engine.getSecondsSinceDetectedBeat());
+        }
+        assert.ok(longest < 1.5, `longest R-R gap ${longest}`);
+
+        engine.targetParams.ecg.hr = 15;
+        engine.applyTargetParams();
+        let paused = false;
+        for (let i = 0; i < 40 && !paused; i++) {
+            engine.advance(0.5);
+            paused = !!classifyRhythmAlarms(engine.getEffectiveParams(), engine.getSecondsSinceDetectedBeat()).pause;
+        }
+        assert.ok(paused);
+        engine.stop();
+        assert.equal(engine.getSecondsSinceDetectedBeat(), null);
+    });
+});
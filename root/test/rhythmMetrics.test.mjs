@@ -0,0 +1,128 @@
+// rhythmMetrics.test.mjs - Rate, PR interval and QRS width measured from the drawn ECG against the rhythm definitions
+// VERSION: Initial version. Rate from the sync detector's R peaks on the normal (noisy) trace; PR and QRS on a
+//          noise-free render (ecg.overrides noise_amp 0, irregular 0) of the same rhythm.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { RHYTHM_PARAMS } from "../rhythms.js";
+import { calculateInitialHR } from "../simulationEngine.js";
+import { renderRhythm, findRPeaks, measureRate, measurePrInterval, measureQrsWidth, median } from "./waveformHarness.mjs";
+
+const MEASURE_S = 20.0;
+const RATE_TOLERANCE = 0.03;            // relative, for regular rhythms
+const IRREGULAR_RATE_TOLERANCE = 0.5;   // relative tolerance added per unit of `irregular`
+const PR_TOLERANCE_S = 0.03;            // measured from the first sample above baseline: reads ~10 ms short
+const QRS_TOLERANCE_S = 0.02;           // two samples at 100 Hz
+const MOBITZ2_RATE_TOLERANCE = 0.2;     // conduction is random per P wave; escape beats add to it
+const MIN_AV_DISSOCIATION_S = 0.1;      // complete block: spread of P-to-QRS times
+
+const NOISE_FREE = { noise_amp: 0, irregular: 0 };
+
+/**
+ * Ventricular rate the rhythm definition implies, or null when the rhythm has no countable R waves
+ * (fibrillation, torsades, CPR artifact, asystole).
+ */
+function expectedVentricularRate(def) {
+    if (def.isChaotic || def.isFlat || def.isArtifact || def.generatorType === "torsades") return null;
+    // PEA and pulseless VT: organised complexes at baseHR, but the monitor shows no pulse rate.
+    if (def.isPEA) return def.baseHR;
+    if (def.generatorType === "avBlock" && def.blockType === "mobitz1") {
+        const cycle = def.wenckebachRatioBeats ?? 4;
+        return (def.atrialRate * (cycle - 1)) / cycle;
+    }
+    if (def.generatorType === "avBlock" && def.blockType === "mobitz2") {
+        return def.atrialRate * (def.conductionProbability ?? 0.5);
+    }
+    return calculateInitialHR(def, def.baseHR).initialHR;
+}
+
+function rateTolerance(def) {
+    if (def.generatorType === "avBlock" && def.blockType === "mobitz2") return MOBITZ2_RATE_TOLERANCE;
+    return RATE_TOLERANCE + (def.irregular ?? 0) * IRREGULAR_RATE_TOLERANCE;
+}
+
+function hasMeasurableQrs(def) {
+    return (def.generatorType === "pqrst" || def.generatorType === "avBlock") && (def.qrs_amp ?? 1) !== 0;
+}
+
+function hasConductedPWaves(def) {
+    return def.generatorType === "pqrst" && def.hasP && (def.p_amp ?? 0) !== 0 && (def.pr_interval ?? 0) > 0;
+}
+
+for (const [rhythmKey, def] of Object.entries(RHYTHM_PARAMS)) {
+    const expectedRate = expectedVentricularRate(def);
+    if (expectedRate === null) continue;
+
+    test(`rate: ${rhythmKey} draws ${expectedRate.toFixed(0)} bpm`, () => {
+        const peaks = findRPeaks(renderRhythm(rhythmKey, MEASURE_S).ecg);
+        const rate = measureRate(peaks);
+        const tolerance = rateTolerance(def);
+        assert.ok(
+            Math.abs(rate - expectedRate) <= expectedRate * tolerance,
+            `measured ${rate.toFixed(1)} bpm from ${peaks.length} R waves, expected ${expectedRate.toFixed(1)} ± ${(tolerance * 100).toFixed(0)}%`
+        );
+    });
+}
+
+test("rate: asystole has no R waves", () => {
+    assert.deepEqual(findRPeaks(renderRhythm("asystole", MEASURE_S).ecg), []);
+});
+
+for (const [rhythmKey, def] of Object.entries(RHYTHM_PARAMS)) {
+    if (!hasMeasurableQrs(def)) continue;
+
+    test(`QRS width: ${rhythmKey} is ${def.qrs_width} s`, () => {
+        const { ecg } = renderRhythm(rhythmKey, MEASURE_S, { overrides: NOISE_FREE });
+        const peaks = findRPeaks(ecg);
+        assert.ok(peaks.length >= 2, `only ${peaks.length} R waves detected`);
+        const width = median(peaks.map((peak) => measureQrsWidth(ecg, peak)));
+        assert.ok(
+            Math.abs(width - def.qrs_width) <= QRS_TOLERANCE_S,
+            `measured ${width.toFixed(3)} s, expected ${def.qrs_width} ± ${QRS_TOLERANCE_S} s`
+        );
+    });
+}
+
+for (const [rhythmKey, def] of Object.entries(RHYTHM_PARAMS)) {
+    if (!hasConductedPWaves(def)) continue;
+
+    test(`PR interval: ${rhythmKey} is ${def.pr_interval} s`, () => {
+        const { ecg } = renderRhythm(rhythmKey, MEASURE_S, { overrides: NOISE_FREE });
+        const intervals = findRPeaks(ecg).map((peak) => measurePrInterval(ecg, peak)).filter((pr) => pr !== null);
+        assert.ok(intervals.length >= 2, `P waves found before only ${intervals.length} QRS complexes`);
+        const pr = median(intervals);
+        assert.ok(
+            Math.abs(pr - def.pr_interval) <= PR_TOLERANCE_S,
+            `measured ${pr.toFixed(3)} s, expected ${def.pr_interval} ± ${PR_TOLERANCE_S} s`
+        );
+    });
+}
+
+for (const [rhythmKey, def] of Object.entries(RHYTHM_PARAMS)) {
+    if (def.generatorType !== "avBlock") continue;
+
+    test(`PR interval: ${rhythmKey} (${def.blockType})`, () => {
+        const { ecg } = renderRhythm(rhythmKey, MEASURE_S, { overrides: NOISE_FREE });
+        const intervals = findRPeaks(ecg).map((peak) => measurePrInterval(ecg, peak)).filter((pr) => pr !== null);
+        assert.ok(intervals.length >= 2, `P waves found before only ${intervals.length} QRS complexes`);
+        const shortest = Math.min(...intervals);
+        const longest = Math.max(...intervals);
+
+        if (def.blockType === "mobitz1") {
+            // Wenckebach: PR lengthens beat by beat until a P wave is not conducted, then starts over.
+            const cycle = def.wenckebachRatioBeats ?? 4;
+            const longestExpected = def.prIntervalStart + (cycle - 2) * def.prIncrement;
+            assert.ok(Math.abs(shortest - def.prIntervalStart) <= PR_TOLERANCE_S, `shortest PR ${shortest.toFixed(3)} s, expected ${def.prIntervalStart} s`);
+            assert.ok(Math.abs(longest - longestExpected) <= PR_TOLERANCE_S, `longest PR ${longest.toFixed(3)} s, expected ${longestExpected.toFixed(3)} s`);
+        } else if (def.blockType === "mobitz2") {
+            const pr = median(intervals);
+            assert.ok(Math.abs(pr - def.prIntervalFixed) <= PR_TOLERANCE_S, `measured ${pr.toFixed(3)} s, expected ${def.prIntervalFixed} s`);
+        } else {
+            // Complete block: atria and ventricles are independent, so the P-to-QRS time keeps changing.
+            assert.ok(
+                longest - shortest >= MIN_AV_DISSOCIATION_S,
+                `P-to-QRS times ${shortest.toFixed(3)}-${longest.toFixed(3)} s look conducted, not dissociated`
+            );
+        }
+    });
+}
@@ -0,0 +1,197 @@
+// scenarioEngine.test.mjs - Scenario stages, transitions and time compression
+// VERSION: Initial version. Validation, time and event transitions, "Next", branching order, shock conditions, pause,
+//          time scale and drift. The scenario is ticked by hand and stopped after each test, so no timer keeps running.
+
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    initializeScenarioEngine,
+    validateScenario,
+    loadScenario,
+    startScenario,
+    stopScenario,
+    pauseScenario,
+    resumeScenario,
+    advanceScenario,
+    notifyScenarioEvent,
+    tickScenario,
+    getScenarioStatus,
+    setScenarioTimeScale,
+    driftParams,
+} from "../scenarioEngine.js";
+import { MAX_TIME_SCALE } from "../config.js";
+
+// Stages entered ([id, reason]) and the end reason of the scenario started last
+function run(definition) {
+    const log = { entered: [], ended: null };
+    initializeScenarioEngine({
+        onStageEnter: (stage, reason) => log.entered.push([stage.id, reason]),
+        onScenarioEnd: (reason) => { log.ended = reason; },
+    });
+    loadScenario(definition);
+    startScenario();
+    return log;
+}
+
+afterEach(() => {
+    stopScenario();
+    setScenarioTimeScale(1);
+    initializeScenarioEngine({});
+});
+
+test("validation normalises stages and rejects broken references", () => {
+    const scenario = validateScenario({ stages: [{ params: {}, duration: 60 }, { id: "b", preset: "B" }] });
+    assert.equal(scenario.name, "Scenario");
+    assert.equal(scenario.stages[0].id, "stage-1");
+    assert.deepEqual(scenario.stages[0].transitions, [{ trigger: "time", after: 60, to: null }]);
+
+    assert.throws(() => validateScenario({ stages: [] }), /non-empty/);
+    assert.throws(() => validateScenario({ stages: [{ id: "a" }] }), /params' or 'preset/);
+    assert.throws(() => validateScenario({ stages: [{ params: {}, transitions: [{ trigger: "shock", to: "x" }] }] }), /unknown stage 'x'/);
+    assert.throws(() => validateScenario({ stages: [{ params: {}, transitions: [{ trigger: "intubate" }] }] }), /unknown trigger/);
+    assert.throws(() => validateScenario({ stages: [{ params: {}, transitions: [{ trigger: "shock", sync: "yes" }] }] }), /sync/);
+    assert.throws(() => validateScenario({ stages: [{ params: {}, transitions: [{ trigger: "shock", minEnergy: 0 }] }] }), /minEnergy/);
+});
+
+test("time transitions follow stage time and end the scenario at a transition to null", () => {
+    const log = run({
+        stages: [
+            { id: "a", params: {}, duration: 60, next: "b" },
+            { id: "b", params: {}, transitions: [{ trigger: "time", after: 30 }, { trigger: "time", after: 10, to: "a" }] },
+        ],
+    });
+    tickScenario(45);
+    assert.deepEqual([getScenarioStatus().stageId, getScenarioStatus().nextTimed], ["a", { to: "b", remaining: 15 }]);
+    tickScenario(15);
+    assert.equal(getScenarioStatus().stageId, "b");
+    assert.equal(getScenarioStatus().stageElapsed, 0);
+    // The earliest time transition is shown as next; when both are due, the first listed one wins
+    assert.equal(getScenarioStatus().nextTimed.to, "a");
+    tickScenario(30);
+    assert.deepEqual(log.entered, [["a", "start"], ["b", "time"]]);
+    assert.equal(log.ended, "time");
+    assert.equal(getScenarioStatus().running, false);
+    assert.equal(getScenarioStatus().scenarioElapsed, 90);
+});
+
+test("event transitions count per stage", () => {
+    const log = run({
+        stages: [
+            { id: "vf", params: {}, transitions: [{ trigger: "shock", count: 2, to: "rosc" }, { trigger: "cpr_on", to: "cpr" }] },
+            { id: "cpr", params: {}, transitions: [{ trigger: "cpr_off", to: "vf" }] },
+            { id: "rosc", params: {}, duration: 120 },
+        ],
+    });
+    assert.equal(notifyScenarioEvent("shock", { energy: 200 }), false);
+    assert.equal(notifyScenarioEvent("cpr_on"), true);
+    assert.equal(notifyScenarioEvent("cpr_off"), true);
+    // Counts start over in each stage
+    assert.equal(notifyScenarioEvent("shock", { energy: 200 }), false);
+    assert.deepEqual(getScenarioStatus().eventCounts, { shock: 1 });
+    assert.equal(notifyScenarioEvent("shock", { energy: 200 }), true);
+    assert.equal(notifyScenarioEvent("time"), false);
+    assert.equal(advanceScenario(), true);
+    assert.deepEqual(log.entered.map(([id, reason]) => `${id}:${reason}`), ["vf:start", "cpr:cpr_on", "vf:cpr_off", "rosc:shock"]);
+    assert.equal(log.ended, "next");
+});
+
+test("'next' follows a next transition or the duration shorthand, never a branch, and not while paused", () => {
+    const log = run({
+        stages: [
+            { id: "svt", params: {}, transitions: [{ trigger: "shock", sync: false, to: "vf" }, { trigger: "time", after: 60, to: "vf" }] },
+            { id: "vf", params: {} },
+        ],
+    });
+    assert.equal(advanceScenario(), false);
+    assert.deepEqual(log.entered, [["svt", "start"]]);
+
+    run({
+        stages: [
+            { id: "a", params: {}, transitions: [{ trigger: "shock", to: "c" }, { trigger: "next", to: "b" }] },
+            { id: "b", params: {}, transitions: [{ trigger: "cpr_on", to: "a" }], duration: 300, next: "c" },
+            { id: "c", params: {} },
+        ],
+    });
+    pauseScenario();
+    assert.equal(advanceScenario(), false);
+    assert.equal(getScenarioStatus().stageId, "a");
+    resumeScenario();
+    assert.equal(advanceScenario(), true);
+    assert.equal(advanceScenario(), true);
+    assert.equal(getScenarioStatus().stageId, "c");
+    // A stage without transitions ends the scenario
+    assert.equal(advanceScenario(), true);
+    assert.equal(getScenarioStatus().running, false);
+});
+
+test("the first matching transition wins, and shocks match on sync and energy", () => {
+    const definition = {
+        stages: [
+            {
+                id: "svt",
+                params: {},
+                transitions: [
+                    { trigger: "shock", sync: false, to: "vf" },
+                    { trigger: "shock", sync: true, minEnergy: 50, maxEnergy: 150, to: "sinus" },
+                    { trigger: "shock", to: "svt2" },
+                ],
+            },
+            { id: "vf", params: {} },
+            { id: "sinus", params: {} },
+            { id: "svt2", params: {} },
+        ],
+    };
+    const stageAfter = (details) => {
+        run(definition);
+        notifyScenarioEvent("shock", details);
+        return getScenarioStatus().stageId;
+    };
+    assert.equal(stageAfter({ energy: 100, sync: false }), "vf");
+    assert.equal(stageAfter({ energy: 100, sync: true }), "sinus");
+    assert.equal(stageAfter({ energy: 50, sync: true }), "sinus");
+    assert.equal(stageAfter({ energy: 30, sync: true }), "svt2");
+    assert.equal(stageAfter({ energy: 200, sync: true }), "svt2");
+    assert.equal(stageAfter({ sync: true }), "svt2"); // energy not reported: no energy condition matches
+});
+
+test("a paused scenario ignores time and events", () => {
+    run({ stages: [{ id: "a", params: {}, duration: 10, transitions: [{ trigger: "shock", to: "b" }] }, { id: "b", params: {} }] });
+    pauseScenario();
+    assert.equal(getScenarioStatus().paused, true);
+    tickScenario(60);
+    assert.equal(notifyScenarioEvent("shock"), false);
+    assert.deepEqual([getScenarioStatus().stageId, getScenarioStatus().stageElapsed, getScenarioStatus().eventCounts], ["a", 0, {}]);
+    resumeScenario();
+    assert.equal(getScenarioStatus().paused, false);
+    assert.equal(notifyScenarioEvent("shock"), true);
+});
+
+test("the time scale comes from the scenario, is kept between scenarios and is clamped", () => {
+    run({ timeScale: 10, stages: [{ id: "a", params: {}, duration: 600, next: "b" }, { id: "b", params: {} }] });
+    tickScenario(30);
+    assert.deepEqual([getScenarioStatus().timeScale, getScenarioStatus().stageElapsed], [10, 300]);
+    stopScenario();
+    run({ stages: [{ id: "a", params: {} }] });
+    assert.equal(getScenarioStatus().timeScale, 10);
+    setScenarioTimeScale(0.5);
+    assert.equal(getScenarioStatus().timeScale, 1);
+    setScenarioTimeScale(MAX_TIME_SCALE * 2);
+    assert.equal(getScenarioStatus().timeScale, MAX_TIME_SCALE);
+    assert.throws(() => validateScenario({ timeScale: MAX_TIME_SCALE + 1, stages: [{ params: {} }] }), /timeScale/);
+});
+
+test("drift moves the numeric vitals with stage time and rounds them to their decimals", () => {
+    run({ timeScale: 2, stages: [{ id: "a", params: {}, drift: 100 }] });
+    assert.equal(getScenarioStatus().drift, 0);
+    tickScenario(20);
+    assert.equal(getScenarioStatus().drift, 0.4);
+    tickScenario(60);
+    assert.equal(getScenarioStatus().drift, 1);
+
+    const from = { ecg: { hr: 60, rhythm: "normal" }, etco2: { valueKpa: 5, rr: 12 }, temp: { valueC: 36 } };
+    const to = { ecg: { hr: 121, rhythm: "svt" }, etco2: { valueKpa: 3, rr: null }, temp: { valueC: 38 } };
+    const drifted = driftParams(from, from, to, 1 / 3);
+    assert.deepEqual(drifted, { ecg: { hr: 80, rhythm: "normal" }, etco2: { valueKpa: 4.3, rr: 12 }, temp: { valueC: 36.7 } });
+    assert.equal(driftParams(from, from, to, 2).ecg.hr, 121);
+    assert.equal(from.ecg.hr, 60); // a copy is returned
+});
@@ -0,0 +1,75 @@
+// scenarioReplay.test.mjs - Replay of a session event log
+// VERSION: Initial version. Seek state, event order at 2x speed and stopping at the end.
+//          + Logs with only the changed params ('changes') are played with full params.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ScenarioReplay, replayStateAfter } from "../scenarioReplay.js";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+const at = (seconds, event) => ({ t: T0 + seconds * 1000, ...event });
+const params = (rhythm) => ({ ecg: { rhythm, hr: 80 } });
+
+const LOG = [
+    at(0, { type: "param_update", params: params("normal") }),
+    at(0, { type: "activate_sim" }),
+    at(4, { type: "alarm", alarm: "low_spo2" }),
+    at(10, { type: "param_update", params: params("vf") }),
+    at(20, { type: "shock", rhythm: "normal", energy: 200, sync: false }),
+    at(30, { type: "nibp_trigger", nibpData: { sys: 104, dia: 62, map: 76 } }),
+];
+
+test("state after a list of events follows the shocked rhythm and the last NIBP", () => {
+    const state = replayStateAfter(LOG);
+    assert.equal(state.active, true);
+    assert.equal(state.params.ecg.rhythm, "normal");
+    assert.deepEqual(state.nibp, { sys: 104, dia: 62, map: 76 });
+    assert.equal(LOG[3].params.ecg.rhythm, "vf"); // the log itself is not changed
+    assert.equal(replayStateAfter([...LOG, at(40, { type: "deactivate_sim" })]).nibp, null);
+});
+
+test("playing dispatches the replayed events in order, scaled by the speed", () => {
+    const seen = [];
+    const replay = new ScenarioReplay(LOG, { onEvent: (event) => seen.push(event.type) }, 0);
+    assert.equal(replay.durationS, 30);
+    replay.setSpeed(2);
+    replay.play();
+    replay.tick(5); // 10 s of recording
+    assert.deepEqual(seen, ["param_update", "activate_sim", "param_update"]);
+    replay.tick(10);
+    assert.deepEqual(seen.slice(3), ["shock", "nibp_trigger"]);
+    assert.equal(replay.getStatus().playing, false);
+    assert.equal(replay.getStatus().positionS, 30);
+});
+
+test("seeking applies everything up to the position at once and continues from there", () => {
+    const seeks = [];
+    const seen = [];
+    const replay = new ScenarioReplay(LOG, { onSeek: (state) => seeks.push(state), onEvent: (event) => seen.push(event.type) }, 0);
+    replay.seek(25);
+    assert.equal(seeks[0].params.ecg.rhythm, "normal");
+    assert.equal(seeks[0].nibp, null);
+    replay.play();
+    replay.tick(5);
+    assert.deepEqual(seen, ["nibp_trigger"]);
+    replay.play(); // at the end: starts over
+    assert.equal(replay.getStatus().positionS, 0);
+    assert.equal(seeks.length, 2);
+    replay.dispose();
+});
+
+test("param updates with only the changed params are played and sought with full params", () => {
+    const played = [];
+    const replay = new ScenarioReplay([
+        at(0, { type: "param_update", changes: { ecg: { rhythm: "vf", hr: 80 }, abp: { sys: 120, dia: 80 } } }),
+        at(5, { type: "shock", rhythm: "normal", energy: 200, sync: false }),
+        at(10, { type: "param_update", changes: { abp: { sys: 90 } } }),
+    ], { onEvent: (event) => event.type === "param_update" && played.push(event.params) }, 0);
+    replay.play();
+    replay.tick(10);
+    assert.deepEqual(played, [
+        { ecg: { rhythm: "vf", hr: 80 }, abp: { sys: 120, dia: 80 } },
+        { ecg: { rhythm: "normal", hr: 80 }, abp: { sys: 90, dia: 80 } },
+    ]);
+    assert.equal(played[1].changes, undefined);
+});
@@ -0,0 +1,47 @@
+// sensorFaults.test.mjs - Sensor faults (technical alarms) in the simulation engine
+// VERSION: Initial version. A faulted sensor draws no waveform and shows no numerics; the other channels are
+//          drawn exactly as without the fault.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDefaultParams } from "../simulationEngine.js";
+import { runEngine } from "./waveformHarness.mjs";
+
+function run(faults) {
+    const params = createDefaultParams("normal");
+    params.seed = 12345;
+    Object.assign(params.faults, faults);
+    return runEngine(params, (engine) => {
+        engine.applyTargetParams();
+        const samples = engine.advance(3);
+        const vitals = engine.getVitals();
+        engine.stop();
+        return { samples, vitals, secondsSinceBeat: engine.getSecondsSinceDetectedBeat() };
+    });
+}
+
+test("a faulted sensor blanks its waveform and numerics, the rest are drawn as before", () => {
+    const normal = run({});
+    const faulted = run({ leads_off: true, spo2_probe_off: true });
+
+    assert.ok(faulted.samples.every(sample => sample.ecg === null && sample.ecg2 === null && sample.spo2 === null));
+    assert.deepEqual(faulted.samples.map(sample => sample.abp), normal.samples.map(sample => sample.abp));
+    assert.deepEqual(faulted.samples.map(sample => sample.etco2), normal.samples.map(sample => sample.etco2));
+    assert.ok(faulted.samples.every(sample => sample.syncMarker === null));
+
+    assert.equal(faulted.vitals.hr, null);
+    assert.equal(faulted.vitals.spo2, null);
+    assert.deepEqual(faulted.vitals.abp, normal.vitals.abp);
+});
+
+test("ABP transducer and ETCO2 line faults blank their channels; the NIBP cuff fault leaves the waveforms alone", () => {
+    const { samples, vitals } = run({ abp_transducer: true, etco2_line: true });
+    assert.ok(samples.every(sample => sample.abp === null && sample.etco2 === null));
+    assert.ok(samples.some(sample => Number.isFinite(sample.ecg)));
+    assert.equal(vitals.abp, null);
+    assert.equal(vitals.etco2Kpa, null);
+    assert.equal(vitals.rr, null);
+
+    const cuff = run({ nibp_cuff: true });
+    assert.deepEqual(cuff.samples, run({}).samples);
+});
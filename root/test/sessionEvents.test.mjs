@@ -0,0 +1,63 @@
+// sessionEvents.test.mjs - Server event log: changed params only, and trimming that keeps the debrief anchors
+// VERSION: Initial version.
+//          + paramsAfterEvent, shared by the trimming and the replay.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffParams, mergeParams, paramsAfterEvent, trimSessionEvents } from "../sessionEvents.js";
+import { findScenarioStart } from "../debriefReport.js";
+import { replayStateAfter } from "../scenarioReplay.js";
+import { createDefaultParams } from "../simulationEngine.js";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+const at = (seconds, event) => ({ t: T0 + seconds * 1000, ...event });
+
+test("a param update logs only the params that changed", () => {
+    const before = createDefaultParams("normal");
+    const after = JSON.parse(JSON.stringify(before));
+    after.abp.sys = 95;
+    after.alarms.enabled = { ...after.alarms.enabled, spo2Low: false };
+    assert.deepEqual(diffParams(before, after), { abp: { sys: 95 }, alarms: { enabled: { spo2Low: false } } });
+    assert.equal(diffParams(before, JSON.parse(JSON.stringify(before))), undefined);
+    assert.equal(diffParams(null, after), after);
+    assert.deepEqual(mergeParams(before, diffParams(before, after)), after);
+    assert.equal(before.abp.sys, 120); // merging does not change its input
+});
+
+test("params are rebuilt from changes, full params of older logs and post-shock rhythms", () => {
+    const params = paramsAfterEvent(null, at(0, { type: "param_update", params: { ecg: { rhythm: "vf", hr: 0 }, abp: { sys: 60 } } }));
+    assert.deepEqual(params, { ecg: { rhythm: "vf", hr: 0 }, abp: { sys: 60 } });
+    const shocked = paramsAfterEvent(params, at(1, { type: "shock", rhythm: "normal", energy: 200 }));
+    assert.deepEqual(shocked.ecg, { rhythm: "normal", hr: 0 });
+    assert.equal(params.ecg.rhythm, "vf");
+    assert.deepEqual(paramsAfterEvent(shocked, at(2, { type: "param_update", changes: { abp: { dia: 30 } } })).abp, { sys: 60, dia: 30 });
+    // Shocks without params or without a rhythm, and other events, change nothing
+    assert.equal(paramsAfterEvent(null, at(3, { type: "shock", rhythm: "normal" })), null);
+    assert.equal(paramsAfterEvent(shocked, at(3, { type: "shock" })), shocked);
+    assert.equal(paramsAfterEvent(shocked, at(3, { type: "activate_sim" })), shocked);
+});
+
+test("trimming keeps the scenario start, the first activation and the vitals set by the dropped events", () => {
+    const events = [
+        at(0, { type: "param_update", changes: { ecg: { rhythm: "normal", hr: 80 }, abp: { sys: 120, dia: 80 } } }),
+        at(1, { type: "activate_sim" }),
+        at(2, { type: "scenario_event", event: "stage", stage: "vf", reason: "start" }),
+        at(3, { type: "param_update", changes: { ecg: { rhythm: "vf" } } }),
+        at(4, { type: "shock", rhythm: "normal", energy: 200, sync: false }),
+        at(5, { type: "param_update", changes: { abp: { sys: 90 } } }),
+        at(6, { type: "alarm", alarm: "low_abp" }),
+        at(7, { type: "param_update", changes: { abp: { dia: 50 } } }),
+        at(8, { type: "deactivate_sim" }),
+    ];
+    const trimmed = trimSessionEvents(events, 3);
+    assert.deepEqual(trimmed.map((e) => e.t - T0), [1000, 2000, 5000, 6000, 7000, 8000]);
+    assert.deepEqual(trimmed[2], at(5, { type: "param_update", changes: { ecg: { rhythm: "normal", hr: 80 }, abp: { sys: 90, dia: 80 } } }));
+    assert.equal(findScenarioStart(trimmed), T0 + 2000);
+    assert.deepEqual(replayStateAfter(trimmed).params, replayStateAfter(events).params);
+
+    // Trimming again drops the next oldest events, not the kept ones
+    const again = trimSessionEvents([...trimmed, at(9, { type: "activate_sim" }), at(10, { type: "deactivate_sim" })], 3);
+    assert.deepEqual(again.map((e) => e.t - T0), [1000, 2000, 7000, 8000, 9000, 10000]);
+    assert.deepEqual(again[2].changes.abp, { sys: 90, dia: 50 });
+    assert.equal(trimSessionEvents(events, 20), events);
+});
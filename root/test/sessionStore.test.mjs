@@ -0,0 +1,116 @@
+// sessionStore.test.mjs - Session persistence: serialization round trip, TTL on load and the JSON file store
+// VERSION: Initial version. The file store writes into a temporary directory that is removed afterwards.
+//          + Unreadable session files are moved aside.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { serializeSessions, deserializeSessions, createJsonFileSessionStore, createSessionStore } from "../sessionStore.cjs";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+function liveSession(lastActiveAt) {
+    return {
+        clients: new Set(["ws"]),
+        adminToken: "token",
+        devices: { d1: { role: "monitor" } },
+        state: { params: { ecg: { rhythm: "vf" } }, active: true },
+        events: [{ t: T0, type: "activate_sim" }],
+        createdAt: T0,
+        lastActiveAt,
+    };
+}
+
+function withTempDir(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "session-store-"));
+    try {
+        return run(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test("sessions survive a serialize / deserialize round trip without their clients", () => {
+    const records = serializeSessions({ ABCD: liveSession(T0 + 5000) });
+    assert.equal(records.ABCD.clients, undefined);
+    const restored = JSON.parse(JSON.stringify(records)); // as written to and read from a store
+    const sessions = deserializeSessions(restored);
+    const { clients, ...rest } = sessions.ABCD;
+    const { clients: _, ...original } = liveSession(T0 + 5000);
+    assert.deepEqual(rest, original);
+    assert.equal(clients.size, 0);
+
+    // Broken records are skipped, missing fields get defaults
+    const partial = deserializeSessions({ A: null, B: { adminToken: "x" }, C: { createdAt: T0, devices: "bad", events: {} } });
+    assert.deepEqual(Object.keys(partial), ["C"]);
+    assert.deepEqual([partial.C.devices, partial.C.events, partial.C.state, partial.C.lastActiveAt], [{}, [], null, T0]);
+});
+
+test("sessions inactive for longer than the TTL are dropped on load", () => {
+    const records = serializeSessions({ OLD: liveSession(T0), NEW: liveSession(T0 + 11 * HOUR_MS) });
+    const now = T0 + 12 * HOUR_MS + 1;
+    assert.deepEqual(Object.keys(deserializeSessions(records, 12 * HOUR_MS, now)), ["NEW"]);
+    assert.deepEqual(Object.keys(deserializeSessions(records, 0, now)).sort(), ["NEW", "OLD"]);
+    // Without lastActiveAt the creation time counts
+    delete records.NEW.lastActiveAt;
+    assert.deepEqual(Object.keys(deserializeSessions(records, 12 * HOUR_MS, now)), []);
+});
+
+test("the file store writes a temporary file and renames it into place", () => {
+    withTempDir((dir) => {
+        const filePath = path.join(dir, "nested", "sessions.json");
+        const store = createJsonFileSessionStore(filePath);
+        assert.deepEqual(store.load(), {});
+
+        const records = serializeSessions({ ABCD: liveSession(T0) });
+        store.save(records);
+        assert.deepEqual(store.load(), JSON.parse(JSON.stringify(records)));
+        assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+        assert.equal(JSON.parse(fs.readFileSync(filePath, "utf8")).version, 1);
+        if (process.platform !== "win32") assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+
+        // A write that fails before the rename leaves the previous file whole
+        const rename = fs.renameSync;
+        fs.renameSync = () => { throw new Error("disk full"); };
+        try {
+            assert.throws(() => store.save({}), /disk full/);
+        } finally {
+            fs.renameSync = rename;
+        }
+        assert.deepEqual(Object.keys(store.load()), ["ABCD"]);
+        assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.tmp`, "utf8")).sessions, {});
+    });
+});
+
+test("a file that is not valid JSON is moved aside before the next save", (t) => {
+    const logged = t.mock.method(console, "error", () => {});
+    withTempDir((dir) => {
+        const filePath = path.join(dir, "sessions.json");
+        fs.writeFileSync(filePath, '{"version": 1, "sessions": {"ABCD": ');
+        const store = createJsonFileSessionStore(filePath);
+        assert.deepEqual(store.load(), {});
+        const moved = fs.readdirSync(dir).filter((name) => name.startsWith("sessions.json.corrupt-"));
+        assert.equal(moved.length, 1);
+        assert.equal(fs.readFileSync(path.join(dir, moved[0]), "utf8"), '{"version": 1, "sessions": {"ABCD": ');
+        assert.match(logged.mock.calls[0].arguments[0], /not valid JSON/);
+
+        store.save({});
+        assert.deepEqual(fs.readdirSync(dir).sort(), ["sessions.json", moved[0]]);
+    });
+});
+
+test("an empty file loads as no sessions; the memory store keeps copies", () => {
+    withTempDir((dir) => {
+        const filePath = path.join(dir, "sessions.json");
+        fs.writeFileSync(filePath, "  \n");
+        assert.deepEqual(createSessionStore("file", { filePath }).load(), {});
+    });
+    const store = createSessionStore("memory");
+    const records = { A: { createdAt: T0 } };
+    store.save(records);
+    records.A.createdAt = 0;
+    assert.deepEqual(store.load(), { A: { createdAt: T0 } });
+});
@@ -0,0 +1,146 @@
+// timeCompression.test.mjs - Scenario time scale and stage drift, time-scaled trends and synthetic trend history
+// VERSION: Initial version. The scenario is ticked by hand and stopped at the end, so no timer keeps running.
+//          + The server's time compression limits match the client's.
+//          + Rounded MAP in the history, and the trend clock of a monitor that gets the time compression later.
+//          + Vitals edited during a drift stop drifting.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    validateScenario,
+    loadScenario,
+    startScenario,
+    stopScenario,
+    tickScenario,
+    getScenarioStatus,
+    setScenarioTimeScale,
+    driftParams,
+    editedDriftFields,
+} from "../scenarioEngine.js";
+import {
+    TrendRecorder,
+    validateTrendHistory,
+    resolveTrendHistory,
+    trendValuesFromParams,
+    buildTrendHistory,
+} from "../trendRecorder.js";
+import { createDefaultParams } from "../simulationEngine.js";
+import { MAX_TIME_SCALE, TREND_MAX_HOURS } from "../config.js";
+import { sanitizeTimeCompression } from "../timeCompressionSettings.js";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+
+test("a scenario's time scale runs stage timers and drift in patient time", () => {
+    assert.throws(() => validateScenario({ timeScale: 0.5, stages: [{ params: {} }] }), /timeScale/);
+    assert.throws(() => validateScenario({ stages: [{ params: {}, drift: -5 }] }), /drift/);
+    assert.throws(() => validateScenario({ history: { hours: 6 }, stages: [{ params: {} }] }), /history/);
+
+    loadScenario({
+        name: "Post-op",
+        timeScale: 12,
+        stages: [
+            { id: "stable", params: {}, duration: 600, next: "bleed" },
+            { id: "bleed", params: {}, drift: 1800 },
+        ],
+    });
+    try {
+        startScenario();
+        tickScenario(30);
+        assert.deepEqual([getScenarioStatus().stageId, getScenarioStatus().nextTimed.remaining], ["stable", 240]);
+        tickScenario(20);
+        assert.equal(getScenarioStatus().stageId, "bleed");
+        setScenarioTimeScale(60);
+        tickScenario(15);
+        assert.equal(getScenarioStatus().drift, 0.5);
+        assert.equal(getScenarioStatus().timeScale, 60);
+    } finally {
+        stopScenario();
+        setScenarioTimeScale(1);
+    }
+
+    const from = createDefaultParams("normal");
+    const to = createDefaultParams("normal");
+    to.abp.sys = 80;
+    to.temp.valueC = 38.5;
+    const halfway = driftParams(to, from, to, 0.5);
+    assert.deepEqual([halfway.abp.sys, halfway.abp.dia, halfway.temp.valueC], [100, 80, 37.8]);
+});
+
+test("a vital changed by hand during a drift keeps its value while the others drift on", () => {
+    const from = createDefaultParams("normal");
+    const to = createDefaultParams("normal");
+    to.abp.sys = 80;
+    to.spo2.value = 88;
+    const step = driftParams(from, from, to, 0.25);
+    assert.deepEqual(editedDriftFields(step, step), []);
+
+    const edited = JSON.parse(JSON.stringify(step));
+    edited.abp.sys = 130;
+    const fixed = editedDriftFields(edited, step);
+    assert.deepEqual(fixed, ["abp.sys"]);
+    const next = driftParams(edited, from, to, 0.5, fixed);
+    assert.deepEqual([next.abp.sys, next.spo2.value], [130, 93]);
+});
+
+test("time-scaled trends run ahead of the wall clock and keep their sampling interval in patient time", () => {
+    const trends = new TrendRecorder(5);
+    trends.reset(T0);
+    trends.addVitals({ hr: 70 }, {}, T0);
+    trends.setTimeScale(10, T0 + 1000);
+    assert.equal(trends.addVitals({ hr: 71 }, {}, T0 + 1300), false);
+    assert.equal(trends.addVitals({ hr: 72 }, {}, T0 + 1500), true);
+    assert.deepEqual(trends.samples.map((s) => s.t - T0), [0, 6000]);
+    trends.addNibp({ sys: 120, dia: 80, map: 93, timestamp: new Date(T0 + 2000) });
+    assert.equal(trends.nibp[0].t, T0 + 11000);
+    assert.equal(trends.getWindow(60, T0 + 7000).to, T0 + 61000);
+});
+
+test("a monitor that gets the time compression later runs its trend clock like the ones that were there", () => {
+    const early = new TrendRecorder(5);
+    early.reset(T0);
+    early.setTimeScale(12, T0 + 60000);
+    early.addVitals({ abp: { sys: 121, dia: 80, map: 80 + 41 / 3 } }, {}, T0 + 60000);
+    assert.equal(early.samples[0].abpMap, 94);
+
+    // Joins 10 min after the scale was set and starts its monitor then
+    const late = new TrendRecorder(5);
+    late.reset(T0 + 660000);
+    late.setTimeScale(12, T0 + 660000, 600000);
+    assert.equal(late.trendTime(T0 + 700000), early.trendTime(T0 + 700000));
+    // The history ended where it ended on the early monitor
+    assert.equal(late.trendTime(T0 + 660000) - 600000 * 12, early.trendTime(T0 + 60000));
+});
+
+test("a synthetic history follows its curves to the current values and is replaced by live samples after it", () => {
+    const params = createDefaultParams("normal");
+    params.ecg.hr = 80;
+    const history = validateTrendHistory({ hours: 1, vitals: { hr: 100, abpSys: { from: 150, shape: "late" }, tempC: { from: 36, to: 37 } } });
+    assert.throws(() => validateTrendHistory({ hours: 1, vitals: { cvp: 5 } }), /unknown vital/);
+    const resolved = resolveTrendHistory(history, trendValuesFromParams(params));
+    assert.deepEqual(resolved.vitals.spo2, { from: 98, to: 98, shape: "linear" });
+
+    const end = T0 + 3600 * 1000;
+    params.spo2.visible = false;
+    const samples = buildTrendHistory(resolved, end, params, 60);
+    assert.equal(samples.length, 60);
+    assert.deepEqual([samples[0].t, samples[59].t], [T0, end - 60000]);
+    assert.deepEqual([samples[0].hr, samples[0].abpSys, samples[0].tempC, samples[0].spo2], [100, 150, 36, null]);
+    assert.deepEqual([samples[30].hr, samples[30].abpSys], [90, 143]);
+    assert.equal(samples[30].abpMap, Math.round(80 + (143 - 80) / 3)); // rounded like live samples
+
+    const trends = new TrendRecorder(60);
+    trends.reset(end - 120000);
+    trends.addVitals({ hr: 60 }, {}, end - 120000);
+    trends.addVitals({ hr: 61 }, {}, end);
+    trends.loadHistory(samples);
+    assert.equal(trends.samples.length, 61);
+    assert.deepEqual(trends.samples.slice(-2).map((s) => s.hr), [80, 61]);
+});
+
+test("the server accepts the same time scales, history lengths and vitals as the client", () => {
+    const params = createDefaultParams("normal");
+    const history = resolveTrendHistory(validateTrendHistory({ hours: TREND_MAX_HOURS, vitals: { hr: 100 } }), trendValuesFromParams(params));
+    assert.deepEqual(sanitizeTimeCompression({ timeScale: MAX_TIME_SCALE, history }), { timeScale: MAX_TIME_SCALE, history });
+    assert.equal(sanitizeTimeCompression({ timeScale: MAX_TIME_SCALE + 1, history: null }), null);
+    assert.equal(sanitizeTimeCompression({ timeScale: 2, history: { ...history, hours: TREND_MAX_HOURS + 1 } }), null);
+});
@@ -0,0 +1,53 @@
+// trends.test.mjs - Trend recording, trend table and trend graphs
+// VERSION: Initial version. Times are explicit, so the recorder never reads the clock.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TrendRecorder, TREND_WINDOWS, buildTrendTable } from "../trendRecorder.js";
+import { renderTrendSvg } from "../trendRenderer.js";
+
+const T0 = Date.UTC(2024, 5, 1, 10, 0, 0);
+
+function vitals(hr, map = 90) {
+    return { hr, spo2: 97, abp: { sys: map + 30, dia: map - 15, map }, etco2Kpa: 5.1, rr: 14, tempC: 37.2 };
+}
+
+test("the recorder samples every interval, leaves hidden channels out and keeps only the last hours", () => {
+    const trends = new TrendRecorder(5, 1);
+    trends.reset(T0);
+    assert.equal(trends.addVitals(vitals(80), {}, T0), true);
+    assert.equal(trends.addVitals(vitals(81), {}, T0 + 4000), false);
+    assert.equal(trends.addVitals(vitals(82), { spo2: { visible: false } }, T0 + 5000), true);
+    assert.deepEqual(trends.samples.map((s) => [s.hr, s.spo2, s.abpMap]), [[80, 97, 90], [82, null, 90]]);
+
+    assert.equal(trends.addNibp({ sys: 110, dia: 70, map: 83, timestamp: new Date(T0 - 60000) }), false);
+    assert.equal(trends.addNibp({ sys: null, dia: null, map: null, timestamp: new Date(T0 + 8000), error: "motion" }), true);
+    assert.deepEqual(trends.nibp, [{ t: T0 + 8000, sys: null, dia: null, map: null, error: "motion" }]);
+
+    trends.addVitals(vitals(90), {}, T0 + 3600 * 1000 + 10000);
+    assert.deepEqual(trends.samples.map((s) => s.hr), [90]);
+    assert.equal(trends.nibp.length, 0);
+    assert.deepEqual(trends.getWindow(60, T0 + 3600 * 1000).samples, []);
+});
+
+test("the trend table has one row per step, newest first, with the step's NIBP result", () => {
+    const trends = new TrendRecorder(5);
+    trends.reset(T0);
+    for (let s = 0; s < 180; s += 5) trends.addVitals(vitals(70 + Math.floor(s / 60)), {}, T0 + s * 1000);
+    trends.addNibp({ sys: 118, dia: 76, map: 90, timestamp: new Date(T0 + 70000) });
+    const rows = buildTrendTable(trends.getWindow(TREND_WINDOWS["15m"].seconds, T0 + 180000), TREND_WINDOWS["15m"].tableStepS);
+    assert.deepEqual(rows.map((row) => [row.t - T0, row.hr, row.nibp?.sys ?? null]), [[120000, 72, null], [60000, 71, 118], [0, 70, null]]);
+});
+
+test("trend graphs break the line at gaps, mark NIBP results and show the latest value", () => {
+    const trends = new TrendRecorder(5);
+    trends.reset(T0);
+    [0, 5, 10, 60, 65].forEach((s) => trends.addVitals(vitals(75), {}, T0 + s * 1000));
+    trends.addNibp({ sys: 121, dia: 79, map: 93, timestamp: new Date(T0 + 30000) });
+    const svg = renderTrendSvg(trends.getWindow(900, T0 + 70000), { tickS: 300, etco2Unit: "mmHg", formatTime: () => "t" });
+    const hrPath = svg.match(/class="trend-line trend-line-ecg" d="([^"]+)"/)[1];
+    assert.equal(hrPath.split("M").length - 1, 2);
+    assert.equal((svg.match(/class="trend-nibp"/g) || []).length, 1);
+    assert.match(svg, /trend-line-etco2" x="\d+" y="[\d.]+" font-size="26" text-anchor="end">38</);
+    assert.match(svg, />mmHg</);
+});
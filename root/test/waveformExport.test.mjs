@@ -0,0 +1,129 @@
+// waveformExport.test.mjs - Waveform recording and CSV / WFDB export
+// VERSION: Initial version. Records engine samples, exports a window and reads the files back.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDefaultParams } from "../simulationEngine.js";
+import { SAMPLE_RATE } from "../config.js";
+import { WaveformRecorder, ANNOTATION_TYPES } from "../waveformRecorder.js";
+import { formatWaveformCsv, formatWaveformWfdb, EXPORT_SIGNALS } from "../waveformExport.js";
+import { TEST_SEED, runEngine } from "./waveformHarness.mjs";
+
+function record(rhythmKey, seconds, events = {}) {
+    const params = createDefaultParams(rhythmKey);
+    params.seed = TEST_SEED;
+    const recorder = new WaveformRecorder();
+    recorder.reset(new Date(2024, 5, 1, 10, 15, 0));
+    runEngine(params, (engine) => {
+        for (let i = 0; i < seconds * SAMPLE_RATE; i++) {
+            if (events[i]) recorder.addAnnotation(...events[i]);
+            recorder.addSample(engine.advanceSample(), rhythmKey);
+        }
+    });
+    return recorder;
+}
+
+// Reads an MIT-format annotation file back into { sample, code, aux } entries.
+function decodeMitAnnotations(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const annotations = [];
+    let offset = 0;
+    let sample = 0;
+    let skip = 0;
+    for (;;) {
+        const word = view.getUint16(offset, true);
+        offset += 2;
+        const code = word >> 10;
+        const value = word & 0x3FF;
+        if (word === 0) break;
+        if (code === 59) {
+            skip = (view.getUint16(offset, true) << 16) | view.getUint16(offset + 2, true);
+            offset += 4;
+        } else if (code === 63) {
+            annotations[annotations.length - 1].aux = String.fromCharCode(...bytes.slice(offset, offset + value));
+            offset += value + (value % 2);
+        } else {
+            sample += skip + value;
+            skip = 0;
+            annotations.push({ sample, code, aux: null });
+        }
+    }
+    return annotations;
+}
+
+test("recorder keeps every sample and marks beats, the rhythm and events", () => {
+    const recorder = record("normal", 12, { 500: [ANNOTATION_TYPES.SHOCK, "200 J"], 700: [ANNOTATION_TYPES.NIBP, "120/80 (93)"] });
+    const recordingWindow = recorder.getWindow();
+    assert.equal(recordingWindow.length, 12 * SAMPLE_RATE);
+    assert.equal(recorder.durationS, 12);
+
+    const types = recordingWindow.annotations.map((a) => a.type);
+    assert.equal(types[0], ANNOTATION_TYPES.RHYTHM);
+    const beats = types.filter((type) => type === ANNOTATION_TYPES.BEAT).length;
+    assert.ok(beats >= 12 && beats <= 16, `${beats} beats in 12 s at 75 bpm`);
+    assert.deepEqual(
+        recordingWindow.annotations.filter((a) => a.type === ANNOTATION_TYPES.SHOCK || a.type === ANNOTATION_TYPES.NIBP).map((a) => a.sample),
+        [500, 700]
+    );
+});
+
+test("a window starting mid-rhythm is clamped and starts with the rhythm", () => {
+    const recorder = record("afib", 10);
+    const recordingWindow = recorder.getWindow(6, 20);
+    assert.equal(recordingWindow.length, 4 * SAMPLE_RATE);
+    assert.equal(recordingWindow.startS, 6);
+    assert.deepEqual(recordingWindow.annotations[0], { sample: 0, type: ANNOTATION_TYPES.RHYTHM, text: "afib" });
+    assert.equal(recordingWindow.startedAt.getTime(), new Date(2024, 5, 1, 10, 15, 6).getTime());
+});
+
+test("recorder drops the oldest minutes beyond its limit", () => {
+    const recorder = new WaveformRecorder(1);
+    const sample = { ecg: 0, spo2: 0.1, abp: 80, etco2: 0 };
+    for (let i = 0; i < 3 * 60 * SAMPLE_RATE; i++) recorder.addSample(sample, "asystole");
+    assert.ok(recorder.firstAvailableS >= 60 && recorder.firstAvailableS <= 120);
+    assert.equal(recorder.getWindow().annotations[0].text, "asystole");
+});
+
+test("CSV has one row per sample with units and annotations", () => {
+    const recordingWindow = record("normal", 3, { 100: [ANNOTATION_TYPES.NIBP, "120/80 (93)"] }).getWindow();
+    const lines = formatWaveformCsv(recordingWindow).trimEnd().split("\r\n");
+    assert.equal(lines[0], "time_s,ECG (mV),PLETH (%),ABP (mmHg),CO2 (kPa),annotations");
+    assert.equal(lines.length, 1 + 3 * SAMPLE_RATE);
+    assert.match(lines[101], /^1\.00,-?\d+\.\d{3},\d+\.\d,\d+\.\d,\d+\.\d{2},"NIBP 120\/80 \(93\)"$/);
+});
+
+test("WFDB header, signal file and annotations read back", () => {
+    const recordingWindow = record("normal", 15, { 1400: [ANNOTATION_TYPES.SHOCK, "150 J SYNC"] }).getWindow();
+    const { recordName, header, dat, atr } = formatWaveformWfdb(recordingWindow);
+    assert.equal(recordName, "sim_20240601_101500");
+
+    const lines = header.trimEnd().split("\n");
+    assert.equal(lines[0], `${recordName} 4 100 1500 10:15:00 01/06/2024`);
+    const view = new DataView(dat.buffer);
+    assert.equal(dat.length, 1500 * 4 * 2);
+    ["ecg", "pleth", "abp", "co2"].forEach((key, signalIndex) => {
+        const fields = lines[1 + signalIndex].split(" ");
+        const { name, units, gain } = EXPORT_SIGNALS[key];
+        assert.deepEqual([fields[0], fields[1], fields[2], fields[8]], [`${recordName}.dat`, "16", `${gain}(0)/${units}`, name]);
+        let checksum = 0;
+        for (let i = 0; i < 1500; i++) checksum = (checksum + view.getInt16((i * 4 + signalIndex) * 2, true)) & 0xFFFF;
+        assert.equal(Number(fields[6]), checksum >= 0x8000 ? checksum - 0x10000 : checksum, `${name} checksum`);
+        assert.equal(Number(fields[5]), view.getInt16(signalIndex * 2, true), `${name} initial value`);
+    });
+    // ABP in mmHg at 100 adu/mmHg
+    assert.ok(Math.abs(view.getInt16(500 * 8 + 4, true) / 100 - recordingWindow.signals.abp[500]) < 0.01);
+
+    const annotations = decodeMitAnnotations(atr);
+    assert.deepEqual(annotations[0], { sample: 0, code: 28, aux: "(normal" });
+    assert.ok(annotations.filter((a) => a.code === 13).length >= 15);
+    assert.deepEqual(annotations.find((a) => a.code === 22), { sample: 1400, code: 22, aux: "SHOCK 150 J SYNC" });
+});
+
+test("WFDB annotations further apart than 1023 samples use SKIP", () => {
+    const recordingWindow = record("asystole", 20, { 1500: [ANNOTATION_TYPES.NIBP, "failed"] }).getWindow();
+    const annotations = decodeMitAnnotations(formatWaveformWfdb(recordingWindow).atr);
+    assert.deepEqual(annotations, [
+        { sample: 0, code: 28, aux: "(asystole" },
+        { sample: 1500, code: 22, aux: "NIBP failed" },
+    ]);
+});
@@ -0,0 +1,154 @@
+// waveformHarness.mjs - Helpers for the waveform regression tests: headless rendering and ECG measurements
+// VERSION: Initial version. Renders a rhythm with a fixed seed through SimulationEngine and measures
+//          R-R rate, PR interval and QRS width from the drawn ECG samples (not from the generator's clocks).
+//          + runEngine(): the engine set-up shared by the rendering and the engine tests.
+
+import { SimulationEngine, createDefaultParams } from "../simulationEngine.js";
+import { SAMPLE_RATE } from "../config.js";
+import { createRWaveDetectorState, detectRWave } from "../rWaveDetector.js";
+
+export const TEST_SEED = 20240601;
+
+const DETECTOR_SETTLE_S = 2.0;          // R peaks before this are ignored (detector threshold still adapting)
+const QRS_SLOPE_FRACTION = 0.2;         // QRS edges: sample-to-sample slope below this fraction of the steepest QRS slope
+const QRS_SLOPE_SEARCH_SAMPLES = 15;    // steepest slope is searched this far around the R peak
+const P_WAVE_THRESHOLD_MV = 0.02;       // noise-free traces only: anything above this is a wave, not baseline
+const MAX_PR_SEGMENT_S = 0.5;
+const MAX_Q_WAVE_SAMPLES = 5;
+
+/**
+ * Runs a fresh engine: starts it, hands it to the callback and stops it afterwards.
+ * @param {object} params Params to start from (see createDefaultParams).
+ * @param {function(SimulationEngine): *} run Advances the engine and collects what the test needs.
+ * @returns {*} What run returned.
+ */
+export function runEngine(params, run) {
+    // The generators log state changes (dropped beats, resets); keep the test output readable.
+    const consoleLog = console.log;
+    console.log = () => {};
+    let engine = null;
+    try {
+        engine = new SimulationEngine(params);
+        engine.start();
+        return run(engine);
+    } finally {
+        engine?.stop();
+        console.log = consoleLog;
+    }
+}
+
+/**
+ * Renders a rhythm from a fresh engine with the monitor's default params.
+ * @param {string} rhythmKey Key in RHYTHM_PARAMS.
+ * @param {number} seconds Length of the window (starts when the simulation starts).
+ * @param {object} [options]
+ * @param {number} [options.seed=TEST_SEED] Session seed.
+ * @param {object} [options.overrides] ecg.overrides, e.g. { noise_amp: 0, irregular: 0 } for measurements.
+ * @returns {{ecg: number[], spo2: number[], abp: number[], etco2: number[]}} One value per sample at SAMPLE_RATE.
+ */
+export function renderRhythm(rhythmKey, seconds, { seed = TEST_SEED, overrides } = {}) {
+    const params = createDefaultParams(rhythmKey);
+    params.seed = seed;
+    if (overrides) params.ecg.overrides = overrides;
+
+    const trace = { ecg: [], spo2: [], abp: [], etco2: [] };
+    const sampleCount = Math.round(seconds * SAMPLE_RATE);
+    runEngine(params, (engine) => {
+        for (let i = 0; i < sampleCount; i++) {
+            const sample = engine.advanceSample();
+            trace.ecg.push(sample.ecg);
+            trace.spo2.push(sample.spo2);
+            trace.abp.push(sample.abp);
+            trace.etco2.push(sample.etco2);
+        }
+    });
+    return trace;
+}
+
+/**
+ * R peaks found by the monitor's own sync detector.
+ * @param {number[]} ecg Samples at SAMPLE_RATE.
+ * @returns {number[]} Sample indices of the R peaks.
+ */
+export function findRPeaks(ecg) {
+    const state = createRWaveDetectorState();
+    const peaks = [];
+    ecg.forEach((value, i) => {
+        const detection = detectRWave(state, value, i / SAMPLE_RATE, SAMPLE_RATE);
+        const peakIndex = detection ? i - detection.samplesSincePeak : -1;
+        if (detection && peakIndex >= DETECTOR_SETTLE_S * SAMPLE_RATE) peaks.push(peakIndex);
+    });
+    return peaks;
+}
+
+/**
+ * Mean rate over the detected R peaks.
+ * @param {number[]} peaks Sample indices from findRPeaks.
+ * @returns {number} Beats per minute (0 with fewer than two peaks).
+ */
+export function measureRate(peaks) {
+    if (peaks.length < 2) return 0;
+    return ((peaks.length - 1) * 60 * SAMPLE_RATE) / (peaks[peaks.length - 1] - peaks[0]);
+}
+
+function slopeAt(ecg, i) {
+    return Math.abs(ecg[i + 1] - ecg[i]);
+}
+
+/**
+ * QRS onset and end around an R peak: the run of steep samples (one flat sample allowed, e.g. at the R apex).
+ * @param {number[]} ecg Samples at SAMPLE_RATE.
+ * @param {number} peak Sample index of the R peak.
+ * @returns {{onset: number, end: number}} Sample indices.
+ */
+export function findQrsBounds(ecg, peak) {
+    let steepest = 0;
+    const from = Math.max(0, peak - QRS_SLOPE_SEARCH_SAMPLES);
+    const to = Math.min(ecg.length - 2, peak + QRS_SLOPE_SEARCH_SAMPLES);
+    for (let i = from; i < to; i++) steepest = Math.max(steepest, slopeAt(ecg, i));
+    const threshold = QRS_SLOPE_FRACTION * steepest;
+
+    let onset = peak;
+    while (onset > 1 && (slopeAt(ecg, onset - 1) > threshold || slopeAt(ecg, onset - 2) > threshold)) onset--;
+    let end = peak;
+    while (end < ecg.length - 3 && (slopeAt(ecg, end) > threshold || slopeAt(ecg, end + 1) > threshold)) end++;
+    return { onset, end };
+}
+
+/**
+ * @param {number[]} ecg Noise-free samples at SAMPLE_RATE.
+ * @param {number} peak Sample index of the R peak.
+ * @returns {number} QRS width in seconds.
+ */
+export function measureQrsWidth(ecg, peak) {
+    const { onset, end } = findQrsBounds(ecg, peak);
+    return (end - onset + 1) / SAMPLE_RATE;
+}
+
+/**
+ * PR interval of the beat: start of the P wave to QRS onset. Walks back from the QRS over the Q wave,
+ * the isoelectric PR segment and the P wave.
+ * @param {number[]} ecg Noise-free samples at SAMPLE_RATE.
+ * @param {number} peak Sample index of the R peak.
+ * @returns {number|null} Seconds, or null if no P wave precedes the QRS.
+ */
+export function measurePrInterval(ecg, peak) {
+    const { onset } = findQrsBounds(ecg, peak);
+    const isWave = (i) => Math.abs(ecg[i]) > P_WAVE_THRESHOLD_MV;
+    let i = onset - 1;
+    while (i > 0 && onset - i < MAX_Q_WAVE_SAMPLES && isWave(i)) i--;
+    while (i > 0 && onset - i < MAX_PR_SEGMENT_S * SAMPLE_RATE && !isWave(i)) i--;
+    if (!isWave(i)) return null;
+    while (i > 0 && isWave(i - 1)) i--;
+    return (onset - i) / SAMPLE_RATE;
+}
+
+/**
+ * @param {number[]} values
+ * @returns {number} Median (NaN for an empty list).
+ */
+export function median(values) {
+    if (values.length === 0) return NaN;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,31 @@
+// timeCompressionSettings.js - Server-side validation of the controller's time compression settings
+// VERSION: Initial version. Moved out of server.js.
+//          + ES module; the CommonJS server imports it on startup.
+//          + The limits are the client's own (config.js MAX_TIME_SCALE and TREND_MAX_HOURS, trendRecorder.js
+//            TREND_HISTORY_VITALS), imported rather than copied.
+
+import { MAX_TIME_SCALE, TREND_MAX_HOURS } from './config.js';
+import { TREND_HISTORY_VITALS } from './trendRecorder.js';
+
+const HISTORY_VITALS = Object.keys(TREND_HISTORY_VITALS);
+
+/**
+ * @param {*} timeCompression - Time compression from a controller message.
+ * @returns {object|null} A copy with only the known fields, or null if it is invalid.
+ */
+export function sanitizeTimeCompression(timeCompression) {
+    if (!timeCompression || typeof timeCompression !== 'object') return null;
+    const { timeScale, history } = timeCompression;
+    if (!Number.isFinite(timeScale) || timeScale < 1 || timeScale > MAX_TIME_SCALE) return null;
+    if (history === null || history === undefined) return { timeScale: timeScale, history: null };
+    if (typeof history !== 'object' || !Number.isFinite(history.hours) || history.hours <= 0 || history.hours > TREND_MAX_HOURS ||
+        !history.vitals || typeof history.vitals !== 'object') return null;
+    const asValue = (value) => Number.isFinite(value) ? value : null;
+    const vitals = {};
+    for (const key of HISTORY_VITALS) {
+        const curve = history.vitals[key];
+        if (!curve || typeof curve !== 'object') continue;
+        vitals[key] = { from: asValue(curve.from), to: asValue(curve.to), shape: String(curve.shape).substring(0, 16) };
+    }
+    return { timeScale: timeScale, history: { hours: history.hours, vitals: vitals } };
+}
@@ -0,0 +1,296 @@
+// trendRecorder.js - Trends of the monitor's numerics and NIBP results for the trend view
+// VERSION: Initial version. Samples the interpolated vitals (SimulationEngine.getVitals) every TREND_INTERVAL_S,
+//          keeps TREND_MAX_HOURS of them together with every NIBP result and lists a window of them as a
+//          trend table. No DOM access; trendRenderer.js draws a window as graphs.
+//          + ADDED: Time scale (time-compressed scenarios): trend time runs timeScale times faster than the wall
+//                   clock. Synthetic history: a curve per numeric fills the trends as if the patient had been
+//                   monitored for hours already.
+//          + FIX: MAP is rounded in every sample, synthetic or live. A monitor that gets the time compression after
+//                 it was set (joining later) runs its trend clock as far ahead as the devices that were there.
+//
+// Times are wall-clock milliseconds (Date.now()) like the NIBP timestamps, so "the last 15 min" is the same
+// on every device of a session. With a time scale above 1 the trend clock runs ahead of the wall clock from the
+// moment the scale was set, so the trends show patient time.
+
+import { TREND_INTERVAL_S, TREND_MAX_HOURS } from "./config.js";
+
+// Windows of the trend view. The table lists one row per tableStepS, the graphs have a time label every tickS.
+export const TREND_WINDOWS = {
+    "15m": { label: "15 min", seconds: 15 * 60, tableStepS: 60, tickS: 5 * 60 },
+    "1h": { label: "1 h", seconds: 60 * 60, tableStepS: 5 * 60, tickS: 15 * 60 },
+    "4h": { label: "4 h", seconds: 4 * 60 * 60, tableStepS: 15 * 60, tickS: 60 * 60 },
+};
+export const DEFAULT_TREND_WINDOW = "15m";
+
+// Numerics of a trend sample. A channel that is hidden or has a sensor fault is null (a gap in the trend).
+export const TREND_VITALS = ["hr", "spo2", "abpSys", "abpDia", "abpMap", "etco2Kpa", "rr", "tempC"];
+
+// Numerics a synthetic history gives a curve to (MAP follows systolic and diastolic), with their decimals
+export const TREND_HISTORY_VITALS = { hr: 0, spo2: 0, abpSys: 0, abpDia: 0, etco2Kpa: 1, rr: 0, tempC: 1 };
+
+// How a history curve goes from its start value to its end value; f is the elapsed fraction of the history
+export const TREND_HISTORY_SHAPES = {
+    linear: (f) => f,
+    early: (f) => 1 - (1 - f) ** 2,   // most of the change early on, then levelling off
+    late: (f) => f ** 2,              // stable for a while, then changing towards now
+};
+
+function _sample(t, vitals, params) {
+    const shown = (key) => params?.[key]?.visible !== false;
+    const abp = shown("abp") ? vitals.abp : null;
+    return {
+        t,
+        hr: shown("ecg") ? vitals.hr : null,
+        spo2: shown("spo2") ? vitals.spo2 : null,
+        abpSys: abp ? abp.sys : null,
+        abpDia: abp ? abp.dia : null,
+        abpMap: abp && Number.isFinite(abp.map) ? Math.round(abp.map) : null,
+        etco2Kpa: shown("etco2") ? vitals.etco2Kpa : null,
+        rr: shown("etco2") ? vitals.rr : null,
+        tempC: shown("temp") ? vitals.tempC : null,
+    };
+}
+
+/**
+ * Numeric samples and NIBP results since the monitor was started, oldest first.
+ */
+export class TrendRecorder {
+    /**
+     * @param {number} [intervalS=TREND_INTERVAL_S] Time between samples.
+     * @param {number} [maxHours=TREND_MAX_HOURS] Length kept; older samples and NIBP results are dropped.
+     */
+    constructor(intervalS = TREND_INTERVAL_S, maxHours = TREND_MAX_HOURS) {
+        this.intervalMs = intervalS * 1000;
+        this.maxAgeMs = maxHours * 3600 * 1000;
+        this.timeScale = 1;
+        this.reset();
+    }
+
+    /**
+     * Discards everything and starts a new trend. The time scale is kept, the trend clock starts at startedAt.
+     * @param {number} [startedAt=Date.now()] Time the monitor was started.
+     */
+    reset(startedAt = Date.now()) {
+        this.startedAt = startedAt;
+        this.clock = { real: startedAt, trend: startedAt };
+        this.samples = [];  // { t, hr, spo2, abpSys, abpDia, abpMap, etco2Kpa, rr, tempC }
+        this.nibp = [];     // { t, sys, dia, map, error }
+    }
+
+    /**
+     * Trend time at a wall-clock time.
+     * @param {number} [now=Date.now()]
+     * @returns {number} Milliseconds; equal to `now` until a time scale above 1 is set.
+     */
+    trendTime(now = Date.now()) {
+        return this.clock.trend + (now - this.clock.real) * this.timeScale;
+    }
+
+    /**
+     * Runs the trend clock `timeScale` times faster than the wall clock from `now` on (1 = real time).
+     * @param {number} timeScale
+     * @param {number} [now=Date.now()]
+     * @param {number} [sinceMs=0] Wall-clock time since the scale was set in the session (for a monitor joining
+     *        later); the clock runs as if it had been set then.
+     */
+    setTimeScale(timeScale, now = Date.now(), sinceMs = 0) {
+        this.clock = { real: now, trend: this.trendTime(now - sinceMs) + sinceMs * timeScale };
+        this.timeScale = timeScale;
+    }
+
+    /**
+     * Takes a sample if TREND_INTERVAL_S of trend time has passed since the last one; call it as often as the
+     * monitor draws.
+     * @param {object} vitals From SimulationEngine.getVitals() (faulted sensors are already null).
+     * @param {object} [params] Effective params; channels with visible === false are recorded as gaps.
+     * @param {number} [now=Date.now()]
+     * @returns {boolean} True if a sample was taken.
+     */
+    addVitals(vitals, params = {}, now = Date.now()) {
+        const t = this.trendTime(now);
+        const last = this.samples[this.samples.length - 1];
+        if (!vitals || (last && t - last.t < this.intervalMs)) return false;
+        this.samples.push(_sample(t, vitals, params));
+        this._dropBefore(t - this.maxAgeMs);
+        return true;
+    }
+
+    /**
+     * Puts a synthetic history in place of the samples it covers; samples taken after it are kept.
+     * @param {object[]} history Samples from buildTrendHistory(), oldest first.
+     */
+    loadHistory(history) {
+        if (!Array.isArray(history) || history.length === 0) return;
+        const end = history[history.length - 1].t;
+        this.samples = [...history, ...this.samples.filter((sample) => sample.t > end)];
+        this._dropBefore(this.samples[this.samples.length - 1].t - this.maxAgeMs);
+    }
+
+    /**
+     * Records an NIBP result, failed measurements included, at its trend time. A reading from before the trend
+     * started (restored from a session snapshot) is left out.
+     * @param {{sys: number|null, dia: number|null, map: number|null, timestamp?: Date|string|null, error?: string|null}} nibp
+     * @param {number} [now=Date.now()] Time of a result without a timestamp.
+     * @returns {boolean} True if the result was recorded.
+     */
+    addNibp(nibp, now = Date.now()) {
+        if (!nibp) return false;
+        const t = nibp.timestamp ? new Date(nibp.timestamp).getTime() : now;
+        if (!Number.isFinite(t) || t < this.startedAt) return false;
+        const hasReading = Number.isFinite(nibp.sys) && Number.isFinite(nibp.dia);
+        this.nibp.push({
+            t: this.trendTime(t),
+            sys: hasReading ? nibp.sys : null,
+            dia: hasReading ? nibp.dia : null,
+            map: hasReading && Number.isFinite(nibp.map) ? nibp.map : null,
+            error: hasReading ? null : (nibp.error ?? null),
+        });
+        return true;
+    }
+
+    _dropBefore(t) {
+        if (this.samples.length > 0 && this.samples[0].t < t) this.samples = this.samples.filter((sample) => sample.t >= t);
+        if (this.nibp.length > 0 && this.nibp[0].t < t) this.nibp = this.nibp.filter((result) => result.t >= t);
+    }
+
+    /**
+     * The samples and NIBP results of the last `seconds` of trend time.
+     * @param {number} seconds Window length, e.g. TREND_WINDOWS["1h"].seconds.
+     * @param {number} [now=Date.now()] Wall-clock end of the window.
+     * @returns {{from: number, to: number, intervalMs: number, samples: object[], nibp: object[]}}
+     */
+    getWindow(seconds, now = Date.now()) {
+        const to = this.trendTime(now);
+        const from = to - seconds * 1000;
+        const inWindow = (entry) => entry.t >= from && entry.t <= to;
+        return {
+            from,
+            to,
+            intervalMs: this.intervalMs,
+            samples: this.samples.filter(inWindow),
+            nibp: this.nibp.filter(inWindow),
+        };
+    }
+}
+
+/**
+ * Tabular trend: one row per `stepS` (aligned to the clock) that has data, newest first. A row shows the last
+ * sample and the last NIBP result of its step.
+ * @param {{samples: object[], nibp: object[]}} trendWindow From TrendRecorder.getWindow().
+ * @param {number} stepS Row step, e.g. TREND_WINDOWS["15m"].tableStepS.
+ * @returns {Array<{t: number, hr: number|null, spo2: number|null, abpSys: number|null, abpDia: number|null,
+ *          abpMap: number|null, etco2Kpa: number|null, rr: number|null, tempC: number|null,
+ *          nibp: {sys: number|null, dia: number|null, map: number|null, error: string|null}|null}>}
+ *          Rows start at the beginning of their step; numerics are null where the step has no sample.
+ */
+export function buildTrendTable(trendWindow, stepS) {
+    const stepMs = stepS * 1000;
+    const rows = new Map();
+    const rowAt = (t) => {
+        const rowT = Math.floor(t / stepMs) * stepMs;
+        if (!rows.has(rowT)) rows.set(rowT, { t: rowT, ...Object.fromEntries(TREND_VITALS.map((key) => [key, null])), nibp: null });
+        return rows.get(rowT);
+    };
+    for (const sample of trendWindow.samples) {
+        const { t, ...vitals } = sample;
+        Object.assign(rowAt(t), vitals);
+    }
+    for (const result of trendWindow.nibp) {
+        const { t, ...nibp } = result;
+        rowAt(t).nibp = nibp;
+    }
+    return [...rows.values()].sort((a, b) => b.t - a.t);
+}
+
+/**
+ * Checks a synthetic patient history (scenario `history`, or set on the controller).
+ * @param {{hours: number, vitals?: Object<string, number|{from: number, to?: number, shape?: string}>}} history
+ *        Per TREND_HISTORY_VITALS key, the value `hours` ago (a number is short for { from }). `to` defaults to
+ *        the value when the history is applied, `shape` (TREND_HISTORY_SHAPES) to "linear".
+ * @returns {{hours: number, vitals: Object<string, {from: number, to?: number, shape: string}>}} A normalised copy.
+ * @throws {Error} If the hours or a curve are invalid.
+ */
+export function validateTrendHistory(history) {
+    if (!history || typeof history !== "object") throw new Error("History must be an object.");
+    const hours = Number(history.hours);
+    if (!(hours > 0 && hours <= TREND_MAX_HOURS)) throw new Error(`History hours must be above 0 and at most ${TREND_MAX_HOURS}.`);
+    const vitals = {};
+    for (const [key, curve] of Object.entries(history.vitals ?? {})) {
+        if (!(key in TREND_HISTORY_VITALS)) throw new Error(`History has an unknown vital '${key}'.`);
+        const { from, to, shape = "linear" } = typeof curve === "number" ? { from: curve } : (curve ?? {});
+        if (!Number.isFinite(from) || (to !== undefined && !Number.isFinite(to))) throw new Error(`History of '${key}' needs numeric values.`);
+        if (!TREND_HISTORY_SHAPES[shape]) throw new Error(`History of '${key}' has an unknown shape '${shape}'.`);
+        vitals[key] = to === undefined ? { from, shape } : { from, to, shape };
+    }
+    return { hours, vitals };
+}
+
+/**
+ * The trend values of a set of monitor params, the end values of a history.
+ * @param {object} params Monitor params (targetParams).
+ * @returns {Object<string, number|null>} Per TREND_HISTORY_VITALS key.
+ */
+export function trendValuesFromParams(params) {
+    const number = (value) => (Number.isFinite(value) ? value : null);
+    return {
+        hr: number(params?.ecg?.hr),
+        spo2: number(params?.spo2?.value),
+        abpSys: number(params?.abp?.sys),
+        abpDia: number(params?.abp?.dia),
+        etco2Kpa: number(params?.etco2?.valueKpa),
+        rr: number(params?.etco2?.rr),
+        tempC: number(params?.temp?.valueC),
+    };
+}
+
+/**
+ * Gives every numeric of a history a curve ending at its current value, so the history can be sent to monitors
+ * and drawn the same everywhere. Numerics without a curve stay flat.
+ * @param {object} history From validateTrendHistory().
+ * @param {Object<string, number|null>} endValues From trendValuesFromParams().
+ * @returns {{hours: number, vitals: Object<string, {from: number|null, to: number|null, shape: string}>}}
+ */
+export function resolveTrendHistory(history, endValues) {
+    const vitals = {};
+    for (const key of Object.keys(TREND_HISTORY_VITALS)) {
+        const curve = history.vitals?.[key];
+        const to = curve?.to ?? endValues[key] ?? null;
+        vitals[key] = { from: curve ? curve.from : to, to, shape: curve?.shape ?? "linear" };
+    }
+    return { hours: history.hours, vitals };
+}
+
+/**
+ * Trend samples of a resolved history, one per interval up to (not including) `end`.
+ * @param {object} history From resolveTrendHistory().
+ * @param {number} end Trend time the history leads up to (TrendRecorder.trendTime()).
+ * @param {object} [params] Effective params; hidden channels are gaps like in live samples.
+ * @param {number} [intervalS=TREND_INTERVAL_S]
+ * @returns {object[]} Samples for TrendRecorder.loadHistory().
+ */
+export function buildTrendHistory(history, end, params = {}, intervalS = TREND_INTERVAL_S) {
+    const intervalMs = intervalS * 1000;
+    const durationMs = history.hours * 3600 * 1000;
+    const valueAt = (key, f) => {
+        const curve = history.vitals[key];
+        if (!Number.isFinite(curve?.from) || !Number.isFinite(curve?.to)) return null;
+        const value = curve.from + (curve.to - curve.from) * (TREND_HISTORY_SHAPES[curve.shape] ?? TREND_HISTORY_SHAPES.linear)(f);
+        const scale = 10 ** TREND_HISTORY_VITALS[key];
+        return Math.round(value * scale) / scale;
+    };
+    const samples = [];
+    for (let t = end - Math.floor(durationMs / intervalMs) * intervalMs; t < end; t += intervalMs) {
+        const f = 1 - (end - t) / durationMs;
+        const sys = valueAt("abpSys", f);
+        const dia = valueAt("abpDia", f);
+        samples.push(_sample(t, {
+            hr: valueAt("hr", f),
+            spo2: valueAt("spo2", f),
+            abp: { sys, dia, map: sys !== null && dia !== null && sys > dia ? dia + (sys - dia) / 3 : null },
+            etco2Kpa: valueAt("etco2Kpa", f),
+            rr: valueAt("rr", f),
+            tempC: valueAt("tempC", f),
+        }, params));
+    }
+    return samples;
+}
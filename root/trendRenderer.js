@@ -0,0 +1,160 @@
+// trendRenderer.js - Graphical trends of the monitor's numerics, rendered as SVG
+// VERSION: Initial version. Draws a window from TrendRecorder.getWindow() as one panel per numeric (HR, SpO2,
+//          ABP with the NIBP results, ETCO2, RR, temperature) over a shared time axis.
+//
+// The SVG has no colours of its own for the traces: lines and NIBP marks carry classes (trend-line-*, trend-nibp)
+// that style.css colours with the monitor's --*-color variables, so the trends follow the colour settings.
+
+import { KPA_TO_MMHG, celsiusToFahrenheit } from "./config.js";
+
+const WIDTH = 1000;
+const LEFT = 78;          // panel labels and scale
+const RIGHT = 70;         // latest value
+const PANEL_HEIGHT = 86;
+const PANEL_GAP = 10;
+const AXIS_HEIGHT = 22;
+const GAP_INTERVALS = 3;  // a line breaks where samples are further apart than this many intervals
+
+const ETCO2_UNITS = {
+    kPa: { scale: 1, decimals: 1, min: 0, max: 8 },
+    mmHg: { scale: KPA_TO_MMHG, decimals: 0, min: 0, max: 60 },
+};
+
+function _panels(etco2Unit, tempUnit) {
+    const etco2 = ETCO2_UNITS[etco2Unit] ?? ETCO2_UNITS.kPa;
+    const fahrenheit = tempUnit === "F";
+    return [
+        { label: "HR", unit: "bpm", min: 0, max: 160, lines: [{ key: "hr", className: "trend-line-ecg" }] },
+        { label: "SpO2", unit: "%", min: 70, max: 100, lines: [{ key: "spo2", className: "trend-line-spo2" }] },
+        {
+            label: "ABP", unit: "mmHg", min: 0, max: 160, nibp: true,
+            lines: [
+                { key: "abpSys", className: "trend-line-abp" },
+                { key: "abpDia", className: "trend-line-abp" },
+                { key: "abpMap", className: "trend-line-abp trend-line-map", latest: true },
+            ],
+        },
+        {
+            label: "ETCO2", unit: etco2Unit === "mmHg" ? "mmHg" : "kPa", min: etco2.min, max: etco2.max, decimals: etco2.decimals,
+            lines: [{ key: "etco2Kpa", className: "trend-line-etco2", convert: (kpa) => kpa * etco2.scale }],
+        },
+        { label: "RR", unit: "/min", min: 0, max: 30, lines: [{ key: "rr", className: "trend-line-etco2" }] },
+        {
+            label: "TEMP", unit: fahrenheit ? "°F" : "°C", min: fahrenheit ? 95 : 35, max: fahrenheit ? 104 : 40, decimals: 1,
+            lines: [{ key: "tempC", className: "trend-line-temp", convert: fahrenheit ? celsiusToFahrenheit : undefined }],
+        },
+    ];
+}
+
+function _value(sample, line) {
+    const value = sample[line.key];
+    if (!Number.isFinite(value)) return null;
+    return line.convert ? line.convert(value) : value;
+}
+
+function _range(panel, samples) {
+    let min = panel.min;
+    let max = panel.max;
+    for (const line of panel.lines) {
+        for (const sample of samples) {
+            const value = _value(sample, line);
+            if (value === null) continue;
+            min = Math.min(min, Math.floor(value));
+            max = Math.max(max, Math.ceil(value));
+        }
+    }
+    return { min, max };
+}
+
+function _linePath(samples, line, x, y, maxGapMs) {
+    let d = "";
+    let previousT = null;
+    for (const sample of samples) {
+        const value = _value(sample, line);
+        if (value === null) {
+            previousT = null;
+            continue;
+        }
+        const command = previousT === null || sample.t - previousT > maxGapMs ? "M" : "L";
+        d += `${command}${x(sample.t).toFixed(1)},${y(value).toFixed(1)}`;
+        previousT = sample.t;
+    }
+    return d;
+}
+
+function _defaultFormatTime(t) {
+    return new Date(t).toTimeString().slice(0, 5);
+}
+
+/**
+ * Draws a trend window as graphs.
+ * @param {{from: number, to: number, intervalMs: number, samples: object[], nibp: object[]}} trendWindow
+ *        From TrendRecorder.getWindow().
+ * @param {object} [options]
+ * @param {number} [options.tickS=300] Time label spacing (TREND_WINDOWS[...].tickS).
+ * @param {"kPa"|"mmHg"} [options.etco2Unit="kPa"]
+ * @param {"C"|"F"} [options.tempUnit="C"]
+ * @param {(t: number) => string} [options.formatTime] Time label text (default local HH:MM).
+ * @returns {string} SVG element (viewBox units, scales to its container's width).
+ */
+export function renderTrendSvg(trendWindow, options = {}) {
+    const { tickS = 300, etco2Unit = "kPa", tempUnit = "C", formatTime = _defaultFormatTime } = options;
+    const { from, to, samples, nibp } = trendWindow;
+    const panels = _panels(etco2Unit, tempUnit);
+    const height = panels.length * (PANEL_HEIGHT + PANEL_GAP) + AXIS_HEIGHT;
+    const plotWidth = WIDTH - LEFT - RIGHT;
+    const x = (t) => LEFT + ((t - from) / Math.max(1, to - from)) * plotWidth;
+    const maxGapMs = GAP_INTERVALS * trendWindow.intervalMs;
+    const latest = samples[samples.length - 1] ?? null;
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" class="trend-svg" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="Trends">`);
+
+    // Time grid
+    const tickMs = tickS * 1000;
+    const axisY = panels.length * (PANEL_HEIGHT + PANEL_GAP);
+    for (let t = Math.ceil(from / tickMs) * tickMs; t <= to; t += tickMs) {
+        const tickX = x(t).toFixed(1);
+        parts.push(`<path class="trend-grid" d="M${tickX},0V${axisY - PANEL_GAP}"/>`);
+        parts.push(`<text class="trend-text" x="${tickX}" y="${axisY + 12}" font-size="13" text-anchor="middle">${formatTime(t)}</text>`);
+    }
+
+    panels.forEach((panel, index) => {
+        const top = index * (PANEL_HEIGHT + PANEL_GAP);
+        const { min, max } = _range(panel, samples);
+        const y = (value) => top + PANEL_HEIGHT - ((value - min) / (max - min)) * PANEL_HEIGHT;
+        const decimals = panel.decimals ?? 0;
+
+        parts.push(`<rect class="trend-panel" x="${LEFT}" y="${top}" width="${plotWidth}" height="${PANEL_HEIGHT}"/>`);
+        parts.push(`<text class="trend-text trend-label" x="6" y="${top + 16}" font-size="15">${panel.label}</text>`);
+        parts.push(`<text class="trend-text" x="6" y="${top + 32}" font-size="12">${panel.unit}</text>`);
+        parts.push(`<text class="trend-text" x="${LEFT - 6}" y="${top + 11}" font-size="12" text-anchor="end">${max}</text>`);
+        parts.push(`<text class="trend-text" x="${LEFT - 6}" y="${top + PANEL_HEIGHT}" font-size="12" text-anchor="end">${min}</text>`);
+
+        for (const line of panel.lines) {
+            const d = _linePath(samples, line, x, y, maxGapMs);
+            if (d) parts.push(`<path class="trend-line ${line.className}" d="${d}"/>`);
+        }
+
+        if (panel.nibp) {
+            for (const result of nibp) {
+                if (!Number.isFinite(result.sys) || !Number.isFinite(result.dia)) continue;
+                const nibpX = x(result.t);
+                const sysY = y(result.sys).toFixed(1);
+                const diaY = y(result.dia).toFixed(1);
+                // Systolic and diastolic joined like the bar of a printed NIBP trend
+                parts.push(`<path class="trend-nibp" d="M${nibpX.toFixed(1)},${sysY}V${diaY}` +
+                    `M${(nibpX - 4).toFixed(1)},${sysY}h8M${(nibpX - 4).toFixed(1)},${diaY}h8"/>`);
+            }
+        }
+
+        // Latest value beside the panel (MAP for the ABP panel)
+        const latestLine = panel.lines.find((line) => line.latest) ?? panel.lines[0];
+        const latestValue = latest ? _value(latest, latestLine) : null;
+        const latestText = latestValue === null ? "--" : latestValue.toFixed(decimals);
+        parts.push(`<text class="trend-value ${latestLine.className}" x="${WIDTH - 6}" y="${top + PANEL_HEIGHT / 2 + 9}" font-size="26" text-anchor="end">${latestText}</text>`);
+    });
+
+    parts.push("</svg>");
+    return parts.join("");
+}
@@ -0,0 +1,293 @@
+// twelveLeadRenderer.js - 12-lead ECG snapshot (3x4 layout + lead II rhythm strip) rendered as SVG
+// VERSION: Initial version. Records 10 s of all 12 leads from the current ECG parameters using the
+//          ecgGenerators and the per-lead model, draws them on ECG paper (25 mm/s, 10 mm/mV) and
+//          exports the result as SVG or PNG.
+//          + Recordings draw from their own seeded random stream (options.seed); every lead of a sample
+//            uses the same draws, and the live monitor's stream is left where it was.
+
+import { SAMPLE_RATE } from "./config.js";
+import { ensureFinite, generateNoise } from "./waveformUtils.js";
+import * as ecgGenerators from "./ecgGenerators/index.js";
+import { random, deriveSeed, getRandomSeed, getRandomState, setRandomState, setRandomSeed } from "./random.js";
+import { downloadBlob } from "./fileDownload.js";
+
+// Standard 3x4 layout; each column shows 2.5 s of the same 10 s recording.
+export const TWELVE_LEAD_LAYOUT = [
+    ['I', 'aVR', 'V1', 'V4'],
+    ['II', 'aVL', 'V2', 'V5'],
+    ['III', 'aVF', 'V3', 'V6'],
+];
+const RHYTHM_STRIP_LEAD = 'II';
+const RECORD_SECONDS = 10;
+const PAPER_SPEED_MM_PER_S = 25;
+const GAIN_MM_PER_MV = 10;
+
+// Paper geometry (mm)
+const LEFT_MARGIN_MM = 10;   // room for the calibration pulse
+const RIGHT_MARGIN_MM = 5;
+const HEADER_MM = 12;
+const FOOTER_MM = 6;
+const ROW_HEIGHT_MM = 35;
+const TRACE_LIMIT_MV = ROW_HEIGHT_MM / GAIN_MM_PER_MV; // clip so a row never draws into the header/footer
+const DEFAULT_PNG_PX_PER_MM = 8;
+const FALLBACK_BEAT_INTERVAL = 2.0;
+
+const _cloneState = (state) => JSON.parse(JSON.stringify(state || {}));
+
+/**
+ * Beat clock for the beat-driven generators (pqrst, paced), including the ectopy layer.
+ * Mirrors _calculateNextBeatTime in script.js.
+ */
+function _createBeatClock(ecgSrc, params) {
+    const isFixedRate = (params.isPEA ?? false) || ecgSrc.rhythm === 'vt_pulseless';
+    const rate = Math.max(0, ensureFinite(isFixedRate ? params.baseHR : ecgSrc.hr, 0));
+    const baseInterval = rate > 0 ? 60.0 / rate : Infinity;
+    const useEctopy = baseInterval < Infinity && ecgGenerators.isEctopyApplicable(ecgSrc.ectopy, params);
+    const cycleDuration = rate > 0 ? baseInterval : FALLBACK_BEAT_INTERVAL;
+
+    const clock = {
+        cycleDuration,
+        lastBeatTime: -Infinity,
+        nextBeatTime: Infinity,
+        currentBeat: ecgGenerators.SINUS_BEAT,
+        upcomingBeat: ecgGenerators.SINUS_BEAT,
+        ectopyState: ecgGenerators.createEctopyState(),
+        upcomingEctopyState: null,
+    };
+    const planNext = () => {
+        let interval = baseInterval;
+        const irreg = params.irregular ?? 0;
+        if (interval < Infinity && irreg > 0 && irreg <= 1) interval *= 1.0 + (random() - 0.5) * 2 * irreg;
+        if (useEctopy) {
+            const plan = ecgGenerators.planNextBeat(ecgSrc.ectopy, clock.ectopyState, interval, params);
+            interval = plan.interval;
+            clock.upcomingBeat = plan.beat;
+            clock.upcomingEctopyState = plan.state;
+        } else {
+            clock.upcomingBeat = ecgGenerators.SINUS_BEAT;
+            clock.upcomingEctopyState = clock.ectopyState;
+        }
+        clock.nextBeatTime = interval < Infinity ? clock.lastBeatTime + Math.max(0.1, interval) : Infinity;
+    };
+    clock.advanceTo = (t) => {
+        while (t >= clock.nextBeatTime) {
+            clock.lastBeatTime = clock.nextBeatTime;
+            clock.currentBeat = clock.upcomingBeat;
+            clock.ectopyState = clock.upcomingEctopyState;
+            planNext();
+        }
+    };
+    if (baseInterval < Infinity) {
+        // Start the recording at a random point of the cardiac cycle, as a real 12-lead would.
+        clock.lastBeatTime = -random() * baseInterval;
+        planNext();
+    }
+    return clock;
+}
+
+/**
+ * Records all 12 leads of the given ECG source. Every lead is drawn from the same beat clock and
+ * generator state, so the leads are simultaneous like a real 12-lead acquisition.
+ * @param {object} ecgSrc ECG parameters as in params.ecg ({ rhythm, hr, params, ectopy }).
+ * @param {object} [options] { seconds = 10, sampleRate = SAMPLE_RATE, seed } - seed defaults to one derived
+ *   from the session seed and the rhythm, so the same rhythm gives the same recording.
+ * @returns {{seconds: number, sampleRate: number, leads: Object<string, number[]>}} Samples in mV per lead.
+ */
+export function recordTwelveLead(ecgSrc, options = {}) {
+    const seconds = options.seconds ?? RECORD_SECONDS;
+    const sampleRate = options.sampleRate ?? SAMPLE_RATE;
+    const sampleCount = Math.round(seconds * sampleRate);
+    const leads = {};
+    ecgGenerators.ECG_LEADS.forEach(lead => { leads[lead] = new Array(sampleCount).fill(0); });
+
+    const params = ecgSrc?.params;
+    if (!params) return { seconds, sampleRate, leads };
+
+    const liveRandomState = getRandomState();
+    const liveSeed = getRandomSeed();
+    setRandomSeed(options.seed ?? deriveSeed(liveSeed, '12-lead', ecgSrc.rhythm));
+
+    const generatorType = params.generatorType;
+    const noiseAmp = params.noise_amp ?? 0.015;
+    const beatDriven = generatorType === 'pqrst' || generatorType === 'paced';
+    const clock = beatDriven ? _createBeatClock(ecgSrc, params) : null;
+    const compressionInterval = Math.max(0.1, 60.0 / Math.max(1, ensureFinite(params.artifact_freq, 110)));
+    let state = {};
+
+    for (let i = 0; i < sampleCount; i++) {
+        const t = i / sampleRate;
+        if (clock) clock.advanceTo(t);
+        let nextState = state;
+        const sampleRandomState = getRandomState();
+        let nextRandomState = sampleRandomState;
+
+        for (const lead of ecgGenerators.ECG_LEADS) {
+            setRandomState(sampleRandomState);
+            const leadParams = ecgGenerators.getLeadParams(params, lead);
+            let value = 0;
+            if (beatDriven) {
+                const sinceBeat = t - clock.lastBeatTime;
+                if (Number.isFinite(sinceBeat) && sinceBeat >= 0 && sinceBeat < clock.cycleDuration * 1.5) {
+                    const beatParams = clock.currentBeat?.params
+                        ? ecgGenerators.getLeadParams(clock.currentBeat.params, lead)
+                        : leadParams;
+                    value = generatorType === 'paced'
+                        ? ecgGenerators.generatePaced(sinceBeat, beatParams)
+                        : ecgGenerators.generatePQRST(sinceBeat, beatParams);
+                }
+                value += generateNoise(noiseAmp);
+            } else if (generatorType === 'avBlock' || generatorType === 'flutter' || generatorType === 'torsades') {
+                const generate = generatorType === 'avBlock' ? ecgGenerators.generateAVBlock
+                    : generatorType === 'flutter' ? ecgGenerators.generateFlutter
+                    : ecgGenerators.generateTorsades;
+                const result = generate(t, leadParams, _cloneState(state));
+                value = result.value;
+                if (lead === RHYTHM_STRIP_LEAD) nextState = result.state;
+            } else if (generatorType === 'chaotic') {
+                const leadState = _cloneState(state);
+                value = ecgGenerators.generateChaotic(leadParams, leadState);
+                if (lead === RHYTHM_STRIP_LEAD) nextState = leadState;
+            } else if (generatorType === 'artifact' && params.artifactType === 'cpr') {
+                value = ecgGenerators.generateArtifact(t % compressionInterval, leadParams);
+            } else {
+                value = generateNoise(noiseAmp);
+            }
+            leads[lead][i] = ensureFinite(value, 0);
+            if (lead === RHYTHM_STRIP_LEAD) nextRandomState = getRandomState();
+        }
+        state = nextState;
+        setRandomState(nextRandomState);
+    }
+    setRandomSeed(liveSeed);
+    setRandomState(liveRandomState);
+    return { seconds, sampleRate, leads };
+}
+
+function _escapeXml(text) {
+    return String(text ?? '').replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+function _tracePath(samples, sampleRate, fromSecond, toSecond, x0, baselineY) {
+    const first = Math.max(0, Math.floor(fromSecond * sampleRate));
+    const last = Math.min(samples.length - 1, Math.ceil(toSecond * sampleRate) - 1);
+    let d = '';
+    for (let i = first; i <= last; i++) {
+        const mv = Math.max(-TRACE_LIMIT_MV, Math.min(TRACE_LIMIT_MV, samples[i]));
+        const x = x0 + (i / sampleRate - fromSecond) * PAPER_SPEED_MM_PER_S;
+        const y = baselineY - mv * GAIN_MM_PER_MV;
+        d += `${i === first ? 'M' : 'L'}${x.toFixed(2)},${y.toFixed(2)}`;
+    }
+    return d;
+}
+
+function _calibrationPulse(baselineY) {
+    // 1 mV x 0.2 s standardisation pulse
+    return `M2,${baselineY} h1 v${-GAIN_MM_PER_MV} h${0.2 * PAPER_SPEED_MM_PER_S} v${GAIN_MM_PER_MV} h1`;
+}
+
+/**
+ * Draws a recording from recordTwelveLead as ECG paper.
+ * @param {object} recording Result of recordTwelveLead (10 s expected).
+ * @param {object} [info] Header text: { title, hr, timestamp }.
+ * @returns {string} Standalone SVG document (dimensions in mm).
+ */
+export function renderTwelveLeadSvg(recording, info = {}) {
+    const { sampleRate, leads } = recording;
+    const seconds = recording.seconds ?? RECORD_SECONDS;
+    const columnSeconds = seconds / TWELVE_LEAD_LAYOUT[0].length;
+    const columnWidth = columnSeconds * PAPER_SPEED_MM_PER_S;
+    const traceWidth = seconds * PAPER_SPEED_MM_PER_S;
+    const rowCount = TWELVE_LEAD_LAYOUT.length + 1;
+    const width = LEFT_MARGIN_MM + traceWidth + RIGHT_MARGIN_MM;
+    const height = HEADER_MM + rowCount * ROW_HEIGHT_MM + FOOTER_MM;
+    const gridTop = HEADER_MM;
+    const gridHeight = rowCount * ROW_HEIGHT_MM;
+
+    const parts = [];
+    parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`);
+    parts.push(`<defs><pattern id="ecg-grid" x="0" y="${gridTop}" width="5" height="5" patternUnits="userSpaceOnUse">` +
+        `<path d="M1,0V5M2,0V5M3,0V5M4,0V5M0,1H5M0,2H5M0,3H5M0,4H5" stroke="#f5c6c6" stroke-width="0.1" fill="none"/>` +
+        `<path d="M0,0H5M0,0V5" stroke="#e08a8a" stroke-width="0.25" fill="none"/></pattern></defs>`);
+    parts.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`);
+    parts.push(`<rect x="0" y="${gridTop}" width="${width}" height="${gridHeight}" fill="url(#ecg-grid)"/>`);
+
+    const fontStyle = 'font-family="Helvetica, Arial, sans-serif" fill="#000000"';
+    const title = info.title ? _escapeXml(info.title) : '12-lead ECG';
+    const hrText = Number.isFinite(info.hr) ? `  HR ${Math.round(info.hr)} bpm` : '';
+    parts.push(`<text x="${LEFT_MARGIN_MM}" y="7" font-size="4.2" ${fontStyle}>${title}${_escapeXml(hrText)}</text>`);
+    parts.push(`<text x="${width - RIGHT_MARGIN_MM}" y="7" font-size="3.2" text-anchor="end" ${fontStyle}>` +
+        `${PAPER_SPEED_MM_PER_S} mm/s  ${GAIN_MM_PER_MV} mm/mV${info.timestamp ? '  ' + _escapeXml(info.timestamp) : ''}</text>`);
+
+    const traceStyle = 'fill="none" stroke="#000000" stroke-width="0.3" stroke-linejoin="round" stroke-linecap="round"';
+    const drawRow = (rowIndex, rowLeads, rowColumnSeconds) => {
+        const baselineY = gridTop + rowIndex * ROW_HEIGHT_MM + ROW_HEIGHT_MM / 2;
+        parts.push(`<path d="${_calibrationPulse(baselineY)}" ${traceStyle}/>`);
+        rowLeads.forEach((lead, col) => {
+            const from = col * rowColumnSeconds;
+            const x0 = LEFT_MARGIN_MM + from * PAPER_SPEED_MM_PER_S;
+            const samples = leads[lead] || [];
+            parts.push(`<path d="${_tracePath(samples, sampleRate, from, from + rowColumnSeconds, x0, baselineY)}" ${traceStyle}/>`);
+            parts.push(`<text x="${x0 + 1}" y="${baselineY - ROW_HEIGHT_MM / 2 + 5}" font-size="3.5" ${fontStyle}>${lead}</text>`);
+            if (col > 0) {
+                // Lead change marker
+                parts.push(`<path d="M${x0},${baselineY - 3}V${baselineY + 3}" stroke="#000000" stroke-width="0.3"/>`);
+            }
+        });
+    };
+    TWELVE_LEAD_LAYOUT.forEach((row, rowIndex) => drawRow(rowIndex, row, columnSeconds));
+    drawRow(TWELVE_LEAD_LAYOUT.length, [RHYTHM_STRIP_LEAD], seconds);
+
+    parts.push(`<text x="${LEFT_MARGIN_MM}" y="${height - 2}" font-size="2.8" fill="#666666" font-family="Helvetica, Arial, sans-serif">` +
+        `Simulated ECG - for training use only</text>`);
+    parts.push('</svg>');
+    return parts.join('');
+}
+
+/**
+ * Downloads the SVG document as a file.
+ * @param {string} svgText Output of renderTwelveLeadSvg.
+ * @param {string} fileName File name including .svg.
+ */
+export function exportTwelveLeadSvg(svgText, fileName) {
+    downloadBlob(new Blob([svgText], { type: 'image/svg+xml' }), fileName);
+}
+
+/**
+ * Rasterises the SVG document and downloads it as PNG.
+ * @param {string} svgText Output of renderTwelveLeadSvg.
+ * @param {string} fileName File name including .png.
+ * @param {number} [pxPerMm] Resolution; 8 px/mm is roughly 200 dpi.
+ * @returns {Promise<void>} Resolves when the download has been triggered.
+ */
+export function exportTwelveLeadPng(svgText, fileName, pxPerMm = DEFAULT_PNG_PX_PER_MM) {
+    return new Promise((resolve, reject) => {
+        const viewBox = /viewBox="0 0 ([\d.]+) ([\d.]+)"/.exec(svgText);
+        if (!viewBox) { reject(new Error('SVG has no viewBox.')); return; }
+        const widthPx = Math.round(parseFloat(viewBox[1]) * pxPerMm);
+        const heightPx = Math.round(parseFloat(viewBox[2]) * pxPerMm);
+        const svgUrl = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = widthPx;
+                canvas.height = heightPx;
+                const ctx = canvas.getContext('2d');
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, widthPx, heightPx);
+                ctx.drawImage(image, 0, 0, widthPx, heightPx);
+                URL.revokeObjectURL(svgUrl);
+                canvas.toBlob(blob => {
+                    if (!blob) { reject(new Error('PNG encoding failed.')); return; }
+                    downloadBlob(blob, fileName);
+                    resolve();
+                }, 'image/png');
+            } catch (e) {
+                URL.revokeObjectURL(svgUrl);
+                reject(e);
+            }
+        };
+        image.onerror = () => { URL.revokeObjectURL(svgUrl); reject(new Error('Could not load SVG for PNG export.')); };
+        image.src = svgUrl;
+    });
+}
@@ -1,14 +1,29 @@
 // uiUpdater.js - UI Update Helper Functions
 // VERSION: Throttled numeric display updates. Added color update function with chart refresh.
+//          Flutter rhythms count as pulse-generating.
+//          Second ECG channel follows the ECG color.
+//          Rhythm label falls back to params.displayName for rhythms not in the selector (TCP capture).
+//          Alarm limits shown beside each numeric (high over low, OFF when switched off).
+//          Faulted sensors (params.faults) show dashes and their technical alarm message over the waveform.
+//          NIBP tile shows the cycle (nibpCycle.js): mode, next automatic measurement, cuff pressure, failures;
+//          the controller's NIBP section lists the history.
+//          Trend view (trendRecorder.js / trendRenderer.js): graphs or table of the last 15 min / 1 h / 4 h in place
+//          of the waveforms.
+//          Trend view shows the time scale of time-compressed trends.
+//          NIBP cuff pressure and countdown run on this device's clock (nibpStatusAt), not the controller's.
 
 import {
     KPA_TO_MMHG,
     DEFAULT_TEMP_C,
     celsiusToFahrenheit,
     DEFAULT_ETCO2_KPA,
-    NUMERIC_DISPLAY_UPDATE_INTERVAL_MS
+    NUMERIC_DISPLAY_UPDATE_INTERVAL_MS,
+    resolveAlarmThresholds
 } from "./config.js";
 import { ensureFinite } from "./waveformUtils.js";
+import { NIBP_MODES, NIBP_ERRORS, nibpCuffPressure } from "./nibpCycle.js";
+import { TREND_WINDOWS, DEFAULT_TREND_WINDOW, buildTrendTable } from "./trendRecorder.js";
+import { renderTrendSvg } from "./trendRenderer.js";
 
 // --- Tilamuuttujat päivityksen rajoittamiseen ---
 let lastNumericUpdateTimes = {
@@ -26,7 +41,7 @@ function getPulseStatus(currentParams) {
     const isArtifact = ecgParams.isArtifact ?? false;
     const isCprArtifact = isArtifact && ecgParams.artifactType === 'cpr';
     const ecgGeneratesPulse = (
-        ((ecgGeneratorType === 'pqrst' || ecgGeneratorType === 'avBlock' || ecgGeneratorType === 'paced') && !isPEA) ||
+        ((ecgGeneratorType === 'pqrst' || ecgGeneratorType === 'avBlock' || ecgGeneratorType === 'flutter' || ecgGeneratorType === 'paced') && !isPEA) ||
         (!ecgGeneratorType && !(isFlat || isChaotic || isPEA || isArtifact))
     );
     const hasPulse = ecgGeneratesPulse || isCprArtifact;
@@ -94,7 +109,11 @@ export function updateMonitorVisibility(monitorElements, currentParams) {
     }
 }
 
-export function updateVitalsDisplay(currentParams) {
+/**
+ * @param {object} currentParams Effective params.
+ * @param {object|null} [nibpStatus] nibpStatusAt() of the last nibpData (nibpCycle.js).
+ */
+export function updateVitalsDisplay(currentParams, nibpStatus = null) {
     const ecgSrc = currentParams.ecg;
     const spo2Src = currentParams.spo2;
     const abpSrc = currentParams.abp;
@@ -103,12 +122,76 @@ export function updateVitalsDisplay(currentParams) {
     const nibpSrc = currentParams.nibp;
     const currentTime = performance.now();
 
-    _updateEcgDisplay(ecgSrc, currentTime);
-    _updateSpo2Display(spo2Src, ecgSrc, currentTime);
-    _updateAbpDisplay(abpSrc, ecgSrc, currentTime);
-    _updateEtco2Display(etco2Src, currentTime);
-    _updateNibpDisplay(nibpSrc, currentTime);
+    const faults = currentParams.faults || {};
+
+    if (!faults.leads_off) _updateEcgDisplay(ecgSrc, currentTime);
+    if (!faults.spo2_probe_off) _updateSpo2Display(spo2Src, ecgSrc, currentTime);
+    if (!faults.abp_transducer) _updateAbpDisplay(abpSrc, ecgSrc, currentTime);
+    if (!faults.etco2_line) _updateEtco2Display(etco2Src, currentTime);
+    _updateNibpDisplay(nibpSrc, nibpStatus, currentTime);
     _updateTempDisplay(tempSrc, currentTime);
+    _updateSensorFaultDisplays(faults);
+    _updateAlarmLimitsDisplay(currentParams);
+}
+
+// Per sensor fault: the overlays showing its message and the numerics shown as dashes meanwhile ([id, text]).
+// A cuff fault leaves the last NIBP reading on the screen.
+const SENSOR_FAULT_DISPLAYS = {
+    leads_off: { overlays: ["ecg-fault-overlay", "ecg2-fault-overlay"], numerics: [["hr-value", "--"]] },
+    spo2_probe_off: { overlays: ["spo2-fault-overlay"], numerics: [["spo2-value", "--"], ["spo2-pr-label", "PR: --"]] },
+    nibp_cuff: { overlays: ["nibp-fault-overlay"], numerics: [] },
+    abp_transducer: { overlays: ["abp-fault-overlay"], numerics: [["abp-sys-value", "--"], ["abp-dia-value", "--"], ["abp-mean-value", "--"]] },
+    etco2_line: { overlays: ["etco2-fault-overlay"], numerics: [["etco2-value", "--"], ["resp-rate-label", "RR: --"]] },
+};
+
+function _updateSensorFaultDisplays(faults) {
+    Object.entries(SENSOR_FAULT_DISPLAYS).forEach(([faultKey, display]) => {
+        const faulted = !!faults[faultKey];
+        display.overlays.forEach(id => document.getElementById(id)?.classList.toggle("d-none", !faulted));
+        if (!faulted) return;
+        display.numerics.forEach(([id, text]) => {
+            const el = document.getElementById(id);
+            if (el && el.textContent !== text) el.textContent = text;
+        });
+    });
+}
+
+// Limits beside each numeric: [category, limit key, alarm key] of the high and low limit. Pressures show systolic.
+const ALARM_LIMIT_DISPLAYS = [
+    { id: "hr-alarm-limits", high: ["ecg", "high", "high_hr"], low: ["ecg", "low", "low_hr"] },
+    { id: "spo2-alarm-limits", high: ["spo2", "high", "high_spo2"], low: ["spo2", "low", "low_spo2"] },
+    { id: "abp-alarm-limits", high: ["abp", "high_sys", "high_abp_sys"], low: ["abp", "low_sys", "low_abp_sys"] },
+    { id: "etco2-alarm-limits", high: ["etco2", "high", "high_etco2"], low: ["etco2", "low", "low_etco2"], unit: "etco2" },
+    { id: "rr-alarm-limits", high: ["rr", "high", "high_rr"], low: ["rr", "low", "low_rr"] },
+    { id: "nibp-alarm-limits", high: ["nibp", "high_sys", "high_nibp_sys"], low: ["nibp", "low_sys", "low_nibp_sys"] },
+    { id: "temp-alarm-limits", high: ["temp", "high", "high_temp"], low: ["temp", "low", "low_temp"], unit: "temp" },
+];
+let lastAlarmLimitsSignature = null;
+
+function _updateAlarmLimitsDisplay(currentParams) {
+    const thresholds = resolveAlarmThresholds(currentParams.alarms);
+    const formatLimit = (display, [category, key, alarmKey]) => {
+        const value = thresholds[category][key];
+        if (thresholds.enabled[alarmKey] === false || !Number.isFinite(value)) return "OFF";
+        if (display.unit === "etco2") return currentParams.etco2?.unitPref === "mmHg" ? String(Math.round(value * KPA_TO_MMHG)) : value.toFixed(1);
+        if (display.unit === "temp") return (currentParams.temp?.unitPref === "F" ? celsiusToFahrenheit(value) : value).toFixed(1);
+        return String(Math.round(value));
+    };
+    const texts = ALARM_LIMIT_DISPLAYS.map(display => [formatLimit(display, display.high), formatLimit(display, display.low)]);
+    const signature = texts.join(";");
+    if (signature === lastAlarmLimitsSignature) return;
+    lastAlarmLimitsSignature = signature;
+    ALARM_LIMIT_DISPLAYS.forEach((display, i) => {
+        const el = document.getElementById(display.id);
+        if (!el) return;
+        el.replaceChildren(...texts[i].map((text, j) => {
+            const span = document.createElement("span");
+            span.className = j === 0 ? "alarm-limit-high" : "alarm-limit-low";
+            span.classList.toggle("alarm-limit-off", text === "OFF");
+            span.textContent = text;
+            return span;
+        }));
+    });
 }
 
 function _updateEcgDisplay(ecgSrc, currentTime) {
@@ -121,7 +204,7 @@ function _updateEcgDisplay(ecgSrc, currentTime) {
   }
   if (rhyEl) {
       if (!ecgSrc.params) { rhyEl.textContent = 'N/A'; }
-      else { const opt = document.querySelector(`#ecg-rhythm-select option[value="${ecgSrc.rhythm}"]`); const newRhythmText = opt ? opt.textContent : ecgSrc.rhythm; if (rhyEl.textContent !== newRhythmText) { rhyEl.textContent = newRhythmText; } }
+      else { const opt = document.querySelector(`#ecg-rhythm-select option[value="${ecgSrc.rhythm}"]`); const newRhythmText = opt ? opt.textContent : (ecgSrc.params.displayName ?? ecgSrc.rhythm); if (rhyEl.textContent !== newRhythmText) { rhyEl.textContent = newRhythmText; } }
   }
 }
 
@@ -171,9 +254,10 @@ function _updateEtco2Display(etco2Src, currentTime) {
     if (rrEl && _shouldUpdateNumeric('rr', currentTime)) { const displayRR = Math.round(ensureFinite(etco2Src.rr, 0)); const newRrText = `RR: ${displayRR}`; if (rrEl.textContent !== newRrText) { rrEl.textContent = newRrText; } }
 }
 
-function _updateNibpDisplay(nibpSrc, currentTime) {
+function _updateNibpDisplay(nibpSrc, nibpStatus, currentTime) {
     if (!nibpSrc?.visible) return;
     if (_shouldUpdateNumeric('nibp', currentTime)) {
+        _updateNibpCycleDisplay(nibpStatus);
         const sysEl = document.getElementById("nibp-sys-value"); const diaEl = document.getElementById("nibp-dia-value"); const meanEl = document.getElementById("nibp-mean-value"); const timeEl = document.getElementById("nibp-time-label");
         if (sysEl && diaEl && meanEl && timeEl) { let sys='--', dia='--', map='--', time='Last: --:--';
             if (nibpSrc.sys !== null && nibpSrc.dia !== null && Number.isFinite(nibpSrc.sys) && Number.isFinite(nibpSrc.dia)) { sys = Math.round(nibpSrc.sys); dia = Math.round(nibpSrc.dia); map = (nibpSrc.map !== null && Number.isFinite(nibpSrc.map)) ? Math.round(nibpSrc.map) : '--'; }
@@ -183,6 +267,54 @@ function _updateNibpDisplay(nibpSrc, currentTime) {
     }
 }
 
+// A measurement whose result never arrived (controller closed) stops showing after this
+const NIBP_RESULT_WAIT_S = 30;
+let lastNibpHistorySignature = null;
+
+function _updateNibpCycleDisplay(nibpStatus) {
+    const mode = NIBP_MODES[nibpStatus?.mode] ? nibpStatus.mode : "manual";
+    const measuring = nibpStatus?.measuring;
+    const elapsedS = measuring ? Math.max(0, (Date.now() - measuring.startedAtMs) / 1000) : 0;
+    const isMeasuring = !!measuring && elapsedS < measuring.durationS + NIBP_RESULT_WAIT_S;
+
+    const modeEl = document.getElementById("nibp-mode-label");
+    if (modeEl) {
+        const untilNextS = Number.isFinite(nibpStatus?.nextAtMs) && !isMeasuring ? Math.max(0, Math.ceil((nibpStatus.nextAtMs - Date.now()) / 1000)) : null;
+        const modeText = NIBP_MODES[mode].label + (untilNextS !== null ? ` ${Math.floor(untilNextS / 60)}:${String(untilNextS % 60).padStart(2, '0')}` : '');
+        if (modeEl.textContent !== modeText) modeEl.textContent = modeText;
+    }
+    const statusEl = document.getElementById("nibp-status-label");
+    if (statusEl) {
+        const failed = !isMeasuring && !!NIBP_ERRORS[nibpStatus?.error];
+        const statusText = isMeasuring ? `Cuff ${Math.round(nibpCuffPressure(measuring, elapsedS))} mmHg` : failed ? NIBP_ERRORS[nibpStatus.error] : '';
+        if (statusEl.textContent !== statusText) statusEl.textContent = statusText;
+        statusEl.classList.toggle("nibp-failed", failed);
+    }
+    document.querySelector("#nibp-container .nibp-numeric")?.classList.toggle("nibp-measuring", isMeasuring);
+    const modeSelect = document.getElementById("nibp-mode-select");
+    if (modeSelect && modeSelect.value !== mode) modeSelect.value = mode;
+    _updateNibpHistory(nibpStatus?.history ?? []);
+}
+
+function _updateNibpHistory(history) {
+    const listEl = document.getElementById("nibp-history-list");
+    const signature = JSON.stringify(history);
+    if (!listEl || signature === lastNibpHistorySignature) return;
+    lastNibpHistorySignature = signature;
+    listEl.replaceChildren(...history.map(entry => {
+        const item = document.createElement("li");
+        const time = document.createElement("span");
+        const t = entry.timestamp ? new Date(entry.timestamp) : null;
+        time.textContent = t ? `${t.getHours().toString().padStart(2, '0')}:${t.getMinutes().toString().padStart(2, '0')}:${t.getSeconds().toString().padStart(2, '0')}` : '--:--';
+        const value = document.createElement("span");
+        const hasReading = Number.isFinite(entry.sys) && Number.isFinite(entry.dia);
+        value.textContent = hasReading ? `${entry.sys}/${entry.dia} (${Number.isFinite(entry.map) ? entry.map : '--'})` : (NIBP_ERRORS[entry.error] ?? "NO READING");
+        if (!hasReading) value.className = "nibp-failed";
+        item.replaceChildren(time, value);
+        return item;
+    }));
+}
+
 function _updateTempDisplay(tempSrc, currentTime) {
     if (!tempSrc?.visible) return;
     const valEl = document.getElementById("temp-value"); const unitEl = document.getElementById("temp-unit");
@@ -193,6 +325,87 @@ function _updateTempDisplay(tempSrc, currentTime) {
     }
 }
 
+// --- Trend view ---
+function _formatClock(t) {
+    const d = new Date(t);
+    return `${d.getHours().toString().padStart(2, '0')}:${d.getMinutes().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Shows the trend screen in place of the waveforms (or hides it) and draws the selected window.
+ * @param {TrendRecorder} trends
+ * @param {{open: boolean, window: string, display: "graph"|"table"}} view
+ * @param {object} [currentParams] For the ETCO2 and temperature units.
+ */
+export function updateTrendView(trends, view, currentParams = {}) {
+    const trendViewEl = document.getElementById("trend-view");
+    if (!trendViewEl) return;
+    document.getElementById("monitor-wrapper-fullscreen-target")?.classList.toggle("trends-open", view.open);
+    trendViewEl.classList.toggle("d-none", !view.open);
+    document.getElementById("trend-view-button")?.classList.toggle("active", view.open);
+    document.querySelectorAll("[data-trend-window]").forEach(btn => btn.classList.toggle("active", btn.dataset.trendWindow === view.window));
+    document.querySelectorAll("[data-trend-display]").forEach(btn => btn.classList.toggle("active", btn.dataset.trendDisplay === view.display));
+    const timeScaleEl = document.getElementById("trend-time-scale");
+    if (timeScaleEl) {
+        timeScaleEl.textContent = `TIME ×${trends.timeScale}`;
+        timeScaleEl.classList.toggle("d-none", trends.timeScale === 1);
+    }
+    if (!view.open) return;
+
+    const trendWindow = TREND_WINDOWS[view.window] ?? TREND_WINDOWS[DEFAULT_TREND_WINDOW];
+    const data = trends.getWindow(trendWindow.seconds);
+    const etco2Unit = currentParams.etco2?.unitPref === 'mmHg' ? 'mmHg' : 'kPa';
+    const tempUnit = currentParams.temp?.unitPref === 'F' ? 'F' : 'C';
+    const graphEl = document.getElementById("trend-graph-container");
+    const tableEl = document.getElementById("trend-table-container");
+    graphEl?.classList.toggle("d-none", view.display === "table");
+    tableEl?.classList.toggle("d-none", view.display !== "table");
+    if (view.display === "table") {
+        if (tableEl) _renderTrendTable(tableEl, buildTrendTable(data, trendWindow.tableStepS), etco2Unit, tempUnit);
+    } else if (graphEl) {
+        graphEl.innerHTML = renderTrendSvg(data, { tickS: trendWindow.tickS, etco2Unit, tempUnit, formatTime: _formatClock });
+    }
+}
+
+function _renderTrendTable(tableEl, rows, etco2Unit, tempUnit) {
+    const number = (value, decimals = 0) => Number.isFinite(value) ? value.toFixed(decimals) : '--';
+    const headers = ["Time", "HR", "SpO2", "ABP", "NIBP", `ETCO2 (${etco2Unit})`, "RR", `TEMP (${tempUnit === 'F' ? '°F' : '°C'})`];
+    const table = document.createElement("table");
+    table.className = "table table-dark table-sm trend-table mb-0";
+    const headRow = table.createTHead().insertRow();
+    headers.forEach(text => { const th = document.createElement("th"); th.textContent = text; headRow.appendChild(th); });
+    const body = table.createTBody();
+    rows.forEach(row => {
+        const nibp = row.nibp;
+        const hasNibp = Number.isFinite(nibp?.sys) && Number.isFinite(nibp?.dia);
+        const etco2 = Number.isFinite(row.etco2Kpa) ? (etco2Unit === 'mmHg' ? row.etco2Kpa * KPA_TO_MMHG : row.etco2Kpa) : null;
+        const temp = Number.isFinite(row.tempC) ? (tempUnit === 'F' ? celsiusToFahrenheit(row.tempC) : row.tempC) : null;
+        const cells = [
+            _formatClock(row.t),
+            number(row.hr),
+            number(row.spo2),
+            Number.isFinite(row.abpSys) ? `${number(row.abpSys)}/${number(row.abpDia)} (${number(row.abpMap)})` : '--',
+            hasNibp ? `${nibp.sys}/${nibp.dia} (${Number.isFinite(nibp.map) ? nibp.map : '--'})` : nibp ? (NIBP_ERRORS[nibp.error] ?? "NO READING") : '',
+            number(etco2, etco2Unit === 'mmHg' ? 0 : 1),
+            number(row.rr),
+            number(temp, 1),
+        ];
+        const tr = body.insertRow();
+        cells.forEach((text, index) => {
+            const td = tr.insertCell();
+            td.textContent = text;
+            if (index === 4 && nibp && !hasNibp) td.className = "nibp-failed";
+        });
+    });
+    if (rows.length === 0) {
+        const td = body.insertRow().insertCell();
+        td.colSpan = headers.length;
+        td.className = "text-muted text-center";
+        td.textContent = "No trend data yet.";
+    }
+    tableEl.replaceChildren(table);
+}
+
 export function updateSliderDisplays(targetParams, calculateInitialHRFunc) {
     _updateHrSliderDisplay(targetParams, calculateInitialHRFunc);
     _updateSpo2SliderDisplay(targetParams);
@@ -211,6 +424,8 @@ export function resetVitalsDisplay(targetParams) {
     idsToReset.forEach(id => { const el = document.getElementById(id); if (el) { if (id === 'spo2-pr-label') el.textContent = "PR: --"; else if (id === 'resp-rate-label') el.textContent = "RR: --"; else if (id === 'nibp-time-label') el.textContent = "Last: --:--"; else if (id === 'map-display') el.textContent = "-- mmHg"; else el.textContent = "--"; } });
     const etco2UnitEl = document.getElementById("etco2-unit"); if(etco2UnitEl && targetParams?.etco2) etco2UnitEl.textContent = targetParams.etco2.unitPref; else if (etco2UnitEl) etco2UnitEl.textContent="kPa";
     const tempUnitEl = document.getElementById("temp-unit"); if(tempUnitEl && targetParams?.temp) tempUnitEl.textContent = targetParams.temp.unitPref==='F'?'°F':'°C'; else if (tempUnitEl) tempUnitEl.textContent="°C";
+    _updateSensorFaultDisplays({});
+    _updateNibpCycleDisplay(null);
     Object.keys(lastNumericUpdateTimes).forEach(key => lastNumericUpdateTimes[key] = 0);
     console.log("[resetVitalsDisplay] Vitals displays reset.");
 }
@@ -249,6 +464,7 @@ export function updateMonitorColors(colors, charts) { // Lisätty charts-paramet
     if (charts) {
         try {
             if (charts.ecgChart) charts.ecgChart.update(null, null, true); // Kolmas parametri 'true' voi auttaa joissain tapauksissa
+            if (charts.ecg2Chart) charts.ecg2Chart.update(null, null, true);
             if (charts.spo2Chart) charts.spo2Chart.update(null, null, true);
             if (charts.abpChart) charts.abpChart.update(null, null, true);
             if (charts.etco2Chart) charts.etco2Chart.update(null, null, true);
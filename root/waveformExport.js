@@ -0,0 +1,185 @@
+// waveformExport.js - CSV and PhysioNet WFDB export of a recorded waveform window
+// VERSION: Initial version. Formats a window from WaveformRecorder.getWindow() as CSV (one row per sample,
+//          annotations in the last column) or as a WFDB record: header (.hea), signal file (.dat, format 16)
+//          and annotation file (.atr, MIT format).
+//
+// Signals and units: ECG (mV), PLETH (% of full pleth scale, not the SpO2 value), ABP (mmHg), CO2 (kPa).
+// WFDB annotations: beats as 'Q' (detected, not classified), rhythm changes as '+' with aux "(<rhythm key>",
+// shocks and NIBP results as notes ('"') with the details in aux, e.g. "SHOCK 200 J SYNC", "NIBP 120/80 (93)".
+
+import { RECORDED_SIGNALS, ANNOTATION_TYPES } from "./waveformRecorder.js";
+import { downloadBlob } from "./fileDownload.js";
+
+export const EXPORT_SIGNALS = {
+    ecg: { name: "ECG", units: "mV", scale: 1, gain: 1000, decimals: 3 },
+    pleth: { name: "PLETH", units: "%", scale: 100, gain: 100, decimals: 1 },
+    abp: { name: "ABP", units: "mmHg", scale: 1, gain: 100, decimals: 1 },
+    co2: { name: "CO2", units: "kPa", scale: 1, gain: 1000, decimals: 2 },
+};
+
+// MIT annotation codes (ecgcodes.h)
+const ANNOTATION_CODES = { UNKNOWN_BEAT: 13, NOTE: 22, RHYTHM: 28, SKIP: 59, AUX: 63 };
+const MAX_ANNOTATION_INTERVAL = 1023; // longer gaps need a SKIP
+const WFDB_INVALID_SAMPLE = -32768;   // format 16
+const WFDB_ADC_RESOLUTION = 16;
+
+function _pad(value, width = 2) {
+    return String(value).padStart(width, "0");
+}
+
+/**
+ * Annotation text as written to the CSV column and the WFDB aux field.
+ * @param {{type: string, text: string}} annotation
+ * @returns {string}
+ */
+export function describeAnnotation(annotation) {
+    switch (annotation.type) {
+        case ANNOTATION_TYPES.BEAT: return "beat";
+        case ANNOTATION_TYPES.RHYTHM: return `rhythm ${annotation.text}`;
+        case ANNOTATION_TYPES.SHOCK: return `SHOCK ${annotation.text}`;
+        case ANNOTATION_TYPES.NIBP: return `NIBP ${annotation.text}`;
+        default: return annotation.text;
+    }
+}
+
+/**
+ * File name stem for a window: sim_YYYYMMDD_HHMMSS (local time of the first sample). Valid as a WFDB record name.
+ * @param {{startedAt: Date}} recordingWindow
+ * @returns {string}
+ */
+export function exportRecordName(recordingWindow) {
+    const t = recordingWindow.startedAt;
+    return `sim_${t.getFullYear()}${_pad(t.getMonth() + 1)}${_pad(t.getDate())}_${_pad(t.getHours())}${_pad(t.getMinutes())}${_pad(t.getSeconds())}`;
+}
+
+/**
+ * @param {object} recordingWindow From WaveformRecorder.getWindow().
+ * @returns {string} CSV text: time_s (since the start of the recording), one column per signal, annotations.
+ */
+export function formatWaveformCsv(recordingWindow) {
+    const { signals, annotations, length, sampleRate, startS } = recordingWindow;
+    const notesBySample = new Map();
+    for (const annotation of annotations) {
+        const notes = notesBySample.get(annotation.sample) ?? [];
+        notes.push(describeAnnotation(annotation));
+        notesBySample.set(annotation.sample, notes);
+    }
+
+    const header = ["time_s", ...RECORDED_SIGNALS.map((key) => `${EXPORT_SIGNALS[key].name} (${EXPORT_SIGNALS[key].units})`), "annotations"];
+    const lines = [header.join(",")];
+    for (let i = 0; i < length; i++) {
+        const row = [(startS + i / sampleRate).toFixed(2)];
+        for (const key of RECORDED_SIGNALS) {
+            const { scale, decimals } = EXPORT_SIGNALS[key];
+            const value = signals[key][i];
+            row.push(Number.isFinite(value) ? (value * scale).toFixed(decimals) : "");
+        }
+        const notes = notesBySample.get(i);
+        row.push(notes ? `"${notes.join("; ").replace(/"/g, '""')}"` : "");
+        lines.push(row.join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * @param {object} recordingWindow From WaveformRecorder.getWindow().
+ * @param {string} [recordName] Defaults to exportRecordName(recordingWindow).
+ * @returns {{recordName: string, header: string, dat: Uint8Array, atr: Uint8Array}} The .hea, .dat and .atr files.
+ */
+export function formatWaveformWfdb(recordingWindow, recordName = exportRecordName(recordingWindow)) {
+    const { signals, annotations, length, sampleRate, startedAt } = recordingWindow;
+
+    // Signal file: frames of one 16-bit little-endian sample per signal.
+    const dat = new Uint8Array(length * RECORDED_SIGNALS.length * 2);
+    const view = new DataView(dat.buffer);
+    const firstValues = {};
+    const checksums = {};
+    RECORDED_SIGNALS.forEach((key, signalIndex) => {
+        const { scale, gain } = EXPORT_SIGNALS[key];
+        let checksum = 0;
+        for (let i = 0; i < length; i++) {
+            const value = signals[key][i];
+            const adc = Number.isFinite(value)
+                ? Math.max(-32767, Math.min(32767, Math.round(value * scale * gain)))
+                : WFDB_INVALID_SAMPLE;
+            view.setInt16((i * RECORDED_SIGNALS.length + signalIndex) * 2, adc, true);
+            if (i === 0) firstValues[key] = adc;
+            checksum = (checksum + adc) & 0xFFFF;
+        }
+        checksums[key] = checksum >= 0x8000 ? checksum - 0x10000 : checksum;
+    });
+
+    const baseTime = `${_pad(startedAt.getHours())}:${_pad(startedAt.getMinutes())}:${_pad(startedAt.getSeconds())}`;
+    const baseDate = `${_pad(startedAt.getDate())}/${_pad(startedAt.getMonth() + 1)}/${startedAt.getFullYear()}`;
+    const headerLines = [`${recordName} ${RECORDED_SIGNALS.length} ${sampleRate} ${length} ${baseTime} ${baseDate}`];
+    for (const key of RECORDED_SIGNALS) {
+        const { name, units, gain } = EXPORT_SIGNALS[key];
+        headerLines.push(
+            `${recordName}.dat 16 ${gain}(0)/${units} ${WFDB_ADC_RESOLUTION} 0 ${firstValues[key] ?? 0} ${checksums[key]} 0 ${name}`
+        );
+    }
+    headerLines.push("# Simulated waveforms (medical monitor simulator) - for training use only");
+    headerLines.push("# PLETH is the pleth waveform in % of full scale, not the SpO2 value");
+
+    return { recordName, header: headerLines.join("\n") + "\n", dat, atr: _encodeMitAnnotations(annotations) };
+}
+
+function _encodeMitAnnotations(annotations) {
+    const bytes = [];
+    const pushWord = (word) => bytes.push(word & 0xFF, (word >> 8) & 0xFF);
+    let previousSample = 0;
+
+    for (const annotation of annotations) {
+        let code;
+        let aux = null;
+        if (annotation.type === ANNOTATION_TYPES.BEAT) {
+            code = ANNOTATION_CODES.UNKNOWN_BEAT;
+        } else if (annotation.type === ANNOTATION_TYPES.RHYTHM) {
+            code = ANNOTATION_CODES.RHYTHM;
+            aux = `(${annotation.text}`;
+        } else {
+            code = ANNOTATION_CODES.NOTE;
+            aux = describeAnnotation(annotation);
+        }
+
+        const interval = annotation.sample - previousSample;
+        if (interval > MAX_ANNOTATION_INTERVAL) {
+            // SKIP carries the interval as a 32-bit number, high 16 bits first ("PDP-11" order).
+            pushWord(ANNOTATION_CODES.SKIP << 10);
+            pushWord((interval >>> 16) & 0xFFFF);
+            pushWord(interval & 0xFFFF);
+            pushWord(code << 10);
+        } else {
+            pushWord((code << 10) | interval);
+        }
+        previousSample = annotation.sample;
+
+        if (aux) {
+            const auxBytes = Array.from(aux.slice(0, 255), (ch) => ch.charCodeAt(0) & 0xFF);
+            pushWord((ANNOTATION_CODES.AUX << 10) | auxBytes.length);
+            bytes.push(...auxBytes);
+            if (auxBytes.length % 2) bytes.push(0);
+        }
+    }
+    pushWord(0); // end of file
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Downloads the window as <record>.csv.
+ * @param {object} recordingWindow From WaveformRecorder.getWindow().
+ */
+export function exportWaveformCsv(recordingWindow) {
+    downloadBlob(new Blob([formatWaveformCsv(recordingWindow)], { type: "text/csv" }), `${exportRecordName(recordingWindow)}.csv`);
+}
+
+/**
+ * Downloads the window as a WFDB record: three files, <record>.hea, <record>.dat and <record>.atr.
+ * @param {object} recordingWindow From WaveformRecorder.getWindow().
+ */
+export function exportWaveformWfdb(recordingWindow) {
+    const { recordName, header, dat, atr } = formatWaveformWfdb(recordingWindow);
+    downloadBlob(new Blob([header], { type: "text/plain" }), `${recordName}.hea`);
+    downloadBlob(new Blob([dat], { type: "application/octet-stream" }), `${recordName}.dat`);
+    downloadBlob(new Blob([atr], { type: "application/octet-stream" }), `${recordName}.atr`);
+}
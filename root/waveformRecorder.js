@@ -0,0 +1,155 @@
+// waveformRecorder.js - Recording of the drawn ECG, pleth, ABP and ETCO2 samples for export
+// VERSION: Initial version. Keeps the samples the monitor draws (SimulationEngine.advanceSample) in one-minute
+//          Float32Array chunks, up to RECORDING_MAX_MINUTES, together with beat, rhythm, shock and NIBP annotations.
+//          No DOM access; waveformExport.js turns a window of the recording into CSV or WFDB files.
+//
+// Beats are found on the recorded ECG with the sync detector (rWaveDetector.js), as a monitor would, and are not
+// marked while the rhythm has no organised QRS (VF, torsades, asystole, CPR artifact).
+
+import { SAMPLE_RATE, RECORDING_MAX_MINUTES } from "./config.js";
+import { RHYTHM_PARAMS } from "./rhythms.js";
+import { createRWaveDetectorState, detectRWave } from "./rWaveDetector.js";
+
+export const RECORDED_SIGNALS = ["ecg", "pleth", "abp", "co2"];
+export const ANNOTATION_TYPES = { BEAT: "beat", RHYTHM: "rhythm", SHOCK: "shock", NIBP: "nibp" };
+
+const CHUNK_SAMPLES = 60 * SAMPLE_RATE;
+
+function _hasCountableBeats(rhythmKey) {
+    const params = RHYTHM_PARAMS[rhythmKey];
+    if (!params) return false;
+    return !(params.isChaotic || params.isFlat || params.isArtifact || params.generatorType === "torsades");
+}
+
+/**
+ * Sample stream and annotations since the monitor was started. Sample indices count from the start of the
+ * recording and keep counting when the oldest minutes are dropped.
+ */
+export class WaveformRecorder {
+    /**
+     * @param {number} [maxMinutes=RECORDING_MAX_MINUTES] Length kept; older samples are dropped a minute at a time.
+     */
+    constructor(maxMinutes = RECORDING_MAX_MINUTES) {
+        this.maxSamples = Math.max(1, Math.round(maxMinutes * 60)) * SAMPLE_RATE;
+        this.reset();
+    }
+
+    /**
+     * Discards everything and starts a new recording.
+     * @param {Date} [startedAt] Wall-clock time of the first sample.
+     */
+    reset(startedAt = new Date()) {
+        this.startedAt = startedAt;
+        this.chunks = [];
+        this.firstSample = 0;   // index of the oldest sample still kept
+        this.sampleCount = 0;   // samples recorded since reset (including dropped ones)
+        this.annotations = [];
+        this.rhythmKey = null;
+        this.rWaveDetector = createRWaveDetectorState();
+    }
+
+    /** @returns {number} Seconds recorded since reset. */
+    get durationS() {
+        return this.sampleCount / SAMPLE_RATE;
+    }
+
+    /** @returns {number} Time (s since reset) of the oldest sample still kept. */
+    get firstAvailableS() {
+        return this.firstSample / SAMPLE_RATE;
+    }
+
+    /**
+     * Appends one drawn sample.
+     * @param {{ecg: number, spo2: number|null, abp: number|null, etco2: number|null}} sample From advanceSample().
+     * @param {string|null} rhythmKey Rhythm the ECG sample was drawn from (the paced rhythm while the pacer captures).
+     */
+    addSample(sample, rhythmKey) {
+        if (rhythmKey !== this.rhythmKey) {
+            this.rhythmKey = rhythmKey;
+            this.rWaveDetector = createRWaveDetectorState();
+            if (rhythmKey) this.addAnnotation(ANNOTATION_TYPES.RHYTHM, rhythmKey);
+        }
+
+        const offset = this.sampleCount % CHUNK_SAMPLES;
+        if (offset === 0) {
+            this.chunks.push(Object.fromEntries(RECORDED_SIGNALS.map((signal) => [signal, new Float32Array(CHUNK_SAMPLES)])));
+        }
+        const chunk = this.chunks[this.chunks.length - 1];
+        chunk.ecg[offset] = Number.isFinite(sample.ecg) ? sample.ecg : NaN;
+        chunk.pleth[offset] = Number.isFinite(sample.spo2) ? sample.spo2 : NaN;
+        chunk.abp[offset] = Number.isFinite(sample.abp) ? sample.abp : NaN;
+        chunk.co2[offset] = Number.isFinite(sample.etco2) ? sample.etco2 : NaN;
+
+        if (_hasCountableBeats(rhythmKey)) {
+            const detection = detectRWave(this.rWaveDetector, sample.ecg, this.sampleCount / SAMPLE_RATE, SAMPLE_RATE);
+            if (detection) {
+                this.addAnnotation(ANNOTATION_TYPES.BEAT, "", this.sampleCount - detection.samplesSincePeak);
+            }
+        }
+        this.sampleCount++;
+
+        if (this.sampleCount - this.firstSample > this.maxSamples + CHUNK_SAMPLES) {
+            this.chunks.shift();
+            this.firstSample += CHUNK_SAMPLES;
+            const rhythmBefore = this.annotations.filter((a) => a.type === ANNOTATION_TYPES.RHYTHM && a.sample < this.firstSample).pop();
+            this.annotations = this.annotations.filter((annotation) => annotation.sample >= this.firstSample);
+            if (rhythmBefore) this.annotations.unshift({ ...rhythmBefore, sample: this.firstSample });
+        }
+    }
+
+    /**
+     * Marks an event on the recording.
+     * @param {string} type One of ANNOTATION_TYPES.
+     * @param {string} text Rhythm key, or a description such as "200 J SYNC" or "120/80 (93)".
+     * @param {number} [sample] Sample index; defaults to the next sample to be recorded.
+     */
+    addAnnotation(type, text, sample = this.sampleCount) {
+        this.annotations.push({ sample: Math.max(this.firstSample, sample), type, text });
+    }
+
+    /**
+     * Copies part of the recording. The window is clamped to what is kept.
+     * @param {number} [startS] Seconds since reset (default: oldest sample kept).
+     * @param {number} [endS] Seconds since reset (default: now).
+     * @returns {{startedAt: Date, startS: number, sampleRate: number, length: number,
+     *            signals: {ecg: Float32Array, pleth: Float32Array, abp: Float32Array, co2: Float32Array},
+     *            annotations: Array<{sample: number, type: string, text: string}>}}
+     *          Signals in recorder units (pleth 0..1, see waveformExport.js); missing samples are NaN.
+     *          Annotation samples are relative to the window start and sorted.
+     */
+    getWindow(startS = this.firstAvailableS, endS = this.durationS) {
+        const start = Math.min(this.sampleCount, Math.max(this.firstSample, Math.round(startS * SAMPLE_RATE)));
+        const end = Math.max(start, Math.min(this.sampleCount, Math.round(endS * SAMPLE_RATE)));
+        const length = end - start;
+
+        const signals = Object.fromEntries(RECORDED_SIGNALS.map((signal) => [signal, new Float32Array(length)]));
+        for (let i = 0; i < length; ) {
+            const index = start + i - this.firstSample;
+            const chunk = this.chunks[Math.floor(index / CHUNK_SAMPLES)];
+            const offset = index % CHUNK_SAMPLES;
+            const count = Math.min(CHUNK_SAMPLES - offset, length - i);
+            for (const signal of RECORDED_SIGNALS) {
+                signals[signal].set(chunk[signal].subarray(offset, offset + count), i);
+            }
+            i += count;
+        }
+
+        const annotations = this.annotations
+            .filter((annotation) => annotation.sample >= start && annotation.sample < end)
+            .map((annotation) => ({ ...annotation, sample: annotation.sample - start }))
+            .sort((a, b) => a.sample - b.sample);
+        // A window that starts mid-rhythm still says which rhythm it shows.
+        const rhythmBefore = this.annotations.filter((a) => a.type === ANNOTATION_TYPES.RHYTHM && a.sample < start).pop();
+        const rhythmAtStart = annotations.some((a) => a.sample === 0 && a.type === ANNOTATION_TYPES.RHYTHM);
+        if (rhythmBefore && !rhythmAtStart && length > 0) annotations.unshift({ sample: 0, type: ANNOTATION_TYPES.RHYTHM, text: rhythmBefore.text });
+
+        return {
+            startedAt: new Date(this.startedAt.getTime() + (start * 1000) / SAMPLE_RATE),
+            startS: start / SAMPLE_RATE,
+            sampleRate: SAMPLE_RATE,
+            length,
+            signals,
+            annotations,
+        };
+    }
+}
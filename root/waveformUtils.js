@@ -5,10 +5,12 @@
 // + SIGNIFICANTLY REDUCED/REMOVED baseline noise for SpO2 'no_signal' and ETCO2 'disconnect'/low_value states.
 // + Reduced default baseNoiseAmplitude for SpO2 and noiseAmplitude for ETCO2.
 // + REMOVED all artificial noise from SpO2, ABP, and ETCO2 waveforms.
+// + generateNoise draws from the seeded stream in random.js (reproducible runs).
+import { random } from './random.js';
 
 // --- Helper Functions ---
 // generateNoise is kept for ECG generators that might still use it via rhythms.js
-export const generateNoise = (amplitude) => (Math.random() - 0.5) * amplitude * 2;
+export const generateNoise = (amplitude) => (random() - 0.5) * amplitude * 2;
 export const ensureFinite = (value, defaultValue = 0) => Number.isFinite(value) ? value : defaultValue;
 export const gaussian = (t, mean, stdDev, amplitude) => {
     const safeStdDev = Math.max(Math.abs(stdDev), 1e-9);